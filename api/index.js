@@ -7,16 +7,161 @@ const compression = require("compression");
 const rateLimit = require("express-rate-limit");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const cron = require("node-cron");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+function writeLog(level, msg, fields = {}) {
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = requestContext.getStore()?.requestId;
+  if (requestId) entry.requestId = requestId;
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  (level === "info" ? process.stdout : process.stderr).write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  info:  (msg, fields) => writeLog("info", msg, fields),
+  warn:  (msg, fields) => writeLog("warn", msg, fields),
+  error: (msg, fields) => writeLog("error", msg, fields),
+};
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricFamilies = new Map();
+
+function defineMetric(name, type, help) {
+  const family = { name, type, help, series: new Map() };
+  metricFamilies.set(name, family);
+  return family;
+}
+
+function metricSeries(family, labels) {
+  const key = JSON.stringify(labels);
+  if (!family.series.has(key)) {
+    family.series.set(key, family.type === "histogram"
+      ? { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return family.series.get(key);
+}
+
+function incCounter(family, labels, by = 1) {
+  metricSeries(family, labels).value += by;
+}
+
+function setGauge(family, labels, value) {
+  metricSeries(family, labels).value = value;
+}
+
+function observeHistogram(family, labels, seconds) {
+  const series = metricSeries(family, labels);
+  LATENCY_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) series.buckets[i]++;
+  });
+  series.sum += seconds;
+  series.count++;
+}
+
+function formatLabels(labels, extra = {}) {
+  const pairs = Object.entries({ ...labels, ...extra })
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const family of metricFamilies.values()) {
+    lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+    for (const series of family.series.values()) {
+      if (family.type !== "histogram") {
+        lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      LATENCY_BUCKETS.forEach((le, i) => lines.push(`${family.name}_bucket${formatLabels(series.labels, { le })} ${series.buckets[i]}`));
+      lines.push(`${family.name}_bucket${formatLabels(series.labels, { le: "+Inf" })} ${series.count}`);
+      lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const httpRequests        = defineMetric("http_requests_total", "counter", "HTTP requests by method, route and status");
+const httpDuration        = defineMetric("http_request_duration_seconds", "histogram", "HTTP request latency by method, route and status");
+const mongoDuration       = defineMetric("mongo_command_duration_seconds", "histogram", "MongoDB command latency by connection, command and collection");
+const mongoFailures       = defineMetric("mongo_command_failures_total", "counter", "Failed MongoDB commands by connection, command and collection");
+const mongoUp             = defineMetric("mongo_connection_up", "gauge", "1 if the last readiness ping of the connection succeeded");
+const rateLimitRejections = defineMetric("rate_limit_rejections_total", "counter", "Requests rejected by a rate limiter");
+const cronRuns            = defineMetric("cron_job_runs_total", "counter", "Cron job runs by job and outcome");
+const webhookDeliveries   = defineMetric("webhook_deliveries_total", "counter", "Webhook delivery attempts by event and outcome");
+const processUptime       = defineMetric("process_uptime_seconds", "gauge", "Seconds since the process started");
+const processMemory       = defineMetric("process_resident_memory_bytes", "gauge", "Resident memory size in bytes");
+const heapUsed            = defineMetric("nodejs_heap_used_bytes", "gauge", "V8 heap in use in bytes");
+
+function rateLimitHandler(limiter) {
+  return (req, res, next, options) => {
+    incCounter(rateLimitRejections, { limiter });
+    logger.warn("Rate limit exceeded", { limiter, ip: req.ip, path: req.path });
+    res.status(options.statusCode).json({ success: false, message: "Too many requests — try again later" });
+  };
+}
+
 const app = express();
+app.set("trust proxy", 1);
+
+app.use((req, res, next) => {
+  const requestId = /^[\w.-]{1,128}$/.test(req.get("x-request-id") || "") ? req.get("x-request-id") : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+      status: String(res.statusCode),
+    };
+    incCounter(httpRequests, labels);
+    observeHistogram(httpDuration, labels, seconds);
+    writeLog(res.statusCode >= 500 ? "error" : "info", "request", {
+      requestId,
+      ...labels,
+      path: req.originalUrl.split("?")[0],
+      durationMs: Math.round(seconds * 1000 * 10) / 10,
+      adminId: req.admin?.id || null,
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+});
+
 app.use(helmet());
 app.use(compression());
-app.use(rateLimit({ windowMs: 15 * 60 * 1000, max: 400 }));
-app.use(express.json({ limit: "2mb" }));
+app.use(rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 400,
+  skip: req => req.path.startsWith("/health/") || req.path.startsWith("/images/") || req.path === "/metrics",
+  handler: rateLimitHandler("global"),
+}));
+const BUNDLE_IMPORT_PATH = "/admin/tests/import";
+const jsonParser = express.json({ limit: "2mb" });
+app.use((req, res, next) => (req.path === BUNDLE_IMPORT_PATH ? next() : jsonParser(req, res, next)));
 
 app.use(cors({
   origin: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "HEAD"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+  exposedHeaders: ["X-Request-Id"],
   credentials: true,
   optionsSuccessStatus: 204,
 }));
@@ -26,24 +171,49 @@ app.options(/.*/, cors());
 const userConn = mongoose.createConnection(process.env.MONGO_URI, {
   serverSelectionTimeoutMS: 15000,
   connectTimeoutMS: 15000,
+  monitorCommands: true,
 });
 const questionConn = mongoose.createConnection(process.env.QUESTIONDB_URI, {
   serverSelectionTimeoutMS: 15000,
   connectTimeoutMS: 15000,
+  monitorCommands: true,
 });
 const freePcsConn = mongoose.createConnection(process.env.FREEPCS_URI, {
   serverSelectionTimeoutMS: 15000,
   connectTimeoutMS: 15000,
+  monitorCommands: true,
 });
 
-userConn.on("connected", () => console.log("userDB (MONGO_URI) connected"));
-userConn.on("error", (err) => console.error("userDB connection error:", err.message));
+const DB_CONNECTIONS = { userDB: userConn, questionDB: questionConn, freePcsDB: freePcsConn };
 
-questionConn.on("connected", () => console.log("questionsDB (QUESTIONDB_URI) connected"));
-questionConn.on("error", (err) => console.error("questionsDB connection error:", err.message));
+function monitorMongoCommands(name, conn) {
+  const client = conn.getClient();
+  if (!client) return;
+  const pending = new Map();
+  client.on("commandStarted", (event) => {
+    const target = event.command?.[event.commandName];
+    pending.set(event.requestId, typeof target === "string" ? target : "");
+  });
+  const finish = (failed) => (event) => {
+    const labels = { db: name, command: event.commandName, collection: pending.get(event.requestId) ?? "" };
+    pending.delete(event.requestId);
+    observeHistogram(mongoDuration, labels, event.duration / 1000);
+    if (failed) incCounter(mongoFailures, labels);
+  };
+  client.on("commandSucceeded", finish(false));
+  client.on("commandFailed", finish(true));
+}
+
+Object.entries(DB_CONNECTIONS).forEach(([name, conn]) => monitorMongoCommands(name, conn));
+
+userConn.on("connected", () => logger.info("userDB (MONGO_URI) connected"));
+userConn.on("error", (err) => logger.error("userDB connection error", { err }));
 
-freePcsConn.on("connected", () => console.log("freePcsDB (FREEPCS_URI) connected"));
-freePcsConn.on("error", (err) => console.error("freePcsDB connection error:", err.message));
+questionConn.on("connected", () => logger.info("questionsDB (QUESTIONDB_URI) connected"));
+questionConn.on("error", (err) => logger.error("questionsDB connection error", { err }));
+
+freePcsConn.on("connected", () => logger.info("freePcsDB (FREEPCS_URI) connected"));
+freePcsConn.on("error", (err) => logger.error("freePcsDB connection error", { err }));
 
 async function connectUserDB() {
   await userConn.asPromise();
@@ -54,27 +224,102 @@ async function connectQuestionDB() {
 async function connectFreePcsDB() {
   await freePcsConn.asPromise();
 }
-async function connectDB() {
-  return Promise.allSettled([
-    userConn.asPromise(),
-    questionConn.asPromise(),
-    freePcsConn.asPromise(),
-  ]);
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 2000;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function pingConnection(name, conn) {
+  const started = Date.now();
+  try {
+    await withTimeout(conn.asPromise().then(() => conn.db.admin().ping()), HEALTH_TIMEOUT_MS, `${name} ping`);
+    setGauge(mongoUp, { db: name }, 1);
+    return { status: "up", latencyMs: Date.now() - started };
+  } catch (err) {
+    setGauge(mongoUp, { db: name }, 0);
+    return { status: "down", latencyMs: Date.now() - started, error: err.message };
+  }
+}
+
+async function checkReadiness() {
+  const entries = await Promise.all(Object.entries(DB_CONNECTIONS)
+    .map(async ([name, conn]) => [name, await pingConnection(name, conn)]));
+  const checks = Object.fromEntries(entries);
+  return { ready: entries.every(([, check]) => check.status === "up"), checks };
+}
+
+userConn.asPromise().catch(err => logger.error("Initial userDB connect failed", { err }));
+questionConn.asPromise().catch(err => logger.error("Initial questionDB connect failed", { err }));
+freePcsConn.asPromise().catch(err => logger.error("Initial freePcsDB connect failed", { err }));
+
+if (!process.env.MONGO_URI) logger.error("MONGO_URI env var is missing");
+if (!process.env.QUESTIONDB_URI) logger.error("QUESTIONDB_URI env var is missing");
+if (!process.env.FREEPCS_URI) logger.error("FREEPCS_URI env var is missing");
+if (!process.env.JWT_SECRET) logger.error("JWT_SECRET env var is missing");
+
+const SOFT_DELETE_QUERY_OPS = [
+  "find", "findOne", "countDocuments", "distinct", "findOneAndUpdate", "updateOne", "updateMany",
+  "deleteOne", "deleteMany", "findOneAndDelete",
+];
+
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  });
+  schema.index({ deletedAt: 1 });
+  schema.pre(SOFT_DELETE_QUERY_OPS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (!("deletedAt" in this.getFilter())) this.where({ deletedAt: null });
+  });
+}
+
+const ADMIN_ROLES = ["super-admin", "editor", "reviewer", "viewer"];
+
+function adminRole(admin) {
+  return ADMIN_ROLES.includes(admin.role) ? admin.role : "viewer";
 }
 
-userConn.asPromise().catch(err => console.error("Initial userDB connect failed:", err.message));
-questionConn.asPromise().catch(err => console.error("Initial questionDB connect failed:", err.message));
-freePcsConn.asPromise().catch(err => console.error("Initial freePcsDB connect failed:", err.message));
+// Admins created before invites existed have no status; they were all active.
+function isActiveAdmin(admin) {
+  return (admin.status ?? "active") === "active";
+}
 
-if (!process.env.MONGO_URI) console.error("MONGO_URI env var is missing");
-if (!process.env.QUESTIONDB_URI) console.error("QUESTIONDB_URI env var is missing");
-if (!process.env.FREEPCS_URI) console.error("FREEPCS_URI env var is missing");
-if (!process.env.JWT_SECRET) console.error("JWT_SECRET env var is missing");
+const ACTIVE_ADMIN = { status: { $in: ["active", null] } };
 
 const adminSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
-  password: { type: String, required: true },
-});
+  password: { type: String, default: null },
+  name: { type: String, trim: true, default: "" },
+  role: { type: String, enum: ADMIN_ROLES },
+  status: { type: String, enum: ["invited", "active", "disabled"], default: "active" },
+  inviteTokenHash: { type: String, default: null },
+  inviteExpiresAt: { type: Date, default: null },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  lastLoginAt: { type: Date, default: null },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  passwordChangedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+const adminSessionSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHashes: { type: [String], default: [] },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+}, { timestamps: true });
+
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 const resultSchema = new mongoose.Schema({
   userId: String,
@@ -91,8 +336,20 @@ const resultSchema = new mongoose.Schema({
   isLate: Boolean,
   answers: Array,
   timeTakenSeconds: Number,
+  integrity: {
+    type: {
+      _id: false,
+      excluded: { type: Boolean, default: false },
+      reason: { type: String, default: null },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+      reviewedAt: { type: Date, default: null },
+    },
+    default: undefined,
+  },
 }, { timestamps: true });
 
+resultSchema.index({ userId: 1, submittedAt: -1 });
+
 const freeResultSchema = new mongoose.Schema({
   testId: mongoose.Schema.Types.ObjectId,
   score: Number,
@@ -100,6 +357,96 @@ const freeResultSchema = new mongoose.Schema({
   submittedAt: { type: Date, default: Date.now },
 }, { timestamps: true });
 
+const auditLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now, immutable: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, default: null, immutable: true },
+  adminRole: { type: String, default: null, immutable: true },
+  action: { type: String, required: true, immutable: true },
+  method: { type: String, immutable: true },
+  route: { type: String, immutable: true },
+  ip: { type: String, default: null, immutable: true },
+  userAgent: { type: String, default: null, immutable: true },
+  targetType: { type: String, enum: ["test", "bank", "admin", null], default: null, immutable: true },
+  targetId: { type: String, default: null, immutable: true },
+  testId: { type: mongoose.Schema.Types.ObjectId, default: null, immutable: true },
+  message: { type: String, default: null, immutable: true },
+  before: { type: Object, default: null, immutable: true },
+  after: { type: Object, default: null, immutable: true },
+  diff: { type: Object, default: null, immutable: true },
+  metadata: { type: Object, default: null, immutable: true },
+}, { versionKey: false });
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ adminId: 1, at: -1 });
+auditLogSchema.index({ testId: 1, at: -1 });
+auditLogSchema.index({ action: 1, at: -1 });
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"],
+  function () {
+    throw new Error("The audit log is append-only");
+  },
+);
+
+const regradeSchema = new mongoose.Schema({
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  reason: { type: String, trim: true, default: "" },
+  keyChanges: { type: Array, default: [] },
+  resultChanges: { type: Array, default: [] },
+  summary: { type: Object, default: {} },
+  undoneAt: { type: Date, default: null },
+  undoneBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+}, { timestamps: true });
+
+const WEBHOOK_EVENTS = ["test.created", "test.updated", "test.questions_updated", "test.deleted", "test.restored", "results.regraded"];
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "delivering", "succeeded", "failed"];
+const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  events: { type: [String], required: true },
+  secret: { type: String, required: true },
+  description: { type: String, trim: true, default: "" },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, enum: [...WEBHOOK_DELIVERY_STATUSES, null], default: null },
+}, { timestamps: true });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  event: { type: String, required: true },
+  eventId: { type: String, required: true },
+  payload: { type: Object, required: true },
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lastStatusCode: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null },
+  attemptLog: {
+    type: [{
+      _id: false,
+      at: Date,
+      statusCode: Number,
+      error: String,
+      durationMs: Number,
+      responseBody: String,
+    }],
+    default: [],
+  },
+  replayOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const TEST_STATUSES = ["draft", "scheduled", "published", "archived"];
+const LATE_POLICIES = ["reject", "penalty", "unranked"];
+
 const testSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true, maxlength: 200 },
   date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
@@ -107,10 +454,46 @@ const testSchema = new mongoose.Schema({
   endTime: { type: Date },
   totalQuestions: { type: Number, default: 0 },
   testType: { type: String, enum: ["paid", "free"], required: true },
-  phase: { type: String, enum: ["daily", "gs", "csat", "free pcs", null], default: null },
+  phase: { type: String, trim: true, lowercase: true, default: null },
+  durationMinutes: { type: Number, default: null },
+  latePolicy: { type: String, enum: [...LATE_POLICIES, null], default: null },
+  latePenaltyPercent: { type: Number, default: 0 },
+  graceMinutes: { type: Number, default: 0 },
+  windowExtensions: {
+    type: [{
+      _id: false,
+      previousEndTime: Date,
+      endTime: Date,
+      reason: String,
+      adminId: mongoose.Schema.Types.ObjectId,
+      at: Date,
+    }],
+    default: [],
+  },
   collectionName: { type: String, default: null },
+  freePcs: { type: Boolean, default: false },
+  status: { type: String, enum: TEST_STATUSES, default: "published" },
+  publishAt: { type: Date, default: null },
+  archiveAt: { type: Date, default: null },
+  publishedAt: { type: Date, default: null },
+  archivedAt: { type: Date, default: null },
+  statusBeforeDelete: { type: String, enum: [...TEST_STATUSES, null], default: null },
+  sourceTestId: { type: mongoose.Schema.Types.ObjectId, ref: "Test", default: null, index: true },
+  variant: {
+    type: {
+      _id: false,
+      seed: String,
+      shuffleQuestions: Boolean,
+      shuffleOptions: Boolean,
+    },
+    default: null,
+  },
 }, { timestamps: true });
 
+testSchema.index({ status: 1, publishAt: 1 });
+testSchema.index({ status: 1, archiveAt: 1 });
+testSchema.index({ date: -1, _id: -1 });
+
 const questionSchema = new mongoose.Schema({
   testId: { type: mongoose.Schema.Types.ObjectId, ref: "Test", required: true },
   imageUrl: { type: String, trim: true, default: null },
@@ -128,6 +511,14 @@ const questionSchema = new mongoose.Schema({
   negativeMarks: { type: Number, default: 0.66 },
   correct_answer: { type: Number, required: true },
   phase: { type: String, enum: ["GS", "CSAT"], default: "GS" },
+  order: { type: Number, default: 0 },
+  acceptedAnswers: { type: [Number], default: [] },
+  dropPolicy: { type: String, enum: ["void", "award-all", null], default: null },
+  bankQuestionId: { type: mongoose.Schema.Types.ObjectId, ref: "BankQuestion", default: null, index: true },
+  fingerprint: { type: String, default: null, index: true },
+  hindiFingerprint: { type: String, default: null, index: true },
+  similarityBands: { type: [String], default: [], index: true },
+  sourceQuestionId: { type: mongoose.Schema.Types.ObjectId, default: null },
 }, { timestamps: true });
 
 const freePCSQuestionSchema = new mongoose.Schema({
@@ -150,18 +541,129 @@ const freePCSQuestionSchema = new mongoose.Schema({
   negativeMarks: { type: Number, default: 0.66 },
   correct_answer: { type: Number, required: true },
   phase: { type: String, enum: ["free pcs"], default: "free pcs" },
+  order: { type: Number, default: 0 },
+  acceptedAnswers: { type: [Number], default: [] },
+  dropPolicy: { type: String, enum: ["void", "award-all", null], default: null },
+  bankQuestionId: { type: mongoose.Schema.Types.ObjectId, ref: "BankQuestion", default: null, index: true },
+  fingerprint: { type: String, default: null, index: true },
+  hindiFingerprint: { type: String, default: null, index: true },
+  similarityBands: { type: [String], default: [], index: true },
+  sourceQuestionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+}, { timestamps: true });
+
+questionSchema.index({ testId: 1, order: 1 });
+freePCSQuestionSchema.index({ testId: 1, order: 1 });
+freePCSQuestionSchema.index({ examType: 1, year: 1 });
+
+const QUESTION_TEXT_INDEX = {
+  "english.question": "text",
+  "english.english_explanation": "text",
+  "hindi.question": "text",
+  "hindi.hindi_explanation": "text",
+};
+questionSchema.index(QUESTION_TEXT_INDEX, { name: "question_text", default_language: "none" });
+freePCSQuestionSchema.index(QUESTION_TEXT_INDEX, { name: "question_text", default_language: "none" });
+
+const QUESTION_SORT = { order: 1, createdAt: 1 };
+
+const examFormatSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  name: { type: String, required: true, trim: true },
+  questionCounts: { type: [Number], default: [] },
+  marks: { type: Number, required: true, min: 0 },
+  negativeMarks: { type: Number, required: true, min: 0 },
+  sections: {
+    type: [{
+      _id: false,
+      name: { type: String, enum: ["GS", "CSAT"], required: true },
+      questions: { type: Number, default: null },
+    }],
+    default: [{ name: "GS", questions: null }],
+  },
+  durationMinutes: { type: Number, default: null },
+  weekdays: { type: [Number], default: [] },
+  freePcs: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  builtIn: { type: Boolean, default: false },
+}, { timestamps: true });
+
+const imageAssetSchema = new mongoose.Schema({
+  sha256: { type: String, required: true, unique: true },
+  contentType: { type: String, required: true },
+  extension: { type: String, required: true },
+  size: { type: Number, required: true },
+  originalName: { type: String, trim: true, default: "" },
+  backend: { type: String, enum: ["gridfs", "local"], required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+}, { timestamps: true });
+
+const SCHEDULE_ISSUES = ["missing", "duplicate", "wrong-weekday", "incomplete"];
+
+const scheduleAlertSchema = new mongoose.Schema({
+  date: { type: String, required: true },
+  format: { type: String, required: true },
+  type: { type: String, enum: SCHEDULE_ISSUES, required: true },
+  message: { type: String, required: true },
+  testIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  firstDetectedAt: { type: Date, required: true },
+  lastDetectedAt: { type: Date, required: true },
+  resolvedAt: { type: Date, default: null },
+});
+
+scheduleAlertSchema.index({ date: 1, format: 1, type: 1 }, { unique: true });
+scheduleAlertSchema.index({ resolvedAt: 1, date: 1 });
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const bankQuestionSchema = new mongoose.Schema({
+  imageUrl: { type: String, trim: true, default: null },
+  english: {
+    question: { type: String, required: true, trim: true },
+    options: { type: Object, required: true },
+    english_explanation: { type: String, trim: true, default: "" },
+  },
+  hindi: {
+    question: { type: String, required: true, trim: true },
+    options: { type: Object, required: true },
+    hindi_explanation: { type: String, trim: true, default: "" },
+  },
+  correct_answer: { type: Number, required: true },
+  subject: { type: String, trim: true, lowercase: true, default: null },
+  topic: { type: String, trim: true, lowercase: true, default: null },
+  difficulty: { type: String, enum: [...DIFFICULTIES, null], default: null },
+  tags: { type: [String], default: [] },
+  examType: { type: String, trim: true, default: null },
+  year: { type: Number, default: null },
+  paper: { type: String, enum: ["GS", "CSAT"], default: "GS" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null },
 }, { timestamps: true });
 
-const Admin      = userConn.models.Admin      || userConn.model("Admin", adminSchema);
-const Result     = userConn.models.Result     || userConn.model("Result", resultSchema);
-const FreeResult = userConn.models.FreeResult || userConn.model("FreeResult", freeResultSchema);
+bankQuestionSchema.index({ subject: 1, topic: 1, difficulty: 1 });
+bankQuestionSchema.index({ tags: 1 });
+bankQuestionSchema.index({ examType: 1, year: 1 });
 
-const Test     = questionConn.models.Test     || questionConn.model("Test", testSchema);
-const Question = questionConn.models.Question || questionConn.model("Question", questionSchema);
+[resultSchema, freeResultSchema, testSchema, questionSchema, freePCSQuestionSchema].forEach(schema => schema.plugin(softDeletePlugin));
+
+const Admin           = userConn.models.Admin           || userConn.model("Admin", adminSchema);
+const Result          = userConn.models.Result          || userConn.model("Result", resultSchema);
+const FreeResult      = userConn.models.FreeResult      || userConn.model("FreeResult", freeResultSchema);
+const AdminSession    = userConn.models.AdminSession    || userConn.model("AdminSession", adminSessionSchema);
+const AuditLog        = userConn.models.AuditLog        || userConn.model("AuditLog", auditLogSchema);
+const Regrade         = userConn.models.Regrade         || userConn.model("Regrade", regradeSchema);
+const Webhook         = userConn.models.Webhook         || userConn.model("Webhook", webhookSchema);
+const WebhookDelivery = userConn.models.WebhookDelivery || userConn.model("WebhookDelivery", webhookDeliverySchema);
+
+const Test          = questionConn.models.Test          || questionConn.model("Test", testSchema);
+const Question      = questionConn.models.Question      || questionConn.model("Question", questionSchema);
+const BankQuestion  = questionConn.models.BankQuestion  || questionConn.model("BankQuestion", bankQuestionSchema);
+const ExamFormat    = questionConn.models.ExamFormat    || questionConn.model("ExamFormat", examFormatSchema);
+const ImageAsset    = questionConn.models.ImageAsset    || questionConn.model("ImageAsset", imageAssetSchema);
+const ScheduleAlert = questionConn.models.ScheduleAlert || questionConn.model("ScheduleAlert", scheduleAlertSchema);
 
 const FreePCSQuestion = freePcsConn.models.FreePCSQuestion || freePcsConn.model("FreePCSQuestion", freePCSQuestionSchema);
 
 const PERSISTENCE_NOTE = "No expiry — this test stays available to users until an admin deletes it";
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
 
 function slugify(title) {
   return title
@@ -178,563 +680,8441 @@ function getFreePCSModel(collectionName) {
     freePcsConn.model(collectionName, freePCSQuestionSchema, collectionName);
 }
 
-const adminAuth = (req, res, next) => {
+function isFreePcsTest(test) {
+  return !!(test.freePcs || test.collectionName);
+}
+
+function usesLegacyCollection(test) {
+  return !!test.collectionName && !test.freePcs;
+}
+
+function getQuestionModel(test) {
+  if (usesLegacyCollection(test)) return getFreePCSModel(test.collectionName);
+  return test.freePcs ? FreePCSQuestion : Question;
+}
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCK_MAX_MINUTES = 60;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function sessionTokens(admin, session, secret) {
+  return {
+    token: jwt.sign(
+      { id: admin._id, role: adminRole(admin), sid: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 },
+    ),
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    refreshToken: `${session._id}.${secret}`,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+async function issueSession(admin, req) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await AdminSession.create({
+    adminId: admin._id,
+    refreshTokenHash: hashToken(secret),
+    ip: req.ip || null,
+    userAgent: req.headers["user-agent"] || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return sessionTokens(admin, session, secret);
+}
+
+async function revokeSessions(filter, reason) {
+  const result = await AdminSession.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount;
+}
+
+function lockoutMinutes(failedAttempts) {
+  if (failedAttempts < LOGIN_MAX_ATTEMPTS) return 0;
+  return Math.min(LOGIN_LOCK_MAX_MINUTES, 2 ** (failedAttempts - LOGIN_MAX_ATTEMPTS));
+}
+
+async function verifyAdminPassword(admin, password, now = new Date()) {
+  if (admin.lockedUntil && admin.lockedUntil > now) {
+    return { locked: true, retryAfterSeconds: Math.ceil((admin.lockedUntil - now) / 1000) };
+  }
+
+  if (admin.password && await bcrypt.compare(String(password), admin.password)) {
+    if (admin.failedLoginAttempts || admin.lockedUntil) {
+      await Admin.updateOne({ _id: admin._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+    }
+    return { ok: true };
+  }
+
+  const updated = await Admin.findOneAndUpdate(
+    { _id: admin._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { returnDocument: "after" },
+  );
+  const minutes = lockoutMinutes(updated.failedLoginAttempts);
+  if (minutes) {
+    await Admin.updateOne({ _id: admin._id }, { $set: { lockedUntil: new Date(now.getTime() + minutes * 60 * 1000) } });
+    return { locked: true, retryAfterSeconds: minutes * 60 };
+  }
+  return { ok: false, attemptsLeft: LOGIN_MAX_ATTEMPTS - updated.failedLoginAttempts };
+}
+
+const adminAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader?.startsWith("Bearer ")) {
     return res.status(401).json({ success: false, message: "No token" });
   }
+  let payload;
   try {
-    req.admin = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
-    next();
+    payload = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ success: false, message: "Invalid/expired token" });
   }
+  if (!payload.sid || !mongoose.isValidObjectId(payload.sid) || !mongoose.isValidObjectId(payload.id)) {
+    return res.status(401).json({ success: false, message: "Session token required — please log in again" });
+  }
+
+  try {
+    await connectUserDB();
+    const [session, admin] = await Promise.all([
+      AdminSession.findById(payload.sid, { adminId: 1, revokedAt: 1, expiresAt: 1 }).lean(),
+      Admin.findById(payload.id, { role: 1, status: 1 }).lean(),
+    ]);
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || String(session.adminId) !== String(payload.id)) {
+      return res.status(401).json({ success: false, message: "Session has been revoked or has expired — please log in again" });
+    }
+    if (!admin || !isActiveAdmin(admin)) {
+      return res.status(401).json({ success: false, message: "This admin account is disabled" });
+    }
+    req.admin = { id: String(admin._id), role: adminRole(admin), sid: String(session._id) };
+  } catch (err) {
+    logger.error("Admin auth error", { err });
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+  next();
 };
 
-function makeDateUTC(dateStr, timeStr) {
-  return new Date(`${dateStr}T${timeStr}+05:30`);
+const ROLE_PERMISSIONS = {
+  "super-admin": ["*"],
+  editor: ["tests:read", "tests:write", "tests:publish", "tests:export", "results:read", "bank:read", "bank:write"],
+  reviewer: ["tests:read", "tests:publish", "results:read", "bank:read"],
+  viewer: ["tests:read", "results:read", "bank:read"],
+};
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
 }
 
-function validateQuestionPayload(q, idx) {
-  const errors = [];
-  const label = `Question ${idx + 1}`;
+const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!hasPermission(req.admin?.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role (${req.admin?.role || "none"}) is not allowed to perform this action (${permission})`,
+      });
+    }
+    next();
+  };
+  middleware.permission = permission;
+  return middleware;
+};
+
+const AUDIT_TEST_FIELDS_IGNORED = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+const AUDIT_QUESTION_FIELDS = ["imageUrl", "english", "hindi", "correct_answer", "marks", "negativeMarks", "phase", "bankQuestionId"];
 
-  const isPlainObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+function diffFields(before, after, ignored = AUDIT_TEST_FIELDS_IGNORED) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  keys.forEach((key) => {
+    if (ignored.has(key)) return;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (stableStringify(from) !== stableStringify(to)) changes.push({ field: key, before: from, after: to });
+  });
+  return changes;
+}
 
-  if (!q.english || typeof q.english.question !== "string" || !q.english.question.trim()) {
-    errors.push(`${label}: english.question is required`);
+function diffQuestionSets(before = [], after = []) {
+  const pick = (q) => q && Object.fromEntries(AUDIT_QUESTION_FIELDS.map(f => [f, q[f] ?? null]));
+  const changed = [];
+  for (let i = 0; i < Math.min(before.length, after.length); i++) {
+    const fields = diffFields(pick(before[i]), pick(after[i]), new Set()).map(c => c.field);
+    if (fields.length) changed.push({ questionNumber: i + 1, fields });
   }
-  if (!q.english || !isPlainObject(q.english.options) || Object.keys(q.english.options).length < 2) {
-    errors.push(`${label}: english.options must be an object with at least 2 options`);
+  return {
+    before: before.length,
+    after: after.length,
+    added: Math.max(after.length - before.length, 0),
+    removed: Math.max(before.length - after.length, 0),
+    changed,
+  };
+}
+
+function diffSnapshots(before, after) {
+  if (!before && !after) return null;
+  if (before?.test || after?.test) {
+    return {
+      test: diffFields(before?.test, after?.test),
+      questions: diffQuestionSets(before?.questions, after?.questions),
+    };
   }
+  return { fields: diffFields(before?.doc, after?.doc) };
+}
+
+function touchedQuestionNumbers(diff) {
+  const numbers = new Set(diff.changed.map(c => c.questionNumber));
+  for (let n = Math.min(diff.before, diff.after) + 1; n <= Math.max(diff.before, diff.after); n++) numbers.add(n);
+  return numbers;
+}
+
+function trimAuditSnapshot(snapshot, numbers) {
+  if (!snapshot?.questions) return snapshot;
+  return {
+    ...snapshot,
+    questions: snapshot.questions.flatMap((q, i) => (numbers.has(i + 1) ? [{ questionNumber: i + 1, ...q }] : [])),
+  };
+}
 
-  if (!q.hindi || typeof q.hindi.question !== "string" || !q.hindi.question.trim()) {
-    errors.push(`${label}: hindi.question is required`);
+async function loadAuditSnapshot(targetType, targetId) {
+  if (!targetId || !mongoose.isValidObjectId(targetId)) return null;
+  if (targetType === "test") {
+    const test = await Test.findById(targetId).setOptions({ withDeleted: true }).lean();
+    if (!test) return null;
+    const questions = await getQuestionModel(test).find({ testId: test._id, deletedAt: test.deletedAt ?? null })
+      .sort(QUESTION_SORT).lean();
+    return JSON.parse(JSON.stringify({ test, questions }));
   }
-  if (!q.hindi || !isPlainObject(q.hindi.options) || Object.keys(q.hindi.options).length < 2) {
-    errors.push(`${label}: hindi.options must be an object with at least 2 options`);
+  if (targetType === "bank") {
+    const doc = await BankQuestion.findById(targetId).lean();
+    return doc ? JSON.parse(JSON.stringify({ doc })) : null;
   }
-
-  if (q.correct_answer === undefined || q.correct_answer === null || isNaN(Number(q.correct_answer))) {
-    errors.push(`${label}: correct_answer (number) is required`);
+  if (targetType === "admin") {
+    const doc = await Admin.findById(targetId).lean();
+    return doc ? JSON.parse(JSON.stringify({ doc: publicAdmin(doc) })) : null;
   }
+  return null;
+}
 
-  return errors;
+function auditTargetId(targetType, req, body) {
+  if (targetType === "test") return req.params.testId || req.query?.testId || req.body?.testId || body?.testId || null;
+  if (targetType === "bank") return req.params.id || null;
+  if (targetType === "admin") return req.params.adminId || body?.admin?.id || null;
+  return null;
 }
 
-app.get("/", async (req, res) => {
-  const results = await connectDB();
-  const [userR, questionR, freePcsR] = results;
-  res.json({
-    success: true,
-    message: "Admin Backend Running",
-    currentISTTime: new Date(Date.now() + 5.5 * 60 * 60 * 1000).toISOString().replace("Z", "+05:30"),
-    db: {
-      userDB: userR.status,
-      questionDB: questionR.status,
-      freePcsDB: freePcsR.status,
-    },
+async function recordAudit(req, { action, targetType = null, targetId = null, before = null, after = null, message = null, metadata = null }) {
+  await connectUserDB();
+  const testId = targetType === "test" ? targetId : (after?.test?._id || before?.test?._id || null);
+  const diff = diffSnapshots(before, after);
+  if (diff?.questions) {
+    const touched = touchedQuestionNumbers(diff.questions);
+    before = trimAuditSnapshot(before, touched);
+    after = trimAuditSnapshot(after, touched);
+  }
+  return AuditLog.create({
+    adminId: mongoose.isValidObjectId(req.admin?.id) ? req.admin.id : null,
+    adminRole: req.admin?.role || null,
+    action,
+    method: req.method,
+    route: req.originalUrl,
+    ip: req.ip || null,
+    userAgent: req.headers["user-agent"] || null,
+    targetType,
+    targetId,
+    testId: mongoose.isValidObjectId(testId) ? testId : null,
+    message,
+    before,
+    after,
+    diff,
+    metadata,
   });
-});
+}
 
-app.post("/admin/login", async (req, res) => {
+const audited = (action, targetType = null, describe = null) => Object.assign(async (req, res, next) => {
+  let before = null;
   try {
-    await connectUserDB();
-    const { email, password } = req.body;
-    if (!email || !password)
-      return res.status(400).json({ success: false, message: "Email & password required" });
+    before = await loadAuditSnapshot(targetType, auditTargetId(targetType, req));
+  } catch (err) {
+    logger.error("Audit snapshot failed", { action, err });
+  }
 
-    const admin = await Admin.findOne({ email: email.toLowerCase().trim() });
-    if (!admin)
-      return res.status(401).json({ success: false, message: "Admin not found" });
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    res.json = send;
+    send(body);
+    if (res.statusCode >= 400 || body?.success === false || body?.dryRun === true) return res;
 
-    if (!admin.password || !await bcrypt.compare(password, admin.password))
-      return res.status(401).json({ success: false, message: "Wrong password" });
+    const targetId = auditTargetId(targetType, req, body);
+    loadAuditSnapshot(targetType, targetId)
+      .then(after => Promise.all([
+        recordAudit(req, {
+          action,
+          targetType,
+          targetId,
+          before,
+          after,
+          message: body?.message || null,
+          metadata: describe ? describe(req, body) : null,
+        }),
+        publishAuditWebhook(action, { req, targetId, before, after, body })
+          .catch(err => logger.error("Webhook enqueue failed", { action, err })),
+      ]))
+      .catch(err => logger.error("Audit log write failed", { action, err }));
+    return res;
+  };
+  next();
+}, { auditAction: action });
 
-    if (!process.env.JWT_SECRET) {
-      console.error("Admin login error: JWT_SECRET env var is missing");
-      return res.status(500).json({ success: false, message: "Server misconfigured" });
-    }
+const IST_OFFSET = "+05:30";
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
 
-    const token = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, { expiresIn: "24h" });
-    res.json({ success: true, token });
-  } catch (err) {
-    console.error("Admin login error:", err.message, err.stack);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-});
+function makeDateUTC(dateStr, timeStr) {
+  return new Date(`${dateStr}T${timeStr}${IST_OFFSET}`);
+}
 
-app.post("/admin/create-test-with-questions", adminAuth, async (req, res) => {
-  try {
-    await connectQuestionDB();
+function toIST(d) {
+  if (!d) return null;
+  const shifted = new Date(new Date(d).getTime() + IST_OFFSET_MS);
+  return shifted.toISOString().replace("Z", IST_OFFSET);
+}
 
-    let { title, date, questions, testType } = req.body;
+function istDate(d = new Date()) {
+  return toIST(d).slice(0, 10);
+}
 
-    if (!title?.trim() || !date || !Array.isArray(questions) || !["paid", "free"].includes(testType)) {
-      return res.status(400).json({
-        success: false,
-        message: "title, date, questions array, and testType ('paid' or 'free') are required",
-      });
-    }
+function istDayWindow(dateStr) {
+  return { startTime: makeDateUTC(dateStr, "00:00:00.000"), endTime: makeDateUTC(dateStr, "23:59:59.999") };
+}
 
-    const numQuestions = questions.length;
+function parseISTDateTime(value, field, dateStr = null) {
+  const text = String(value).trim();
+  let date;
+  if (/^\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+    if (!dateStr) return { error: `${field} needs a full date-time` };
+    date = makeDateUTC(dateStr, text.length === 5 ? `${text}:00` : text);
+  } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    date = new Date(`${text}${IST_OFFSET}`);
+  } else {
+    date = new Date(text);
+  }
+  if (isNaN(date.getTime())) return { error: `${field} must be an ISO date-time or an HH:mm IST time` };
+  return { date };
+}
 
-    let phase = null;
-    if      (numQuestions === 75)  phase = "daily";
-    else if (numQuestions === 100) phase = "gs";
-    else if (numQuestions === 80)  phase = "csat";
-    else {
-      return res.status(400).json({
-        success: false,
-        message: "Allowed question counts: 75 (daily Mon-Sat), 100 (GS Sunday), 80 (CSAT Sunday) only",
-      });
-    }
+function parseOptionalDate(value, field) {
+  if (value === undefined || value === null || value === "") return { date: null };
+  return parseISTDateTime(value, field);
+}
 
-    const payloadErrors = questions.flatMap((q, idx) => validateQuestionPayload(q, idx));
-    if (payloadErrors.length) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid questions payload",
-        errors: payloadErrors,
-      });
-    }
+function resolveAttemptWindow(input, { date, current = null, defaultDuration = null }) {
+  const day = istDayWindow(date);
+  let base = day;
+  if (current?.startTime && current?.endTime) {
+    const shift = current.date && current.date !== date
+      ? day.startTime.getTime() - makeDateUTC(current.date, "00:00:00.000").getTime()
+      : 0;
+    base = {
+      startTime: new Date(new Date(current.startTime).getTime() + shift),
+      endTime: new Date(new Date(current.endTime).getTime() + shift),
+    };
+  }
 
-    if (date.includes("T")) date = date.split("T")[0];
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ success: false, message: "Date must be in YYYY-MM-DD format" });
+  const times = {};
+  for (const field of ["startTime", "endTime"]) {
+    if (input[field] === undefined) times[field] = base[field];
+    else if (input[field] === null || input[field] === "") times[field] = day[field];
+    else {
+      const parsed = parseISTDateTime(input[field], field, date);
+      if (parsed.error) return { error: parsed.error };
+      times[field] = parsed.date;
     }
+  }
+  if (times.endTime <= times.startTime) return { error: "endTime must be after startTime" };
 
-    const startTimeUTC = makeDateUTC(date, "00:00:00.000");
-    const endTimeUTC   = makeDateUTC(date, "23:59:59.999");
+  const durationMinutes = input.durationMinutes !== undefined
+    ? input.durationMinutes
+    : current ? current.durationMinutes ?? null : defaultDuration;
+  if (durationMinutes !== null && (isNaN(Number(durationMinutes)) || Number(durationMinutes) <= 0)) {
+    return { error: "durationMinutes must be a positive number" };
+  }
+  const windowMinutes = (times.endTime - times.startTime) / 60000;
+  if (durationMinutes !== null && Number(durationMinutes) > Math.ceil(windowMinutes)) {
+    return { error: `durationMinutes (${durationMinutes}) is longer than the ${Math.round(windowMinutes)}-minute attempt window` };
+  }
 
-    if (isNaN(startTimeUTC.getTime()) || isNaN(endTimeUTC.getTime())) {
-      return res.status(400).json({ success: false, message: "Invalid date — could not compute timestamps" });
-    }
+  const latePolicy = input.latePolicy !== undefined ? input.latePolicy : current?.latePolicy ?? null;
+  if (latePolicy !== null && !LATE_POLICIES.includes(latePolicy)) {
+    return { error: `latePolicy must be one of: ${LATE_POLICIES.join(", ")} (or null)` };
+  }
 
-    const test = await Test.create({
-      title: title.trim(),
-      date,
-      startTime: startTimeUTC,
-      endTime:   endTimeUTC,
-      totalQuestions: numQuestions,
-      testType,
-      phase,
-    });
+  const latePenaltyPercent = Number(input.latePenaltyPercent ?? (latePolicy === "penalty" ? current?.latePenaltyPercent : 0) ?? 0);
+  if (latePolicy === "penalty" && !(latePenaltyPercent > 0 && latePenaltyPercent <= 100)) {
+    return { error: "latePenaltyPercent must be between 0 (exclusive) and 100 for the penalty policy" };
+  }
 
-    const questionPhase = (phase === "csat") ? "CSAT" : "GS";
+  const graceMinutes = Number(input.graceMinutes ?? current?.graceMinutes ?? 0);
+  if (isNaN(graceMinutes) || graceMinutes < 0 || graceMinutes > 24 * 60) {
+    return { error: "graceMinutes must be between 0 and 1440" };
+  }
 
-    const qDocs = questions.map((q) => ({
-      testId: test._id,
-      imageUrl: q.imageUrl ? String(q.imageUrl).trim() : null,
-      english: {
-        question: String(q.english.question).trim(),
-        options: q.english.options,
-        english_explanation: String(q.english.english_explanation || "").trim(),
-      },
-      hindi: {
-        question: String(q.hindi.question).trim(),
-        options: q.hindi.options,
-        hindi_explanation: String(q.hindi.hindi_explanation || "").trim(),
-      },
-      marks: 2,
-      negativeMarks: 0.66,
-      correct_answer: Number(q.correct_answer),
-      phase: questionPhase,
-    }));
+  return {
+    window: {
+      startTime: times.startTime,
+      endTime: times.endTime,
+      durationMinutes: durationMinutes === null ? null : Number(durationMinutes),
+      latePolicy,
+      latePenaltyPercent: latePolicy === "penalty" ? latePenaltyPercent : 0,
+      graceMinutes,
+    },
+  };
+}
 
-    await Question.insertMany(qDocs);
+function lateCutoff(test) {
+  if (!test.endTime) return null;
+  return new Date(new Date(test.endTime).getTime() + (test.graceMinutes || 0) * 60 * 1000);
+}
 
-    const phaseDisplay =
-      phase === "daily" ? "Daily (75 Q)" :
-      phase === "gs"    ? "GS Paper (100 Q)" :
-                          "CSAT Paper (80 Q)";
+function attemptWindowSummary(test) {
+  return {
+    startTimeIST:       toIST(test.startTime),
+    endTimeIST:         toIST(test.endTime),
+    durationMinutes:    test.durationMinutes ?? null,
+    latePolicy:         test.latePolicy || null,
+    latePenaltyPercent: test.latePenaltyPercent || 0,
+    graceMinutes:       test.graceMinutes || 0,
+    lateAfterIST:       toIST(lateCutoff(test)),
+    extensions:         (test.windowExtensions || []).length,
+  };
+}
+
+function testStatusFilter(statuses) {
+  return { $in: statuses.includes("published") ? [...statuses, null] : statuses };
+}
+
+function resolveLifecycle(input, now = new Date()) {
+  const status = input.status ?? null;
+  if (status !== null && !TEST_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${TEST_STATUSES.join(", ")}` };
+  }
+
+  const publishAt = parseOptionalDate(input.publishAt, "publishAt");
+  if (publishAt.error) return { error: publishAt.error };
+  const archiveAt = parseOptionalDate(input.archiveAt, "archiveAt");
+  if (archiveAt.error) return { error: archiveAt.error };
+
+  if (publishAt.date && archiveAt.date && archiveAt.date <= publishAt.date) {
+    return { error: "archiveAt must be after publishAt" };
+  }
+
+  if (status === "draft") {
+    return { lifecycle: { status: "draft", publishAt: publishAt.date, archiveAt: archiveAt.date, publishedAt: null, archivedAt: null } };
+  }
+
+  if (status === "archived") {
+    return { lifecycle: { status: "archived", publishAt: publishAt.date, archiveAt: archiveAt.date, archivedAt: now } };
+  }
+
+  if (status === "scheduled" && (!publishAt.date || publishAt.date <= now)) {
+    return { error: "A future publishAt is required to schedule a test" };
+  }
+
+  if (status !== "published" && publishAt.date && publishAt.date > now) {
+    return { lifecycle: { status: "scheduled", publishAt: publishAt.date, archiveAt: archiveAt.date, publishedAt: null, archivedAt: null } };
+  }
+
+  if (archiveAt.date && archiveAt.date <= now) {
+    return { error: "archiveAt must be in the future for a published test" };
+  }
+
+  return {
+    lifecycle: {
+      status: "published",
+      publishAt: publishAt.date && publishAt.date <= now ? publishAt.date : now,
+      archiveAt: archiveAt.date,
+      publishedAt: now,
+      archivedAt: null,
+    },
+  };
+}
+
+function availabilityNote(test) {
+  if (test.status === "draft") return "Draft — not visible to users until it is scheduled or published";
+  if (test.status === "scheduled") {
+    return `Scheduled — goes live at ${toIST(test.publishAt)}` +
+      (test.archiveAt ? ` and is archived at ${toIST(test.archiveAt)}` : "");
+  }
+  if (test.status === "archived") return "Archived — no longer available to users";
+  if (test.archiveAt) return `Live until ${toIST(test.archiveAt)}, then archived automatically`;
+  return PERSISTENCE_NOTE;
+}
+
+async function runLifecycleTransitions(now = new Date()) {
+  await connectQuestionDB();
+
+  const toPublish = await Test.find({ status: "scheduled", publishAt: { $lte: now } }, { _id: 1 }).lean();
+  const published = await Test.updateMany(
+    { _id: { $in: toPublish.map(t => t._id) }, status: "scheduled" },
+    { $set: { status: "published", publishedAt: now } },
+  );
+
+  const toArchive = await Test.find({ status: testStatusFilter(["published"]), archiveAt: { $ne: null, $lte: now } }, { _id: 1 }).lean();
+  const archived = await Test.updateMany(
+    { _id: { $in: toArchive.map(t => t._id) }, status: testStatusFilter(["published"]) },
+    { $set: { status: "archived", archivedAt: now } },
+  );
+
+  const changed = await Test.find({ _id: { $in: [...toPublish, ...toArchive].map(t => t._id) } }).lean();
+  for (const test of changed) {
+    await publishWebhookEvent("test.updated", { test: webhookTestSummary(test), trigger: "schedule" })
+      .catch(err => logger.error("Webhook enqueue failed", { testId: String(test._id), err }));
+  }
+
+  return {
+    ranAt: now.toISOString(),
+    published: published.modifiedCount,
+    archived: archived.modifiedCount,
+  };
+}
+
+const cronJobs = {};
+
+function registerCronJob(name, schedule, handler) {
+  cronJobs[name] = { name, schedule, handler };
+  if (process.env.VERCEL || process.env.DISABLE_CRON === "true") return;
+  cron.schedule(schedule, () => runCronJob(name).catch((err) => {
+    logger.error("Cron job failed", { job: name, err });
+  }), { name, timezone: "Asia/Kolkata", noOverlap: true });
+}
+
+async function runCronJob(name, now = new Date()) {
+  const job = cronJobs[name];
+  if (!job) throw new Error(`Unknown cron job: ${name}`);
+  let result;
+  try {
+    result = await job.handler(now);
+  } catch (err) {
+    incCounter(cronRuns, { job: name, outcome: "failed" });
+    throw err;
+  }
+  incCounter(cronRuns, { job: name, outcome: "succeeded" });
+  logger.info("Cron job finished", { job: name, result });
+  return result;
+}
+
+registerCronJob("test-lifecycle", "* * * * *", runLifecycleTransitions);
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const WEBHOOK_BATCH_SIZE = 25;
+
+const AUDIT_WEBHOOK_EVENTS = {
+  "test.create": "test.created",
+  "test.assemble": "test.created",
+  "test.import": "test.created",
+  "test.clone": "test.created",
+  "test.variant": "test.created",
+  "test.lifecycle": "test.updated",
+  "test.window": "test.updated",
+  "test.window.extend": "test.updated",
+  "test.questions.replace": "test.questions_updated",
+  "test.questions.import_csv": "test.questions_updated",
+  "test.question.add": "test.questions_updated",
+  "test.question.edit": "test.questions_updated",
+  "test.question.delete": "test.questions_updated",
+  "test.question.restore": "test.questions_updated",
+  "test.question.reorder": "test.questions_updated",
+  "test.delete": "test.deleted",
+  "test.purge": "test.deleted",
+  "test.restore": "test.restored",
+  "test.answer_key": "results.regraded",
+  "test.answer_key.undo": "results.regraded",
+};
+
+function webhookTestSummary(test) {
+  if (!test) return null;
+  return {
+    id: String(test._id),
+    title: test.title,
+    date: test.date,
+    testType: test.testType,
+    phase: test.phase ?? null,
+    status: test.status,
+    totalQuestions: test.totalQuestions,
+    freePcs: test.freePcs === true,
+    sourceTestId: test.sourceTestId ? String(test.sourceTestId) : null,
+    startTime: test.startTime ?? null,
+    endTime: test.endTime ?? null,
+    publishAt: test.publishAt ?? null,
+    archiveAt: test.archiveAt ?? null,
+    deletedAt: test.deletedAt ?? null,
+    updatedAt: test.updatedAt ?? null,
+  };
+}
+
+function publicWebhook(webhook) {
+  return {
+    id: String(webhook._id),
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    secretHint: `…${webhook.secret.slice(-4)}`,
+    createdBy: webhook.createdBy ? String(webhook.createdBy) : null,
+    createdAt: webhook.createdAt ?? null,
+    updatedAt: webhook.updatedAt ?? null,
+    lastDeliveryAt: webhook.lastDeliveryAt ?? null,
+    lastDeliveryStatus: webhook.lastDeliveryStatus ?? null,
+  };
+}
+
+function publicWebhookDelivery(delivery, { detailed = false } = {}) {
+  return {
+    id: String(delivery._id),
+    webhookId: String(delivery.webhookId),
+    event: delivery.event,
+    eventId: delivery.eventId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+    lastStatusCode: delivery.lastStatusCode,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    replayOf: delivery.replayOf ? String(delivery.replayOf) : null,
+    createdAt: delivery.createdAt,
+    ...(detailed ? { payload: delivery.payload, attemptLog: delivery.attemptLog } : {}),
+  };
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function webhookRetryDelayMs(attempts) {
+  const seconds = Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+  return Math.round(seconds * (0.8 + Math.random() * 0.4) * 1000);
+}
+
+function kickWebhookQueue() {
+  setImmediate(() => processWebhookQueue().catch(err => logger.error("Webhook delivery run failed", { err })));
+}
+
+async function enqueueWebhookDeliveries(webhooks, event, data, now = new Date()) {
+  if (!webhooks.length) return [];
+  const payload = { id: crypto.randomUUID(), event, createdAt: now.toISOString(), data };
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    event,
+    eventId: payload.id,
+    payload,
+    nextAttemptAt: now,
+  })));
+  kickWebhookQueue();
+  return deliveries;
+}
+
+async function publishWebhookEvent(event, data) {
+  await connectUserDB();
+  const webhooks = await Webhook.find({ active: true, events: { $in: [event, "*"] } }, { _id: 1 }).lean();
+  return enqueueWebhookDeliveries(webhooks, event, data);
+}
+
+async function publishAuditWebhook(action, { req, targetId, before, after, body }) {
+  const event = AUDIT_WEBHOOK_EVENTS[action];
+  if (!event) return;
+
+  const test = after?.test || before?.test || null;
+  const data = {
+    test: webhookTestSummary(test) || { id: String(body?.testId || targetId) },
+    triggeredBy: req.admin?.id || null,
+  };
+  if (event === "test.questions_updated") {
+    const diff = diffQuestionSets(before?.questions, after?.questions);
+    data.questions = { total: diff.after, added: diff.added, removed: diff.removed, changed: diff.changed.map(c => c.questionNumber) };
+  }
+  if (event === "test.deleted") data.permanent = action === "test.purge";
+  if (event === "results.regraded") {
+    data.regradeId = body?.regradeId || req.params.regradeId || null;
+    data.undone = action === "test.answer_key.undo";
+    data.summary = body?.summary ?? null;
+  }
+  await publishWebhookEvent(event, data);
+}
+
+async function claimWebhookDelivery(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: "delivering", lockedUntil: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS + 60 * 1000) } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: "after" },
+  ).lean();
+}
+
+async function attemptWebhookDelivery(delivery, webhook, now = new Date()) {
+  const attempts = delivery.attempts + 1;
+  const entry = { at: now, statusCode: null, error: null, durationMs: 0, responseBody: null };
+
+  if (!webhook || !webhook.active) {
+    entry.error = webhook ? "Webhook is disabled" : "Webhook was deleted";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const started = Date.now();
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": String(delivery._id),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Event-Id": delivery.eventId,
+          "X-Webhook-Attempt": String(attempts),
+          "X-Webhook-Signature": `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      entry.statusCode = response.status;
+      entry.responseBody = (await response.text()).slice(0, 1000);
+      if (!response.ok) entry.error = `Endpoint responded with ${response.status}`;
+    } catch (err) {
+      entry.error = err.name === "TimeoutError" ? `Timed out after ${WEBHOOK_TIMEOUT_MS} ms` : err.cause?.message || err.message;
+    }
+    entry.durationMs = Date.now() - started;
+  }
+
+  const succeeded = !entry.error;
+  const givingUp = !succeeded && (!webhook || !webhook.active || attempts >= WEBHOOK_MAX_ATTEMPTS);
+  const status = succeeded ? "succeeded" : givingUp ? "failed" : "pending";
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: {
+      status,
+      attempts,
+      lockedUntil: null,
+      lastStatusCode: entry.statusCode,
+      lastError: entry.error,
+      deliveredAt: succeeded ? new Date() : null,
+      nextAttemptAt: status === "pending" ? new Date(now.getTime() + webhookRetryDelayMs(attempts)) : delivery.nextAttemptAt,
+    },
+    $push: { attemptLog: entry },
+  });
+  if (webhook) {
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { lastDeliveryAt: now, lastDeliveryStatus: succeeded ? "succeeded" : "failed" } });
+  }
+
+  const outcome = succeeded ? "delivered" : givingUp ? "failed" : "retrying";
+  incCounter(webhookDeliveries, { event: delivery.event, outcome });
+  if (!succeeded) {
+    logger.warn("Webhook delivery failed", { deliveryId: String(delivery._id), event: delivery.event, attempts, error: entry.error, giveUp: givingUp });
+  }
+  return outcome;
+}
+
+async function processWebhookQueue(now = new Date()) {
+  await connectUserDB();
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+  const webhooks = new Map();
+  for (let i = 0; i < WEBHOOK_BATCH_SIZE; i++) {
+    const delivery = await claimWebhookDelivery(new Date());
+    if (!delivery) break;
+    const key = String(delivery.webhookId);
+    if (!webhooks.has(key)) webhooks.set(key, await Webhook.findById(delivery.webhookId).lean());
+    counts[await attemptWebhookDelivery(delivery, webhooks.get(key))]++;
+  }
+  return { ranAt: now.toISOString(), ...counts };
+}
+
+registerCronJob("webhook-deliveries", "* * * * *", processWebhookQueue);
+
+const cronAuth = (req, res, next) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ success: false, message: "CRON_SECRET is not configured" });
+  }
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, message: "Invalid cron secret" });
+  }
+  next();
+};
+
+const BUILT_IN_EXAM_FORMATS = [
+  { key: "daily", name: "Daily", questionCounts: [75], marks: 2, negativeMarks: 0.66, sections: [{ name: "GS" }], weekdays: [1, 2, 3, 4, 5, 6], builtIn: true },
+  { key: "gs", name: "GS Paper", questionCounts: [100], marks: 2, negativeMarks: 0.66, sections: [{ name: "GS" }], durationMinutes: 120, weekdays: [0], builtIn: true },
+  { key: "csat", name: "CSAT Paper", questionCounts: [80], marks: 2.5, negativeMarks: 0.83, sections: [{ name: "CSAT" }], durationMinutes: 120, weekdays: [0], builtIn: true },
+  { key: "free pcs", name: "Free PCS", questionCounts: [], marks: 2, negativeMarks: 0.66, sections: [{ name: "GS" }], freePcs: true, builtIn: true },
+];
+
+let examFormatCache = { at: 0, formats: null };
+let examFormatSeed = null;
+
+async function seedExamFormats() {
+  await connectQuestionDB();
+  await ExamFormat.bulkWrite(BUILT_IN_EXAM_FORMATS.flatMap(f => [
+    { updateOne: { filter: { key: f.key }, update: { $setOnInsert: f }, upsert: true } },
+    { updateOne: { filter: { key: f.key, weekdays: { $exists: false } }, update: { $set: { weekdays: f.weekdays || [] } } } },
+  ]));
+}
+
+function ensureExamFormatsSeeded() {
+  examFormatSeed = examFormatSeed || seedExamFormats().catch((err) => {
+    examFormatSeed = null;
+    throw err;
+  });
+  return examFormatSeed;
+}
+
+ensureExamFormatsSeeded().catch(err => logger.error("Exam format seeding failed", { err }));
+
+async function loadExamFormats({ fresh = false } = {}) {
+  if (!fresh && examFormatCache.formats && Date.now() - examFormatCache.at < 60 * 1000) return examFormatCache.formats;
+  await ensureExamFormatsSeeded();
+  const formats = await ExamFormat.find().sort({ freePcs: 1, key: 1 }).lean();
+  examFormatCache = { at: Date.now(), formats };
+  return formats;
+}
+
+function allowsCount(format, numQuestions) {
+  return !format.questionCounts.length || format.questionCounts.includes(numQuestions);
+}
+
+function describeFormats(formats) {
+  return formats
+    .map(f => `${f.questionCounts.length ? f.questionCounts.join("/") : "any"} (${f.key})`)
+    .join(", ");
+}
+
+async function resolveExamFormat({ format, numQuestions, current = null, freePcs = false }) {
+  const formats = (await loadExamFormats()).filter(f => f.active && !!f.freePcs === freePcs);
+
+  if (format) {
+    const chosen = formats.find(f => f.key === String(format).trim().toLowerCase());
+    if (!chosen) return { error: `Unknown or inactive exam format "${format}" — available: ${formats.map(f => f.key).join(", ")}` };
+    if (!allowsCount(chosen, numQuestions)) {
+      return { error: `${chosen.name} allows ${chosen.questionCounts.join(" or ")} questions, got ${numQuestions}` };
+    }
+    return { format: chosen };
+  }
+
+  const existing = current && formats.find(f => f.key === current);
+  if (existing && allowsCount(existing, numQuestions)) return { format: existing };
+
+  const matches = formats.filter(f => f.questionCounts.includes(numQuestions));
+  if (matches.length === 1) return { format: matches[0] };
+  if (matches.length > 1) {
+    return { error: `${numQuestions} questions fit several exam formats (${matches.map(f => f.key).join(", ")}) — pass format explicitly` };
+  }
+
+  const fallback = freePcs && formats.find(f => f.key === "free pcs");
+  if (fallback) return { format: fallback };
+
+  return { error: `Allowed question counts: ${describeFormats(formats)} only` };
+}
+
+function sectionForIndex(format, idx) {
+  let offset = 0;
+  for (const section of format.sections) {
+    if (section.questions === null || section.questions === undefined) return section.name;
+    offset += section.questions;
+    if (idx < offset) return section.name;
+  }
+  return format.sections[format.sections.length - 1]?.name || "GS";
+}
+
+function formatQuestionBase(format, idx) {
+  return {
+    marks: format.marks,
+    negativeMarks: format.negativeMarks,
+    phase: format.freePcs ? "free pcs" : sectionForIndex(format, idx),
+  };
+}
+
+const DEFAULT_SCORING = formatQuestionBase(BUILT_IN_EXAM_FORMATS[0], 0);
+
+function questionScoring(question, format, idx = 0) {
+  const fallback = format ? formatQuestionBase(format, idx) : DEFAULT_SCORING;
+  return {
+    marks: question?.marks ?? fallback.marks,
+    negativeMarks: question?.negativeMarks ?? fallback.negativeMarks,
+  };
+}
+
+function validateExamFormatPayload(body, existing = null) {
+  const errors = [];
+  const merged = { ...(existing || {}), ...body };
+
+  const key = String(merged.key || "").trim().toLowerCase();
+  if (!key) errors.push("key is required");
+  if (!String(merged.name || "").trim()) errors.push("name is required");
+
+  const counts = merged.questionCounts ?? [];
+  if (!Array.isArray(counts) || counts.some(n => !Number.isInteger(Number(n)) || Number(n) < 1)) {
+    errors.push("questionCounts must be an array of positive integers (empty means any count)");
+  }
+
+  ["marks", "negativeMarks"].forEach((field) => {
+    if (merged[field] === undefined || isNaN(Number(merged[field])) || Number(merged[field]) < 0) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+
+  const sections = merged.sections ?? [{ name: "GS", questions: null }];
+  if (!Array.isArray(sections) || !sections.length || sections.some(sec => !["GS", "CSAT"].includes(sec?.name))) {
+    errors.push("sections must be a non-empty array of { name: 'GS' | 'CSAT', questions }");
+  } else if (sections.length > 1) {
+    const sized = sections.every(sec => Number.isInteger(Number(sec.questions)) && Number(sec.questions) > 0);
+    const total = sections.reduce((sum, sec) => sum + Number(sec.questions || 0), 0);
+    if (!sized) errors.push("every section needs a question count when a format has more than one section");
+    else if (Array.isArray(counts) && counts.length && counts.some(n => Number(n) !== total)) {
+      errors.push(`section question counts add up to ${total}, which does not match questionCounts`);
+    }
+  }
+
+  if (merged.durationMinutes !== undefined && merged.durationMinutes !== null &&
+      (isNaN(Number(merged.durationMinutes)) || Number(merged.durationMinutes) <= 0)) {
+    errors.push("durationMinutes must be a positive number");
+  }
+
+  const weekdays = merged.weekdays ?? [];
+  if (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(Number(d)) || Number(d) < 0 || Number(d) > 6)) {
+    errors.push("weekdays must be an array of day numbers 0 (Sunday) to 6 (Saturday)");
+  } else if (weekdays.length && merged.freePcs === true) {
+    errors.push("Free PCS formats are not part of the weekly schedule and cannot have weekdays");
+  }
+
+  if (errors.length) return { errors };
+
+  return {
+    errors,
+    doc: {
+      key,
+      name: String(merged.name).trim(),
+      questionCounts: [...new Set(counts.map(Number))].sort((a, b) => a - b),
+      marks: Number(merged.marks),
+      negativeMarks: Number(merged.negativeMarks),
+      sections: sections.map(sec => ({ name: sec.name, questions: sec.questions === undefined || sec.questions === null ? null : Number(sec.questions) })),
+      durationMinutes: merged.durationMinutes === undefined || merged.durationMinutes === null ? null : Number(merged.durationMinutes),
+      weekdays: [...new Set(weekdays.map(Number))].sort((a, b) => a - b),
+      freePcs: merged.freePcs === true,
+      active: merged.active !== false,
+    },
+  };
+}
+
+function formatDisplay(formats, phase, totalQuestions) {
+  const format = formats.find(f => f.key === phase);
+  return format ? `${format.name} (${totalQuestions} Q)` : "Unknown";
+}
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const SCHEDULE_LOOKAHEAD_DAYS = Number(process.env.SCHEDULE_LOOKAHEAD_DAYS) || 7;
+const SCHEDULE_MAX_RANGE_DAYS = 93;
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+function describeWeekdays(weekdays) {
+  if (weekdays.length === 6 && !weekdays.includes(0)) return "Mon-Sat";
+  return weekdays.map(d => WEEKDAY_NAMES[d].slice(0, 3)).join("/");
+}
+
+function describeSchedule(formats) {
+  return formats
+    .filter(f => f.weekdays?.length)
+    .map(f => `${f.questionCounts.join("/") || "any"} (${f.name} ${describeWeekdays(f.weekdays)})`)
+    .join(", ");
+}
+
+function scheduleTestSummary(t) {
+  return {
+    _id:            t._id,
+    title:          t.title,
+    phase:          t.phase,
+    testType:       t.testType,
+    status:         t.status || "published",
+    totalQuestions: t.totalQuestions,
+  };
+}
+
+async function buildScheduleCalendar(from, to, { testType = null } = {}) {
+  await connectQuestionDB();
+  const formats = (await loadExamFormats()).filter(f => f.active && !f.freePcs && f.weekdays?.length);
+  const byKey = new Map(formats.map(f => [f.key, f]));
+
+  const filter = { date: { $gte: from, $lte: to }, phase: { $in: [...byKey.keys()] } };
+  if (testType) filter.testType = testType;
+  const tests = await Test.find(filter, {
+    title: 1, date: 1, phase: 1, testType: 1, status: 1, totalQuestions: 1,
+  }).sort({ date: 1, createdAt: 1 }).lean();
+
+  const testsByDate = new Map();
+  for (const t of tests) {
+    if (!testsByDate.has(t.date)) testsByDate.set(t.date, []);
+    testsByDate.get(t.date).push(t);
+  }
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const weekday = weekdayOf(date);
+    const expected = formats.filter(f => f.weekdays.includes(weekday));
+    const dayTests = testsByDate.get(date) || [];
+    const issues = [];
+
+    for (const format of expected) {
+      const matching = dayTests.filter(t => t.phase === format.key);
+      if (!matching.length) {
+        issues.push({ type: "missing", format: format.key, testIds: [], message: `No ${format.name} test for ${WEEKDAY_NAMES[weekday]} ${date}` });
+      } else if (matching.length > 1) {
+        issues.push({
+          type: "duplicate",
+          format: format.key,
+          testIds: matching.map(t => t._id),
+          message: `${matching.length} ${format.name} tests on ${date} — expected one`,
+        });
+      }
+    }
+
+    for (const t of dayTests) {
+      const format = byKey.get(t.phase);
+      if (!format.weekdays.includes(weekday)) {
+        issues.push({
+          type: "wrong-weekday",
+          format: format.key,
+          testIds: [t._id],
+          message: `"${t.title}" is a ${format.name} test on a ${WEEKDAY_NAMES[weekday]} — ${format.name} runs ${describeWeekdays(format.weekdays)}`,
+        });
+      }
+      if (!allowsCount(format, t.totalQuestions)) {
+        issues.push({
+          type: "incomplete",
+          format: format.key,
+          testIds: [t._id],
+          message: `"${t.title}" has ${t.totalQuestions} questions — a ${format.name} paper needs ${format.questionCounts.join(" or ")}`,
+        });
+      }
+    }
+
+    days.push({
+      date,
+      weekday: WEEKDAY_NAMES[weekday],
+      expected: expected.map(f => f.key),
+      tests: dayTests.map(scheduleTestSummary),
+      issues,
+    });
+  }
+
+  const summary = Object.fromEntries(SCHEDULE_ISSUES.map(type => [type, 0]));
+  days.forEach(day => day.issues.forEach(issue => { summary[issue.type]++; }));
+
+  return { from, to, schedule: describeSchedule(formats), summary, days };
+}
+
+async function checkScheduleGaps(now = new Date()) {
+  const today = istDate(now);
+  const from = addDays(today, 1);
+  const to = addDays(today, SCHEDULE_LOOKAHEAD_DAYS);
+  const calendar = await buildScheduleCalendar(from, to);
+
+  const issues = calendar.days.flatMap(day => day.issues.map(issue => ({ ...issue, date: day.date })));
+  if (issues.length) {
+    await ScheduleAlert.bulkWrite(issues.map(issue => ({
+      updateOne: {
+        filter: { date: issue.date, format: issue.format, type: issue.type },
+        update: {
+          $set: { message: issue.message, testIds: issue.testIds, lastDetectedAt: now, resolvedAt: null },
+          $setOnInsert: { firstDetectedAt: now },
+        },
+        upsert: true,
+      },
+    })));
+  }
+
+  const current = new Set(issues.map(issue => `${issue.date}|${issue.format}|${issue.type}`));
+  const open = await ScheduleAlert.find({ resolvedAt: null }, { date: 1, format: 1, type: 1 }).lean();
+  const resolvedIds = open
+    .filter(a => a.date < from || (a.date <= to && !current.has(`${a.date}|${a.format}|${a.type}`)))
+    .map(a => a._id);
+  if (resolvedIds.length) {
+    await ScheduleAlert.updateMany({ _id: { $in: resolvedIds } }, { $set: { resolvedAt: now } });
+  }
+
+  const tomorrow = issues.filter(issue => issue.date === from);
+  tomorrow.forEach(issue => logger.warn("Schedule gap for tomorrow", { date: issue.date, format: issue.format, type: issue.type, detail: issue.message }));
+
+  return {
+    ranAt: now.toISOString(),
+    from,
+    to,
+    open: issues.length,
+    resolved: resolvedIds.length,
+    tomorrow: tomorrow.length,
+  };
+}
+
+registerCronJob("schedule-gaps", "0 20 * * *", checkScheduleGaps);
+
+function toQuestionDoc(q, base) {
+  return {
+    marks: 2,
+    negativeMarks: 0.66,
+    ...base,
+    imageUrl: q.imageUrl ? String(q.imageUrl).trim() : null,
+    english: {
+      question: String(q.english.question).trim(),
+      options: q.english.options,
+      english_explanation: String(q.english.english_explanation || "").trim(),
+    },
+    hindi: {
+      question: String(q.hindi.question).trim(),
+      options: q.hindi.options,
+      hindi_explanation: String(q.hindi.hindi_explanation || "").trim(),
+    },
+    correct_answer: Number(q.correct_answer),
+    ...questionFingerprints(q),
+  };
+}
+
+const namedSchemas = new Map();
+
+const S = {
+  string:   (extra = {}) => ({ type: "string", ...extra }),
+  text:     (extra = {}) => ({ type: "string", pattern: "\\S", "x-error": "must not be empty", ...extra }),
+  number:   (extra = {}) => ({ type: "number", ...extra }),
+  integer:  (extra = {}) => ({ type: "integer", ...extra }),
+  boolean:  (extra = {}) => ({ type: "boolean", ...extra }),
+  dateTime: (extra = {}) => ({ type: "string", description: "ISO date-time; values without an offset are read as IST", ...extra }),
+  date:     (extra = {}) => ({ type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}(T.*)?$", "x-error": "must be in YYYY-MM-DD format", ...extra }),
+  numeric:  (extra = {}) => S.anyOf([S.number(), S.string({ pattern: "^\\s*-?\\d+(\\.\\d+)?\\s*$" })], { "x-error": "must be a number", ...extra }),
+  objectId: (extra = {}) => ({ type: "string", pattern: "^[a-fA-F0-9]{24}$", "x-error": "must be a valid id", ...extra }),
+  enum:     (values, extra = {}) => ({ enum: values, ...extra }),
+  array:    (items, extra = {}) => ({ type: "array", items, ...extra }),
+  object:   (properties, required = [], extra = {}) => ({ type: "object", properties, required, ...extra }),
+  nullable: (schema) => {
+    if (schema.enum) return { ...schema, enum: [...schema.enum, null] };
+    if (schema.anyOf) return { ...schema, anyOf: [...schema.anyOf, { type: "null" }] };
+    return { ...schema, type: [schema.type, "null"] };
+  },
+  anyOf:    (schemas, extra = {}) => ({ anyOf: schemas, ...extra }),
+  any:      (extra = {}) => ({ ...extra }),
+  named:    (name, schema) => {
+    namedSchemas.set(name, schema);
+    return schema;
+  },
+};
+
+function ok(properties = {}, required = []) {
+  return S.object({ success: S.boolean({ const: true }), message: S.string(), ...properties }, ["success", ...required]);
+}
+
+function schemaType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function checkSchema(schema, value, path, errors) {
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some((branch) => {
+      const branchErrors = [];
+      checkSchema(branch, value, path, branchErrors);
+      return !branchErrors.length;
+    });
+    if (!passes) fail(schema["x-error"] || "does not match any of the allowed shapes");
+    return;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  const actual = schemaType(value);
+  if (types && !types.some(t => t === actual || (t === "number" && actual === "integer"))) {
+    return fail(`must be ${types.map(t => (t === "null" ? "null" : `a${/^[aeiou]/.test(t) ? "n" : ""} ${t}`)).join(" or ")}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.map(v => (v === null ? "null" : v)).join(", ")}`);
+  }
+
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(schema["x-error"] || "has an invalid format");
+  }
+
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return fail(`must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => checkSchema(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (actual === "object") {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      return fail(`must have at least ${schema.minProperties} entries`);
+    }
+    const join = key => (path ? `${path}.${key}` : key);
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: join(key), message: "is required" });
+    });
+    for (const key of keys) {
+      if (value[key] === undefined) continue;
+      const child = schema.properties?.[key] ?? (schema.additionalProperties === undefined ? null : schema.additionalProperties);
+      if (child === false) errors.push({ path: join(key), message: "is not allowed" });
+      else if (child && child !== true) checkSchema(child, value[key], join(key), errors);
+    }
+  }
+}
+
+function validateSchema(schema, value) {
+  const errors = [];
+  checkSchema(schema, value, "", errors);
+  return errors;
+}
+
+function coerceParameter(schema, value) {
+  if (typeof value !== "string" || !schema) return value;
+  const types = [].concat(schema.type || []);
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !isNaN(Number(value))) return Number(value);
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+function coerceParameters(schema, source = {}) {
+  return Object.fromEntries(Object.entries(source).map(([key, value]) => [key, coerceParameter(schema.properties?.[key], value)]));
+}
+
+const validateRequest = (spec) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const location of ["params", "query", "body"]) {
+      if (!spec[location]) continue;
+      const value = location === "body" ? req.body ?? {} : coerceParameters(spec[location], req[location]);
+      validateSchema(spec[location], value).forEach(e => errors.push({ in: location, ...e }));
+    }
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid request: ${errors.slice(0, 3).map(e => `${e.in}${e.path ? `.${e.path}` : ""} ${e.message}`).join("; ")}${errors.length > 3 ? "; …" : ""}`,
+        errors,
+      });
+    }
+
+    if (spec.response && process.env.VALIDATE_RESPONSES === "true") {
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode < 400) {
+          const mismatches = validateSchema(spec.response, JSON.parse(JSON.stringify(body)));
+          if (mismatches.length) logger.warn("Response does not match its schema", { route: req.route?.path, mismatches: mismatches.slice(0, 10) });
+        }
+        return send(body);
+      };
+    }
+    next();
+  };
+  middleware.apiSpec = spec;
+  return middleware;
+};
+
+function toOpenApiSchema(schema, root = null) {
+  if (Array.isArray(schema)) return schema.map(item => toOpenApiSchema(item));
+  if (!schema || typeof schema !== "object") return schema;
+  for (const [name, named] of namedSchemas) {
+    if (named === schema && named !== root) return { $ref: `#/components/schemas/${name}` };
+  }
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key, value]) => key !== "x-error" && !(key === "required" && Array.isArray(value) && !value.length))
+    .map(([key, value]) => [key, toOpenApiSchema(value)]));
+}
+
+function openApiParameters(location, schema, pathParams = []) {
+  const properties = schema?.properties || {};
+  const names = location === "path" ? [...new Set([...pathParams, ...Object.keys(properties)])] : Object.keys(properties);
+  return names.map(name => ({
+    name,
+    in: location,
+    required: location === "path" || (schema?.required || []).includes(name),
+    schema: toOpenApiSchema(properties[name] || S.string()),
+    ...(properties[name]?.description ? { description: properties[name].description } : {}),
+  }));
+}
+
+function buildOpenApiDocument(req) {
+  const paths = {};
+  const tags = new Set();
+  for (const layer of app.router.stack) {
+    const route = layer.route;
+    if (!route || typeof route.path !== "string") continue;
+    const handlers = route.stack.map(l => l.handle);
+    const spec = handlers.find(h => h.apiSpec)?.apiSpec || {};
+    const permission = handlers.find(h => h.permission)?.permission || null;
+    const auditAction = handlers.find(h => h.auditAction)?.auditAction || null;
+    const authenticated = handlers.includes(adminAuth);
+    const openPath = route.path.replace(/:(\w+)/g, "{$1}");
+    const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(m => m[1]);
+    const tag = spec.tag || route.path.split("/").filter(p => p && p !== "admin" && !p.startsWith(":"))[0] || "service";
+    tags.add(tag);
+
+    const methods = spec.methods || Object.keys(route.methods).filter(m => m !== "_all");
+    for (const method of methods) {
+      const responses = {
+        200: {
+          description: spec.responseDescription || "Success",
+          content: { [spec.responseType || "application/json"]: { schema: toOpenApiSchema(spec.response || namedSchemas.get("Success")) } },
+        },
+        400: { description: "Invalid request", content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } } } },
+        500: { description: "Server error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+      };
+      if (authenticated) {
+        responses[401] = { description: "Missing, invalid or expired token", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+      }
+      if (permission) {
+        responses[403] = { description: `Requires the ${permission} permission`, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+      }
+
+      paths[openPath] = paths[openPath] || {};
+      paths[openPath][method] = {
+        operationId: spec.operationId || `${method}${openPath.replace(/[{}]/g, "").split(/[^a-zA-Z0-9]+/).filter(Boolean).map(p => p[0].toUpperCase() + p.slice(1)).join("")}`,
+        summary: spec.summary || `${method.toUpperCase()} ${route.path}`,
+        ...(spec.description ? { description: spec.description } : {}),
+        tags: [tag],
+        security: authenticated ? [{ bearerAuth: [] }] : route.path.startsWith("/cron") ? [{ cronSecret: [] }] : [],
+        ...(permission ? { "x-permission": permission } : {}),
+        ...(auditAction ? { "x-audit-action": auditAction } : {}),
+        parameters: [...openApiParameters("path", spec.params, pathParams), ...openApiParameters("query", spec.query)],
+        ...(spec.body ? {
+          requestBody: {
+            required: true,
+            content: Object.fromEntries([].concat(spec.bodyType || "application/json").map(type => [type, { schema: toOpenApiSchema(spec.body) }])),
+          },
+        } : {}),
+        responses,
+      };
+    }
+  }
+
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Admin Backend API",
+      version: require("../package.json").version,
+      description: "Validation errors return 400 with { success: false, message, errors: [{ in, path, message }] }.",
+    },
+    servers: [{ url: baseUrl }],
+    tags: [...tags].sort().map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        cronSecret: { type: "http", scheme: "bearer", description: "CRON_SECRET" },
+      },
+      schemas: Object.fromEntries([...namedSchemas].map(([name, schema]) => [name, toOpenApiSchema(schema, schema)])),
+    },
+  };
+}
+
+S.named("Error", S.object({ success: S.boolean({ const: false }), message: S.string() }, ["success", "message"]));
+S.named("ValidationError", S.object({
+  success: S.boolean({ const: false }),
+  message: S.string(),
+  errors: S.array(S.any({ description: "{ in, path, message } for schema errors, or a message string" })),
+}, ["success", "message"]));
+S.named("Success", ok());
+
+const QUESTION_OPTIONS = S.object({}, [], {
+  minProperties: 2,
+  additionalProperties: S.anyOf([S.string(), S.number()]),
+  description: "Options keyed 1..n or a..d",
+  example: { 1: "Option A", 2: "Option B", 3: "Option C", 4: "Option D" },
+});
+
+const QuestionInput = S.named("QuestionInput", S.object({
+  imageUrl: S.nullable(S.string({ description: "Uploaded image URL (POST /admin/images); any other URL is accepted with a warning" })),
+  english: S.object({
+    question: S.text(),
+    options: QUESTION_OPTIONS,
+    english_explanation: S.string(),
+  }, ["question", "options"]),
+  hindi: S.object({
+    question: S.text(),
+    options: QUESTION_OPTIONS,
+    hindi_explanation: S.string(),
+  }, ["question", "options"]),
+  correct_answer: S.numeric({ description: "Key of the correct option" }),
+  marks: S.number(),
+  negativeMarks: S.number(),
+  phase: S.string(),
+}, ["english", "hindi", "correct_answer"]));
+
+const QUALITY_SEVERITIES = ["error", "warning", "info"];
+const STRICT_BILINGUAL_DEFAULT = process.env.STRICT_BILINGUAL_VALIDATION === "true";
+
+function isStrictMode(value) {
+  return value === undefined ? STRICT_BILINGUAL_DEFAULT : value === true || value === "true";
+}
+
+function devanagariShare(text) {
+  const devanagari = (String(text ?? "").match(/[\u0900-\u097F]/g) || []).length;
+  const latin = (String(text ?? "").match(/[A-Za-z]/g) || []).length;
+  return devanagari + latin >= 3 ? devanagari / (devanagari + latin) : null;
+}
+
+function numbersIn(text) {
+  const ascii = String(text ?? "").replace(/[\u0966-\u096F]/g, d => String(d.charCodeAt(0) - 0x0966));
+  return (ascii.match(/\d+(\.\d+)?/g) || []).sort();
+}
+
+function bilingualIssues(q) {
+  const issues = [];
+  const add = (severity, code, field, message) => issues.push({ severity, code, field, message });
+  const en = q.english || {};
+  const hi = q.hindi || {};
+  const enKeys = Object.keys(en.options || {});
+  const hiKeys = Object.keys(hi.options || {});
+
+  const missingInHindi = enKeys.filter(k => !hiKeys.includes(k));
+  const missingInEnglish = hiKeys.filter(k => !enKeys.includes(k));
+  if (missingInHindi.length || missingInEnglish.length) {
+    add("error", "option-keys-mismatch", "options", `Option keys differ — English has ${enKeys.join(", ") || "none"}, Hindi has ${hiKeys.join(", ") || "none"}`);
+  }
+
+  const numericKeys = enKeys.length && enKeys.every(k => /^\d+$/.test(k));
+  [q.correct_answer, ...(q.acceptedAnswers || [])].forEach((answer, i) => {
+    if (answer === undefined || answer === null || answer === "" || isNaN(Number(answer))) return;
+    const inRange = numericKeys ? enKeys.includes(String(Number(answer))) : Number(answer) >= 1 && Number(answer) <= enKeys.length;
+    if (!inRange) {
+      add("error", "answer-not-in-options", i ? "acceptedAnswers" : "correct_answer", `${i ? "Accepted answer" : "correct_answer"} ${answer} is not one of the option keys (${enKeys.join(", ")})`);
+    }
+  });
+
+  [["english", en], ["hindi", hi]].forEach(([language, block]) => {
+    const texts = Object.entries(block.options || {}).map(([key, value]) => [key, String(value ?? "").trim()]);
+    texts.filter(([, text]) => !text).forEach(([key]) => add("error", "empty-option", `${language}.options.${key}`, `${language} option ${key} is empty`));
+    const seen = new Map();
+    texts.filter(([, text]) => text).forEach(([key, text]) => {
+      const norm = text.toLowerCase().replace(/\s+/g, " ");
+      if (seen.has(norm)) add("warning", "duplicate-options", `${language}.options.${key}`, `${language} options ${seen.get(norm)} and ${key} have the same text`);
+      else seen.set(norm, key);
+    });
+  });
+
+  const hindiShare = devanagariShare(hi.question);
+  if (hindiShare !== null && hindiShare < 0.3) {
+    add("error", "hindi-text-in-english", "hindi.question", "The Hindi question is written in English (Latin script)");
+  }
+  const hindiOptionShares = Object.values(hi.options || {}).map(devanagariShare).filter(s => s !== null);
+  if (hindiOptionShares.length && hindiOptionShares.filter(s => s < 0.3).length > hindiOptionShares.length / 2) {
+    add("error", "hindi-text-in-english", "hindi.options", "Most Hindi options are written in English (Latin script)");
+  }
+  const hindiExplanationShare = devanagariShare(hi.hindi_explanation);
+  if (hindiExplanationShare !== null && hindiExplanationShare < 0.3) {
+    add("warning", "hindi-text-in-english", "hindi.hindi_explanation", "The Hindi explanation is written in English (Latin script)");
+  }
+  const englishShare = devanagariShare(en.question);
+  if (englishShare !== null && englishShare > 0.5) {
+    add("error", "english-text-in-hindi", "english.question", "The English question is written in Devanagari");
+  }
+
+  const hasEnglishExplanation = Boolean(String(en.english_explanation ?? "").trim());
+  const hasHindiExplanation = Boolean(String(hi.hindi_explanation ?? "").trim());
+  if (!hasEnglishExplanation) add("warning", "missing-explanation", "english.english_explanation", "The English explanation is missing");
+  if (!hasHindiExplanation) add("warning", "missing-explanation", "hindi.hindi_explanation", "The Hindi explanation is missing");
+
+  enKeys.filter(k => hiKeys.includes(k)).forEach((key) => {
+    const enNumbers = numbersIn(en.options[key]);
+    const hiNumbers = numbersIn(hi.options[key]);
+    if ((enNumbers.length || hiNumbers.length) && enNumbers.join(",") !== hiNumbers.join(",")) {
+      add("warning", "number-mismatch", `options.${key}`, `Option ${key} has different numbers — English: ${enNumbers.join(", ") || "none"}, Hindi: ${hiNumbers.join(", ") || "none"}`);
+    }
+  });
+  const enNumbers = numbersIn(en.question);
+  const hiNumbers = numbersIn(hi.question);
+  if (enNumbers.join(",") !== hiNumbers.join(",")) {
+    add("info", "number-mismatch", "question", `The questions contain different numbers — English: ${enNumbers.join(", ") || "none"}, Hindi: ${hiNumbers.join(", ") || "none"}`);
+  }
+
+  return issues;
+}
+
+function buildQualityReport(questions, { minSeverity = "info" } = {}) {
+  const threshold = QUALITY_SEVERITIES.indexOf(minSeverity);
+  const items = questions
+    .map((q, i) => ({
+      questionNumber: i + 1,
+      questionId: q._id?.toString() ?? null,
+      issues: bilingualIssues(q).filter(issue => QUALITY_SEVERITIES.indexOf(issue.severity) <= threshold),
+    }))
+    .filter(item => item.issues.length);
+
+  const all = items.flatMap(item => item.issues);
+  const byCode = {};
+  all.forEach((issue) => {
+    byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+  });
+  return {
+    summary: {
+      questions: questions.length,
+      questionsWithIssues: items.length,
+      errors: all.filter(i => i.severity === "error").length,
+      warnings: all.filter(i => i.severity === "warning").length,
+      info: all.filter(i => i.severity === "info").length,
+      byCode,
+      strictReady: !all.some(i => i.severity !== "info"),
+    },
+    questions: items,
+  };
+}
+
+function validateQuestionPayload(q, idx, { strict = false } = {}) {
+  const label = `Question ${idx + 1}`;
+  const errors = validateSchema(QuestionInput, q).map(e => `${label}: ${e.path ? `${e.path} ` : ""}${e.message}`);
+
+  if (strict && !errors.length) {
+    bilingualIssues(q)
+      .filter(issue => issue.severity !== "info")
+      .forEach(issue => errors.push(`${label}: ${issue.message} (${issue.code})`));
+  }
+
+  return errors;
+}
+
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 2 * 1024 * 1024;
+const IMAGE_BACKEND = process.env.IMAGE_STORAGE === "local" ? "local" : "gridfs";
+const IMAGE_DIR = process.env.IMAGE_DIR || path.join(__dirname, "..", "uploads", "images");
+const IMAGE_ORPHAN_GRACE_HOURS = Number(process.env.IMAGE_ORPHAN_GRACE_HOURS) || 24;
+
+const IMAGE_TYPES = [
+  { contentType: "image/png", extension: "png", matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: "image/jpeg", extension: "jpg", matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: "image/gif", extension: "gif", matches: b => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")) },
+  { contentType: "image/webp", extension: "webp", matches: b => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+];
+
+function sniffImageType(buffer) {
+  return IMAGE_TYPES.find(t => buffer.length > 12 && t.matches(buffer)) || null;
+}
+
+const imageStores = {
+  gridfs: {
+    bucket: () => new mongoose.mongo.GridFSBucket(questionConn.db, { bucketName: "images" }),
+    put(asset, buffer) {
+      return new Promise((resolve, reject) => {
+        imageStores.gridfs.bucket()
+          .openUploadStreamWithId(asset._id, `${asset._id}.${asset.extension}`, { metadata: { contentType: asset.contentType } })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(buffer);
+      });
+    },
+    open: asset => imageStores.gridfs.bucket().openDownloadStream(asset._id),
+    async remove(asset) {
+      try {
+        await imageStores.gridfs.bucket().delete(asset._id);
+      } catch (err) {
+        if (!/file not found/i.test(err.message)) throw err;
+      }
+    },
+  },
+  local: {
+    file: asset => path.join(IMAGE_DIR, `${asset._id}.${asset.extension}`),
+    async put(asset, buffer) {
+      await fs.promises.mkdir(IMAGE_DIR, { recursive: true });
+      await fs.promises.writeFile(imageStores.local.file(asset), buffer);
+    },
+    open: asset => fs.createReadStream(imageStores.local.file(asset)),
+    remove: asset => fs.promises.rm(imageStores.local.file(asset), { force: true }),
+  },
+};
+
+function imageAssetIdFromUrl(url) {
+  const match = /\/images\/([a-f0-9]{24})(?:\.[a-z0-9]+)?(?:[?#].*)?$/i.exec(String(url || "").trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+function imageAssetUrl(asset, req) {
+  const base = process.env.PUBLIC_BASE_URL || (req ? `${req.protocol}://${req.get("host")}` : "");
+  return `${base.replace(/\/+$/, "")}/images/${asset._id}.${asset.extension}`;
+}
+
+function publicImageAsset(asset, req) {
+  return {
+    id: asset._id.toString(),
+    url: imageAssetUrl(asset, req),
+    contentType: asset.contentType,
+    size: asset.size,
+    sha256: asset.sha256,
+    originalName: asset.originalName || "",
+    backend: asset.backend,
+    uploadedBy: asset.uploadedBy ? asset.uploadedBy.toString() : null,
+    createdAt: asset.createdAt || null,
+  };
+}
+
+async function storeImage(buffer, { declaredType, originalName, adminId }) {
+  if (!buffer.length) return { error: "Image body is empty" };
+  if (buffer.length > IMAGE_MAX_BYTES) return { error: `Image is larger than ${IMAGE_MAX_BYTES} bytes` };
+
+  const type = sniffImageType(buffer);
+  if (!type) return { error: `Unsupported image — allowed types: ${IMAGE_TYPES.map(t => t.contentType).join(", ")}` };
+  if (declaredType && declaredType !== "application/octet-stream" && declaredType !== type.contentType &&
+      !(declaredType === "image/jpg" && type.contentType === "image/jpeg")) {
+    return { error: `Content-Type says ${declaredType} but the file is ${type.contentType}` };
+  }
+
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const existing = await ImageAsset.findOne({ sha256 });
+  if (existing) return { asset: existing, deduplicated: true };
+
+  const asset = new ImageAsset({
+    sha256,
+    contentType: type.contentType,
+    extension: type.extension,
+    size: buffer.length,
+    originalName: String(originalName || "").slice(0, 200),
+    backend: IMAGE_BACKEND,
+    uploadedBy: mongoose.isValidObjectId(adminId) ? adminId : null,
+  });
+  const store = imageStores[asset.backend];
+  await withCompensation(`Image ${asset._id}`, async () => {
+    await store.put(asset, buffer);
+    await asset.save();
+  }, () => store.remove(asset));
+  return { asset, deduplicated: false };
+}
+
+async function checkQuestionImages(questions) {
+  const refs = questions
+    .map((q, idx) => ({ position: idx + 1, imageUrl: q.imageUrl ? String(q.imageUrl).trim() : null }))
+    .filter(r => r.imageUrl);
+  const ids = [...new Set(refs.map(r => imageAssetIdFromUrl(r.imageUrl)).filter(Boolean))];
+  const known = new Set((await ImageAsset.find({ _id: { $in: ids } }, { _id: 1 }).lean()).map(a => a._id.toString()));
+
+  return {
+    missing: refs.filter(r => imageAssetIdFromUrl(r.imageUrl) && !known.has(imageAssetIdFromUrl(r.imageUrl))),
+    external: refs.filter(r => !imageAssetIdFromUrl(r.imageUrl)),
+  };
+}
+
+async function screenQuestionImages(questions) {
+  const { missing, external } = await checkQuestionImages(questions);
+  if (missing.length) {
+    return {
+      error: `${missing.length} imageUrl(s) point to images that do not exist — upload them via POST /admin/images`,
+      missing,
+    };
+  }
+  return { warnings: external.length ? { external, message: "These imageUrls are not managed uploads and may break" } : null };
+}
+
+async function referencedImageIds() {
+  const urls = (await forEachQuestionStore(Model => Model.distinct("imageUrl", { imageUrl: { $ne: null } }).setOptions({ withDeleted: true }), { includeTrashed: true })).flat();
+  urls.push(...await BankQuestion.distinct("imageUrl", { imageUrl: { $ne: null } }));
+  return new Set(urls.map(imageAssetIdFromUrl).filter(Boolean));
+}
+
+async function findOrphanImages(now = new Date()) {
+  const cutoff = new Date(now.getTime() - IMAGE_ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+  const referenced = await referencedImageIds();
+  const candidates = await ImageAsset.find({ createdAt: { $lt: cutoff } }).lean();
+  return candidates.filter(asset => !referenced.has(asset._id.toString()));
+}
+
+async function purgeOrphanImages(now = new Date()) {
+  await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+  const orphans = await findOrphanImages(now);
+  let freedBytes = 0;
+  for (const asset of orphans) {
+    await imageStores[asset.backend].remove(asset);
+    await ImageAsset.deleteOne({ _id: asset._id });
+    freedBytes += asset.size;
+  }
+  return { ranAt: now.toISOString(), graceHours: IMAGE_ORPHAN_GRACE_HOURS, purgedImages: orphans.length, freedBytes };
+}
+
+registerCronJob("image-orphans", "0 4 * * *", purgeOrphanImages);
+
+const DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_THRESHOLD) || 0.7;
+const DUPLICATE_POLICIES = ["warn", "block", "ignore"];
+const MINHASH_SEEDS = Array.from({ length: 32 }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+const MINHASH_BANDS = 8;
+
+function normalizeForFingerprint(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function normalizedOptions(options) {
+  return Object.values(options || {}).map(normalizeForFingerprint).filter(Boolean).sort();
+}
+
+function textFingerprint(side) {
+  const question = normalizeForFingerprint(side?.question);
+  if (!question) return null;
+  return crypto.createHash("sha1").update([question, ...normalizedOptions(side.options)].join("|")).digest("hex");
+}
+
+function questionShingles(side) {
+  const words = [normalizeForFingerprint(side?.question), ...normalizedOptions(side?.options)]
+    .join(" ")
+    .split(" ")
+    .filter(Boolean);
+  const shingles = new Set(words);
+  for (let i = 0; i < words.length - 1; i++) shingles.add(`${words[i]} ${words[i + 1]}`);
+  return shingles;
+}
+
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function minhashBands(shingles) {
+  if (!shingles.size) return [];
+  const mins = MINHASH_SEEDS.map(() => 0xffffffff);
+  for (const shingle of shingles) {
+    const h = hash32(shingle);
+    MINHASH_SEEDS.forEach((seed, i) => {
+      let x = (h ^ seed) >>> 0;
+      x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+      x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+      x = (x ^ (x >>> 16)) >>> 0;
+      if (x < mins[i]) mins[i] = x;
+    });
+  }
+  const rows = MINHASH_SEEDS.length / MINHASH_BANDS;
+  return Array.from({ length: MINHASH_BANDS }, (_, band) =>
+    `${band}:${mins.slice(band * rows, (band + 1) * rows).map(v => v.toString(36)).join(".")}`);
+}
+
+function questionFingerprints(q) {
+  return {
+    fingerprint: textFingerprint(q.english),
+    hindiFingerprint: textFingerprint(q.hindi),
+    similarityBands: minhashBands(questionShingles(q.english)),
+  };
+}
+
+function prepareForComparison(q) {
+  return { ...questionFingerprints(q), shingles: questionShingles(q.english) };
+}
+
+function compareQuestions(a, b) {
+  if ((a.fingerprint && a.fingerprint === b.fingerprint) || (a.hindiFingerprint && a.hindiFingerprint === b.hindiFingerprint)) {
+    return { similarity: 1, exact: true };
+  }
+  let shared = 0;
+  for (const shingle of a.shingles) if (b.shingles.has(shingle)) shared++;
+  const union = a.shingles.size + b.shingles.size - shared;
+  return { similarity: union ? round(shared / union, 3) : 0, exact: false };
+}
+
+function mayBeSimilar(a, b) {
+  return (a.fingerprint && a.fingerprint === b.fingerprint) ||
+    (a.hindiFingerprint && a.hindiFingerprint === b.hindiFingerprint) ||
+    a.similarityBands.some(band => b.similarityBands.includes(band));
+}
+
+function questionPreview(q) {
+  const text = String(q.english?.question || q.hindi?.question || "");
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+async function findDuplicates(questions, { excludeTestId = null, excludeQuestionIds = [], threshold = DUPLICATE_THRESHOLD } = {}) {
+  const prepared = questions.map(prepareForComparison);
+
+  const inPayload = [];
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      if (!mayBeSimilar(prepared[i], prepared[j])) continue;
+      const match = compareQuestions(prepared[i], prepared[j]);
+      if (match.similarity >= threshold) inPayload.push({ positions: [i + 1, j + 1], ...match });
+    }
+  }
+
+  const fingerprints = [...new Set(prepared.flatMap(p => [p.fingerprint, p.hindiFingerprint]).filter(Boolean))];
+  const bands = [...new Set(prepared.flatMap(p => p.similarityBands))];
+  const filter = {
+    $or: [
+      { fingerprint: { $in: fingerprints } },
+      { hindiFingerprint: { $in: fingerprints } },
+      { similarityBands: { $in: bands } },
+    ],
+  };
+  if (excludeTestId) filter.testId = { $ne: excludeTestId };
+  if (excludeQuestionIds.length) filter._id = { $nin: excludeQuestionIds };
+
+  const found = prepared.map(() => []);
+  await forEachQuestionStore(async (Model, collectionName) => {
+    const cursor = Model.find(filter, { english: 1, hindi: 1, testId: 1, order: 1 }).lean().cursor();
+    for await (const doc of cursor) {
+      const candidate = { doc, collectionName, ...prepareForComparison(doc) };
+      prepared.forEach((p, idx) => {
+        if (!mayBeSimilar(p, candidate)) return;
+        const match = compareQuestions(p, candidate);
+        if (match.similarity >= threshold) found[idx].push({ candidate, ...match });
+      });
+    }
+  });
+
+  const testIds = [...new Set(found.flat().map(m => m.candidate.doc.testId.toString()))];
+  const tests = await Test.find({ _id: { $in: testIds } }, { title: 1, date: 1 }).lean();
+  const titles = new Map(tests.map(t => [t._id.toString(), t]));
+
+  const existing = found.map((candidates, idx) => {
+    const matches = candidates
+      .filter(m => titles.has(m.candidate.doc.testId.toString()))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, 3)
+      .map(({ candidate, similarity, exact }) => ({
+        testId: candidate.doc.testId.toString(),
+        testTitle: titles.get(candidate.doc.testId.toString()).title,
+        testDate: titles.get(candidate.doc.testId.toString()).date || null,
+        questionId: candidate.doc._id.toString(),
+        order: candidate.doc.order,
+        collectionName: candidate.collectionName,
+        similarity,
+        exact,
+        preview: questionPreview(candidate.doc),
+      }));
+    return matches.length ? { position: idx + 1, matches } : null;
+  }).filter(Boolean);
+
+  return { threshold, inPayload, existing, count: inPayload.length + existing.length };
+}
+
+async function screenDuplicates(policy, questions, options) {
+  const onDuplicate = policy ?? "warn";
+  if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+    return { status: 400, error: `onDuplicate must be one of: ${DUPLICATE_POLICIES.join(", ")}` };
+  }
+  if (onDuplicate === "ignore") return { duplicates: null };
+
+  const duplicates = await findDuplicates(questions, options);
+  if (onDuplicate === "block" && duplicates.count) {
+    return {
+      status: 409,
+      error: `${duplicates.count} duplicate or near-duplicate question(s) found — remove them or pass onDuplicate: "warn"`,
+      duplicates,
+    };
+  }
+  return { duplicates };
+}
+
+const SIMILARITY_KEYS = {
+  $filter: {
+    input: {
+      $concatArrays: [
+        { $ifNull: ["$similarityBands", []] },
+        [
+          { $cond: ["$fingerprint", { $concat: ["f:", "$fingerprint"] }, null] },
+          { $cond: ["$hindiFingerprint", { $concat: ["h:", "$hindiFingerprint"] }, null] },
+        ],
+      ],
+    },
+    cond: { $ne: ["$$this", null] },
+  },
+};
+
+async function duplicateCandidates(testIds) {
+  const buckets = new Map();
+  const stores = await forEachQuestionStore(async (Model, collectionName) => {
+    const groups = await Model.aggregate([
+      { $match: { deletedAt: null, testId: { $in: testIds } } },
+      { $project: { keys: SIMILARITY_KEYS } },
+      { $unwind: "$keys" },
+      { $group: { _id: "$keys", ids: { $push: "$_id" } } },
+    ]);
+    groups.forEach(({ _id: key, ids }) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(...ids.map(id => ({ Model, collectionName, id })));
+    });
+    return { Model, collectionName };
+  });
+
+  const idsByStore = new Map(stores.map(store => [store.Model, new Set()]));
+  for (const members of buckets.values()) {
+    if (members.length < 2) continue;
+    members.forEach(({ Model, id }) => idsByStore.get(Model).add(String(id)));
+  }
+  return stores.filter(({ Model }) => idsByStore.get(Model).size)
+    .map(store => ({ ...store, ids: [...idsByStore.get(store.Model)] }));
+}
+
+async function duplicateClusters({ threshold = DUPLICATE_THRESHOLD, crossTestOnly = false, testId = null } = {}) {
+  const tests = await Test.find({}, { title: 1, date: 1 }).lean();
+  const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+
+  const items = [];
+  for (const { Model, collectionName, ids } of await duplicateCandidates(tests.map(t => t._id))) {
+    const docs = await Model.find({ _id: { $in: ids } }, { english: 1, hindi: 1, testId: 1, order: 1 }).lean();
+    items.push(...docs.map(doc => ({ doc, collectionName, ...prepareForComparison(doc) })));
+  }
+
+  const parent = items.map((_, idx) => idx);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+  const best = new Map();
+
+  const buckets = new Map();
+  items.forEach((item, idx) => {
+    const keys = [
+      item.fingerprint && `f:${item.fingerprint}`,
+      item.hindiFingerprint && `h:${item.hindiFingerprint}`,
+      ...item.similarityBands,
+    ].filter(Boolean);
+    keys.forEach((key) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(idx);
+    });
+  });
+
+  for (const [key, members] of buckets) {
+    if (members.length < 2) continue;
+    if (key.startsWith("f:") || key.startsWith("h:")) {
+      members.slice(1).forEach(idx => union(members[0], idx));
+      continue;
+    }
+    if (members.length > 200) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]];
+        if (find(a) === find(b)) continue;
+        const { similarity } = compareQuestions(items[a], items[b]);
+        if (similarity >= threshold) {
+          union(a, b);
+          best.set(a, Math.max(best.get(a) || 0, similarity));
+          best.set(b, Math.max(best.get(b) || 0, similarity));
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((_, idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(idx);
+  });
+
+  return [...groups.values()]
+    .filter(members => members.length > 1)
+    .map((members) => {
+      const testIds = new Set(members.map(idx => items[idx].doc.testId.toString()));
+      return {
+        size: members.length,
+        testCount: testIds.size,
+        exact: members.every(idx => items[idx].fingerprint && items[idx].fingerprint === items[members[0]].fingerprint),
+        preview: questionPreview(items[members[0]].doc),
+        members: members.map(idx => {
+          const { doc, collectionName } = items[idx];
+          const test = testsById.get(doc.testId.toString());
+          return {
+            testId: doc.testId.toString(),
+            testTitle: test.title,
+            testDate: test.date || null,
+            questionId: doc._id.toString(),
+            order: doc.order,
+            collectionName,
+            similarity: best.get(idx) ?? 1,
+          };
+        }),
+        testIds,
+      };
+    })
+    .filter(cluster => (!crossTestOnly || cluster.testCount > 1) && (!testId || cluster.testIds.has(String(testId))))
+    .map(({ testIds, ...cluster }) => cluster)
+    .sort((a, b) => b.size - a.size || b.testCount - a.testCount);
+}
+
+async function backfillFingerprints() {
+  return forEachQuestionStore(async (Model, collectionName) => {
+    let updated = 0;
+    let lastId = null;
+    for (;;) {
+      const filter = { fingerprint: null };
+      if (lastId) filter._id = { $gt: lastId };
+      const docs = await Model.find(filter, { english: 1, hindi: 1 }).sort({ _id: 1 }).limit(500).lean();
+      if (!docs.length) break;
+      await Model.bulkWrite(docs.map(doc => ({
+        updateOne: { filter: { _id: doc._id }, update: { $set: questionFingerprints(doc) } },
+      })));
+      updated += docs.length;
+      lastId = docs[docs.length - 1]._id;
+    }
+    return { collectionName, updated };
+  });
+}
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  if (inQuotes) throw new Error("CSV has an unterminated quoted field");
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+const CSV_OPTION_LETTERS = ["A", "B", "C", "D"];
+
+const CSV_COLUMNS = {
+  english_question: ["english_question", "english.question", "question_en", "question_english"],
+  english_explanation: ["english_explanation", "english.english_explanation", "explanation_en"],
+  hindi_question: ["hindi_question", "hindi.question", "question_hi", "question_hindi"],
+  hindi_explanation: ["hindi_explanation", "hindi.hindi_explanation", "explanation_hi"],
+  correct_answer: ["correct_answer", "answer", "correct"],
+  imageUrl: ["imageurl", "image_url", "image"],
+  ...Object.fromEntries(CSV_OPTION_LETTERS.flatMap((letter) => {
+    const l = letter.toLowerCase();
+    return [
+      [`english_option_${l}`, [`english_option_${l}`, `english.options.${l}`, `option_${l}_en`, `english_${l}`]],
+      [`hindi_option_${l}`, [`hindi_option_${l}`, `hindi.options.${l}`, `option_${l}_hi`, `hindi_${l}`]],
+    ];
+  })),
+};
+
+function normalizeCsvHeader(header) {
+  return header.trim().toLowerCase().replace(/\s+/g, "_");
+}
+
+function looksMisencoded(value) {
+  return /à¤|à¥|Ã|â€/.test(value) || value.includes("\uFFFD");
+}
+
+function csvRowToQuestion(cells, columnIndex) {
+  const cell = (key) => {
+    const idx = columnIndex[key];
+    return idx === undefined ? "" : String(cells[idx] ?? "").normalize("NFC").trim();
+  };
+
+  const options = (lang) => Object.fromEntries(
+    CSV_OPTION_LETTERS
+      .map((letter, i) => [String(i + 1), cell(`${lang}_option_${letter.toLowerCase()}`)])
+      .filter(([, text]) => text !== ""),
+  );
+
+  const rawAnswer = cell("correct_answer").toUpperCase();
+  const letterIdx = CSV_OPTION_LETTERS.indexOf(rawAnswer);
+  const correct_answer = letterIdx !== -1 ? letterIdx + 1 : (rawAnswer === "" ? null : Number(rawAnswer));
+
+  return {
+    imageUrl: cell("imageUrl") || null,
+    english: {
+      question: cell("english_question"),
+      options: options("english"),
+      english_explanation: cell("english_explanation"),
+    },
+    hindi: {
+      question: cell("hindi_question"),
+      options: options("hindi"),
+      hindi_explanation: cell("hindi_explanation"),
+    },
+    correct_answer,
+  };
+}
+
+function questionsFromCSV(text, { strict = false } = {}) {
+  const rows = parseCSV(text);
+  if (rows.length < 2) {
+    return { fatal: "CSV must contain a header row and at least one question row" };
+  }
+
+  const headers = rows[0].map(normalizeCsvHeader);
+  const columnIndex = {};
+  Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+    const idx = headers.findIndex(h => aliases.includes(h));
+    if (idx !== -1) columnIndex[key] = idx;
+  });
+
+  const missing = ["english_question", "hindi_question", "correct_answer"].filter(k => columnIndex[k] === undefined);
+  if (missing.length) {
+    return { fatal: `CSV is missing required column(s): ${missing.join(", ")}` };
+  }
+
+  const known = new Set(Object.values(columnIndex));
+  const ignoredColumns = rows[0].filter((_, i) => !known.has(i));
+
+  const questions = [];
+  const rowErrors = [];
+  rows.slice(1).forEach((cells, i) => {
+    const rowNumber = i + 2;
+    const errors = [];
+    if (cells.length !== rows[0].length) {
+      errors.push(`Row ${rowNumber}: expected ${rows[0].length} columns, found ${cells.length}`);
+    }
+    const q = csvRowToQuestion(cells, columnIndex);
+    errors.push(...validateQuestionPayload(q, questions.length, { strict }).map(e => `Row ${rowNumber}: ${e}`));
+    if ([q.hindi.question, ...Object.values(q.hindi.options)].some(looksMisencoded)) {
+      errors.push(`Row ${rowNumber}: Hindi text looks mis-encoded — save the sheet as "CSV UTF-8" and re-upload`);
+    }
+    if (errors.length) rowErrors.push({ row: rowNumber, errors });
+    questions.push({ row: rowNumber, question: q });
+  });
+
+  return { questions, rowErrors, ignoredColumns };
+}
+
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+function toBankDoc(q, meta = {}) {
+  const doc = toQuestionDoc(q, {});
+  delete doc.marks;
+  delete doc.negativeMarks;
+  return {
+    ...doc,
+    subject: meta.subject ? String(meta.subject).trim().toLowerCase() : null,
+    topic: meta.topic ? String(meta.topic).trim().toLowerCase() : null,
+    difficulty: DIFFICULTIES.includes(meta.difficulty) ? meta.difficulty : null,
+    tags: normalizeTags(meta.tags),
+    examType: meta.examType ? String(meta.examType).trim() : null,
+    year: meta.year !== undefined && meta.year !== null && meta.year !== "" && !isNaN(Number(meta.year)) ? Number(meta.year) : null,
+    paper: meta.paper === "CSAT" ? "CSAT" : "GS",
+  };
+}
+
+function bankFilter(params) {
+  const filter = {};
+  if (params.subject) filter.subject = String(params.subject).trim().toLowerCase();
+  if (params.topic) filter.topic = String(params.topic).trim().toLowerCase();
+  if (params.difficulty) filter.difficulty = params.difficulty;
+  if (params.paper) filter.paper = params.paper;
+  if (params.examType) filter.examType = String(params.examType).trim();
+  if (params.year !== undefined && params.year !== null && params.year !== "" && !isNaN(Number(params.year))) {
+    filter.year = Number(params.year);
+  }
+  const tags = normalizeTags(params.tags ?? params.tag);
+  if (tags.length) filter.tags = { $all: tags };
+  if (params.q) {
+    const rx = new RegExp(escapeRegex(String(params.q).trim()), "i");
+    filter.$or = [{ "english.question": rx }, { "hindi.question": rx }];
+  }
+  return filter;
+}
+
+async function forEachQuestionStore(fn, { includeTrashed = false } = {}) {
+  const outcomes = [await fn(Question, null), await fn(FreePCSQuestion, FreePCSQuestion.collection.name)];
+  const freePcsTests = await Test.find({ collectionName: { $ne: null }, freePcs: { $ne: true } }, { collectionName: 1 })
+    .setOptions({ withDeleted: includeTrashed })
+    .lean();
+  const collectionNames = [...new Set(freePcsTests.map(t => t.collectionName))];
+  for (const name of collectionNames) {
+    outcomes.push(await fn(getFreePCSModel(name), name));
+  }
+  return outcomes;
+}
+
+async function pickFromBank({ questionIds = [], quotas = [] }) {
+  const errors = [];
+  const picked = [];
+  const used = new Set();
+
+  if (questionIds.length) {
+    const validIds = questionIds.filter(id => mongoose.isValidObjectId(id));
+    const docs = await BankQuestion.find({ _id: { $in: validIds } }).lean();
+    const byId = new Map(docs.map(d => [d._id.toString(), d]));
+    questionIds.forEach((id) => {
+      const doc = byId.get(String(id));
+      if (!doc) errors.push(`Bank question ${id} not found`);
+      else if (used.has(doc._id.toString())) errors.push(`Bank question ${id} is listed more than once`);
+      else {
+        used.add(doc._id.toString());
+        picked.push(doc);
+      }
+    });
+  }
+
+  for (const [idx, quota] of quotas.entries()) {
+    const count = Number(quota.count);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push(`Quota ${idx + 1}: count must be a positive integer`);
+      continue;
+    }
+    const filter = bankFilter(quota);
+    filter._id = { $nin: [...used].map(id => new mongoose.Types.ObjectId(id)) };
+    const docs = await BankQuestion.aggregate([{ $match: filter }, { $sample: { size: count } }]);
+    if (docs.length < count) {
+      errors.push(`Quota ${idx + 1}: needed ${count} questions but only ${docs.length} match ${JSON.stringify(bankFilter(quota))}`);
+    }
+    docs.forEach((d) => {
+      used.add(d._id.toString());
+      picked.push(d);
+    });
+  }
+
+  return { picked, errors };
+}
+
+async function withCompensation(label, work, compensate) {
+  try {
+    return await work();
+  } catch (err) {
+    try {
+      await compensate();
+    } catch (rollbackErr) {
+      logger.error("Rollback failed", { label, err: rollbackErr });
+      err.rollbackFailed = true;
+    }
+    throw err;
+  }
+}
+
+async function withQuestionRollback(Model, testId, work) {
+  const snapshot = await Model.find({ testId }).setOptions({ withDeleted: true }).lean();
+  return withCompensation(`${Model.collection.name} (${testId})`, work, async () => {
+    await Model.deleteMany({ testId, _id: { $nin: snapshot.map(d => d._id) } }).setOptions({ withDeleted: true });
+    if (snapshot.length) {
+      await Model.bulkWrite(snapshot.map(doc => ({
+        replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true },
+      })), { timestamps: false });
+    }
+  });
+}
+
+function transactionsUnsupported(err) {
+  return err?.code === 20 || /replica set member or mongos/i.test(err?.message || "");
+}
+
+async function runTransaction(conn, work) {
+  try {
+    return await conn.transaction(work);
+  } catch (err) {
+    if (!transactionsUnsupported(err)) throw err;
+    throw new Error(`The ${conn.name || "MongoDB"} database does not support transactions — it must run as a replica set (Atlas clusters do) for this change`, { cause: err });
+  }
+}
+
+async function atomicTestWrite(test, work) {
+  if (isFreePcsTest(test)) {
+    return withQuestionRollback(getQuestionModel(test), test._id, () => work(null));
+  }
+  await loadExamFormats();
+  return runTransaction(questionConn, session => work(session));
+}
+
+function testDependentModels(test) {
+  return {
+    questions:        Question,
+    freePcsQuestions: usesLegacyCollection(test) ? getFreePCSModel(test.collectionName) : FreePCSQuestion,
+    results:          Result,
+    freeResults:      FreeResult,
+  };
+}
+
+async function stampTestDependents(test, from, to) {
+  const counts = {};
+  for (const [key, Model] of Object.entries(testDependentModels(test))) {
+    const result = await Model.updateMany({ testId: test._id, deletedAt: from }, { $set: to });
+    counts[key] = result.modifiedCount;
+  }
+  return counts;
+}
+
+async function trashTest(test, adminId, now = new Date()) {
+  const stamp = { deletedAt: now, deletedBy: mongoose.isValidObjectId(adminId) ? adminId : null };
+  return withCompensation(`Trash test ${test._id}`, async () => {
+    const counts = await stampTestDependents(test, null, stamp);
+    test.set({ ...stamp, statusBeforeDelete: test.status, status: "archived" });
+    await test.save();
+    return counts;
+  }, () => stampTestDependents(test, now, { deletedAt: null, deletedBy: null }));
+}
+
+async function restoreTest(test) {
+  const stamp = { deletedAt: test.deletedAt, deletedBy: test.deletedBy };
+  const statusBeforeDelete = test.statusBeforeDelete;
+  return withCompensation(`Restore test ${test._id}`, async () => {
+    const counts = await stampTestDependents(test, stamp.deletedAt, { deletedAt: null, deletedBy: null });
+    test.set({ deletedAt: null, deletedBy: null, status: statusBeforeDelete || "published", statusBeforeDelete: null });
+    await test.save();
+    return counts;
+  }, () => stampTestDependents(test, null, stamp));
+}
+
+async function purgeTest(test) {
+  const counts = {};
+  for (const [key, Model] of Object.entries(testDependentModels(test))) {
+    const result = await Model.deleteMany({ testId: test._id }).setOptions({ withDeleted: true });
+    counts[key] = result.deletedCount;
+  }
+  await Test.deleteOne({ _id: test._id }).setOptions({ withDeleted: true });
+  return counts;
+}
+
+async function purgeExpiredTrash(now = new Date()) {
+  await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const tests = await Test.find(expired).lean();
+  for (const test of tests) {
+    await purgeTest(test);
+  }
+
+  const looseQuestions = (await forEachQuestionStore(Model => Model.deleteMany(expired)))
+    .reduce((sum, r) => sum + r.deletedCount, 0);
+  const [looseResults, looseFreeResults] = await Promise.all([
+    Result.deleteMany(expired),
+    FreeResult.deleteMany(expired),
+  ]);
+
+  return {
+    ranAt: now.toISOString(),
+    retentionDays: TRASH_RETENTION_DAYS,
+    purgedTests: tests.length,
+    purgedQuestions: looseQuestions,
+    purgedResults: looseResults.deletedCount + looseFreeResults.deletedCount,
+  };
+}
+
+registerCronJob("trash-purge", "30 3 * * *", purgeExpiredTrash);
+
+async function saveQuestionSet(Model, test, questions, baseFor, { adminId = null, session = null } = {}) {
+  const existing = await Model.find({ testId: test._id }).sort(QUESTION_SORT).session(session).lean();
+  const existingIds = new Set(existing.map(d => d._id.toString()));
+  const claimed = new Set();
+
+  const targets = questions.map((q) => {
+    const id = q._id || q.id ? String(q._id || q.id) : null;
+    if (id && existingIds.has(id) && !claimed.has(id)) {
+      claimed.add(id);
+      return id;
+    }
+    return null;
+  });
+
+  const ops = questions.map((q, idx) => {
+    const doc = toQuestionDoc(q, { ...baseFor(idx), order: idx + 1 });
+    return targets[idx]
+      ? { updateOne: { filter: { _id: targets[idx] }, update: { $set: doc } } }
+      : { insertOne: { document: doc } };
+  });
+
+  const removed = existing.filter(d => !claimed.has(d._id.toString())).map(d => d._id);
+  if (removed.length) {
+    ops.push({
+      updateMany: {
+        filter: { _id: { $in: removed } },
+        update: { $set: { deletedAt: new Date(), deletedBy: mongoose.isValidObjectId(adminId) ? adminId : null } },
+      },
+    });
+  }
+
+  await Model.bulkWrite(ops, { ordered: true, session });
+
+  return {
+    updated: targets.filter(Boolean).length,
+    inserted: targets.filter(t => !t).length,
+    removed: removed.length,
+  };
+}
+
+async function replaceTestQuestions(test, questions, { examType, year, format, adminId } = {}) {
+  const testId = test._id;
+  const numQuestions = questions.length;
+
+  const { format: examFormat, error: formatError } = await resolveExamFormat({
+    format,
+    numQuestions,
+    current: test.phase,
+    freePcs: isFreePcsTest(test),
+  });
+  if (formatError) return { error: formatError };
+
+  if (isFreePcsTest(test)) {
+    const Model = getQuestionModel(test);
+    const existing = await Model.findOne({ testId }).lean();
+    const finalExamType = (examType && String(examType).trim()) || existing?.examType;
+    const finalYear = (year !== undefined && year !== null && !isNaN(Number(year)))
+      ? Number(year)
+      : existing?.year;
+
+    if (!finalExamType || !finalYear) {
+      return { error: "examType and year are required (could not be inferred from existing data)" };
+    }
+
+    const changes = await atomicTestWrite(test, async (session) => {
+      const saved = await saveQuestionSet(Model, test, questions, (idx) => ({
+        testId,
+        title: test.title,
+        examType: finalExamType,
+        year: finalYear,
+        ...formatQuestionBase(examFormat, idx),
+      }), { adminId, session });
+      test.phase = examFormat.key;
+      test.totalQuestions = numQuestions;
+      await test.save({ session });
+      return saved;
+    });
+
+    return {
+      message: `Free PCS paper "${test.title}" updated — ${numQuestions} questions saved`,
+      summary: { totalQuestions: numQuestions, examType: finalExamType, year: finalYear, changes },
+    };
+  }
+
+  const changes = await atomicTestWrite(test, async (session) => {
+    const saved = await saveQuestionSet(Question, test, questions, (idx) => ({
+      testId,
+      ...formatQuestionBase(examFormat, idx),
+    }), { adminId, session });
+    test.phase = examFormat.key;
+    test.totalQuestions = numQuestions;
+    await test.save({ session });
+    return saved;
+  });
+
+  return {
+    message: `Test "${test.title}" updated — ${numQuestions} questions saved`,
+    summary: { totalQuestions: numQuestions, phase: examFormat.key, changes },
+  };
+}
+
+async function renumberQuestions(Model, testId, session = null) {
+  const docs = await Model.find({ testId }, { order: 1 }).sort(QUESTION_SORT).session(session).lean();
+  const ops = docs
+    .map((d, idx) => (d.order === idx + 1 ? null : { updateOne: { filter: { _id: d._id }, update: { $set: { order: idx + 1 } } } }))
+    .filter(Boolean);
+  if (ops.length) await Model.bulkWrite(ops, { session });
+  return docs.length;
+}
+
+async function syncQuestionCount(test, Model, session = null) {
+  const count = await renumberQuestions(Model, test._id, session);
+  test.totalQuestions = count;
+  await test.save({ session });
+  const format = (await loadExamFormats()).find(f => f.key === test.phase);
+  const countWarning = format && !allowsCount(format, count)
+    ? `Paper now has ${count} questions — a ${format.name} paper needs ${format.questionCounts.join(" or ")}`
+    : null;
+  return { totalQuestions: count, countWarning };
+}
+
+const CONSISTENCY_FIXES = ["orphanedQuestions", "countMismatches", "emptyTests", "orphanedCollections"];
+
+async function checkConsistency() {
+  await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+  const tests = await Test.find({}, { title: 1, totalQuestions: 1, collectionName: 1, freePcs: 1, deletedAt: 1 })
+    .setOptions({ withDeleted: true })
+    .lean();
+  const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+  const referenced = new Set(tests.filter(usesLegacyCollection).map(t => t.collectionName));
+
+  const fpcsCollections = (await freePcsConn.db.listCollections({ name: /^fpcs_/ }, { nameOnly: true }).toArray())
+    .map(c => c.name);
+  const stores = [Question, FreePCSQuestion, ...fpcsCollections.filter(n => referenced.has(n)).map(getFreePCSModel)];
+
+  const orphanedQuestions = [];
+  const liveCounts = new Map();
+  for (const Model of stores) {
+    const groups = await Model.aggregate([
+      { $match: { deletedAt: null } },
+      { $group: { _id: "$testId", count: { $sum: 1 } } },
+    ]);
+    for (const group of groups) {
+      const test = group._id && testsById.get(group._id.toString());
+      if (test && !test.deletedAt) {
+        if (getQuestionModel(test) === Model) liveCounts.set(test._id.toString(), group.count);
+        continue;
+      }
+      orphanedQuestions.push({
+        collection: Model.collection.name,
+        testId: group._id ? group._id.toString() : null,
+        count: group.count,
+        reason: test ? "test is in the trash" : "test does not exist",
+      });
+    }
+  }
+
+  const emptyTests = [];
+  const countMismatches = [];
+  tests.filter(t => !t.deletedAt).forEach((test) => {
+    const actual = liveCounts.get(test._id.toString()) || 0;
+    const entry = { testId: test._id.toString(), title: test.title, collectionName: test.collectionName || null };
+    if (actual === 0) emptyTests.push(entry);
+    else if (actual !== test.totalQuestions) countMismatches.push({ ...entry, totalQuestions: test.totalQuestions, actual });
+  });
+
+  const orphanedCollections = [];
+  for (const name of fpcsCollections.filter(n => !referenced.has(n))) {
+    orphanedCollections.push({ collection: name, documents: await freePcsConn.db.collection(name).estimatedDocumentCount() });
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    testsChecked: tests.length,
+    orphanedQuestions,
+    countMismatches,
+    emptyTests,
+    orphanedCollections,
+    issues: orphanedQuestions.length + countMismatches.length + emptyTests.length + orphanedCollections.length,
+  };
+}
+
+async function fixInconsistencies(report, fixes, adminId, now = new Date()) {
+  await connectUserDB();
+  const fixed = {};
+  const failures = [];
+  const attempt = async (kind, target, fn) => {
+    try {
+      await fn();
+      fixed[kind] = (fixed[kind] || 0) + 1;
+    } catch (err) {
+      logger.error("Consistency fix failed", { kind, target, err });
+      failures.push({ kind, target, message: err.message });
+    }
+  };
+  const deletedBy = mongoose.isValidObjectId(adminId) ? adminId : null;
+
+  if (fixes.includes("orphanedQuestions")) {
+    for (const orphan of report.orphanedQuestions) {
+      await attempt("orphanedQuestions", `${orphan.collection}/${orphan.testId}`, async () => {
+        const Model = orphan.collection === Question.collection.name ? Question
+          : orphan.collection === FreePCSQuestion.collection.name ? FreePCSQuestion
+            : getFreePCSModel(orphan.collection);
+        const test = orphan.testId && await Test.findById(orphan.testId).setOptions({ withDeleted: true }).lean();
+        const stamp = test?.deletedAt ? { deletedAt: test.deletedAt, deletedBy: test.deletedBy } : { deletedAt: now, deletedBy };
+        await Model.updateMany({ testId: orphan.testId, deletedAt: null }, { $set: stamp });
+      });
+    }
+  }
+
+  if (fixes.includes("countMismatches")) {
+    for (const mismatch of report.countMismatches) {
+      await attempt("countMismatches", mismatch.testId, async () => {
+        const test = await Test.findById(mismatch.testId);
+        if (!test) return;
+        const Model = getQuestionModel(test);
+        await atomicTestWrite(test, session => syncQuestionCount(test, Model, session));
+      });
+    }
+  }
+
+  if (fixes.includes("emptyTests")) {
+    for (const empty of report.emptyTests) {
+      await attempt("emptyTests", empty.testId, async () => {
+        const test = await Test.findById(empty.testId);
+        if (test && !(await getQuestionModel(test).countDocuments({ testId: test._id }))) {
+          await trashTest(test, adminId, now);
+        }
+      });
+    }
+  }
+
+  if (fixes.includes("orphanedCollections")) {
+    for (const orphan of report.orphanedCollections) {
+      await attempt("orphanedCollections", orphan.collection, async () => {
+        if (!(await dropLegacyCollection(orphan.collection))) {
+          throw new Error("Kept — a paper still reads from it, or not every question in it was copied into the Free PCS collection");
+        }
+      });
+    }
+  }
+
+  return { fixed, failures };
+}
+
+async function copyQuestionDocs(docs) {
+  if (!docs.length) return;
+  await FreePCSQuestion.bulkWrite(docs.map(doc => ({
+    replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true },
+  })), { timestamps: false });
+}
+
+async function dropLegacyCollection(collectionName) {
+  if (await Test.exists({ collectionName, freePcs: { $ne: true } }).setOptions({ withDeleted: true })) return false;
+  const exists = await freePcsConn.db.listCollections({ name: collectionName }, { nameOnly: true }).hasNext();
+  if (!exists) return false;
+
+  const legacyIds = await freePcsConn.db.collection(collectionName).distinct("_id");
+  const copied = await FreePCSQuestion.countDocuments({ _id: { $in: legacyIds } }).setOptions({ withDeleted: true });
+  if (copied !== legacyIds.length) return false;
+
+  await freePcsConn.db.dropCollection(collectionName);
+  if (freePcsConn.models[collectionName]) freePcsConn.deleteModel(collectionName);
+  return true;
+}
+
+async function migrateFreePcsTest(test, { dropSource = false } = {}) {
+  const Legacy = getFreePCSModel(test.collectionName);
+  const startedAt = new Date();
+  const summary = { testId: test._id.toString(), collectionName: test.collectionName };
+
+  const sourceIds = [];
+  let lastId = null;
+  for (;;) {
+    const filter = { testId: test._id };
+    if (lastId) filter._id = { $gt: lastId };
+    const docs = await Legacy.find(filter).setOptions({ withDeleted: true }).sort({ _id: 1 }).limit(500).lean();
+    if (!docs.length) break;
+    await copyQuestionDocs(docs);
+    sourceIds.push(...docs.map(d => d._id));
+    lastId = docs[docs.length - 1]._id;
+  }
+  await FreePCSQuestion.deleteMany({ testId: test._id, _id: { $nin: sourceIds } }).setOptions({ withDeleted: true });
+
+  const [sourceCount, targetCount] = await Promise.all([
+    Legacy.countDocuments({ testId: test._id }).setOptions({ withDeleted: true }),
+    FreePCSQuestion.countDocuments({ testId: test._id }).setOptions({ withDeleted: true }),
+  ]);
+  if (sourceCount !== sourceIds.length || targetCount !== sourceIds.length) {
+    return { ...summary, sourceCount, targetCount, verified: false, error: "Question counts do not match after copying — the paper was left on its old collection" };
+  }
+
+  await Test.updateOne({ _id: test._id }, { $set: { freePcs: true } }).setOptions({ withDeleted: true });
+
+  const lateWrites = await Legacy.find({ testId: test._id, updatedAt: { $gte: startedAt } }).setOptions({ withDeleted: true }).lean();
+  await copyQuestionDocs(lateWrites);
+
+  const dropped = dropSource ? await dropLegacyCollection(test.collectionName) : false;
+  return { ...summary, sourceCount, targetCount, verified: true, lateWrites: lateWrites.length, dropped };
+}
+
+async function migrateFreePcsCollections({ dropSource = false, dryRun = false } = {}) {
+  await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+  const pendingFilter = { collectionName: { $ne: null }, freePcs: { $ne: true } };
+  const pending = await Test.find(pendingFilter, { title: 1, collectionName: 1 }).setOptions({ withDeleted: true }).lean();
+
+  if (dryRun) {
+    const plan = [];
+    for (const test of pending) {
+      const questions = await getFreePCSModel(test.collectionName).countDocuments({ testId: test._id }).setOptions({ withDeleted: true });
+      plan.push({ testId: test._id.toString(), title: test.title, collectionName: test.collectionName, questions });
+    }
+    return { dryRun: true, pending: plan.length, plan };
+  }
+
+  const results = [];
+  for (const test of pending) {
+    try {
+      results.push(await migrateFreePcsTest(test, { dropSource }));
+    } catch (err) {
+      logger.error("Free PCS migration failed", { collectionName: test.collectionName, err });
+      results.push({ testId: test._id.toString(), collectionName: test.collectionName, verified: false, error: err.message });
+    }
+  }
+
+  const dropped = results.filter(r => r.dropped).map(r => r.collectionName);
+  if (dropSource) {
+    const migrated = await Test.find({ collectionName: { $ne: null }, freePcs: true }, { collectionName: 1 })
+      .setOptions({ withDeleted: true })
+      .lean();
+    for (const { collectionName } of migrated) {
+      if (!dropped.includes(collectionName) && await dropLegacyCollection(collectionName)) dropped.push(collectionName);
+    }
+  }
+
+  return {
+    dryRun: false,
+    migrated: results.filter(r => r.verified).length,
+    failed: results.filter(r => !r.verified).length,
+    remaining: await Test.countDocuments(pendingFilter).setOptions({ withDeleted: true }),
+    dropped,
+    results,
+  };
+}
+
+const BUNDLE_FORMAT = "cronadmin.test-bundle";
+const BUNDLE_VERSION = 1;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function bundleChecksum({ test, questions, results, freeResults }) {
+  return crypto.createHash("sha256")
+    .update(stableStringify({ test, questions, results, freeResults }))
+    .digest("hex");
+}
+
+async function buildTestBundle(test, { includeResults = false } = {}) {
+  const questions = await getQuestionModel(test).find({ testId: test._id }).sort(QUESTION_SORT).lean();
+  const [results, freeResults] = includeResults
+    ? await Promise.all([Result.find({ testId: test._id }).lean(), FreeResult.find({ testId: test._id }).lean()])
+    : [[], []];
+
+  const payload = JSON.parse(JSON.stringify({
+    test,
+    questions,
+    results: includeResults ? results : null,
+    freeResults: includeResults ? freeResults : null,
+  }));
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      testId: test._id.toString(),
+      collectionName: test.collectionName || null,
+      counts: {
+        questions: questions.length,
+        results: includeResults ? results.length : null,
+        freeResults: includeResults ? freeResults.length : null,
+      },
+    },
+    checksum: bundleChecksum(payload),
+    ...payload,
+  };
+}
+
+function seededRandom(seed) {
+  let state = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function shuffleWithinSections(questions, random) {
+  const positions = new Map();
+  questions.forEach((q, i) => positions.set(q.phase, [...(positions.get(q.phase) || []), i]));
+  const out = [...questions];
+  for (const slots of positions.values()) {
+    seededShuffle(slots, random).forEach((from, k) => {
+      out[slots[k]] = questions[from];
+    });
+  }
+  return out;
+}
+
+function shuffleQuestionOptions(q, random) {
+  const keys = Object.keys(q.english?.options || {});
+  const hindiKeys = Object.keys(q.hindi?.options || {});
+  if (keys.length < 2 || keys.length !== hindiKeys.length || !keys.every(k => hindiKeys.includes(k))) return null;
+
+  const numericKeys = keys.every(k => /^\d+$/.test(k));
+  const keyFor = answer => (numericKeys ? String(Number(answer)) : keys[Number(answer) - 1]);
+  const answerFor = key => (numericKeys ? Number(key) : keys.indexOf(key) + 1);
+
+  const order = seededShuffle(keys, random);
+  const moved = new Map(order.map((from, i) => [from, keys[i]]));
+  const remap = answer => (moved.has(keyFor(answer)) ? answerFor(moved.get(keyFor(answer))) : answer);
+  const reorder = options => Object.fromEntries(keys.map((key, i) => [key, options[order[i]]]));
+
+  return {
+    english: { ...q.english, options: reorder(q.english.options) },
+    hindi: { ...q.hindi, options: reorder(q.hindi.options) },
+    correct_answer: remap(q.correct_answer),
+    acceptedAnswers: (q.acceptedAnswers || []).map(remap),
+  };
+}
+
+async function copyTest(source, { title, date, testType, attemptWindow, lifecycle, variant = null }) {
+  const questions = await getQuestionModel(source).find({ testId: source._id }).sort(QUESTION_SORT).lean();
+  const sourceNumbers = new Map(questions.map((q, i) => [String(q._id), i + 1]));
+  const random = variant ? seededRandom(variant.seed) : null;
+  const ordered = variant?.shuffleQuestions ? shuffleWithinSections(questions, random) : questions;
+  const isFreePcs = isFreePcsTest(source);
+
+  const test = new Test({
+    title,
+    date,
+    totalQuestions: ordered.length,
+    testType: isFreePcs ? "free" : testType,
+    phase: source.phase,
+    ...attemptWindow,
+    ...lifecycle,
+    sourceTestId: source.sourceTestId || source._id,
+    variant,
+  });
+  if (isFreePcs) test.freePcs = true;
+
+  const optionsKept = [];
+  const qDocs = ordered.map((q, idx) => {
+    const shuffled = variant?.shuffleOptions ? shuffleQuestionOptions(q, random) : null;
+    if (variant?.shuffleOptions && !shuffled) optionsKept.push(idx + 1);
+    const content = { ...q, ...shuffled };
+    return toQuestionDoc(content, {
+      testId: test._id,
+      ...(isFreePcs ? { title, examType: q.examType, year: q.year } : {}),
+      marks: q.marks,
+      negativeMarks: q.negativeMarks,
+      phase: q.phase,
+      order: idx + 1,
+      acceptedAnswers: content.acceptedAnswers || [],
+      dropPolicy: q.dropPolicy ?? null,
+      bankQuestionId: q.bankQuestionId ?? null,
+      sourceQuestionId: q.sourceQuestionId || q._id,
+    });
+  });
+
+  await atomicTestWrite(test, async (session) => {
+    await getQuestionModel(test).insertMany(qDocs, { session });
+    await test.save({ session });
+  });
+
+  return {
+    test,
+    optionsKept,
+    questionMap: ordered.map((q, idx) => ({ questionNumber: idx + 1, sourceQuestionNumber: sourceNumbers.get(String(q._id)) })),
+  };
+}
+
+async function compareTestFamily(test) {
+  const rootId = String(test.sourceTestId || test._id);
+  const family = await Test.find({ $or: [{ _id: rootId }, { sourceTestId: rootId }] }).lean();
+  const isSource = t => String(t._id) === rootId;
+  family.sort((a, b) => isSource(b) - isSource(a) || a.date.localeCompare(b.date) || String(a._id).localeCompare(String(b._id)));
+
+  const questionRows = new Map();
+  const tests = await Promise.all(family.map(async (t) => {
+    const [questions, results] = await Promise.all([
+      getQuestionModel(t).find({ testId: t._id }).sort(QUESTION_SORT).lean(),
+      loadTestResults(t),
+    ]);
+    const { counted, unranked } = applyLatePolicy(t, results);
+    const scored = [...counted, ...unranked];
+    return { t, questions, scored, stats: analyzeQuestions(questions, scored) };
+  }));
+
+  tests.forEach(({ t, questions, stats }) => {
+    questions.forEach((q, i) => {
+      const key = String(q.sourceQuestionId || q._id);
+      if (!questionRows.has(key)) {
+        questionRows.set(key, { sourceQuestionId: key, question: q.english?.question || "", byTest: {} });
+      }
+      questionRows.get(key).byTest[String(t._id)] = {
+        questionNumber: i + 1,
+        attempted: stats[i].attempted,
+        percentCorrect: stats[i].percentCorrect,
+      };
+    });
+  });
+
+  const questionsCompared = [...questionRows.values()].map((row) => {
+    const percents = Object.values(row.byTest).map(s => s.percentCorrect).filter(p => p !== null);
+    return { ...row, spread: percents.length > 1 ? round(Math.max(...percents) - Math.min(...percents)) : null };
+  });
+
+  return {
+    sourceTestId: rootId,
+    tests: tests.map(({ t, scored }) => ({
+      testId: String(t._id),
+      title: t.title,
+      date: t.date,
+      testType: t.testType,
+      status: t.status,
+      kind: isSource(t) ? "source" : t.variant ? "variant" : "clone",
+      variant: t.variant || null,
+      summary: describeScores(scored),
+    })),
+    questions: questionsCompared,
+  };
+}
+
+function remapAnswers(answers, questionIdMap) {
+  if (!Array.isArray(answers)) return answers;
+  return answers.map((entry) => {
+    if (!entry || typeof entry !== "object") return entry;
+    const copy = { ...entry };
+    ["questionId", "question_id", "qid"].forEach((key) => {
+      if (copy[key] && questionIdMap.has(String(copy[key]))) copy[key] = questionIdMap.get(String(copy[key]));
+    });
+    return copy;
+  });
+}
+
+function readAnswer(entry, position) {
+  if (entry === null || entry === undefined || typeof entry !== "object") {
+    return { position, questionId: null, selected: entry ?? null };
+  }
+  const selected = entry.selectedOption ?? entry.selected ?? entry.selectedAnswer ?? entry.answer ?? null;
+  const questionId = entry.questionId ?? entry.question_id ?? entry.qid ?? null;
+  const index = Number.isInteger(entry.questionIndex) ? entry.questionIndex
+    : Number.isInteger(entry.index) ? entry.index
+    : position;
+  return { position: index, questionId: questionId ? String(questionId) : null, selected };
+}
+
+function isAttempted(selected) {
+  return selected !== null && selected !== undefined && selected !== "" && Number(selected) !== -1;
+}
+
+function answersByQuestion(answers, questions) {
+  const indexById = new Map(questions.map((q, i) => [q._id.toString(), i]));
+  const selections = new Array(questions.length).fill(null);
+  (Array.isArray(answers) ? answers : []).forEach((entry, position) => {
+    const { position: index, questionId, selected } = readAnswer(entry, position);
+    const target = questionId && indexById.has(questionId) ? indexById.get(questionId) : index;
+    if (target >= 0 && target < questions.length && isAttempted(selected)) {
+      selections[target] = selected;
+    }
+  });
+  return selections;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function rankResults(rows) {
+  const sorted = [...rows].sort((a, b) =>
+    (b.score ?? 0) - (a.score ?? 0) ||
+    (a.timeTakenSeconds ?? Infinity) - (b.timeTakenSeconds ?? Infinity));
+  const total = sorted.length;
+  const atOrAbove = new Map();
+  sorted.forEach((row, i) => atOrAbove.set(row.score ?? 0, i + 1));
+  let rank = 0;
+  return sorted.map((row, i) => {
+    const prev = sorted[i - 1];
+    if (!prev || prev.score !== row.score || prev.timeTakenSeconds !== row.timeTakenSeconds) rank = i + 1;
+    const below = total - atOrAbove.get(row.score ?? 0);
+    return { ...row, rank, percentile: total > 1 ? round((below / (total - 1)) * 100) : 100 };
+  });
+}
+
+function applyLatePolicy(test, rows) {
+  const cutoff = lateCutoff(test);
+  const policy = test.latePolicy || null;
+  const counted = [];
+  const unranked = [];
+  const rejected = [];
+  const excluded = [];
+  for (const row of rows) {
+    const isLate = cutoff && row.submittedAt ? new Date(row.submittedAt) > cutoff : row.isLate === true;
+    if (row.integrity?.excluded === true) excluded.push({ ...row, isLate });
+    else if (!isLate || !policy) counted.push({ ...row, isLate });
+    else if (policy === "reject") rejected.push({ ...row, isLate });
+    else if (policy === "unranked") unranked.push({ ...row, isLate });
+    else {
+      const score = row.score > 0 ? round(row.score * (1 - test.latePenaltyPercent / 100)) : row.score;
+      counted.push({ ...row, isLate, rawScore: row.score, score });
+    }
+  }
+  return {
+    counted,
+    unranked,
+    rejected,
+    excluded,
+    late: {
+      policy,
+      graceMinutes: test.graceMinutes || 0,
+      lateAfterIST: toIST(cutoff),
+      penalized: policy === "penalty" ? counted.filter(r => r.isLate).length : 0,
+      unranked: unranked.length,
+      rejected: rejected.length,
+    },
+  };
+}
+
+function describeScores(rows) {
+  const scores = rows.map(r => r.score ?? 0).sort((a, b) => a - b);
+  const times = rows.map(r => r.timeTakenSeconds).filter(t => typeof t === "number" && t >= 0);
+  if (!scores.length) {
+    return { attempts: 0, average: null, median: null, highest: null, lowest: null, averageTimeSeconds: null };
+  }
+  const mid = Math.floor(scores.length / 2);
+  return {
+    attempts: scores.length,
+    average: round(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+    median: scores.length % 2 ? scores[mid] : round((scores[mid - 1] + scores[mid]) / 2),
+    highest: scores[scores.length - 1],
+    lowest: scores[0],
+    averageTimeSeconds: times.length ? round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+  };
+}
+
+function buildHistogram(scores, width) {
+  if (!scores.length) return [];
+  const start = Math.floor(Math.min(...scores) / width) * width;
+  const end = Math.floor(Math.max(...scores) / width) * width;
+  const bins = [];
+  for (let from = start; from <= end; from += width) {
+    bins.push({ from: round(from), to: round(from + width), count: 0 });
+  }
+  scores.forEach((s) => {
+    bins[Math.min(Math.floor((s - start) / width), bins.length - 1)].count++;
+  });
+  return bins;
+}
+
+function analyzeQuestions(questions, results) {
+  const ranked = [...results].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  const groupSize = Math.floor(ranked.length * 0.27);
+  const upper = new Set(ranked.slice(0, groupSize));
+  const lower = new Set(ranked.slice(ranked.length - groupSize));
+
+  const stats = questions.map(() => ({ attempted: 0, correct: 0, choices: {}, upperCorrect: 0, lowerCorrect: 0 }));
+
+  results.forEach((r) => {
+    answersByQuestion(r.answers, questions).forEach((selected, i) => {
+      if (selected === null) return;
+      const s = stats[i];
+      const isCorrect = isAcceptedAnswer(questions[i], selected);
+      s.attempted++;
+      s.choices[selected] = (s.choices[selected] || 0) + 1;
+      if (isCorrect) {
+        s.correct++;
+        if (upper.has(r)) s.upperCorrect++;
+        if (lower.has(r)) s.lowerCorrect++;
+      }
+    });
+  });
+
+  const total = results.length;
+  return questions.map((q, i) => {
+    const s = stats[i];
+    const [mostChosen, mostChosenCount] = Object.entries(s.choices).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    return {
+      questionNumber: i + 1,
+      questionId: q._id.toString(),
+      question: q.english?.question || "",
+      correct_answer: q.correct_answer,
+      attempted: s.attempted,
+      correct: s.correct,
+      percentAttempted: total ? round((s.attempted / total) * 100) : null,
+      percentCorrect: total ? round((s.correct / total) * 100) : null,
+      percentCorrectOfAttempted: s.attempted ? round((s.correct / s.attempted) * 100) : null,
+      mostChosenOption: mostChosen === null ? null : (isNaN(Number(mostChosen)) ? mostChosen : Number(mostChosen)),
+      mostChosenCount,
+      optionCounts: s.choices,
+      discriminationIndex: groupSize ? round((s.upperCorrect - s.lowerCorrect) / groupSize, 3) : null,
+    };
+  });
+}
+
+function isAcceptedAnswer(question, selected) {
+  const accepted = [question.correct_answer, ...(question.acceptedAnswers || [])].map(Number);
+  return accepted.includes(Number(selected));
+}
+
+function gradeAnswers(questions, answers, format = null) {
+  const grade = { score: 0, correct: 0, incorrect: 0, unattempted: 0, attempted: 0 };
+  answersByQuestion(answers, questions).forEach((selected, i) => {
+    const q = questions[i];
+    const { marks, negativeMarks } = questionScoring(q, format, i);
+    if (q.dropPolicy === "void") return;
+    if (q.dropPolicy === "award-all") {
+      grade.correct++;
+      grade.attempted++;
+      grade.score += marks;
+      return;
+    }
+    if (selected === null) {
+      grade.unattempted++;
+      return;
+    }
+    grade.attempted++;
+    if (isAcceptedAnswer(q, selected)) {
+      grade.correct++;
+      grade.score += marks;
+    } else {
+      grade.incorrect++;
+      grade.score -= negativeMarks;
+    }
+  });
+  grade.score = round(grade.score);
+  return grade;
+}
+
+const GRADE_FIELDS = ["score", "correct", "incorrect", "unattempted", "attempted"];
+
+function applyKeyChanges(questions, changes) {
+  const byId = new Map(questions.map(q => [q._id.toString(), q]));
+  const errors = [];
+  const keyChanges = [];
+
+  changes.forEach((change, idx) => {
+    const label = `Change ${idx + 1}`;
+    const q = byId.get(String(change.questionId));
+    if (!q) {
+      errors.push(`${label}: question ${change.questionId} is not part of this test`);
+      return;
+    }
+
+    const before = { correct_answer: q.correct_answer, acceptedAnswers: q.acceptedAnswers || [], dropPolicy: q.dropPolicy || null };
+    const after = { ...before };
+
+    if (change.correct_answer !== undefined) {
+      if (isNaN(Number(change.correct_answer))) errors.push(`${label}: correct_answer must be a number`);
+      after.correct_answer = Number(change.correct_answer);
+    }
+    if (change.acceptedAnswers !== undefined) {
+      if (!Array.isArray(change.acceptedAnswers) || change.acceptedAnswers.some(a => isNaN(Number(a)))) {
+        errors.push(`${label}: acceptedAnswers must be an array of numbers`);
+      } else {
+        after.acceptedAnswers = [...new Set(change.acceptedAnswers.map(Number))].filter(a => a !== after.correct_answer);
+      }
+    }
+    if (change.drop !== undefined) {
+      const policy = change.drop ? (change.dropPolicy || "void") : null;
+      if (policy !== null && !["void", "award-all"].includes(policy)) errors.push(`${label}: dropPolicy must be 'void' or 'award-all'`);
+      after.dropPolicy = policy;
+    }
+
+    const options = Object.keys(q.english?.options || {});
+    [after.correct_answer, ...after.acceptedAnswers].forEach((a) => {
+      if (options.length && options.every(k => /^\d+$/.test(k)) && !options.includes(String(a))) {
+        errors.push(`${label}: answer ${a} is not one of the question's option keys (${options.join(", ")})`);
+      }
+    });
+
+    Object.assign(q, after);
+    keyChanges.push({ questionId: q._id.toString(), questionNumber: q.order || null, before, after });
+  });
+
+  return { errors, keyChanges };
+}
+
+function rankMap(test, rows) {
+  return new Map(rankResults(applyLatePolicy(test, rows).counted).map(r => [r._id.toString(), r.rank]));
+}
+
+async function gradedTestIds(testIds) {
+  if (!testIds.length) return [];
+  await connectUserDB();
+  const ids = await Result.distinct("testId", { testId: { $in: testIds } });
+  return ids.map(String);
+}
+
+async function loadTestResults(test) {
+  const results = await Result.find({ testId: test._id }).lean();
+  if (results.length || test.testType !== "free") return results;
+  const freeResults = await FreeResult.find({ testId: test._id }).lean();
+  return freeResults.map(r => ({ ...r, userId: null, answers: [], timeTakenSeconds: null }));
+}
+
+const INTEGRITY_MIN_SECONDS_PER_QUESTION = Number(process.env.INTEGRITY_MIN_SECONDS_PER_QUESTION) || 6;
+const INTEGRITY_MIN_AGREEMENT = 0.9;
+const INTEGRITY_MIN_SHARED_WRONG = 4;
+const INTEGRITY_TIMING_TOLERANCE_SECONDS = 120;
+
+function elapsedSeconds(row) {
+  if (!row.startedAt || !row.submittedAt) return null;
+  return Math.round((new Date(row.submittedAt) - new Date(row.startedAt)) / 1000);
+}
+
+function resultTimeSeconds(row) {
+  return typeof row.timeTakenSeconds === "number" ? row.timeTakenSeconds : elapsedSeconds(row);
+}
+
+function timingFlags(test, row, attempted, { minSecondsPerQuestion }) {
+  const flags = [];
+  const seconds = resultTimeSeconds(row);
+  if (seconds !== null && attempted >= 5 && seconds / attempted < minSecondsPerQuestion) {
+    flags.push({
+      type: "too-fast",
+      message: `${attempted} questions answered in ${seconds}s (${round(seconds / attempted, 1)}s per question)`,
+      secondsPerQuestion: round(seconds / attempted, 1),
+    });
+  }
+
+  const elapsed = elapsedSeconds(row);
+  if (elapsed !== null && typeof row.timeTakenSeconds === "number" &&
+      Math.abs(elapsed - row.timeTakenSeconds) > INTEGRITY_TIMING_TOLERANCE_SECONDS) {
+    flags.push({
+      type: "inconsistent-timing",
+      message: `Reported ${row.timeTakenSeconds}s but ${elapsed}s passed between start and submission`,
+    });
+  }
+
+  const opens = test.startTime ? new Date(test.startTime) : null;
+  const closes = lateCutoff(test);
+  const started = row.startedAt ? new Date(row.startedAt) : null;
+  const submitted = row.submittedAt ? new Date(row.submittedAt) : null;
+  if (opens && started && started < opens) {
+    flags.push({ type: "outside-window", message: `Started at ${toIST(started)}, before the window opened at ${toIST(opens)}` });
+  }
+  if (opens && submitted && submitted < opens) {
+    flags.push({ type: "outside-window", message: `Submitted at ${toIST(submitted)}, before the window opened at ${toIST(opens)}` });
+  }
+  if (closes && started && started > closes) {
+    flags.push({ type: "outside-window", message: `Started at ${toIST(started)}, after the window closed at ${toIST(closes)}` });
+  } else if (closes && submitted && submitted > closes) {
+    flags.push({ type: "outside-window", message: `Submitted at ${toIST(submitted)}, after the window closed at ${toIST(closes)}` });
+  }
+  return flags;
+}
+
+function findAnswerMatches(questions, selections, { minAgreement, minSharedWrong }) {
+  const buckets = new Map();
+  selections.forEach((picks, i) => picks.forEach((choice, q) => {
+    if (choice === null || questions[q].dropPolicy || isAcceptedAnswer(questions[q], choice)) return;
+    const key = `${q}:${choice}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  }));
+
+  const rareLimit = Math.max(20, Math.ceil(selections.length * 0.05));
+  const sharedWrong = new Map();
+  for (const members of buckets.values()) {
+    if (members.length < 2 || members.length > rareLimit) continue;
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const key = `${members[a]}:${members[b]}`;
+        sharedWrong.set(key, (sharedWrong.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const matches = [];
+  for (const [key, shared] of sharedWrong) {
+    if (shared < minSharedWrong) continue;
+    const [a, b] = key.split(":").map(Number);
+    let answered = 0;
+    let same = 0;
+    selections[a].forEach((choice, q) => {
+      const other = selections[b][q];
+      if (choice === null && other === null) return;
+      answered++;
+      if (choice !== null && other !== null && Number(choice) === Number(other)) same++;
+    });
+    const agreement = answered ? same / answered : 0;
+    if (agreement >= minAgreement) matches.push({ a, b, agreement: round(agreement, 3), sharedRareWrong: shared });
+  }
+  return matches;
+}
+
+function groupAnswerMatches(matches) {
+  const parent = new Map();
+  const find = (i) => {
+    if (!parent.has(i)) parent.set(i, i);
+    if (parent.get(i) !== i) parent.set(i, find(parent.get(i)));
+    return parent.get(i);
+  };
+  matches.forEach(({ a, b }) => parent.set(find(a), find(b)));
+
+  const groups = new Map();
+  matches.forEach((m) => {
+    const root = find(m.a);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), matches: [] });
+    groups.get(root).members.add(m.a).add(m.b);
+    groups.get(root).matches.push(m);
+  });
+  return [...groups.values()];
+}
+
+function buildIntegrityReport(test, questions, rows, options) {
+  const selections = rows.map(r => answersByQuestion(r.answers, questions));
+  const flagsByRow = rows.map((row, i) => timingFlags(test, row, row.attempted ?? selections[i].filter(s => s !== null).length, options));
+
+  const clusters = groupAnswerMatches(findAnswerMatches(questions, selections, options)).map((group) => {
+    const members = [...group.members];
+    members.forEach((i) => {
+      const partners = group.matches
+        .filter(m => m.a === i || m.b === i)
+        .map(m => ({ index: m.a === i ? m.b : m.a, agreement: m.agreement, sharedRareWrong: m.sharedRareWrong }));
+      flagsByRow[i].push({
+        type: "identical-answers",
+        message: `Answers match ${partners.map(p => `${rows[p.index].userId ?? rows[p.index]._id} (${Math.round(p.agreement * 100)}%, ${p.sharedRareWrong} shared uncommon wrong answers)`).join(", ")}`,
+        matchedResultIds: partners.map(p => rows[p.index]._id.toString()),
+      });
+    });
+    return {
+      resultIds: members.map(i => rows[i]._id.toString()),
+      userIds: members.map(i => rows[i].userId ?? null),
+      minAgreement: Math.min(...group.matches.map(m => m.agreement)),
+      maxSharedRareWrong: Math.max(...group.matches.map(m => m.sharedRareWrong)),
+    };
+  });
+
+  const flagged = rows
+    .map((row, i) => ({ row, flags: flagsByRow[i] }))
+    .filter(({ flags }) => flags.length)
+    .map(({ row, flags }) => ({
+      resultId: row._id.toString(),
+      userId: row.userId ?? null,
+      score: row.score,
+      timeTakenSeconds: resultTimeSeconds(row),
+      startedAt: row.startedAt ?? null,
+      submittedAt: row.submittedAt ?? null,
+      excluded: row.integrity?.excluded === true,
+      flags,
+    }));
+
+  const countType = type => flagged.filter(f => f.flags.some(flag => flag.type === type)).length;
+  return {
+    summary: {
+      participants: rows.length,
+      flaggedResults: flagged.length,
+      tooFast: countType("too-fast"),
+      identicalAnswers: countType("identical-answers"),
+      outsideWindow: countType("outside-window"),
+      inconsistentTiming: countType("inconsistent-timing"),
+      excluded: rows.filter(r => r.integrity?.excluded === true).length,
+    },
+    clusters,
+    flagged,
+  };
+}
+
+function linearTrend(values) {
+  if (values.length < 2) return null;
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((v, x) => {
+    num += (x - meanX) * (v - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return num / den;
+}
+
+function summarizeAttempts(rows) {
+  const percents = rows.map(r => r.percent).filter(p => p !== null);
+  const percentiles = rows.map(r => r.percentile).filter(p => p !== null);
+  const slope = linearTrend(percents);
+  const average = list => (list.length ? round(list.reduce((sum, v) => sum + v, 0) / list.length) : null);
+  return {
+    attempts: rows.length,
+    averageScore: average(rows.map(r => r.score ?? 0)),
+    averagePercent: average(percents),
+    averagePercentile: average(percentiles),
+    averageAccuracy: average(rows.map(r => r.accuracy).filter(a => a !== null)),
+    bestPercent: percents.length ? Math.max(...percents) : null,
+    latestPercent: percents.length ? percents[percents.length - 1] : null,
+    trend: slope === null ? null : {
+      percentPerAttempt: round(slope),
+      direction: Math.abs(slope) < 0.5 ? "steady" : slope > 0 ? "improving" : "declining",
+    },
+  };
+}
+
+async function testRankings(tests) {
+  const rows = await Result.find(
+    { testId: { $in: tests.map(t => t._id) } },
+    { testId: 1, score: 1, submittedAt: 1, isLate: 1, integrity: 1, timeTakenSeconds: 1 },
+  ).lean();
+  const rowsByTest = new Map(tests.map(t => [String(t._id), []]));
+  rows.forEach(r => rowsByTest.get(String(r.testId))?.push(r));
+
+  const rankings = new Map();
+  tests.forEach((test) => {
+    const { counted, unranked, rejected, excluded } = applyLatePolicy(test, rowsByTest.get(String(test._id)));
+    const participants = counted.length;
+    rankResults(counted).forEach(r => rankings.set(String(r._id), { rank: r.rank, percentile: r.percentile, score: r.score, participants }));
+    [...unranked, ...rejected, ...excluded].forEach(r => rankings.set(String(r._id), { rank: null, percentile: null, score: r.score, participants }));
+  });
+  return rankings;
+}
+
+async function studentHistory(userId) {
+  const results = await Result.find({ userId }).sort({ submittedAt: 1, _id: 1 }).lean();
+  const testIds = [...new Set(results.filter(r => r.testId).map(r => String(r.testId)))];
+  const [tests, formats] = await Promise.all([
+    Test.find({ _id: { $in: testIds } }).setOptions({ withDeleted: true }).lean(),
+    loadExamFormats(),
+  ]);
+  const testsById = new Map(tests.map(t => [String(t._id), t]));
+  const rankings = await testRankings([...new Map(results.map(r => [String(r.testId), testsById.get(String(r.testId)) || { _id: r.testId }])).values()]);
+
+  const history = results.map((r) => {
+    const test = testsById.get(String(r.testId)) || null;
+    const { rank, percentile, score, participants } = rankings.get(String(r._id));
+    const format = formats.find(f => f.key === (test?.phase ?? r.phase));
+    const maxScore = test ? round(test.totalQuestions * (format || DEFAULT_SCORING).marks) : null;
+    const attempted = r.attempted ?? ((r.correct ?? 0) + (r.incorrect ?? 0));
+    return {
+      resultId: r._id.toString(),
+      testId: String(r.testId),
+      title: test?.title ?? null,
+      date: test?.date ?? null,
+      phase: test?.phase ?? r.phase ?? null,
+      testType: test?.testType ?? null,
+      testDeleted: test ? Boolean(test.deletedAt) : true,
+      score: score ?? null,
+      rawScore: r.score ?? null,
+      maxScore,
+      percent: maxScore ? round(((score ?? 0) / maxScore) * 100) : null,
+      correct: r.correct ?? null,
+      incorrect: r.incorrect ?? null,
+      unattempted: r.unattempted ?? null,
+      accuracy: attempted ? round(((r.correct ?? 0) / attempted) * 100) : null,
+      timeTakenSeconds: resultTimeSeconds(r),
+      submittedAt: r.submittedAt ?? null,
+      isLate: r.isLate ?? false,
+      rank,
+      percentile,
+      participants,
+      excluded: r.integrity?.excluded === true,
+    };
+  });
+
+  const byPhase = new Map();
+  history.forEach((h) => {
+    const key = h.phase || "unknown";
+    if (!byPhase.has(key)) byPhase.set(key, []);
+    byPhase.get(key).push(h);
+  });
+
+  return {
+    userId,
+    summary: {
+      ...summarizeAttempts(history),
+      firstSubmittedAt: history[0]?.submittedAt ?? null,
+      lastSubmittedAt: history[history.length - 1]?.submittedAt ?? null,
+      excluded: history.filter(h => h.excluded).length,
+    },
+    phases: [...byPhase].map(([phase, rows]) => ({ phase, ...summarizeAttempts(rows) })),
+    history,
+  };
+}
+
+const API_EXPLORER_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Admin API explorer</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1f2933; }
+  header { padding: 12px 20px; background: #1f2933; color: #fff; display: flex; gap: 8px; align-items: center; }
+  header input { flex: 1; padding: 6px; }
+  main { padding: 12px 20px; }
+  h2 { margin: 20px 0 6px; font-size: 16px; text-transform: capitalize; }
+  details { border: 1px solid #cbd2d9; border-radius: 4px; margin: 4px 0; }
+  summary { padding: 6px 10px; cursor: pointer; }
+  .method { display: inline-block; width: 60px; font-weight: bold; text-transform: uppercase; }
+  .op { padding: 8px 12px; border-top: 1px solid #e4e7eb; }
+  .op label { display: block; margin: 4px 0; }
+  .op input { width: 320px; }
+  textarea { width: 100%; min-height: 140px; font-family: monospace; }
+  pre { background: #f5f7fa; padding: 8px; overflow: auto; max-height: 400px; }
+  .meta { color: #616e7c; font-size: 12px; }
+</style>
+</head>
+<body>
+<header>
+  <strong>Admin API</strong>
+  <input id="token" type="password" placeholder="Paste an access token (Bearer)">
+  <button id="load">Load</button>
+</header>
+<main id="ops"><p>Paste an access token and press Load to fetch the OpenAPI document.</p></main>
+<script src="/admin/api-docs/explorer.js"></script>
+</body>
+</html>
+`;
+
+const API_EXPLORER_SCRIPT = `(() => {
+  const tokenInput = document.getElementById("token");
+  const container = document.getElementById("ops");
+  tokenInput.value = sessionStorage.getItem("adminToken") || "";
+
+  const el = (tag, props = {}, children = []) => {
+    const node = Object.assign(document.createElement(tag), props);
+    children.forEach(c => node.append(c));
+    return node;
+  };
+
+  const resolve = (spec, schema) => {
+    if (schema && schema.$ref) return resolve(spec, spec.components.schemas[schema.$ref.split("/").pop()]);
+    return schema || {};
+  };
+
+  const example = (spec, schema, depth = 0) => {
+    schema = resolve(spec, schema);
+    if (depth > 4) return null;
+    if (schema.example !== undefined) return schema.example;
+    if (schema.enum) return schema.enum[0];
+    if (schema.anyOf) return example(spec, schema.anyOf[0], depth + 1);
+    const type = [].concat(schema.type || "object")[0];
+    if (type === "object") {
+      const out = {};
+      (schema.required || Object.keys(schema.properties || {})).forEach(key => {
+        out[key] = example(spec, (schema.properties || {})[key], depth + 1);
+      });
+      return out;
+    }
+    if (type === "array") return [example(spec, schema.items, depth + 1)];
+    if (type === "integer" || type === "number") return 0;
+    if (type === "boolean") return false;
+    return "";
+  };
+
+  const renderOperation = (spec, path, method, op) => {
+    const inputs = {};
+    const body = op.requestBody && op.requestBody.content["application/json"]
+      ? el("textarea", { value: JSON.stringify(example(spec, op.requestBody.content["application/json"].schema), null, 2) })
+      : null;
+    const output = el("pre");
+    const send = el("button", { textContent: "Send" });
+
+    send.addEventListener("click", async () => {
+      let url = path;
+      const query = new URLSearchParams();
+      op.parameters.forEach(p => {
+        const value = inputs[p.in + ":" + p.name].value;
+        if (p.in === "path") url = url.replace("{" + p.name + "}", encodeURIComponent(value));
+        else if (value !== "") query.set(p.name, value);
+      });
+      const qs = query.toString();
+      output.textContent = "…";
+      try {
+        const res = await fetch(url + (qs ? "?" + qs : ""), {
+          method: method.toUpperCase(),
+          headers: { "Content-Type": "application/json", Authorization: "Bearer " + tokenInput.value },
+          body: body ? body.value : undefined,
+        });
+        const text = await res.text();
+        const isJson = (res.headers.get("content-type") || "").includes("application/json");
+        const pretty = isJson ? JSON.stringify(JSON.parse(text), null, 2) : text;
+        output.textContent = res.status + " " + res.statusText + "\\n" + (res.headers.get("x-request-id") || "") + "\\n\\n" + pretty;
+      } catch (err) {
+        output.textContent = String(err);
+      }
+    });
+
+    const fields = op.parameters.map(p => {
+      const input = el("input", { placeholder: [].concat(resolve(spec, p.schema).type || "string").join(" | ") });
+      inputs[p.in + ":" + p.name] = input;
+      return el("label", {}, [p.name + " (" + p.in + (p.required ? ", required" : "") + ") ", input]);
+    });
+    const meta = [op["x-permission"] && "permission: " + op["x-permission"], op["x-audit-action"] && "audited as " + op["x-audit-action"]]
+      .filter(Boolean).join(" · ");
+
+    return el("details", {}, [
+      el("summary", {}, [el("span", { className: "method", textContent: method }), path + " — " + op.summary]),
+      el("div", { className: "op" }, [
+        el("div", { className: "meta", textContent: meta }),
+        ...fields,
+        ...(body ? [body] : []),
+        send,
+        output,
+      ]),
+    ]);
+  };
+
+  const load = async () => {
+    sessionStorage.setItem("adminToken", tokenInput.value);
+    const res = await fetch("/admin/api-docs/openapi.json", { headers: { Authorization: "Bearer " + tokenInput.value } });
+    if (!res.ok) {
+      container.textContent = "Could not load the OpenAPI document (" + res.status + ")";
+      return;
+    }
+    const spec = await res.json();
+    container.replaceChildren();
+    spec.tags.forEach(({ name }) => {
+      const section = [el("h2", { textContent: name })];
+      Object.entries(spec.paths).forEach(([path, ops]) => Object.entries(ops).forEach(([method, op]) => {
+        if (op.tags.includes(name)) section.push(renderOperation(spec, path, method, op));
+      }));
+      container.append(...section);
+    });
+  };
+
+  document.getElementById("load").addEventListener("click", load);
+  if (tokenInput.value) load();
+})();
+`;
+
+const OBJECT_ID_PARAMS = name => S.object({ [name]: S.objectId() }, [name]);
+const YEAR = S.numeric({ description: "Exam year, e.g. 2024" });
+const PAGE_LIMIT = S.integer({ description: "Page size (clamped to the route's maximum)" });
+
+const LIFECYCLE_FIELDS = {
+  status: S.enum(TEST_STATUSES),
+  publishAt: S.nullable(S.dateTime()),
+  archiveAt: S.nullable(S.dateTime()),
+};
+
+const WINDOW_FIELDS = {
+  startTime: S.nullable(S.string({ description: "HH:mm IST on the test date, or an ISO date-time" })),
+  endTime: S.nullable(S.string({ description: "HH:mm IST on the test date, or an ISO date-time" })),
+  durationMinutes: S.nullable(S.number({ exclusiveMinimum: 0 })),
+  latePolicy: S.enum([...LATE_POLICIES, null]),
+  latePenaltyPercent: S.number({ exclusiveMinimum: 0, maximum: 100 }),
+  graceMinutes: S.number({ minimum: 0, maximum: 24 * 60 }),
+};
+
+const ON_DUPLICATE = S.enum(DUPLICATE_POLICIES, { description: "What to do when near-duplicates are found (default warn)" });
+const STRICT = S.boolean({ description: "Reject bilingual errors and warnings (see GET /admin/tests/{testId}/quality); defaults to STRICT_BILINGUAL_VALIDATION" });
+
+const CSV_IMPORT_OPTIONS = {
+  testId: S.objectId({ description: "Replace this test's questions; without it the import is a dry run" }),
+  dryRun: S.boolean(),
+  preview: S.integer(),
+  onDuplicate: ON_DUPLICATE,
+  strict: STRICT,
+  format: S.string(),
+  examType: S.string(),
+  year: YEAR,
+};
+
+const BUNDLE_OVERRIDES = {
+  title: S.text({ maxLength: 200 }),
+  date: S.date(),
+  includeResults: S.boolean(),
+  force: S.boolean({ description: "Import even when the checksum does not match" }),
+  ...LIFECYCLE_FIELDS,
+  ...WINDOW_FIELDS,
+};
+
+const TestBundle = S.named("TestBundle", S.object({
+  format: S.string({ const: BUNDLE_FORMAT }),
+  version: S.integer(),
+  exportedAt: S.string(),
+  source: S.object({ testId: S.string(), collectionName: S.nullable(S.string()) }),
+  checksum: S.string(),
+  test: S.object({ title: S.string(), date: S.string(), testType: S.enum(["paid", "free"]), phase: S.nullable(S.string()) }, ["title", "date", "testType"]),
+  questions: S.array(S.object({}), { description: "Stored questions; each is checked like a QuestionInput" }),
+  results: S.nullable(S.array(S.object({}))),
+  freeResults: S.nullable(S.array(S.object({}))),
+}, ["format", "version", "test", "questions"]));
+
+const BANK_FIELDS = {
+  subject: S.nullable(S.string()),
+  topic: S.nullable(S.string()),
+  difficulty: S.enum([...DIFFICULTIES, null]),
+  tags: S.anyOf([S.array(S.string()), S.string({ description: "Comma-separated" })]),
+  examType: S.nullable(S.string()),
+  year: S.nullable(YEAR),
+  paper: S.enum(["GS", "CSAT"]),
+};
+
+const BANK_QUERY = S.object({
+  subject: S.string(),
+  topic: S.string(),
+  difficulty: S.enum(DIFFICULTIES),
+  paper: S.enum(["GS", "CSAT"]),
+  examType: S.string(),
+  year: YEAR,
+  tags: S.string({ description: "Comma-separated; all must match" }),
+  tag: S.string(),
+  q: S.string({ description: "Substring of the English or Hindi question" }),
+});
+
+const StoredQuestion = S.named("Question", S.object({
+  id: S.string(),
+  order: S.integer(),
+  imageUrl: S.nullable(S.string()),
+  english: S.object({ question: S.string(), options: S.object({}), english_explanation: S.string() }),
+  hindi: S.object({ question: S.string(), options: S.object({}), hindi_explanation: S.string() }),
+  correct_answer: S.any(),
+}));
+
+const TestSummary = S.named("TestSummary", S.object({
+  _id: S.string(),
+  title: S.string(),
+  date: S.string(),
+  testType: S.enum(["paid", "free"]),
+  phase: S.nullable(S.string()),
+  status: S.enum(TEST_STATUSES),
+  totalQuestions: S.integer(),
+  freePcs: S.boolean(),
+  collectionName: S.nullable(S.string()),
+  sourceTestId: S.nullable(S.string()),
+  variant: S.nullable(S.object({ seed: S.string(), shuffleQuestions: S.boolean(), shuffleOptions: S.boolean() })),
+  startTimeIST: S.nullable(S.string()),
+  endTimeIST: S.nullable(S.string()),
+  publishAtIST: S.nullable(S.string()),
+  archiveAtIST: S.nullable(S.string()),
+  phaseDisplay: S.string(),
+  availability: S.string(),
+}));
+
+const AttemptWindow = S.named("AttemptWindow", S.object({
+  startTimeIST: S.nullable(S.string()),
+  endTimeIST: S.nullable(S.string()),
+  durationMinutes: S.nullable(S.number()),
+  latePolicy: S.enum([...LATE_POLICIES, null]),
+  latePenaltyPercent: S.number(),
+  graceMinutes: S.number(),
+  lateAfterIST: S.nullable(S.string()),
+  extensions: S.integer(),
+}));
+
+const PublicAdmin = S.named("Admin", S.object({
+  id: S.string(),
+  email: S.string(),
+  name: S.string(),
+  role: S.enum(ADMIN_ROLES),
+  status: S.enum(["invited", "active", "disabled"]),
+  invitedBy: S.nullable(S.string()),
+  lastLoginAt: S.nullable(S.string()),
+  passwordChangedAt: S.nullable(S.string()),
+  lockedUntil: S.nullable(S.string()),
+  createdAt: S.nullable(S.string()),
+}));
+
+const ExamFormatSchema = S.named("ExamFormat", S.object({
+  key: S.string(),
+  name: S.string(),
+  questionCounts: S.array(S.integer()),
+  marks: S.number(),
+  negativeMarks: S.number(),
+  sections: S.array(S.object({ name: S.enum(["GS", "CSAT"]), questions: S.nullable(S.integer()) })),
+  durationMinutes: S.nullable(S.number()),
+  weekdays: S.array(S.integer({ minimum: 0, maximum: 6 })),
+  freePcs: S.boolean(),
+  active: S.boolean(),
+  builtIn: S.boolean(),
+}));
+
+const ExamFormatInput = {
+  key: S.text(),
+  name: S.text(),
+  questionCounts: S.array(S.numeric(), { description: "Allowed question counts; empty means any" }),
+  marks: S.numeric(),
+  negativeMarks: S.numeric(),
+  sections: S.array(S.object({ name: S.enum(["GS", "CSAT"]), questions: S.nullable(S.numeric()) }, ["name"]), { minItems: 1 }),
+  durationMinutes: S.nullable(S.numeric()),
+  weekdays: S.array(S.numeric(), { description: "Day numbers 0 (Sunday) to 6 (Saturday)" }),
+  freePcs: S.boolean(),
+  active: S.boolean(),
+};
+
+const ImageAssetSchema = S.named("ImageAsset", S.object({
+  id: S.string(),
+  url: S.string(),
+  contentType: S.string(),
+  size: S.integer(),
+  sha256: S.string(),
+  originalName: S.string(),
+  backend: S.enum(["gridfs", "local"]),
+  uploadedBy: S.nullable(S.string()),
+  createdAt: S.nullable(S.string()),
+}));
+
+const WEBHOOK_FIELDS = {
+  url: S.string({ pattern: "^https?://[^\\s/]+\\S*$", "x-error": "must be an absolute http(s) URL" }),
+  events: S.array(S.enum([...WEBHOOK_EVENTS, "*"]), { minItems: 1, description: "Events to deliver; * subscribes to all" }),
+  description: S.string({ maxLength: 200 }),
+  active: S.boolean(),
+};
+
+const WebhookSchema = S.named("Webhook", S.object({
+  id: S.string(),
+  url: S.string(),
+  events: S.array(S.string()),
+  description: S.string(),
+  active: S.boolean(),
+  secretHint: S.string(),
+  createdBy: S.nullable(S.string()),
+  createdAt: S.nullable(S.string()),
+  updatedAt: S.nullable(S.string()),
+  lastDeliveryAt: S.nullable(S.string()),
+  lastDeliveryStatus: S.enum([...WEBHOOK_DELIVERY_STATUSES, null]),
+}));
+
+const Tokens = {
+  token: S.string({ description: "Access token (JWT)" }),
+  expiresIn: S.integer({ description: "Access token lifetime in seconds" }),
+  refreshToken: S.string(),
+  refreshExpiresAt: S.string(),
+  role: S.enum(ADMIN_ROLES),
+};
+
+const WebhookDeliverySchema = S.named("WebhookDelivery", S.object({
+  id: S.string(),
+  webhookId: S.string(),
+  event: S.string(),
+  eventId: S.string(),
+  status: S.enum(WEBHOOK_DELIVERY_STATUSES),
+  attempts: S.integer(),
+  nextAttemptAt: S.nullable(S.string()),
+  lastStatusCode: S.nullable(S.integer()),
+  lastError: S.nullable(S.string()),
+  deliveredAt: S.nullable(S.string()),
+  replayOf: S.nullable(S.string()),
+  createdAt: S.string(),
+  payload: S.object({}, [], { description: "Only on the single-delivery endpoint" }),
+  attemptLog: S.array(S.object({ at: S.string(), statusCode: S.integer(), error: S.string(), durationMs: S.number(), responseBody: S.string() })),
+}));
+
+const BankQuestionSchema = S.named("BankQuestion", S.object({
+  _id: S.string(),
+  imageUrl: S.nullable(S.string()),
+  english: S.object({ question: S.string(), options: S.object({}), english_explanation: S.string() }),
+  hindi: S.object({ question: S.string(), options: S.object({}), hindi_explanation: S.string() }),
+  correct_answer: S.integer(),
+  subject: S.nullable(S.string()),
+  topic: S.nullable(S.string()),
+  difficulty: S.enum([...DIFFICULTIES, null]),
+  tags: S.array(S.string()),
+  examType: S.nullable(S.string()),
+  year: S.nullable(S.integer()),
+  paper: S.enum(["GS", "CSAT"]),
+  createdBy: S.nullable(S.string()),
+  createdAt: S.string(),
+  updatedAt: S.string(),
+}));
+
+const ScoreSummary = S.named("ScoreSummary", S.object({
+  attempts: S.integer(),
+  average: S.nullable(S.number()),
+  median: S.nullable(S.number()),
+  highest: S.nullable(S.number()),
+  lowest: S.nullable(S.number()),
+  averageTimeSeconds: S.nullable(S.number()),
+}));
+
+const LateSummary = S.named("LateSummary", S.object({
+  policy: S.enum([...LATE_POLICIES, null]),
+  graceMinutes: S.number(),
+  lateAfterIST: S.nullable(S.string()),
+  penalized: S.integer(),
+  unranked: S.integer(),
+  rejected: S.integer(),
+}));
+
+const ConsistencyReport = S.named("ConsistencyReport", S.object({
+  checkedAt: S.string(),
+  testsChecked: S.integer(),
+  orphanedQuestions: S.array(S.object({ collection: S.string(), testId: S.nullable(S.string()), count: S.integer(), reason: S.string() })),
+  countMismatches: S.array(S.object({ testId: S.string(), title: S.string(), collectionName: S.nullable(S.string()), totalQuestions: S.integer(), actual: S.integer() })),
+  emptyTests: S.array(S.object({ testId: S.string(), title: S.string(), collectionName: S.nullable(S.string()) })),
+  orphanedCollections: S.array(S.object({ collection: S.string(), documents: S.integer() })),
+  issues: S.integer(),
+}));
+
+const CopySummary = {
+  testId: S.string(),
+  sourceTestId: S.nullable(S.string()),
+  collectionName: S.nullable(S.string()),
+  title: S.string(),
+  date: S.string(),
+  testType: S.enum(["paid", "free"]),
+  phase: S.nullable(S.string()),
+  totalQuestions: S.integer(),
+  status: S.enum(TEST_STATUSES),
+  availability: S.string(),
+};
+
+const QuestionChanges = {
+  totalQuestions: S.integer(),
+  phase: S.string(),
+  examType: S.string(),
+  year: S.integer(),
+  changes: S.object({ updated: S.integer(), inserted: S.integer(), removed: S.integer() }),
+};
+
+const QuestionCount = { testId: S.string(), questionId: S.string(), totalQuestions: S.integer(), countWarning: S.nullable(S.string()) };
+
+const TrashCounts = S.object({}, [], { additionalProperties: S.integer(), description: "Documents per store: questions, freePcsQuestions, results, freeResults" });
+
+const Counts = S.object({}, [], { additionalProperties: S.integer() });
+
+const AttemptSummary = {
+  attempts: S.integer(),
+  averageScore: S.nullable(S.number()),
+  averagePercent: S.nullable(S.number()),
+  averagePercentile: S.nullable(S.number()),
+  averageAccuracy: S.nullable(S.number()),
+  bestPercent: S.nullable(S.number()),
+  latestPercent: S.nullable(S.number()),
+  trend: S.nullable(S.object({ percentPerAttempt: S.number(), direction: S.enum(["steady", "improving", "declining"]) })),
+};
+
+const AnswerKeyState = S.object({ correct_answer: S.integer(), acceptedAnswers: S.array(S.integer()), dropPolicy: S.enum(["void", "award-all", null]) });
+const KeyChange = S.object({ questionId: S.string(), questionNumber: S.nullable(S.integer()), before: AnswerKeyState, after: AnswerKeyState });
+
+const RegradeSummary = S.named("RegradeSummary", S.object({
+  questionsChanged: S.integer(),
+  resultsChecked: S.integer(),
+  resultsChanged: S.integer(),
+  ranksChanged: S.integer(),
+  freeResultsSkipped: S.integer(),
+  averageScoreBefore: S.nullable(S.number()),
+  averageScoreAfter: S.nullable(S.number()),
+}));
+
+const AuditEntrySchema = S.named("AuditEntry", S.object({
+  _id: S.string(),
+  at: S.string(),
+  adminId: S.nullable(S.string()),
+  adminRole: S.nullable(S.string()),
+  action: S.string(),
+  method: S.string(),
+  route: S.string(),
+  ip: S.nullable(S.string()),
+  userAgent: S.nullable(S.string()),
+  targetType: S.enum(["test", "bank", "admin", null]),
+  targetId: S.nullable(S.string()),
+  testId: S.nullable(S.string()),
+  message: S.nullable(S.string()),
+  before: S.nullable(S.object({}, [], { description: "Only with includeSnapshots or on the single-entry endpoint" })),
+  after: S.nullable(S.object({})),
+  diff: S.nullable(S.object({})),
+  metadata: S.nullable(S.object({})),
+}));
+
+const ScheduleIssue = S.object({ type: S.enum(SCHEDULE_ISSUES), format: S.string(), testIds: S.array(S.string()), message: S.string() });
+
+const ImageRef = S.object({
+  testId: S.string(),
+  testTitle: S.string(),
+  questionId: S.string(),
+  order: S.integer(),
+  collectionName: S.nullable(S.string()),
+  imageUrl: S.string(),
+});
+
+const RENUMBER_NOTE = "Refused with 409 once the test has results, because they are graded against the current question numbers.";
+
+const API = {
+  root: { tag: "service", summary: "Service banner with database status", response: ok({ currentISTTime: S.string(), db: S.object({}) }) },
+  live: { tag: "service", summary: "Liveness probe", response: ok({ status: S.string({ const: "ok" }), uptimeSeconds: S.integer() }) },
+  ready: {
+    tag: "service",
+    summary: "Readiness probe — pings all three databases (503 when any is down)",
+    response: ok({ status: S.string(), checks: S.object({}, [], { additionalProperties: S.object({ status: S.enum(["up", "down"]), latencyMs: S.integer(), error: S.string() }) }) }),
+  },
+  metrics: { tag: "service", summary: "Prometheus metrics", responseType: "text/plain", response: S.string() },
+
+  login: {
+    tag: "auth",
+    summary: "Log in with email and password",
+    body: S.object({ email: S.text(), password: S.text() }, ["email", "password"]),
+    response: ok(Tokens, ["token", "refreshToken"]),
+  },
+  refresh: {
+    tag: "auth",
+    summary: "Rotate a refresh token for a new access token",
+    body: S.object({ refreshToken: S.string({ pattern: "^[a-fA-F0-9]{24}\\..+$", "x-error": "is not a refresh token" }) }, ["refreshToken"]),
+    response: ok(Tokens, ["token", "refreshToken"]),
+  },
+  logout: { tag: "auth", summary: "Revoke the current session", response: ok() },
+  logoutAll: { tag: "auth", summary: "Revoke all of your sessions", body: S.object({ keepCurrent: S.boolean() }), response: ok({ revoked: S.integer() }) },
+  sessions: {
+    tag: "auth",
+    summary: "List your active sessions",
+    response: ok({ count: S.integer(), sessions: S.array(S.object({ id: S.string(), current: S.boolean(), ip: S.nullable(S.string()), userAgent: S.nullable(S.string()), lastUsedAt: S.nullable(S.string()), expiresAt: S.string() })) }),
+  },
+  revokeSession: { tag: "auth", summary: "Revoke one of your sessions", params: OBJECT_ID_PARAMS("sessionId"), response: ok() },
+  changePassword: {
+    tag: "auth",
+    summary: "Change your password and sign out other sessions",
+    body: S.object({ currentPassword: S.text(), newPassword: S.string({ minLength: 8 }) }, ["currentPassword", "newPassword"]),
+    response: ok({ admin: PublicAdmin, revokedSessions: S.integer() }),
+  },
+
+  createTest: {
+    tag: "tests",
+    summary: "Create a paid or free test with its questions",
+    body: S.object({
+      title: S.text({ maxLength: 200 }),
+      date: S.date(),
+      testType: S.enum(["paid", "free"]),
+      format: S.string({ description: "Exam format key; inferred from the question count when omitted" }),
+      questions: S.array(QuestionInput, { minItems: 1 }),
+      onDuplicate: ON_DUPLICATE,
+      strict: STRICT,
+      ...LIFECYCLE_FIELDS,
+      ...WINDOW_FIELDS,
+    }, ["title", "date", "testType", "questions"]),
+    response: ok({ testId: S.string(), date: S.string(), totalQuestions: S.integer(), testType: S.string(), phase: S.string(), status: S.string(), ...AttemptWindow.properties, duplicates: S.any(), imageWarnings: S.any(), scheduleWarnings: S.array(S.string()) }, ["testId"]),
+  },
+  createFreePcsTest: {
+    tag: "tests",
+    summary: "Create a Free PCS test with its questions",
+    body: S.object({
+      title: S.text({ maxLength: 200 }),
+      date: S.date(),
+      examType: S.text(),
+      year: YEAR,
+      format: S.string(),
+      questions: S.array(QuestionInput, { minItems: 1 }),
+      onDuplicate: ON_DUPLICATE,
+      strict: STRICT,
+      ...LIFECYCLE_FIELDS,
+    }, ["title", "date", "examType", "year", "questions"]),
+    response: ok({ testId: S.string(), collectionName: S.nullable(S.string()), totalQuestions: S.integer(), duplicates: S.any(), imageWarnings: S.any() }, ["testId"]),
+  },
+  listTests: {
+    tag: "tests",
+    summary: "List tests, newest first, with cursor pagination and filters",
+    description: "Without limit or cursor every matching test is returned in one page.",
+    query: S.object({
+      limit: PAGE_LIMIT,
+      cursor: S.string({ description: "nextCursor from the previous page" }),
+      testType: S.enum(["paid", "free"]),
+      phase: S.string({ description: "Comma-separated format keys" }),
+      status: S.string({ description: "Comma-separated statuses" }),
+      from: S.date(),
+      to: S.date(),
+      title: S.string({ description: "Case-insensitive substring" }),
+      examType: S.string(),
+      year: S.integer(),
+      sourceTestId: S.objectId({ description: "Only clones and variants of this test" }),
+    }),
+    response: ok({ tests: S.array(TestSummary), count: S.integer(), total: S.integer(), hasMore: S.boolean(), nextCursor: S.nullable(S.string()) }, ["tests"]),
+  },
+  searchQuestions: {
+    tag: "tests",
+    summary: "Full-text search over English and Hindi question text and explanations",
+    query: S.object({ q: S.string({ minLength: 2 }), testId: S.objectId(), limit: PAGE_LIMIT }, ["q"]),
+    response: ok({
+      q: S.string(),
+      count: S.integer(),
+      results: S.array(S.object({ score: S.number(), position: S.integer(), test: S.object({ _id: S.string(), title: S.string(), date: S.string(), phase: S.nullable(S.string()) }), question: S.object({}) })),
+    }),
+  },
+  freePcsQuestions: {
+    tag: "tests",
+    summary: "Questions of a Free PCS test",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({ count: S.integer(), questions: S.array(S.object({}, [], { description: "Stored Free PCS questions" })), collectionName: S.nullable(S.string()) }),
+  },
+  testQuestions: {
+    tag: "tests",
+    summary: "Questions of a test in paper order",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({ testId: S.string(), title: S.string(), testType: S.string(), phase: S.nullable(S.string()), isFreePcs: S.boolean(), totalQuestions: S.integer(), questions: S.array(StoredQuestion) }),
+  },
+  qualityReport: {
+    tag: "tests",
+    summary: "English/Hindi parity problems per question, with severities",
+    params: OBJECT_ID_PARAMS("testId"),
+    query: S.object({ severity: S.enum(QUALITY_SEVERITIES, { description: "Lowest severity to include (default info)" }) }),
+    response: ok({
+      testId: S.string(),
+      title: S.string(),
+      summary: S.object({
+        questions: S.integer(),
+        questionsWithIssues: S.integer(),
+        errors: S.integer(),
+        warnings: S.integer(),
+        info: S.integer(),
+        byCode: Counts,
+        strictReady: S.boolean(),
+      }),
+      questions: S.array(S.object({
+        questionNumber: S.integer(),
+        questionId: S.nullable(S.string()),
+        issues: S.array(S.object({ severity: S.enum(QUALITY_SEVERITIES), code: S.string(), field: S.string(), message: S.string() })),
+      })),
+    }),
+  },
+  cloneTest: {
+    tag: "tests",
+    summary: "Copy a test and its questions to a new date",
+    description: "The copy starts as a draft unless status is given; window times carry over to the new date unless overridden.",
+    params: OBJECT_ID_PARAMS("sourceTestId"),
+    body: S.object({
+      date: S.date(),
+      title: S.text({ maxLength: 200 }),
+      testType: S.enum(["paid", "free"]),
+      ...LIFECYCLE_FIELDS,
+      ...WINDOW_FIELDS,
+    }, ["date"]),
+    response: ok({ ...CopySummary, ...AttemptWindow.properties }),
+  },
+  createVariant: {
+    tag: "tests",
+    summary: "Generate a shuffled variant of a test",
+    description: "Questions are shuffled within their sections and options within each question, with correct_answer and acceptedAnswers remapped. The same seed always gives the same variant.",
+    params: OBJECT_ID_PARAMS("sourceTestId"),
+    body: S.object({
+      seed: S.text({ maxLength: 100, description: "Defaults to a random seed, returned in the response" }),
+      shuffleQuestions: S.boolean({ description: "Default true" }),
+      shuffleOptions: S.boolean({ description: "Default true" }),
+      date: S.date({ description: "Defaults to the source test's date" }),
+      title: S.text({ maxLength: 200 }),
+      testType: S.enum(["paid", "free"]),
+      ...LIFECYCLE_FIELDS,
+      ...WINDOW_FIELDS,
+    }),
+    response: ok({
+      ...CopySummary,
+      ...AttemptWindow.properties,
+      variant: TestSummary.properties.variant,
+      questionMap: S.array(S.object({ questionNumber: S.integer(), sourceQuestionNumber: S.integer() })),
+      optionsKept: S.array(S.integer(), { description: "Questions whose options were left in place because the languages' option keys differ" }),
+    }),
+  },
+  compareVariants: {
+    tag: "tests",
+    summary: "Compare results across a test, its clones and its variants",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({
+      sourceTestId: S.string(),
+      tests: S.array(S.object({
+        testId: S.string(),
+        title: S.string(),
+        date: S.string(),
+        testType: S.enum(["paid", "free"]),
+        status: S.enum(TEST_STATUSES),
+        kind: S.enum(["source", "clone", "variant"]),
+        variant: TestSummary.properties.variant,
+        summary: ScoreSummary,
+      })),
+      questions: S.array(S.object({
+        sourceQuestionId: S.string(),
+        question: S.string(),
+        byTest: S.object({}, [], { additionalProperties: S.object({ questionNumber: S.integer(), attempted: S.integer(), percentCorrect: S.nullable(S.number()) }) }),
+        spread: S.nullable(S.number()),
+      })),
+    }),
+  },
+  updateQuestions: {
+    tag: "tests",
+    summary: "Replace all questions of a test",
+    description: "A question whose _id (or id) matches one of the test's questions updates it in place and keeps its id; questions without a matching id are inserted, and existing questions left out move to the trash.",
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object({ questions: S.array(QuestionInput, { minItems: 1 }), examType: S.string(), year: YEAR, format: S.string(), onDuplicate: ON_DUPLICATE, strict: STRICT }, ["questions"]),
+    response: ok({ testId: S.string(), ...QuestionChanges, availability: S.string(), duplicates: S.any(), imageWarnings: S.any() }),
+  },
+  deleteTest: {
+    tag: "tests",
+    summary: "Move a test, its questions and results to the trash",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({ deleted: TrashCounts, purgeAfter: S.string() }),
+  },
+  updateLifecycle: {
+    tag: "lifecycle",
+    summary: "Change a test's status and publish/archive schedule",
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object(LIFECYCLE_FIELDS, ["status"]),
+    response: ok({ testId: S.string(), status: S.enum(TEST_STATUSES), publishAtIST: S.nullable(S.string()), archiveAtIST: S.nullable(S.string()), availability: S.string() }),
+  },
+  updateWindow: {
+    tag: "lifecycle",
+    summary: "Set the attempt window and late-submission policy",
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object(WINDOW_FIELDS),
+    response: ok({ testId: S.string(), ...AttemptWindow.properties }),
+  },
+  extendWindow: {
+    tag: "lifecycle",
+    summary: "Extend the attempt window of a test that has started",
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object({
+      endTime: S.string({ description: "New end — HH:mm IST on the test date or an ISO date-time" }),
+      minutes: S.number({ exclusiveMinimum: 0 }),
+      reason: S.string(),
+    }),
+    response: ok({ testId: S.string(), previousEndTimeIST: S.string(), ...AttemptWindow.properties, archiveWarning: S.nullable(S.string()) }),
+  },
+  upcomingLifecycle: {
+    tag: "lifecycle",
+    summary: "Tests due to publish or archive soon",
+    query: S.object({ hours: S.integer() }),
+    response: ok({
+      windowHours: S.integer(),
+      count: S.integer(),
+      overdue: S.integer(),
+      transitions: S.array(S.object({
+        testId: S.string(),
+        title: S.string(),
+        date: S.string(),
+        phase: S.nullable(S.string()),
+        from: S.enum(TEST_STATUSES),
+        to: S.enum(TEST_STATUSES),
+        at: S.string(),
+        atIST: S.string(),
+        overdue: S.boolean(),
+      })),
+    }),
+  },
+  runLifecycle: {
+    tag: "lifecycle",
+    summary: "Run scheduled publish/archive transitions now",
+    response: ok({ ranAt: S.string(), published: S.integer(), archived: S.integer() }),
+  },
+  cron: {
+    tag: "service",
+    summary: "Run a cron job (for external schedulers)",
+    methods: ["get", "post"],
+    params: S.object({ job: S.string() }, ["job"]),
+    response: ok({ job: S.string(), result: S.object({}, [], { description: "What the job returned" }) }),
+  },
+
+  analytics: {
+    tag: "analytics",
+    summary: "Score summary, histogram and toppers",
+    params: OBJECT_ID_PARAMS("testId"),
+    query: S.object({ bucket: S.number(), top: S.integer() }),
+    response: ok({
+      testId: S.string(),
+      title: S.string(),
+      phase: S.nullable(S.string()),
+      totalQuestions: S.integer(),
+      maxScore: S.number(),
+      summary: ScoreSummary,
+      histogram: S.object({ bucketSize: S.number(), bins: S.array(S.object({ from: S.number(), to: S.number(), count: S.integer() })) }),
+      late: LateSummary,
+      excludedForIntegrity: S.integer(),
+      toppers: S.array(S.object({
+        rank: S.integer(),
+        percentile: S.number(),
+        userId: S.nullable(S.string()),
+        score: S.number(),
+        correct: S.integer(),
+        incorrect: S.integer(),
+        timeTakenSeconds: S.nullable(S.number()),
+      })),
+    }),
+  },
+  leaderboard: {
+    tag: "analytics",
+    summary: "Ranked results, honouring the late policy",
+    params: OBJECT_ID_PARAMS("testId"),
+    query: S.object({ limit: PAGE_LIMIT, offset: S.integer({ minimum: 0 }) }),
+    response: ok({
+      testId: S.string(),
+      total: S.integer(),
+      offset: S.integer(),
+      limit: S.integer(),
+      late: LateSummary,
+      excludedForIntegrity: S.integer(),
+      leaderboard: S.array(S.object({
+        rank: S.nullable(S.integer()),
+        percentile: S.nullable(S.number()),
+        resultId: S.string(),
+        userId: S.nullable(S.string()),
+        score: S.number(),
+        rawScore: S.number(),
+        correct: S.nullable(S.integer()),
+        incorrect: S.nullable(S.integer()),
+        unattempted: S.nullable(S.integer()),
+        timeTakenSeconds: S.nullable(S.number()),
+        submittedAt: S.nullable(S.string()),
+        isLate: S.boolean(),
+        excluded: S.boolean(),
+      })),
+    }),
+  },
+  questionAnalytics: {
+    tag: "analytics",
+    summary: "Per-question difficulty and discrimination",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({
+      testId: S.string(),
+      title: S.string(),
+      attempts: S.integer(),
+      questions: S.array(S.object({
+        questionNumber: S.integer(),
+        questionId: S.string(),
+        question: S.string(),
+        correct_answer: S.integer(),
+        attempted: S.integer(),
+        correct: S.integer(),
+        percentAttempted: S.nullable(S.number()),
+        percentCorrect: S.nullable(S.number()),
+        percentCorrectOfAttempted: S.nullable(S.number()),
+        mostChosenOption: S.nullable(S.anyOf([S.integer(), S.string()])),
+        mostChosenCount: S.integer(),
+        optionCounts: Counts,
+        discriminationIndex: S.nullable(S.number()),
+      })),
+      flagged: S.array(S.integer(), { description: "Question numbers with a low discrimination index or an extreme percentCorrect" }),
+    }),
+  },
+  listStudents: {
+    tag: "students",
+    summary: "Students with results, most recently active first",
+    query: S.object({ q: S.string({ description: "userId prefix" }), limit: PAGE_LIMIT }),
+    response: ok({ count: S.integer(), students: S.array(S.object({ userId: S.string(), attempts: S.integer(), averageScore: S.nullable(S.number()), lastSubmittedAt: S.nullable(S.string()) })) }),
+  },
+  studentHistory: {
+    tag: "students",
+    summary: "A student's results across tests with trends by phase",
+    description: "Scores, ranks and percentiles apply each test's late policy and integrity exclusions, so they match the test's leaderboard; rawScore is the stored score.",
+    params: S.object({ userId: S.text() }, ["userId"]),
+    response: ok({
+      userId: S.string(),
+      summary: S.object({ ...AttemptSummary, firstSubmittedAt: S.nullable(S.string()), lastSubmittedAt: S.nullable(S.string()), excluded: S.integer() }),
+      phases: S.array(S.object({ phase: S.string(), ...AttemptSummary })),
+      history: S.array(S.object({
+        resultId: S.string(),
+        testId: S.string(),
+        title: S.nullable(S.string()),
+        date: S.nullable(S.string()),
+        phase: S.nullable(S.string()),
+        testType: S.enum(["paid", "free", null]),
+        testDeleted: S.boolean(),
+        score: S.nullable(S.number()),
+        rawScore: S.nullable(S.number()),
+        maxScore: S.nullable(S.number()),
+        percent: S.nullable(S.number()),
+        correct: S.nullable(S.integer()),
+        incorrect: S.nullable(S.integer()),
+        unattempted: S.nullable(S.integer()),
+        accuracy: S.nullable(S.number()),
+        timeTakenSeconds: S.nullable(S.number()),
+        submittedAt: S.nullable(S.string()),
+        isLate: S.boolean(),
+        rank: S.nullable(S.integer()),
+        percentile: S.nullable(S.number()),
+        participants: S.integer(),
+        excluded: S.boolean(),
+      })),
+    }),
+  },
+  integrityReport: {
+    tag: "students",
+    summary: "Flag implausibly fast, identical-pattern and out-of-window submissions",
+    description: "Identical-answer pairs need minSharedWrong uncommon wrong answers in common and minAgreement overall, so strong students who are simply right together are not flagged.",
+    params: OBJECT_ID_PARAMS("testId"),
+    query: S.object({
+      minSecondsPerQuestion: S.number({ exclusiveMinimum: 0 }),
+      minAgreement: S.number({ exclusiveMinimum: 0, maximum: 1 }),
+      minSharedWrong: S.integer({ minimum: 1 }),
+    }),
+    response: ok({
+      testId: S.string(),
+      title: S.string(),
+      window: AttemptWindow,
+      thresholds: S.object({ minSecondsPerQuestion: S.number(), minAgreement: S.number(), minSharedWrong: S.integer() }),
+      summary: S.object({
+        participants: S.integer(),
+        flaggedResults: S.integer(),
+        tooFast: S.integer(),
+        identicalAnswers: S.integer(),
+        outsideWindow: S.integer(),
+        inconsistentTiming: S.integer(),
+        excluded: S.integer(),
+      }),
+      clusters: S.array(S.object({
+        resultIds: S.array(S.string()),
+        userIds: S.array(S.nullable(S.string())),
+        minAgreement: S.number(),
+        maxSharedRareWrong: S.integer(),
+      })),
+      flagged: S.array(S.object({
+        resultId: S.string(),
+        userId: S.nullable(S.string()),
+        score: S.nullable(S.number()),
+        timeTakenSeconds: S.nullable(S.number()),
+        startedAt: S.nullable(S.string()),
+        submittedAt: S.nullable(S.string()),
+        excluded: S.boolean(),
+        flags: S.array(S.object({
+          type: S.enum(["too-fast", "identical-answers", "outside-window", "inconsistent-timing"]),
+          message: S.string(),
+          matchedResultIds: S.array(S.string()),
+        })),
+      })),
+    }),
+  },
+  integrityExclusions: {
+    tag: "students",
+    summary: "Exclude results from (or restore them to) rankings",
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object({ resultIds: S.array(S.objectId(), { minItems: 1, maxItems: 1000 }), excluded: S.boolean(), reason: S.string() }, ["resultIds", "excluded"]),
+    response: ok({ updated: S.integer() }),
+  },
+
+  importCsv: {
+    tag: "import-export",
+    summary: "Import questions from CSV (dry run unless testId is given)",
+    bodyType: ["text/csv", "application/json"],
+    description: "Send text/csv with options in the query string, or JSON { csv, testId, dryRun, preview, ... }.",
+    query: S.object(CSV_IMPORT_OPTIONS),
+    body: S.anyOf([
+      S.string({ description: "Raw CSV" }),
+      S.object({ csv: S.text(), ...CSV_IMPORT_OPTIONS }, ["csv"]),
+    ], { "x-error": "must be CSV text (text/csv) or JSON { csv, ... }" }),
+    response: ok({
+      dryRun: S.boolean(),
+      totalRows: S.integer(),
+      validRows: S.integer(),
+      detectedPhase: S.nullable(S.string()),
+      countError: S.nullable(S.string()),
+      rowErrors: S.array(S.object({ row: S.integer(), errors: S.array(S.string()) })),
+      ignoredColumns: S.array(S.string()),
+      duplicates: S.any(),
+      missingImages: S.array(S.object({})),
+      imageWarnings: S.any(),
+      preview: S.array(S.object({ row: S.integer(), question: QuestionInput })),
+      questions: S.array(QuestionInput, { description: "Dry runs without testId: the parsed questions, ready to post" }),
+      testId: S.string(),
+      ...QuestionChanges,
+      availability: S.string(),
+    }),
+  },
+  exportTest: {
+    tag: "import-export",
+    summary: "Export a test as a checksummed bundle",
+    params: OBJECT_ID_PARAMS("testId"),
+    query: S.object({ includeResults: S.boolean(), download: S.boolean() }),
+    response: S.anyOf([ok({ bundle: TestBundle }, ["bundle"]), TestBundle], { description: "With download=true the bundle itself, as an attachment" }),
+  },
+  importBundle: {
+    tag: "import-export",
+    summary: "Import a test bundle as a new test",
+    description: "Post the bundle itself (overrides in the query string) or { bundle, title, date, status, ... }.",
+    query: S.object(BUNDLE_OVERRIDES),
+    body: S.anyOf([TestBundle, S.object({ bundle: TestBundle, ...BUNDLE_OVERRIDES }, ["bundle"])], {
+      "x-error": `must be a ${BUNDLE_FORMAT} bundle or { bundle, ... }`,
+    }),
+    response: ok({
+      testId: S.string(),
+      sourceTestId: S.nullable(S.string()),
+      collectionName: S.nullable(S.string()),
+      date: S.string(),
+      totalQuestions: S.integer(),
+      restored: S.object({ results: S.integer(), freeResults: S.integer() }),
+      checksumVerified: S.boolean(),
+      status: S.enum(TEST_STATUSES),
+      availability: S.string(),
+    }),
+  },
+
+  createBank: {
+    tag: "bank",
+    summary: "Add one question, or { questions: [...] }, to the bank",
+    body: S.anyOf([
+      S.object({ questions: S.array(S.object({ ...QuestionInput.properties, ...BANK_FIELDS }, QuestionInput.required), { minItems: 1 }) }, ["questions"]),
+      S.object({ ...QuestionInput.properties, ...BANK_FIELDS }, QuestionInput.required),
+    ], { "x-error": "must be a bank question or { questions: [...] }" }),
+    response: ok({ ids: S.array(S.string()), imageWarnings: S.any() }),
+  },
+  listBank: {
+    tag: "bank",
+    summary: "Search the question bank",
+    query: S.object({ ...BANK_QUERY.properties, limit: PAGE_LIMIT, offset: S.integer({ minimum: 0 }) }),
+    response: ok({ total: S.integer(), offset: S.integer(), limit: S.integer(), questions: S.array(BankQuestionSchema) }),
+  },
+  bankFacets: {
+    tag: "bank",
+    summary: "Subject/topic/difficulty counts",
+    query: BANK_QUERY,
+    response: ok({
+      subjects: S.array(S.object({ subject: S.nullable(S.string()), count: S.integer() })),
+      topics: S.array(S.object({ subject: S.nullable(S.string()), topic: S.nullable(S.string()), count: S.integer() })),
+      tags: S.array(S.object({ tag: S.string(), count: S.integer() })),
+      exams: S.array(S.object({ examType: S.nullable(S.string()), year: S.nullable(S.integer()), count: S.integer() })),
+    }),
+  },
+  getBank: {
+    tag: "bank",
+    summary: "One bank question",
+    params: OBJECT_ID_PARAMS("id"),
+    response: ok({ question: BankQuestionSchema, usage: S.array(S.object({ testId: S.string(), questionId: S.string(), collectionName: S.nullable(S.string()) })) }),
+  },
+  updateBank: {
+    tag: "bank",
+    summary: "Update a bank question",
+    params: OBJECT_ID_PARAMS("id"),
+    body: S.object({ ...QuestionInput.properties, ...BANK_FIELDS }),
+    response: ok({ question: BankQuestionSchema, imageWarnings: S.any() }),
+  },
+  deleteBank: { tag: "bank", summary: "Delete a bank question", params: OBJECT_ID_PARAMS("id"), response: ok({ unlinked: S.integer() }) },
+  pushBank: {
+    tag: "bank",
+    summary: "Copy a bank question's text and key into every test that uses it",
+    description: "Refused with 409 when the key differs in a linked test that already has results.",
+    params: OBJECT_ID_PARAMS("id"),
+    response: ok({
+      updated: S.integer(),
+      answerKeyChanged: S.boolean(),
+      stores: S.array(S.object({ collectionName: S.nullable(S.string()), testIds: S.array(S.string()), answerKeyChanged: S.boolean(), updated: S.integer() })),
+    }),
+  },
+  assembleTest: {
+    tag: "bank",
+    summary: "Assemble a new test from bank questions",
+    body: S.object({
+      title: S.text({ maxLength: 200 }),
+      date: S.date(),
+      testType: S.enum(["paid", "free"]),
+      kind: S.enum(["free pcs"]),
+      format: S.string(),
+      examType: S.string(),
+      year: YEAR,
+      questionIds: S.array(S.objectId()),
+      quotas: S.array(S.object({ ...BANK_QUERY.properties, count: S.integer({ minimum: 1 }) }, ["count"])),
+      ...LIFECYCLE_FIELDS,
+      ...WINDOW_FIELDS,
+    }, ["title", "date"]),
+    response: ok({
+      testId: S.string(),
+      collectionName: S.nullable(S.string()),
+      date: S.string(),
+      totalQuestions: S.integer(),
+      testType: S.enum(["paid", "free"]),
+      phase: S.string(),
+      bankQuestionIds: S.array(S.string()),
+      status: S.enum(TEST_STATUSES),
+      availability: S.string(),
+    }),
+  },
+
+  me: { tag: "admins", summary: "Your admin profile and permissions", response: ok({ admin: PublicAdmin, permissions: S.array(S.string()) }) },
+  listAdmins: {
+    tag: "admins",
+    summary: "List admins",
+    query: S.object({ role: S.enum(ADMIN_ROLES), status: S.enum(["invited", "active", "disabled"]) }),
+    response: ok({ count: S.integer(), admins: S.array(PublicAdmin) }),
+  },
+  inviteAdmin: {
+    tag: "admins",
+    summary: "Invite an admin",
+    body: S.object({ email: S.text(), role: S.enum(ADMIN_ROLES), name: S.string() }, ["email", "role"]),
+    response: ok({ admin: PublicAdmin, inviteToken: S.string(), inviteExpiresAt: S.string() }),
+  },
+  acceptInvite: {
+    tag: "admins",
+    summary: "Accept an invite and set a password",
+    body: S.object({ token: S.text(), password: S.string({ minLength: 8 }) }, ["token", "password"]),
+    response: ok({ admin: PublicAdmin }),
+  },
+  setAdminRole: {
+    tag: "admins",
+    summary: "Change an admin's role",
+    params: OBJECT_ID_PARAMS("adminId"),
+    body: S.object({ role: S.enum(ADMIN_ROLES) }, ["role"]),
+    response: ok({ admin: PublicAdmin }),
+  },
+  setAdminStatus: {
+    tag: "admins",
+    summary: "Enable or disable an admin",
+    params: OBJECT_ID_PARAMS("adminId"),
+    body: S.object({ status: S.enum(["active", "disabled"]) }, ["status"]),
+    response: ok({ admin: PublicAdmin, revokedSessions: S.integer() }),
+  },
+  revokeAdminSessions: {
+    tag: "admins",
+    summary: "Sign an admin out everywhere",
+    params: OBJECT_ID_PARAMS("adminId"),
+    response: ok({ admin: PublicAdmin, revoked: S.integer() }),
+  },
+  unlockAdmin: { tag: "admins", summary: "Clear an admin's login lockout", params: OBJECT_ID_PARAMS("adminId"), response: ok({ admin: PublicAdmin }) },
+
+  auditLog: {
+    tag: "audit",
+    summary: "Audit log, newest first",
+    query: S.object({
+      adminId: S.objectId(),
+      testId: S.objectId(),
+      action: S.string({ description: "Exact action, or a prefix ending in *" }),
+      targetType: S.string(),
+      targetId: S.string(),
+      from: S.string({ description: "ISO date-time" }),
+      to: S.string({ description: "ISO date-time" }),
+      before: S.string({ description: "nextBefore from the previous page" }),
+      limit: PAGE_LIMIT,
+      includeSnapshots: S.boolean(),
+    }),
+    response: ok({ count: S.integer(), nextBefore: S.nullable(S.string()), entries: S.array(AuditEntrySchema) }),
+  },
+  auditEntry: { tag: "audit", summary: "One audit log entry with snapshots", params: OBJECT_ID_PARAMS("entryId"), response: ok({ entry: AuditEntrySchema }) },
+
+  listTrash: {
+    tag: "trash",
+    summary: "Tests in the trash",
+    response: ok({
+      retentionDays: S.integer(),
+      count: S.integer(),
+      items: S.array(S.object({
+        testId: S.string(),
+        title: S.string(),
+        date: S.string(),
+        testType: S.enum(["paid", "free"]),
+        phase: S.nullable(S.string()),
+        statusBeforeDelete: S.enum([...TEST_STATUSES, null]),
+        deletedAt: S.string(),
+        deletedBy: S.nullable(S.string()),
+        purgeAfter: S.string(),
+        trashed: TrashCounts,
+      })),
+    }),
+  },
+  restoreTrash: {
+    tag: "trash",
+    summary: "Restore a trashed test",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({ testId: S.string(), status: S.enum(TEST_STATUSES), restored: TrashCounts, availability: S.string() }),
+  },
+  purgeTrash: {
+    tag: "trash",
+    summary: "Permanently delete a trashed test",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({ testId: S.string(), deleted: TrashCounts }),
+  },
+  purgeExpiredTrash: {
+    tag: "trash",
+    summary: "Purge trash past its retention period",
+    response: ok({ ranAt: S.string(), retentionDays: S.integer(), purgedTests: S.integer(), purgedQuestions: S.integer(), purgedResults: S.integer() }),
+  },
+
+  addQuestion: {
+    tag: "questions",
+    summary: "Add a question to a test",
+    description: RENUMBER_NOTE,
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object({ ...QuestionInput.properties, position: S.integer({ minimum: 1 }), examType: S.string(), year: YEAR, onDuplicate: ON_DUPLICATE, strict: STRICT }, QuestionInput.required),
+    response: ok({ ...QuestionCount, order: S.integer(), duplicates: S.any(), imageWarnings: S.any() }),
+  },
+  editQuestion: {
+    tag: "questions",
+    summary: "Edit one question",
+    description: "Changing correct_answer is refused with 409 once the test has results; use the answer-key endpoint, which regrades them.",
+    params: S.object({ testId: S.objectId(), questionId: S.objectId() }, ["testId", "questionId"]),
+    body: S.object({
+      imageUrl: QuestionInput.properties.imageUrl,
+      english: S.object({ question: S.text(), options: QUESTION_OPTIONS, english_explanation: S.string() }),
+      hindi: S.object({ question: S.text(), options: QUESTION_OPTIONS, hindi_explanation: S.string() }),
+      correct_answer: QuestionInput.properties.correct_answer,
+      onDuplicate: ON_DUPLICATE,
+      strict: STRICT,
+    }),
+    response: ok({ testId: S.string(), questionId: S.string(), answerKeyChanged: S.boolean(), duplicates: S.any(), imageWarnings: S.any() }),
+  },
+  deleteQuestion: {
+    tag: "questions",
+    summary: "Move one question to the trash",
+    description: RENUMBER_NOTE,
+    params: S.object({ testId: S.objectId(), questionId: S.objectId() }, ["testId", "questionId"]),
+    response: ok(QuestionCount),
+  },
+  restoreQuestion: {
+    tag: "questions",
+    summary: "Restore a trashed question",
+    description: RENUMBER_NOTE,
+    params: S.object({ testId: S.objectId(), questionId: S.objectId() }, ["testId", "questionId"]),
+    response: ok(QuestionCount),
+  },
+  reorderQuestions: {
+    tag: "questions",
+    summary: "Set the question order",
+    description: RENUMBER_NOTE,
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object({ order: S.array(S.objectId(), { minItems: 1 }) }, ["order"]),
+    response: ok({ testId: S.string(), totalQuestions: S.integer() }),
+  },
+  answerKey: {
+    tag: "questions",
+    summary: "Change the answer key and regrade results",
+    params: OBJECT_ID_PARAMS("testId"),
+    body: S.object({
+      changes: S.array(S.object({
+        questionId: S.objectId(),
+        correct_answer: S.numeric(),
+        acceptedAnswers: S.array(S.numeric()),
+        drop: S.boolean(),
+        dropPolicy: S.enum(["void", "award-all"]),
+      }, ["questionId"]), { minItems: 1 }),
+      reason: S.string(),
+      dryRun: S.boolean(),
+    }, ["changes"]),
+    response: ok({
+      dryRun: S.boolean(),
+      testId: S.string(),
+      regradeId: S.string(),
+      summary: RegradeSummary,
+      keyChanges: S.array(KeyChange),
+      sample: S.array(S.object({ resultId: S.string(), userId: S.nullable(S.string()), before: S.object({}), after: S.object({}) }), { description: "Dry runs only: up to 20 results whose grade would change" }),
+    }),
+  },
+  listRegrades: {
+    tag: "questions",
+    summary: "Regrades of a test",
+    params: OBJECT_ID_PARAMS("testId"),
+    response: ok({
+      count: S.integer(),
+      regrades: S.array(S.object({
+        _id: S.string(),
+        testId: S.string(),
+        adminId: S.nullable(S.string()),
+        reason: S.string(),
+        keyChanges: S.array(KeyChange),
+        summary: RegradeSummary,
+        undoneAt: S.nullable(S.string()),
+        undoneBy: S.nullable(S.string()),
+        createdAt: S.string(),
+      })),
+    }),
+  },
+  undoRegrade: {
+    tag: "questions",
+    summary: "Undo a regrade",
+    params: OBJECT_ID_PARAMS("regradeId"),
+    response: ok({ testId: S.string(), restored: S.object({ questions: S.integer(), results: S.integer() }), conflicts: S.array(S.string()) }),
+  },
+
+  listFormats: { tag: "exam-formats", summary: "Exam formats", response: ok({ formats: S.array(ExamFormatSchema) }) },
+  createFormat: {
+    tag: "exam-formats",
+    summary: "Create an exam format",
+    body: S.object(ExamFormatInput, ["key", "name", "marks", "negativeMarks"]),
+    response: ok({ format: ExamFormatSchema }),
+  },
+  updateFormat: {
+    tag: "exam-formats",
+    summary: "Update an exam format",
+    params: S.object({ key: S.string() }, ["key"]),
+    body: S.object(ExamFormatInput),
+    response: ok({ format: ExamFormatSchema }),
+  },
+  deleteFormat: {
+    tag: "exam-formats",
+    summary: "Delete (or deactivate) an exam format",
+    params: S.object({ key: S.string() }, ["key"]),
+    response: ok({ deactivated: S.boolean() }),
+  },
+
+  scheduleCalendar: {
+    tag: "schedule",
+    summary: "Expected vs. existing papers per IST day",
+    query: S.object({ from: S.date(), to: S.date(), testType: S.enum(["paid", "free"]) }),
+    response: ok({
+      today: S.string(),
+      from: S.string(),
+      to: S.string(),
+      schedule: S.string({ description: "The weekly schedule the days were checked against" }),
+      summary: S.object({}, [], { additionalProperties: S.integer(), description: "Issues per type" }),
+      days: S.array(S.object({
+        date: S.string(),
+        weekday: S.string(),
+        expected: S.array(S.string()),
+        tests: S.array(S.object({ _id: S.string(), title: S.string(), phase: S.string(), testType: S.enum(["paid", "free"]), status: S.enum(TEST_STATUSES), totalQuestions: S.integer() })),
+        issues: S.array(ScheduleIssue),
+      })),
+    }),
+  },
+  scheduleAlerts: {
+    tag: "schedule",
+    summary: "Gaps recorded by the nightly schedule check",
+    query: S.object({ includeResolved: S.boolean(), type: S.enum(SCHEDULE_ISSUES), limit: PAGE_LIMIT }),
+    response: ok({
+      count: S.integer(),
+      alerts: S.array(S.object({
+        _id: S.string(),
+        date: S.string(),
+        format: S.string(),
+        type: S.enum(SCHEDULE_ISSUES),
+        message: S.string(),
+        testIds: S.array(S.string()),
+        firstDetectedAt: S.string(),
+        lastDetectedAt: S.string(),
+        resolvedAt: S.nullable(S.string()),
+      })),
+    }),
+  },
+
+  consistency: {
+    tag: "maintenance",
+    summary: "Check tests and question stores for inconsistencies",
+    response: ok({ ...ConsistencyReport.properties, fixable: S.array(S.enum(CONSISTENCY_FIXES)) }),
+  },
+  fixConsistency: {
+    tag: "maintenance",
+    summary: "Fix inconsistencies",
+    body: S.object({ fix: S.array(S.enum(CONSISTENCY_FIXES)), dryRun: S.boolean() }),
+    response: ok({
+      dryRun: S.boolean(),
+      ...ConsistencyReport.properties,
+      fixed: S.object({}, [], { additionalProperties: S.integer(), description: "Issues fixed per kind" }),
+      failures: S.array(S.object({ kind: S.enum(CONSISTENCY_FIXES), target: S.string(), message: S.string() })),
+      remaining: ConsistencyReport,
+    }),
+  },
+  duplicates: {
+    tag: "maintenance",
+    summary: "Clusters of duplicate or near-duplicate questions",
+    description: "Candidates come from the stored fingerprints and similarity bands, so questions saved before fingerprinting only appear after POST /admin/duplicates/backfill.",
+    query: S.object({ threshold: S.number({ exclusiveMinimum: 0, maximum: 1 }), crossTestOnly: S.boolean(), testId: S.objectId(), limit: PAGE_LIMIT }),
+    response: ok({
+      threshold: S.number(),
+      totalClusters: S.integer(),
+      duplicateQuestions: S.integer(),
+      clusters: S.array(S.object({
+        size: S.integer(),
+        testCount: S.integer(),
+        exact: S.boolean(),
+        preview: S.string(),
+        members: S.array(S.object({
+          testId: S.string(),
+          testTitle: S.string(),
+          testDate: S.nullable(S.string()),
+          questionId: S.string(),
+          order: S.integer(),
+          collectionName: S.nullable(S.string()),
+          similarity: S.number(),
+        })),
+      })),
+    }),
+  },
+  backfillDuplicates: {
+    tag: "maintenance",
+    summary: "Compute missing question fingerprints",
+    response: ok({ updated: S.integer(), stores: S.array(S.object({ collectionName: S.nullable(S.string()), updated: S.integer() })) }),
+  },
+  migrateFreePcs: {
+    tag: "maintenance",
+    summary: "Move legacy Free PCS collections into the shared store",
+    body: S.object({ dryRun: S.boolean(), dropSource: S.boolean() }),
+    response: ok({
+      dryRun: S.boolean(),
+      pending: S.integer(),
+      plan: S.array(S.object({ testId: S.string(), title: S.string(), collectionName: S.string(), questions: S.integer() })),
+      migrated: S.integer(),
+      failed: S.integer(),
+      remaining: S.integer(),
+      dropped: S.array(S.string()),
+      results: S.array(S.object({
+        testId: S.string(),
+        collectionName: S.string(),
+        sourceCount: S.integer(),
+        targetCount: S.integer(),
+        verified: S.boolean(),
+        lateWrites: S.integer(),
+        dropped: S.boolean(),
+        error: S.string(),
+      })),
+    }),
+  },
+
+  uploadImage: {
+    tag: "images",
+    summary: "Upload an image (raw body)",
+    bodyType: "application/octet-stream",
+    query: S.object({ filename: S.string() }),
+    response: ok({ image: ImageAssetSchema, deduplicated: S.boolean() }),
+  },
+  listImages: {
+    tag: "images",
+    summary: "Uploaded images",
+    query: S.object({ limit: PAGE_LIMIT, before: S.string({ description: "ISO date-time; createdAt of the last image on the previous page" }) }),
+    response: ok({ count: S.integer(), nextBefore: S.nullable(S.string()), images: S.array(ImageAssetSchema) }),
+  },
+  checkImages: {
+    tag: "images",
+    summary: "Questions whose images are missing or external",
+    query: S.object({ testId: S.objectId() }),
+    response: ok({ checked: S.integer(), missingCount: S.integer(), externalCount: S.integer(), missing: S.array(ImageRef), external: S.array(ImageRef) }),
+  },
+  orphanImages: {
+    tag: "images",
+    summary: "Images no question references",
+    response: ok({ graceHours: S.number(), count: S.integer(), bytes: S.integer(), images: S.array(ImageAssetSchema) }),
+  },
+  purgeOrphanImages: {
+    tag: "images",
+    summary: "Delete orphaned images past the grace period",
+    response: ok({ ranAt: S.string(), graceHours: S.number(), purgedImages: S.integer(), freedBytes: S.integer() }),
+  },
+  deleteImage: { tag: "images", summary: "Delete an unreferenced image", params: OBJECT_ID_PARAMS("imageId"), response: ok() },
+  serveImage: {
+    tag: "images",
+    summary: "Serve an uploaded image",
+    params: S.object({ file: S.string({ pattern: "^[a-fA-F0-9]{24}(\\.\\w+)?$", "x-error": "is not an image file name" }) }, ["file"]),
+    responseType: "image/*",
+    response: S.string({ format: "binary" }),
+  },
+  listWebhooks: {
+    tag: "webhooks",
+    summary: "Webhook endpoints and the events they can subscribe to",
+    response: ok({ events: S.array(S.string()), count: S.integer(), webhooks: S.array(S.object({ ...WebhookSchema.properties, pendingDeliveries: S.integer() })) }),
+  },
+  createWebhook: {
+    tag: "webhooks",
+    summary: "Register a webhook endpoint (the signing secret is returned once)",
+    description: "Deliveries are POSTed as { id, event, createdAt, data } with X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of \"<t>.<raw body>\">.",
+    body: S.object(WEBHOOK_FIELDS, ["url", "events"]),
+    response: ok({ webhook: WebhookSchema, secret: S.string() }),
+  },
+  updateWebhook: {
+    tag: "webhooks",
+    summary: "Change a webhook's URL, events or state",
+    params: OBJECT_ID_PARAMS("webhookId"),
+    body: S.object(WEBHOOK_FIELDS, [], { minProperties: 1 }),
+    response: ok({ webhook: WebhookSchema }),
+  },
+  rotateWebhookSecret: {
+    tag: "webhooks",
+    summary: "Issue a new signing secret",
+    params: OBJECT_ID_PARAMS("webhookId"),
+    response: ok({ webhook: WebhookSchema, secret: S.string() }),
+  },
+  pingWebhook: { tag: "webhooks", summary: "Queue a ping delivery", params: OBJECT_ID_PARAMS("webhookId"), response: ok({ delivery: WebhookDeliverySchema }) },
+  deleteWebhook: {
+    tag: "webhooks",
+    summary: "Delete a webhook and cancel its pending deliveries",
+    params: OBJECT_ID_PARAMS("webhookId"),
+    response: ok({ cancelledDeliveries: S.integer() }),
+  },
+  listWebhookDeliveries: {
+    tag: "webhooks",
+    summary: "Delivery log, newest first",
+    query: S.object({
+      webhookId: S.objectId(),
+      status: S.enum(WEBHOOK_DELIVERY_STATUSES),
+      event: S.string(),
+      eventId: S.string(),
+      before: S.string({ description: "nextBefore from the previous page" }),
+      limit: PAGE_LIMIT,
+    }),
+    response: ok({ count: S.integer(), nextBefore: S.nullable(S.string()), deliveries: S.array(WebhookDeliverySchema) }),
+  },
+  webhookDelivery: {
+    tag: "webhooks",
+    summary: "One delivery with its payload and attempts",
+    params: OBJECT_ID_PARAMS("deliveryId"),
+    response: ok({ delivery: WebhookDeliverySchema, replays: S.array(S.object({ id: S.string(), status: S.enum(WEBHOOK_DELIVERY_STATUSES), createdAt: S.string() })) }),
+  },
+  replayWebhookDelivery: { tag: "webhooks", summary: "Send a delivery again", params: OBJECT_ID_PARAMS("deliveryId"), response: ok({ delivery: WebhookDeliverySchema }) },
+  replayFailedWebhookDeliveries: {
+    tag: "webhooks",
+    summary: "Replay failed deliveries that have not been replayed yet (up to 500)",
+    body: S.object({ webhookId: S.objectId(), event: S.string(), since: S.string({ description: "ISO date-time" }) }),
+    response: ok({ replayed: S.integer(), skipped: S.integer() }),
+  },
+  openApi: {
+    tag: "service",
+    summary: "This OpenAPI document",
+    response: S.object({ openapi: S.string(), info: S.object({}), paths: S.object({}), components: S.object({}) }, ["openapi", "paths"]),
+  },
+  apiExplorer: { tag: "service", summary: "Interactive API explorer", responseType: "text/html", response: S.string() },
+  apiExplorerScript: { tag: "service", summary: "Script for the API explorer", responseType: "application/javascript", response: S.string() },
+};
+
+app.get("/", validateRequest(API.root), async (req, res) => {
+  const { checks } = await checkReadiness();
+  res.json({
+    success: true,
+    message: "Admin Backend Running",
+    currentISTTime: toIST(new Date()),
+    db: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status])),
+  });
+});
+
+app.get("/health/live", validateRequest(API.live), (req, res) => {
+  res.json({ success: true, status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+app.get("/health/ready", validateRequest(API.ready), async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({ success: ready, status: ready ? "ready" : "not-ready", checks });
+});
+
+app.get("/metrics", validateRequest(API.metrics), (req, res) => {
+  if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ success: false, message: "Invalid metrics token" });
+  }
+  const memory = process.memoryUsage();
+  setGauge(processUptime, {}, process.uptime());
+  setGauge(processMemory, {}, memory.rss);
+  setGauge(heapUsed, {}, memory.heapUsed);
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+app.get("/admin/api-docs/openapi.json", adminAuth, validateRequest(API.openApi), (req, res) => {
+  res.json(buildOpenApiDocument(req));
+});
+
+app.get("/admin/api-docs", validateRequest(API.apiExplorer), (req, res) => {
+  res.type("html").send(API_EXPLORER_HTML);
+});
+
+app.get("/admin/api-docs/explorer.js", validateRequest(API.apiExplorerScript), (req, res) => {
+  res.type("application/javascript").send(API_EXPLORER_SCRIPT);
+});
+
+const authLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 30, handler: rateLimitHandler("auth") });
+
+app.post("/admin/login", authLimiter, validateRequest(API.login), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { email, password } = req.body;
+
+    const admin = await Admin.findOne({ email: email.toLowerCase().trim() });
+    if (!admin)
+      return res.status(401).json({ success: false, message: "Admin not found" });
+
+    if (admin.status === "disabled")
+      return res.status(403).json({ success: false, message: "This admin account is disabled" });
+
+    if (admin.status === "invited")
+      return res.status(403).json({ success: false, message: "Accept your invite and set a password first" });
+
+    const check = await verifyAdminPassword(admin, password);
+    if (check.locked) {
+      res.set("Retry-After", String(check.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts — account locked, try again in ${Math.ceil(check.retryAfterSeconds / 60)} minute(s)`,
+        retryAfterSeconds: check.retryAfterSeconds,
+      });
+    }
+    if (!check.ok)
+      return res.status(401).json({ success: false, message: "Wrong password", attemptsLeft: check.attemptsLeft });
+
+    if (!process.env.JWT_SECRET) {
+      logger.error("Admin login error: JWT_SECRET env var is missing");
+      return res.status(500).json({ success: false, message: "Server misconfigured" });
+    }
+
+    const tokens = await issueSession(admin, req);
+    await Admin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+    res.json({ success: true, ...tokens, role: adminRole(admin) });
+  } catch (err) {
+    logger.error("Admin login error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/admin/refresh", authLimiter, validateRequest(API.refresh), async (req, res) => {
+  try {
+    const [sessionId, secret] = String(req.body.refreshToken || "").split(".");
+    if (!mongoose.isValidObjectId(sessionId) || !secret) {
+      return res.status(400).json({ success: false, message: "refreshToken is required" });
+    }
+
+    await connectUserDB();
+
+    const session = await AdminSession.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ success: false, message: "Session has been revoked or has expired — please log in again" });
+    }
+
+    const presented = hashToken(secret);
+    if (presented !== session.refreshTokenHash) {
+      if (session.previousTokenHashes.includes(presented)) {
+        await revokeSessions({ _id: session._id }, "refresh token reuse detected");
+        logger.warn("Refresh token reuse detected", { adminId: session.adminId, sessionId: session._id });
+      }
+      return res.status(401).json({ success: false, message: "Invalid refresh token — please log in again" });
+    }
+
+    const admin = await Admin.findById(session.adminId).lean();
+    if (!admin || !isActiveAdmin(admin)) {
+      await revokeSessions({ _id: session._id }, "admin disabled");
+      return res.status(401).json({ success: false, message: "This admin account is disabled" });
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString("hex");
+    const rotated = await AdminSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presented, revokedAt: null },
+      {
+        $set: { refreshTokenHash: hashToken(nextSecret), lastUsedAt: new Date(), ip: req.ip || null },
+        $push: { previousTokenHashes: { $each: [presented], $slice: -20 } },
+      },
+      { returnDocument: "after" },
+    );
+    if (!rotated) {
+      return res.status(401).json({ success: false, message: "Refresh token was already used — please log in again" });
+    }
+
+    res.json({ success: true, ...sessionTokens(admin, rotated, nextSecret), role: adminRole(admin) });
+  } catch (err) {
+    logger.error("Refresh session error", { err });
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/admin/logout", adminAuth, validateRequest(API.logout), async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.admin.sid }, "logout");
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    logger.error("Logout error", { err });
+    res.status(500).json({ success: false, message: "Logout failed" });
+  }
+});
+
+app.post("/admin/logout-all", adminAuth, validateRequest(API.logoutAll), async (req, res) => {
+  try {
+    const keepCurrent = req.body?.keepCurrent === true;
+    const filter = keepCurrent ? { adminId: req.admin.id, _id: { $ne: req.admin.sid } } : { adminId: req.admin.id };
+    const revoked = await revokeSessions(filter, "logout-all");
+    res.json({
+      success: true,
+      message: keepCurrent ? `Signed out of ${revoked} other session(s)` : `Signed out of all ${revoked} session(s)`,
+      revoked,
+    });
+  } catch (err) {
+    logger.error("Logout all error", { err });
+    res.status(500).json({ success: false, message: "Logout failed" });
+  }
+});
+
+app.get("/admin/sessions", adminAuth, validateRequest(API.sessions), async (req, res) => {
+  try {
+    const sessions = await AdminSession.find(
+      { adminId: req.admin.id, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { refreshTokenHash: 0, previousTokenHashes: 0 },
+    ).sort({ lastUsedAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(sess => ({
+        id: sess._id.toString(),
+        current: sess._id.toString() === req.admin.sid,
+        ip: sess.ip,
+        userAgent: sess.userAgent,
+        createdAt: sess.createdAt,
+        lastUsedAt: sess.lastUsedAt,
+        expiresAt: sess.expiresAt,
+      })),
+    });
+  } catch (err) {
+    logger.error("List sessions error", { err });
+    res.status(500).json({ success: false, message: "Failed to load sessions" });
+  }
+});
+
+app.delete("/admin/sessions/:sessionId", adminAuth, validateRequest(API.revokeSession), async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ _id: req.params.sessionId, adminId: req.admin.id }, "revoked by owner");
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: "Active session not found" });
+    }
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    logger.error("Revoke session error", { err });
+    res.status(500).json({ success: false, message: "Failed to revoke session" });
+  }
+});
+
+app.post("/admin/change-password", adminAuth, validateRequest(API.changePassword), audited("admin.password_change", "admin"), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ success: false, message: "The new password must differ from the current one" });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+
+    const check = await verifyAdminPassword(admin, currentPassword);
+    if (check.locked) {
+      res.set("Retry-After", String(check.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts — account locked, try again in ${Math.ceil(check.retryAfterSeconds / 60)} minute(s)`,
+        retryAfterSeconds: check.retryAfterSeconds,
+      });
+    }
+    if (!check.ok) {
+      return res.status(401).json({ success: false, message: "Current password is wrong", attemptsLeft: check.attemptsLeft });
+    }
+
+    admin.password = await bcrypt.hash(newPassword, 12);
+    admin.passwordChangedAt = new Date();
+    await admin.save();
+    const revoked = await revokeSessions({ adminId: admin._id, _id: { $ne: req.admin.sid } }, "password changed");
+
+    res.json({
+      success: true,
+      message: `Password changed — signed out of ${revoked} other session(s)`,
+      admin: publicAdmin(admin),
+      revokedSessions: revoked,
+    });
+  } catch (err) {
+    logger.error("Change password error", { err });
+    res.status(500).json({ success: false, message: "Failed to change password" });
+  }
+});
+
+app.post("/admin/create-test-with-questions", adminAuth, requirePermission("tests:write"), validateRequest(API.createTest), audited("test.create", "test"), async (req, res) => {
+  try {
+    await connectQuestionDB();
+
+    let { title, date, questions, testType, format, status, publishAt, archiveAt } = req.body;
+    const numQuestions = questions.length;
+
+    const { format: examFormat, error: formatError } = await resolveExamFormat({ format, numQuestions });
+    if (formatError) {
+      return res.status(400).json({ success: false, message: formatError });
+    }
+    const phase = examFormat.key;
+
+    const payloadErrors = questions.flatMap((q, idx) => validateQuestionPayload(q, idx, { strict: isStrictMode(req.body.strict) }));
+    if (payloadErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid questions payload",
+        errors: payloadErrors,
+      });
+    }
+
+    const screen = await screenDuplicates(req.body.onDuplicate, questions, {});
+    if (screen.error) {
+      return res.status(screen.status).json({ success: false, message: screen.error, duplicates: screen.duplicates });
+    }
+
+    const images = await screenQuestionImages(questions);
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    if (date.includes("T")) date = date.split("T")[0];
+
+    if (isNaN(istDayWindow(date).startTime.getTime())) {
+      return res.status(400).json({ success: false, message: "Invalid date — could not compute timestamps" });
+    }
+    const { window: attemptWindow, error: windowError } = resolveAttemptWindow(req.body, {
+      date,
+      defaultDuration: examFormat.durationMinutes,
+    });
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    if (status === "archived") {
+      return res.status(400).json({ success: false, message: "A new test cannot be created as archived" });
+    }
+    const { lifecycle, error: lifecycleError } = resolveLifecycle({ status, publishAt, archiveAt });
+    if (lifecycleError) {
+      return res.status(400).json({ success: false, message: lifecycleError });
+    }
+
+    const test = new Test({
+      title: title.trim(),
+      date,
+      totalQuestions: numQuestions,
+      testType,
+      phase,
+      ...attemptWindow,
+      ...lifecycle,
+    });
+
+    const qDocs = questions.map((q, idx) => toQuestionDoc(q, {
+      testId: test._id,
+      ...formatQuestionBase(examFormat, idx),
+      order: idx + 1,
+    }));
+
+    await atomicTestWrite(test, async (session) => {
+      await Question.insertMany(qDocs, { session });
+      await test.save({ session });
+    });
+
+    const phaseDisplay = `${examFormat.name} (${numQuestions} Q)`;
+    const { days: [scheduleDay] } = await buildScheduleCalendar(date, date, { testType });
+    const scheduleWarnings = scheduleDay.issues
+      .filter(issue => issue.format === phase && issue.type !== "missing")
+      .map(issue => issue.message);
+
+    res.json({
+      success: true,
+      message: `${testType.toUpperCase()} ${phaseDisplay} test created on ${date}`,
+      testId:         test._id.toString(),
+      date,
+      totalQuestions: numQuestions,
+      testType,
+      phase,
+      ...attemptWindowSummary(test),
+      status:       test.status,
+      publishAtIST: toIST(test.publishAt),
+      archiveAtIST: toIST(test.archiveAt),
+      availability: availabilityNote(test),
+      duplicates: screen.duplicates,
+      imageWarnings: images.warnings,
+      scheduleWarnings,
+    });
+  } catch (err) {
+    logger.error("Create test error", { err });
+    res.status(500).json({ success: false, message: err.message || "Creation failed" });
+  }
+});
+
+app.post("/admin/create-free-pcs-test", adminAuth, requirePermission("tests:write"), validateRequest(API.createFreePcsTest), audited("test.create", "test"), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+
+    let { title, date, examType, year, questions, format, status, publishAt, archiveAt } = req.body;
+    const yearNum = Number(year);
+
+    const payloadErrors = questions.flatMap((q, idx) => validateQuestionPayload(q, idx, { strict: isStrictMode(req.body.strict) }));
+    if (payloadErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid questions payload",
+        errors: payloadErrors,
+      });
+    }
+
+    const screen = await screenDuplicates(req.body.onDuplicate, questions, {});
+    if (screen.error) {
+      return res.status(screen.status).json({ success: false, message: screen.error, duplicates: screen.duplicates });
+    }
+
+    const images = await screenQuestionImages(questions);
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    if (date.includes("T")) date = date.split("T")[0];
+
+    const { format: examFormat, error: formatError } = await resolveExamFormat({
+      format: format || "free pcs",
+      numQuestions: questions.length,
+      freePcs: true,
+    });
+    if (formatError) {
+      return res.status(400).json({ success: false, message: formatError });
+    }
+
+    if (status === "archived") {
+      return res.status(400).json({ success: false, message: "A new test cannot be created as archived" });
+    }
+    const { lifecycle, error: lifecycleError } = resolveLifecycle({ status, publishAt, archiveAt });
+    if (lifecycleError) {
+      return res.status(400).json({ success: false, message: lifecycleError });
+    }
+
+    const trimmedTitle = title.trim();
+
+    const test = new Test({
+      title: trimmedTitle,
+      date,
+      totalQuestions: questions.length,
+      testType: "free",
+      phase: examFormat.key,
+      durationMinutes: examFormat.durationMinutes,
+      ...lifecycle,
+    });
+
+    test.freePcs = true;
+
+    const qDocs = questions.map((q, idx) => toQuestionDoc(q, {
+      testId: test._id,
+      title: trimmedTitle,
+      examType: examType.trim(),
+      year: yearNum,
+      ...formatQuestionBase(examFormat, idx),
+      order: idx + 1,
+    }));
+
+    await atomicTestWrite(test, async (session) => {
+      await FreePCSQuestion.insertMany(qDocs, { session });
+      await test.save({ session });
+    });
+
+    res.json({
+      success: true,
+      message: `Free PCS test created for ${examType.trim()} ${yearNum}`,
+      testId: test._id.toString(),
+      collectionName: null,
+      title: trimmedTitle,
+      date,
+      examType: examType.trim(),
+      year: yearNum,
+      totalQuestions: questions.length,
+      testType: "free",
+      phase: examFormat.key,
+      status: test.status,
+      publishAtIST: toIST(test.publishAt),
+      archiveAtIST: toIST(test.archiveAt),
+      availability: availabilityNote(test),
+      duplicates: screen.duplicates,
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("Create free PCS test error", { err });
+    res.status(500).json({ success: false, message: err.message || "Creation failed" });
+  }
+});
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+async function testIdsForExam({ examType, year }) {
+  const filter = { deletedAt: null };
+  if (examType) filter.examType = new RegExp(`^${escapeRegex(String(examType).trim())}$`, "i");
+  if (year !== undefined) filter.year = Number(year);
+  const ids = await forEachQuestionStore(Model => (Model === Question ? [] : Model.distinct("testId", filter)));
+  return [...new Set(ids.flat().map(String))];
+}
+
+async function testListFilter(query) {
+  const filter = {};
+  if (query.testType) {
+    if (!["paid", "free"].includes(query.testType)) return { error: "testType must be 'paid' or 'free'" };
+    filter.testType = query.testType;
+  }
+  if (query.phase) filter.phase = { $in: String(query.phase).split(",").map(p => p.trim().toLowerCase()).filter(Boolean) };
+  if (query.status) {
+    const statuses = String(query.status).split(",").map(st => st.trim());
+    if (statuses.some(st => !TEST_STATUSES.includes(st))) return { error: `status must be one of: ${TEST_STATUSES.join(", ")}` };
+    filter.status = testStatusFilter(statuses);
+  }
+
+  const dateRange = {};
+  for (const [key, op] of [["from", "$gte"], ["to", "$lte"]]) {
+    if (!query[key]) continue;
+    const value = String(query[key]).split("T")[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: `${key} must be in YYYY-MM-DD format` };
+    dateRange[op] = value;
+  }
+  if (Object.keys(dateRange).length) filter.date = dateRange;
+
+  if (query.title) filter.title = new RegExp(escapeRegex(String(query.title).trim()), "i");
+  if (query.sourceTestId) filter.sourceTestId = query.sourceTestId;
+
+  if (query.examType || query.year !== undefined) {
+    if (query.year !== undefined && isNaN(Number(query.year))) return { error: "year must be a number" };
+    filter._id = { $in: await testIdsForExam({ examType: query.examType, year: query.year }) };
+  }
+
+  return { filter };
+}
+
+app.get("/admin/tests", adminAuth, requirePermission("tests:read"), validateRequest(API.listTests), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const paged = req.query.limit !== undefined || !!req.query.cursor;
+    const limit = paged ? Math.min(Math.max(Number(req.query.limit) || 50, 1), 200) : 0;
+
+    const { filter, error } = await testListFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const pageFilter = { ...filter };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor?.date || !mongoose.isValidObjectId(cursor.id)) {
+        return res.status(400).json({ success: false, message: "cursor is invalid" });
+      }
+      pageFilter.$and = [{
+        $or: [
+          { date: { $lt: cursor.date } },
+          { date: cursor.date, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } },
+        ],
+      }];
+    }
+
+    const [tests, total, formats] = await Promise.all([
+      Test.find(pageFilter).sort({ date: -1, _id: -1 }).limit(paged ? limit + 1 : 0).lean(),
+      Test.countDocuments(filter),
+      loadExamFormats(),
+    ]);
+    const hasMore = paged && tests.length > limit;
+    const page = hasMore ? tests.slice(0, limit) : tests;
+    const last = page[page.length - 1];
+
+    const testsWithIST = page.map(t => {
+      return {
+        ...t,
+        status:       t.status || "published",
+        startTimeIST: toIST(t.startTime),
+        endTimeIST:   toIST(t.endTime),
+        publishAtIST: toIST(t.publishAt),
+        archiveAtIST: toIST(t.archiveAt),
+        phaseDisplay: formatDisplay(formats, t.phase, t.totalQuestions),
+        availability: availabilityNote(t),
+      };
+    });
+
+    res.json({
+      success: true,
+      tests: testsWithIST,
+      count: testsWithIST.length,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ date: last.date, id: last._id.toString() }) : null,
+    });
+  } catch (err) {
+    logger.error("Load tests error", { err });
+    res.status(500).json({ success: false, message: "Failed to load tests" });
+  }
+});
+
+async function questionPositions(hits) {
+  const papers = new Map();
+  hits.forEach(({ Model, doc }) => papers.set(`${Model.collection.name}/${doc.testId}`, { Model, testId: doc.testId }));
+  const positions = new Map();
+  await Promise.all([...papers.values()].map(async ({ Model, testId }) => {
+    const docs = await Model.find({ testId }, { _id: 1 }).sort(QUESTION_SORT).lean();
+    docs.forEach((d, idx) => positions.set(d._id.toString(), idx + 1));
+  }));
+  return positions;
+}
+
+app.get("/admin/search", adminAuth, requirePermission("tests:read"), validateRequest(API.searchQuestions), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2) {
+      return res.status(400).json({ success: false, message: "q must be at least 2 characters" });
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const filter = { $text: { $search: q } };
+    if (req.query.testId) filter.testId = req.query.testId;
+
+    const batches = await forEachQuestionStore(async (Model, collectionName) => {
+      try {
+        const docs = await Model.find(filter, { score: { $meta: "textScore" } })
+          .sort({ score: { $meta: "textScore" } })
+          .limit(limit)
+          .lean();
+        return docs.map(doc => ({ Model, doc }));
+      } catch (err) {
+        if (err.code !== 27) throw err;
+        logger.warn("Text index missing, skipping collection", { collection: collectionName || Model.collection.name });
+        return [];
+      }
+    });
+    const ranked = batches.flat().sort((a, b) => b.doc.score - a.doc.score);
+
+    const tests = await Test.find(
+      { _id: { $in: [...new Set(ranked.map(h => h.doc.testId.toString()))] } },
+      { title: 1, date: 1, phase: 1, testType: 1, status: 1, collectionName: 1, freePcs: 1 },
+    ).lean();
+    const testById = new Map(tests.map(t => [t._id.toString(), t]));
+
+    const hits = ranked.filter(h => testById.has(h.doc.testId.toString())).slice(0, limit);
+    const positions = await questionPositions(hits);
+    const results = hits.map(({ doc }) => {
+      const test = testById.get(doc.testId.toString());
+      const { score, ...question } = doc;
+      return {
+        score:    Math.round(score * 1000) / 1000,
+        position: positions.get(doc._id.toString()),
+        test: {
+          _id:      test._id,
+          title:    test.title,
+          date:     test.date,
+          phase:    test.phase,
+          testType: test.testType,
+          status:   test.status || "published",
+          freePcs:  isFreePcsTest(test),
+        },
+        question,
+      };
+    });
+
+    res.json({ success: true, q, count: results.length, results });
+  } catch (err) {
+    logger.error("Question search error", { err });
+    res.status(500).json({ success: false, message: "Failed to search questions" });
+  }
+});
+
+app.get("/admin/free-pcs-questions/:testId", adminAuth, requirePermission("tests:read"), validateRequest(API.freePcsQuestions), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const Model = isFreePcsTest(test) ? getQuestionModel(test) : FreePCSQuestion;
+
+    const questions = await Model.find({ testId }).sort(QUESTION_SORT).lean();
+    res.json({ success: true, count: questions.length, questions, collectionName: test.collectionName || null });
+  } catch (err) {
+    logger.error("Load free PCS questions error", { err });
+    res.status(500).json({ success: false, message: "Failed to load free PCS questions" });
+  }
+});
+
+app.get("/admin/test-questions/:testId", adminAuth, requirePermission("tests:read"), validateRequest(API.testQuestions), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const isFreePcs = isFreePcsTest(test);
+    const Model = getQuestionModel(test);
+    const docs = await Model.find({ testId }).sort(QUESTION_SORT).lean();
+
+    const questions = docs.map((q, idx) => ({
+      id: q._id.toString(),
+      order: q.order || idx + 1,
+      imageUrl: q.imageUrl || null,
+      english: {
+        question: q.english?.question || "",
+        options: q.english?.options || {},
+        english_explanation: q.english?.english_explanation || "",
+      },
+      hindi: {
+        question: q.hindi?.question || "",
+        options: q.hindi?.options || {},
+        hindi_explanation: q.hindi?.hindi_explanation || "",
+      },
+      correct_answer: q.correct_answer,
+    }));
+
+    res.json({
+      success: true,
+      testId: test._id.toString(),
+      title: test.title,
+      testType: test.testType,
+      phase: test.phase,
+      isFreePcs,
+      examType: isFreePcs ? (docs[0]?.examType || "") : undefined,
+      year: isFreePcs ? (docs[0]?.year ?? null) : undefined,
+      totalQuestions: questions.length,
+      questions,
+    });
+  } catch (err) {
+    logger.error("Fetch test questions error", { err });
+    res.status(500).json({ success: false, message: "Failed to load questions" });
+  }
+});
+
+app.get("/admin/tests/:testId/quality", adminAuth, requirePermission("tests:read"), validateRequest(API.qualityReport), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const questions = await getQuestionModel(test).find({ testId: test._id }).sort(QUESTION_SORT).lean();
+    const report = buildQualityReport(questions, { minSeverity: req.query.severity || "info" });
+    res.json({ success: true, testId: test._id.toString(), title: test.title, ...report });
+  } catch (err) {
+    logger.error("Quality report error", { err });
+    res.status(500).json({ success: false, message: "Failed to build the quality report" });
+  }
+});
+
+function resolveCopyTarget(source, body) {
+  if (isFreePcsTest(source) && body.testType === "paid") {
+    return { error: "Free PCS tests can only be copied as free tests" };
+  }
+  if (body.status === "archived") {
+    return { error: "A new test cannot be created as archived" };
+  }
+
+  const date = (body.date || source.date).split("T")[0];
+  const { lifecycle, error: lifecycleError } = resolveLifecycle({ status: body.status ?? "draft", publishAt: body.publishAt, archiveAt: body.archiveAt });
+  if (lifecycleError) return { error: lifecycleError };
+
+  const { window: attemptWindow, error: windowError } = isFreePcsTest(source)
+    ? { window: { durationMinutes: source.durationMinutes ?? null } }
+    : resolveAttemptWindow(body, { date, current: source });
+  if (windowError) return { error: windowError };
+
+  return { target: { date, lifecycle, attemptWindow, testType: body.testType || source.testType } };
+}
+
+function copySummary(test) {
+  return {
+    testId: test._id.toString(),
+    sourceTestId: test.sourceTestId.toString(),
+    collectionName: test.collectionName || null,
+    title: test.title,
+    date: test.date,
+    testType: test.testType,
+    phase: test.phase,
+    totalQuestions: test.totalQuestions,
+    ...attemptWindowSummary(test),
+    status: test.status,
+    availability: availabilityNote(test),
+  };
+}
+
+app.post("/admin/tests/:sourceTestId/clone", adminAuth, requirePermission("tests:write"), validateRequest(API.cloneTest), audited("test.clone", "test", (req, body) => ({ sourceTestId: body.sourceTestId })), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const source = await Test.findById(req.params.sourceTestId).lean();
+    if (!source) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const { target, error } = resolveCopyTarget(source, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const title = (req.body.title || source.title).trim();
+    const { test } = await copyTest(source, { ...target, title });
+
+    res.json({
+      success: true,
+      message: `Cloned "${source.title}" to ${target.date} as "${title}"`,
+      ...copySummary(test),
+    });
+  } catch (err) {
+    logger.error("Clone test error", { err });
+    res.status(500).json({ success: false, message: err.message || "Clone failed" });
+  }
+});
+
+app.post("/admin/tests/:sourceTestId/variants", adminAuth, requirePermission("tests:write"), validateRequest(API.createVariant), audited("test.variant", "test", (req, body) => ({ sourceTestId: body.sourceTestId, variant: body.variant })), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const source = await Test.findById(req.params.sourceTestId).lean();
+    if (!source) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const { target, error } = resolveCopyTarget(source, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const variant = {
+      seed: req.body.seed?.trim() || crypto.randomBytes(6).toString("hex"),
+      shuffleQuestions: req.body.shuffleQuestions !== false,
+      shuffleOptions: req.body.shuffleOptions !== false,
+    };
+    if (!variant.shuffleQuestions && !variant.shuffleOptions) {
+      return res.status(400).json({ success: false, message: "Enable shuffleQuestions and/or shuffleOptions — otherwise use the clone endpoint" });
+    }
+
+    const title = (req.body.title || `${source.title} (variant ${variant.seed})`).trim();
+    const { test, questionMap, optionsKept } = await copyTest(source, { ...target, title, variant });
+
+    res.json({
+      success: true,
+      message: `Variant of "${source.title}" created with seed ${variant.seed}`,
+      ...copySummary(test),
+      variant,
+      questionMap,
+      optionsKept,
+    });
+  } catch (err) {
+    logger.error("Create variant error", { err });
+    res.status(500).json({ success: false, message: err.message || "Variant generation failed" });
+  }
+});
+
+app.get("/admin/tests/:testId/variants", adminAuth, requirePermission("results:read"), validateRequest(API.compareVariants), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    res.json({ success: true, ...(await compareTestFamily(test)) });
+  } catch (err) {
+    logger.error("Compare variants error", { err });
+    res.status(500).json({ success: false, message: "Failed to compare variants" });
+  }
+});
+
+app.put("/admin/update-questions/:testId", adminAuth, requirePermission("tests:write"), validateRequest(API.updateQuestions), audited("test.questions.replace", "test"), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const { testId } = req.params;
+    let { questions, examType, year, format } = req.body;
+
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({ success: false, message: "questions must be a non-empty array" });
+    }
+
+    const test = await Test.findById(testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const payloadErrors = questions.flatMap((q, idx) => validateQuestionPayload(q, idx, { strict: isStrictMode(req.body.strict) }));
+    if (payloadErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid questions payload",
+        errors: payloadErrors,
+      });
+    }
+
+    const screen = await screenDuplicates(req.body.onDuplicate, questions, { excludeTestId: test._id });
+    if (screen.error) {
+      return res.status(screen.status).json({ success: false, message: screen.error, duplicates: screen.duplicates });
+    }
+
+    const images = await screenQuestionImages(questions);
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    const outcome = await replaceTestQuestions(test, questions, { examType, year, format, adminId: req.admin.id });
+    if (outcome.error) {
+      return res.status(400).json({ success: false, message: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      message: outcome.message,
+      testId: test._id.toString(),
+      ...outcome.summary,
+      availability: availabilityNote(test),
+      duplicates: screen.duplicates,
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("Update questions error", { err });
+    res.status(500).json({ success: false, message: err.message || "Update failed" });
+  }
+});
+
+app.delete("/admin/delete-test/:testId", adminAuth, requirePermission("tests:delete"), validateRequest(API.deleteTest), audited("test.delete", "test"), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+
+    const testId = req.params.testId;
+
+    const test = await Test.findById(testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const trashed = await trashTest(test, req.admin.id);
+
+    res.json({
+      success: true,
+      message: `Test, questions, and all user results moved to trash — purged permanently after ${TRASH_RETENTION_DAYS} days unless restored`,
+      deleted: trashed,
+      purgeAfter: new Date(test.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (err) {
+    logger.error("Delete test error", { err });
+    res.status(500).json({ success: false, message: "Delete failed" });
+  }
+});
+
+app.put("/admin/tests/:testId/lifecycle", adminAuth, requirePermission("tests:publish"), validateRequest(API.updateLifecycle), audited("test.lifecycle", "test"), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const { status } = req.body;
+    if (!TEST_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${TEST_STATUSES.join(", ")}` });
+    }
+
+    const { lifecycle, error } = resolveLifecycle({
+      status,
+      publishAt: "publishAt" in req.body ? req.body.publishAt : test.publishAt,
+      archiveAt: "archiveAt" in req.body ? req.body.archiveAt : test.archiveAt,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (status === "published" && test.status === "published") {
+      lifecycle.publishAt = test.publishAt || lifecycle.publishAt;
+      lifecycle.publishedAt = test.publishedAt || lifecycle.publishedAt;
+    }
+
+    const previousStatus = test.status;
+    test.set(lifecycle);
+    await test.save();
+
+    res.json({
+      success: true,
+      message: `Test "${test.title}" moved from ${previousStatus} to ${test.status}`,
+      testId: test._id.toString(),
+      status: test.status,
+      publishAtIST: toIST(test.publishAt),
+      archiveAtIST: toIST(test.archiveAt),
+      availability: availabilityNote(test),
+    });
+  } catch (err) {
+    logger.error("Update lifecycle error", { err });
+    res.status(500).json({ success: false, message: err.message || "Lifecycle update failed" });
+  }
+});
+
+app.put("/admin/tests/:testId/window", adminAuth, requirePermission("tests:write"), validateRequest(API.updateWindow), audited("test.window", "test"), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const test = await Test.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+    if (isFreePcsTest(test)) {
+      return res.status(400).json({ success: false, message: "Free PCS tests have no attempt window" });
+    }
+
+    const { window: attemptWindow, error } = resolveAttemptWindow(req.body, { date: test.date, current: test });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const now = new Date();
+    if (test.startTime && test.startTime <= now) {
+      if (attemptWindow.startTime.getTime() !== test.startTime.getTime()) {
+        return res.status(409).json({ success: false, message: "The attempt window has already opened — its start time can no longer change" });
+      }
+      if (attemptWindow.endTime < test.endTime) {
+        return res.status(409).json({ success: false, message: "The attempt window has already opened — it can be extended but not shortened" });
+      }
+      if (attemptWindow.endTime > test.endTime) {
+        return res.status(409).json({ success: false, message: `The attempt window has already opened — use POST /admin/tests/${test._id}/window/extend` });
+      }
+    }
+
+    test.set(attemptWindow);
+    await test.save();
+
+    res.json({
+      success: true,
+      message: `Attempt window for "${test.title}" updated`,
+      testId: test._id.toString(),
+      ...attemptWindowSummary(test),
+    });
+  } catch (err) {
+    logger.error("Update attempt window error", { err });
+    res.status(500).json({ success: false, message: err.message || "Attempt window update failed" });
+  }
+});
+
+app.post("/admin/tests/:testId/window/extend", adminAuth, requirePermission("tests:publish"), validateRequest(API.extendWindow), audited("test.window.extend", "test", (req, body) => ({ previousEndTimeIST: body.previousEndTimeIST, endTimeIST: body.endTimeIST, reason: req.body.reason || null })), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const test = await Test.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+    if (isFreePcsTest(test) || !test.endTime) {
+      return res.status(400).json({ success: false, message: "This test has no attempt window to extend" });
+    }
+
+    const now = new Date();
+    if (test.startTime > now) {
+      return res.status(409).json({ success: false, message: "The attempt window has not opened yet — update it with PUT /admin/tests/:testId/window instead" });
+    }
+
+    const { minutes, endTime } = req.body;
+    let newEndTime;
+    if (endTime !== undefined) {
+      const parsed = parseISTDateTime(endTime, "endTime", test.date);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      newEndTime = parsed.date;
+    } else if (Number(minutes) > 0) {
+      newEndTime = new Date(Math.max(test.endTime.getTime(), now.getTime()) + Number(minutes) * 60 * 1000);
+    } else {
+      return res.status(400).json({ success: false, message: "Provide endTime or a positive number of minutes" });
+    }
+    if (newEndTime <= test.endTime) {
+      return res.status(400).json({ success: false, message: `The new end time must be after the current one (${toIST(test.endTime)})` });
+    }
+
+    const previousEndTime = test.endTime;
+    test.endTime = newEndTime;
+    test.windowExtensions.push({
+      previousEndTime,
+      endTime: newEndTime,
+      reason: req.body.reason ? String(req.body.reason).trim() : null,
+      adminId: req.admin.id,
+      at: now,
+    });
+    await test.save();
+
+    res.json({
+      success: true,
+      message: `Attempt window for "${test.title}" extended to ${toIST(newEndTime)}`,
+      testId: test._id.toString(),
+      previousEndTimeIST: toIST(previousEndTime),
+      ...attemptWindowSummary(test),
+      archiveWarning: test.archiveAt && test.archiveAt < newEndTime
+        ? `The test is archived automatically at ${toIST(test.archiveAt)}, before the extended window closes`
+        : null,
+    });
+  } catch (err) {
+    logger.error("Extend attempt window error", { err });
+    res.status(500).json({ success: false, message: err.message || "Attempt window extension failed" });
+  }
+});
+
+app.get("/admin/lifecycle/upcoming", adminAuth, requirePermission("tests:read"), validateRequest(API.upcomingLifecycle), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const hours = Math.min(Math.max(Number(req.query.hours) || 168, 1), 24 * 90);
+    const now = new Date();
+    const until = new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+    const [toPublish, toArchive] = await Promise.all([
+      Test.find({ status: "scheduled", publishAt: { $lte: until } }).lean(),
+      Test.find({ status: testStatusFilter(["scheduled", "published"]), archiveAt: { $ne: null, $lte: until } }).lean(),
+    ]);
+
+    const transitions = [
+      ...toPublish.map(t => ({ test: t, from: "scheduled", to: "published", at: t.publishAt })),
+      ...toArchive.map(t => ({ test: t, from: "published", to: "archived", at: t.archiveAt })),
+    ]
+      .sort((a, b) => a.at - b.at)
+      .map(({ test, from, to, at }) => ({
+        testId: test._id.toString(),
+        title: test.title,
+        date: test.date,
+        phase: test.phase,
+        from,
+        to,
+        at,
+        atIST: toIST(at),
+        overdue: at <= now,
+      }));
+
+    res.json({
+      success: true,
+      windowHours: hours,
+      count: transitions.length,
+      overdue: transitions.filter(t => t.overdue).length,
+      transitions,
+    });
+  } catch (err) {
+    logger.error("Load upcoming transitions error", { err });
+    res.status(500).json({ success: false, message: "Failed to load upcoming transitions" });
+  }
+});
+
+app.post("/admin/lifecycle/run", adminAuth, requirePermission("tests:publish"), validateRequest(API.runLifecycle), audited("test.lifecycle.run", null, (req, body) => ({ published: body.published, archived: body.archived })), async (req, res) => {
+  try {
+    const result = await runCronJob("test-lifecycle");
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error("Run lifecycle error", { err });
+    res.status(500).json({ success: false, message: err.message || "Lifecycle run failed" });
+  }
+});
+
+app.all("/cron/:job", cronAuth, validateRequest(API.cron), async (req, res) => {
+  try {
+    const { job } = req.params;
+    if (!cronJobs[job]) {
+      return res.status(404).json({ success: false, message: `Unknown cron job: ${job}` });
+    }
+    const result = await runCronJob(job);
+    res.json({ success: true, job, result });
+  } catch (err) {
+    logger.error("Cron endpoint error", { err });
+    res.status(500).json({ success: false, message: err.message || "Cron job failed" });
+  }
+});
+
+app.get("/admin/tests/:testId/analytics", adminAuth, requirePermission("results:read"), validateRequest(API.analytics), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB()]);
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const bucket = Number(req.query.bucket) > 0 ? Number(req.query.bucket) : 10;
+    const top = Math.min(Math.max(Number(req.query.top) || 10, 1), 100);
+
+    const [allResults, formats] = await Promise.all([loadTestResults(test), loadExamFormats()]);
+    const { counted, unranked, excluded, late } = applyLatePolicy(test, allResults);
+    const results = [...counted, ...unranked];
+    const ranked = rankResults(counted);
+    const format = formats.find(f => f.key === test.phase);
+
+    res.json({
+      success: true,
+      testId: test._id.toString(),
+      title: test.title,
+      phase: test.phase,
+      totalQuestions: test.totalQuestions,
+      maxScore: round(test.totalQuestions * (format || DEFAULT_SCORING).marks),
+      summary: describeScores(results),
+      histogram: { bucketSize: bucket, bins: buildHistogram(results.map(r => r.score ?? 0), bucket) },
+      late,
+      excludedForIntegrity: excluded.length,
+      toppers: ranked.slice(0, top).map(r => ({
+        rank: r.rank,
+        percentile: r.percentile,
+        userId: r.userId,
+        score: r.score,
+        correct: r.correct,
+        incorrect: r.incorrect,
+        timeTakenSeconds: r.timeTakenSeconds,
+      })),
+    });
+  } catch (err) {
+    logger.error("Test analytics error", { err });
+    res.status(500).json({ success: false, message: "Failed to load analytics" });
+  }
+});
+
+app.get("/admin/tests/:testId/analytics/leaderboard", adminAuth, requirePermission("results:read"), validateRequest(API.leaderboard), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB()]);
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const { counted, unranked, excluded, late } = applyLatePolicy(test, await loadTestResults(test));
+    const ranked = [
+      ...rankResults(counted),
+      ...unranked.map(r => ({ ...r, rank: null, percentile: null })),
+      ...excluded.map(r => ({ ...r, rank: null, percentile: null })),
+    ];
+    const leaderboard = ranked.slice(offset, offset + limit).map(r => ({
+      rank: r.rank,
+      percentile: r.percentile,
+      resultId: r._id.toString(),
+      userId: r.userId,
+      score: r.score,
+      rawScore: r.rawScore ?? r.score,
+      correct: r.correct ?? null,
+      incorrect: r.incorrect ?? null,
+      unattempted: r.unattempted ?? null,
+      timeTakenSeconds: r.timeTakenSeconds,
+      submittedAt: r.submittedAt,
+      isLate: r.isLate ?? false,
+      excluded: r.integrity?.excluded === true,
+    }));
+
+    res.json({ success: true, testId: test._id.toString(), total: ranked.length, offset, limit, late, excludedForIntegrity: excluded.length, leaderboard });
+  } catch (err) {
+    logger.error("Leaderboard error", { err });
+    res.status(500).json({ success: false, message: "Failed to load leaderboard" });
+  }
+});
+
+app.get("/admin/tests/:testId/analytics/questions", adminAuth, requirePermission("results:read"), validateRequest(API.questionAnalytics), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const [questions, results] = await Promise.all([
+      getQuestionModel(test).find({ testId }).sort(QUESTION_SORT).lean(),
+      Result.find({ testId }).lean(),
+    ]);
+
+    const items = analyzeQuestions(questions, results);
+    const flagged = items.filter(i =>
+      (i.discriminationIndex !== null && i.discriminationIndex < 0.2) ||
+      (i.percentCorrect !== null && (i.percentCorrect < 10 || i.percentCorrect > 95)));
+
+    res.json({
+      success: true,
+      testId: test._id.toString(),
+      title: test.title,
+      attempts: results.length,
+      questions: items,
+      flagged: flagged.map(i => i.questionNumber),
+    });
+  } catch (err) {
+    logger.error("Question analytics error", { err });
+    res.status(500).json({ success: false, message: "Failed to load question analytics" });
+  }
+});
+
+app.get("/admin/students", adminAuth, requirePermission("results:read"), validateRequest(API.listStudents), async (req, res) => {
+  try {
+    await connectUserDB();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const q = String(req.query.q || "").trim();
+    const students = await Result.aggregate([
+      { $match: { deletedAt: null, userId: q ? { $regex: `^${escapeRegex(q)}` } : { $ne: null } } },
+      { $group: { _id: "$userId", attempts: { $sum: 1 }, averageScore: { $avg: "$score" }, lastSubmittedAt: { $max: "$submittedAt" } } },
+      { $sort: { lastSubmittedAt: -1 } },
+      { $limit: limit },
+    ]);
+    res.json({
+      success: true,
+      count: students.length,
+      students: students.map(s => ({
+        userId: s._id,
+        attempts: s.attempts,
+        averageScore: s.averageScore === null ? null : round(s.averageScore),
+        lastSubmittedAt: s.lastSubmittedAt,
+      })),
+    });
+  } catch (err) {
+    logger.error("List students error", { err });
+    res.status(500).json({ success: false, message: "Failed to load students" });
+  }
+});
+
+app.get("/admin/students/:userId", adminAuth, requirePermission("results:read"), validateRequest(API.studentHistory), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB()]);
+    const history = await studentHistory(req.params.userId);
+    if (!history.history.length) {
+      return res.status(404).json({ success: false, message: "No results found for this student" });
+    }
+    res.json({ success: true, ...history });
+  } catch (err) {
+    logger.error("Student history error", { err });
+    res.status(500).json({ success: false, message: "Failed to load student history" });
+  }
+});
+
+app.get("/admin/tests/:testId/integrity", adminAuth, requirePermission("results:read"), validateRequest(API.integrityReport), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const options = {
+      minSecondsPerQuestion: req.query.minSecondsPerQuestion === undefined ? INTEGRITY_MIN_SECONDS_PER_QUESTION : Number(req.query.minSecondsPerQuestion),
+      minAgreement: req.query.minAgreement === undefined ? INTEGRITY_MIN_AGREEMENT : Number(req.query.minAgreement),
+      minSharedWrong: req.query.minSharedWrong === undefined ? INTEGRITY_MIN_SHARED_WRONG : Number(req.query.minSharedWrong),
+    };
+    const [questions, results] = await Promise.all([
+      getQuestionModel(test).find({ testId: test._id }).sort(QUESTION_SORT).lean(),
+      Result.find({ testId: test._id }).lean(),
+    ]);
+    const report = buildIntegrityReport(test, questions, results, options);
+
+    res.json({
+      success: true,
+      testId: test._id.toString(),
+      title: test.title,
+      window: attemptWindowSummary(test),
+      thresholds: options,
+      ...report,
+    });
+  } catch (err) {
+    logger.error("Integrity report error", { err });
+    res.status(500).json({ success: false, message: "Failed to build the integrity report" });
+  }
+});
+
+app.put("/admin/tests/:testId/integrity/exclusions", adminAuth, requirePermission("tests:publish"), validateRequest(API.integrityExclusions), audited("results.integrity", "test", (req, body) => ({ resultIds: req.body.resultIds, excluded: req.body.excluded, updated: body.updated })), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB()]);
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const { resultIds, excluded } = req.body;
+    const reason = req.body.reason ? String(req.body.reason).trim() : null;
+    const found = await Result.find({ _id: { $in: resultIds }, testId: test._id }, { _id: 1 }).lean();
+    const foundIds = new Set(found.map(r => r._id.toString()));
+    const missing = resultIds.filter(id => !foundIds.has(String(id)));
+    if (missing.length) {
+      return res.status(404).json({ success: false, message: `${missing.length} result(s) do not belong to this test`, missing });
+    }
+
+    const outcome = await Result.updateMany(
+      { _id: { $in: resultIds }, testId: test._id },
+      {
+        $set: {
+          integrity: {
+            excluded,
+            reason,
+            reviewedBy: mongoose.isValidObjectId(req.admin.id) ? req.admin.id : null,
+            reviewedAt: new Date(),
+          },
+        },
+      },
+    );
+    res.json({
+      success: true,
+      message: excluded
+        ? `${outcome.modifiedCount} result(s) excluded from rankings`
+        : `${outcome.modifiedCount} result(s) restored to rankings`,
+      updated: outcome.modifiedCount,
+    });
+  } catch (err) {
+    logger.error("Integrity exclusion error", { err });
+    res.status(500).json({ success: false, message: "Failed to update the results" });
+  }
+});
+
+app.post("/admin/import-questions-csv", adminAuth, requirePermission("tests:write"), express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), validateRequest(API.importCsv), audited("test.questions.import_csv", "test"), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+
+    const isRawCsv = typeof req.body === "string";
+    const params = isRawCsv ? req.query : { ...req.query, ...req.body };
+    const csv = isRawCsv ? req.body : params.csv;
+    const dryRun = params.dryRun === true || params.dryRun === "true" || !params.testId;
+    const previewLimit = Math.min(Math.max(Number(params.preview) || 5, 0), 200);
+
+    if (typeof csv !== "string" || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Send the CSV as a text/csv body or as a \"csv\" string field in JSON",
+      });
+    }
+
+    const parsed = questionsFromCSV(csv, { strict: isStrictMode(params.strict) });
+    if (parsed.fatal) {
+      return res.status(400).json({ success: false, message: parsed.fatal });
+    }
+
+    const { rowErrors, ignoredColumns } = parsed;
+    const questions = parsed.questions.map(p => p.question);
+
+    let test = null;
+    if (params.testId) {
+      test = await Test.findById(params.testId);
+      if (!test) {
+        return res.status(404).json({ success: false, message: "Test not found" });
+      }
+    }
+
+    const formatCheck = await resolveExamFormat({
+      format: params.format,
+      numQuestions: questions.length,
+      current: test?.phase || null,
+      freePcs: !!test && isFreePcsTest(test),
+    });
+    const detectedFormat = formatCheck.format;
+    const countError = test || params.format ? formatCheck.error : null;
+
+    const screen = rowErrors.length || countError
+      ? { duplicates: null }
+      : await screenDuplicates(params.onDuplicate, questions, { excludeTestId: test?._id || null });
+    if (screen.error && !(dryRun && screen.status === 409)) {
+      return res.status(screen.status).json({ success: false, message: screen.error, duplicates: screen.duplicates });
+    }
+
+    const images = rowErrors.length ? { warnings: null } : await screenQuestionImages(questions);
+
+    const hasErrors = rowErrors.length || countError || images.error;
+    if (dryRun || hasErrors) {
+      return res.status(hasErrors ? 400 : 200).json({
+        success: !hasErrors,
+        dryRun: true,
+        message: hasErrors
+          ? "CSV has errors — nothing was written"
+          : `CSV is valid — ${questions.length} questions ready to import`,
+        totalRows: questions.length,
+        validRows: questions.length - rowErrors.length,
+        detectedPhase: detectedFormat?.key || null,
+        countError: countError || null,
+        rowErrors,
+        ignoredColumns,
+        duplicates: screen.duplicates,
+        missingImages: images.missing || [],
+        imageWarnings: images.warnings || null,
+        preview: parsed.questions.slice(0, previewLimit),
+        questions: params.testId || rowErrors.length ? undefined : questions,
+      });
+    }
+
+    const outcome = await replaceTestQuestions(test, questions, {
+      examType: params.examType,
+      year: params.year,
+      format: params.format,
+      adminId: req.admin.id,
+    });
+    if (outcome.error) {
+      return res.status(400).json({ success: false, message: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      dryRun: false,
+      message: outcome.message,
+      testId: test._id.toString(),
+      ...outcome.summary,
+      ignoredColumns,
+      availability: availabilityNote(test),
+      duplicates: screen.duplicates,
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("CSV import error", { err });
+    res.status(err.message?.startsWith("CSV") ? 400 : 500).json({ success: false, message: err.message || "CSV import failed" });
+  }
+});
+
+app.get("/admin/tests/:testId/export", adminAuth, requirePermission("tests:export"), validateRequest(API.exportTest), async (req, res) => {
+  try {
+    const includeResults = req.query.includeResults === "true";
+    await Promise.all([connectQuestionDB(), connectFreePcsDB(), includeResults ? connectUserDB() : null]);
+
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const bundle = await buildTestBundle(test, { includeResults });
+
+    if (req.query.download === "true") {
+      res.setHeader("Content-Disposition", `attachment; filename="${slugify(test.title)}_${test.date}.bundle.json"`);
+      return res.json(bundle);
+    }
+    res.json({ success: true, bundle });
+  } catch (err) {
+    logger.error("Export test error", { err });
+    res.status(500).json({ success: false, message: "Export failed" });
+  }
+});
+
+app.post(BUNDLE_IMPORT_PATH, adminAuth, requirePermission("tests:write"), express.json({ limit: "50mb" }), validateRequest(API.importBundle), audited("test.import", "test", (req, body) => ({ sourceTestId: body.sourceTestId, restored: body.restored })), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const bundle = body.format === BUNDLE_FORMAT ? body : body.bundle;
+    const overrides = body.format === BUNDLE_FORMAT ? req.query : body;
+    const { title, date, includeResults, force } = overrides;
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      return res.status(400).json({ success: false, message: `bundle must be a ${BUNDLE_FORMAT} document` });
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+      return res.status(400).json({ success: false, message: `Unsupported bundle version ${bundle.version} (expected ${BUNDLE_VERSION})` });
+    }
+    if (!bundle.test || !Array.isArray(bundle.questions)) {
+      return res.status(400).json({ success: false, message: "bundle is missing test or questions" });
+    }
+
+    const checksum = bundleChecksum(bundle);
+    if (checksum !== bundle.checksum && force !== true && force !== "true") {
+      return res.status(400).json({
+        success: false,
+        message: "Checksum mismatch — the bundle was modified or truncated (pass force: true to import anyway)",
+        expected: bundle.checksum,
+        actual: checksum,
+      });
+    }
+
+    const payloadErrors = bundle.questions.flatMap((q, idx) => validateQuestionPayload(q, idx));
+    if (payloadErrors.length) {
+      return res.status(400).json({ success: false, message: "Invalid questions in bundle", errors: payloadErrors });
+    }
+
+    let finalDate = date || bundle.test.date;
+    if (finalDate.includes("T")) finalDate = finalDate.split("T")[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(finalDate)) {
+      return res.status(400).json({ success: false, message: "Date must be in YYYY-MM-DD format" });
+    }
+
+    const { lifecycle, error: lifecycleError } = resolveLifecycle({
+      status: overrides.status ?? "draft",
+      publishAt: overrides.publishAt,
+      archiveAt: overrides.archiveAt,
+    });
+    if (lifecycleError) {
+      return res.status(400).json({ success: false, message: lifecycleError });
+    }
+
+    const restoreResults = (includeResults === true || includeResults === "true") && Array.isArray(bundle.results);
+    await Promise.all([connectQuestionDB(), connectFreePcsDB(), restoreResults ? connectUserDB() : null]);
+
+    const source = bundle.test;
+    const isFreePcs = isFreePcsTest(source) || source.phase === "free pcs";
+    const finalTitle = (title || source.title).trim();
+    const format = (await loadExamFormats()).find(f => f.key === (isFreePcs ? "free pcs" : source.phase));
+
+    const { window: attemptWindow, error: windowError } = isFreePcs
+      ? { window: {} }
+      : resolveAttemptWindow(overrides, { date: finalDate, current: source });
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    const createdTest = new Test({
+      title: finalTitle,
+      date: finalDate,
+      totalQuestions: bundle.questions.length,
+      testType: source.testType,
+      phase: source.phase,
+      ...attemptWindow,
+      ...lifecycle,
+    });
+
+    if (isFreePcs) createdTest.freePcs = true;
+
+    const QuestionModel = getQuestionModel(createdTest);
+    const questionIdMap = new Map();
+    const qDocs = bundle.questions.map((q, idx) => {
+      const _id = new mongoose.Types.ObjectId();
+      if (q._id) questionIdMap.set(String(q._id), _id);
+      const base = isFreePcs
+        ? { _id, testId: createdTest._id, title: finalTitle, examType: q.examType, year: q.year, phase: "free pcs", order: idx + 1 }
+        : { _id, testId: createdTest._id, phase: q.phase || "GS", order: idx + 1 };
+      return toQuestionDoc(q, { ...base, ...questionScoring(q, format, idx) });
+    });
+    await atomicTestWrite(createdTest, async (session) => {
+      await QuestionModel.insertMany(qDocs, { session });
+      await createdTest.save({ session });
+    });
+
+    let restored = { results: 0, freeResults: 0 };
+    if (restoreResults) {
+      const strip = ({ _id, __v, ...rest }) => ({ ...rest, testId: createdTest._id });
+      const results = bundle.results.map(r => ({ ...strip(r), answers: remapAnswers(r.answers, questionIdMap) }));
+      const freeResults = (bundle.freeResults || []).map(strip);
+      await withCompensation(`bundle import (${createdTest._id})`, () => runTransaction(userConn, async (session) => {
+        if (results.length) await Result.insertMany(results, { session });
+        if (freeResults.length) await FreeResult.insertMany(freeResults, { session });
+      }), () => purgeTest(createdTest));
+      restored = { results: results.length, freeResults: freeResults.length };
+    }
+
+    res.json({
+      success: true,
+      message: `Imported "${finalTitle}" as a new test`,
+      testId: createdTest._id.toString(),
+      sourceTestId: bundle.source?.testId || source._id || null,
+      collectionName: createdTest.collectionName || null,
+      date: finalDate,
+      totalQuestions: qDocs.length,
+      restored,
+      checksumVerified: checksum === bundle.checksum,
+      status: createdTest.status,
+      availability: availabilityNote(createdTest),
+    });
+  } catch (err) {
+    logger.error("Import test bundle error", { err });
+    res.status(500).json({ success: false, message: err.message || "Import failed" });
+  }
+});
+
+app.post("/admin/bank", adminAuth, requirePermission("bank:write"), validateRequest(API.createBank), audited("bank.create", null, (req, body) => ({ ids: body.ids })), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const entries = Array.isArray(req.body.questions) ? req.body.questions : [req.body];
+
+    if (!entries.length) {
+      return res.status(400).json({ success: false, message: "Provide a question or a non-empty questions array" });
+    }
+
+    const payloadErrors = entries.flatMap((q, idx) => validateQuestionPayload(q, idx));
+    if (payloadErrors.length) {
+      return res.status(400).json({ success: false, message: "Invalid questions payload", errors: payloadErrors });
+    }
+
+    const images = await screenQuestionImages(entries);
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    const docs = await BankQuestion.insertMany(entries.map(q => ({ ...toBankDoc(q, q), createdBy: req.admin?.id || null })));
+
+    res.json({
+      success: true,
+      message: `${docs.length} question(s) added to the bank`,
+      ids: docs.map(d => d._id.toString()),
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("Create bank question error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to add bank questions" });
+  }
+});
+
+app.get("/admin/bank", adminAuth, requirePermission("bank:read"), validateRequest(API.listBank), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const filter = bankFilter(req.query);
+
+    const [total, questions] = await Promise.all([
+      BankQuestion.countDocuments(filter),
+      BankQuestion.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+    ]);
+
+    res.json({ success: true, total, offset, limit, questions });
+  } catch (err) {
+    logger.error("Search bank error", { err });
+    res.status(500).json({ success: false, message: "Failed to search the question bank" });
+  }
+});
+
+app.get("/admin/bank/facets", adminAuth, requirePermission("bank:read"), validateRequest(API.bankFacets), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const [subjects, topics, tags, exams] = await Promise.all([
+      BankQuestion.aggregate([{ $group: { _id: "$subject", count: { $sum: 1 } } }, { $sort: { _id: 1 } }]),
+      BankQuestion.aggregate([{ $group: { _id: { subject: "$subject", topic: "$topic" }, count: { $sum: 1 } } }, { $sort: { "_id.subject": 1, "_id.topic": 1 } }]),
+      BankQuestion.aggregate([{ $unwind: "$tags" }, { $group: { _id: "$tags", count: { $sum: 1 } } }, { $sort: { count: -1 } }]),
+      BankQuestion.aggregate([{ $group: { _id: { examType: "$examType", year: "$year" }, count: { $sum: 1 } } }, { $sort: { "_id.year": -1 } }]),
+    ]);
+
+    res.json({
+      success: true,
+      subjects: subjects.map(s => ({ subject: s._id, count: s.count })),
+      topics: topics.map(t => ({ ...t._id, count: t.count })),
+      tags: tags.map(t => ({ tag: t._id, count: t.count })),
+      exams: exams.map(e => ({ ...e._id, count: e.count })),
+    });
+  } catch (err) {
+    logger.error("Bank facets error", { err });
+    res.status(500).json({ success: false, message: "Failed to load bank facets" });
+  }
+});
+
+app.get("/admin/bank/:id", adminAuth, requirePermission("bank:read"), validateRequest(API.getBank), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const question = await BankQuestion.findById(req.params.id).lean();
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Bank question not found" });
+    }
+
+    const usage = (await forEachQuestionStore(async (Model, collectionName) => {
+      const linked = await Model.find({ bankQuestionId: question._id }, { testId: 1 }).lean();
+      return linked.map(l => ({ testId: l.testId.toString(), questionId: l._id.toString(), collectionName }));
+    })).flat();
+
+    res.json({ success: true, question, usage });
+  } catch (err) {
+    logger.error("Load bank question error", { err });
+    res.status(500).json({ success: false, message: "Failed to load bank question" });
+  }
+});
+
+app.put("/admin/bank/:id", adminAuth, requirePermission("bank:write"), validateRequest(API.updateBank), audited("bank.update", "bank"), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const question = await BankQuestion.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Bank question not found" });
+    }
+
+    const merged = { ...question.toObject(), ...req.body };
+    const payloadErrors = validateQuestionPayload(merged, 0);
+    if (payloadErrors.length) {
+      return res.status(400).json({ success: false, message: "Invalid question payload", errors: payloadErrors });
+    }
+
+    const images = "imageUrl" in req.body ? await screenQuestionImages([merged]) : { warnings: null };
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    question.set(toBankDoc(merged, merged));
+    await question.save();
+
+    res.json({
+      success: true,
+      message: "Bank question updated — use /push to apply the change to tests that use it",
+      question: question.toObject(),
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("Update bank question error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to update bank question" });
+  }
+});
+
+app.delete("/admin/bank/:id", adminAuth, requirePermission("bank:write"), validateRequest(API.deleteBank), audited("bank.delete", "bank", (req, body) => ({ unlinked: body.unlinked })), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const question = await BankQuestion.findByIdAndDelete(req.params.id);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Bank question not found" });
+    }
+
+    const unlinked = (await forEachQuestionStore((Model) =>
+      Model.updateMany({ bankQuestionId: question._id }, { $set: { bankQuestionId: null } })))
+      .reduce((sum, r) => sum + r.modifiedCount, 0);
+
+    res.json({
+      success: true,
+      message: "Bank question deleted — copies in existing tests were kept and unlinked",
+      unlinked,
+    });
+  } catch (err) {
+    logger.error("Delete bank question error", { err });
+    res.status(500).json({ success: false, message: "Failed to delete bank question" });
+  }
+});
+
+app.post("/admin/bank/:id/push", adminAuth, requirePermission("bank:write"), validateRequest(API.pushBank), audited("bank.push", "bank", (req, body) => ({ stores: body.stores })), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const question = await BankQuestion.findById(req.params.id).lean();
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Bank question not found" });
+    }
+
+    const update = {
+      imageUrl: question.imageUrl,
+      english: question.english,
+      hindi: question.hindi,
+      correct_answer: question.correct_answer,
+      ...questionFingerprints(question),
+    };
+
+    const perStore = await forEachQuestionStore(async (Model, collectionName) => {
+      const linked = await Model.find({ bankQuestionId: question._id }, { testId: 1, correct_answer: 1 }).lean();
+      return linked.length ? { Model, collectionName, linked } : null;
+    });
+    const targets = perStore.filter(Boolean);
+
+    const rekeyed = [...new Set(targets.flatMap(t => t.linked
+      .filter(l => l.correct_answer !== question.correct_answer)
+      .map(l => l.testId.toString())))];
+    const graded = await gradedTestIds(rekeyed);
+    if (graded.length) {
+      return res.status(409).json({
+        success: false,
+        message: `${graded.length} linked test(s) already have results under a different answer — correct them with POST /admin/tests/{testId}/answer-key first`,
+        testIds: graded,
+      });
+    }
+
+    const stores = [];
+    for (const { Model, collectionName, linked } of targets) {
+      const result = await Model.updateMany({ bankQuestionId: question._id }, { $set: update });
+      stores.push({
+        collectionName,
+        testIds: [...new Set(linked.map(l => l.testId.toString()))],
+        answerKeyChanged: linked.some(l => l.correct_answer !== question.correct_answer),
+        updated: result.modifiedCount,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Bank question pushed to ${stores.reduce((sum, s) => sum + s.testIds.length, 0)} test(s)`,
+      updated: stores.reduce((sum, s) => sum + s.updated, 0),
+      answerKeyChanged: stores.some(s => s.answerKeyChanged),
+      stores,
+    });
+  } catch (err) {
+    logger.error("Push bank question error", { err });
+    res.status(500).json({ success: false, message: "Failed to push bank question" });
+  }
+});
+
+app.post("/admin/assemble-test", adminAuth, requirePermission("tests:write"), validateRequest(API.assembleTest), audited("test.assemble", "test", (req, body) => ({ bankQuestionIds: body.bankQuestionIds })), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+
+    let { title, date, testType, kind, format, examType, year, questionIds, quotas, status, publishAt, archiveAt } = req.body;
+    const isFreePcs = kind === "free pcs";
+
+    if (!isFreePcs && !testType) {
+      return res.status(400).json({ success: false, message: "testType ('paid' or 'free') is required — or kind: 'free pcs' with examType and year" });
+    }
+    if (isFreePcs && (!examType?.trim() || isNaN(Number(year)))) {
+      return res.status(400).json({ success: false, message: "examType and a numeric year are required for Free PCS tests" });
+    }
+    if (!Array.isArray(questionIds ?? []) || !Array.isArray(quotas ?? []) || !(questionIds?.length || quotas?.length)) {
+      return res.status(400).json({ success: false, message: "Provide questionIds and/or quotas arrays to pick bank questions" });
+    }
+
+    if (date.includes("T")) date = date.split("T")[0];
+
+    if (status === "archived") {
+      return res.status(400).json({ success: false, message: "A new test cannot be created as archived" });
+    }
+    const { lifecycle, error: lifecycleError } = resolveLifecycle({ status, publishAt, archiveAt });
+    if (lifecycleError) {
+      return res.status(400).json({ success: false, message: lifecycleError });
+    }
+
+    const { picked, errors } = await pickFromBank({ questionIds: questionIds || [], quotas: quotas || [] });
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Could not assemble the test from the bank", errors });
+    }
+
+    const { format: examFormat, error: formatError } = await resolveExamFormat({
+      format: format || (isFreePcs ? "free pcs" : null),
+      numQuestions: picked.length,
+      freePcs: isFreePcs,
+    });
+    if (formatError) {
+      return res.status(400).json({ success: false, message: `Picked ${picked.length} questions — ${formatError}` });
+    }
+    const phase = examFormat.key;
+
+    const { window: attemptWindow, error: windowError } = isFreePcs
+      ? { window: { durationMinutes: examFormat.durationMinutes } }
+      : resolveAttemptWindow(req.body, { date, defaultDuration: examFormat.durationMinutes });
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    const trimmedTitle = title.trim();
+    const createdTest = new Test({
+      title: trimmedTitle,
+      date,
+      totalQuestions: picked.length,
+      testType: isFreePcs ? "free" : testType,
+      phase,
+      ...attemptWindow,
+      ...lifecycle,
+    });
+
+    if (isFreePcs) createdTest.freePcs = true;
+
+    const base = isFreePcs
+      ? { testId: createdTest._id, title: trimmedTitle, examType: examType.trim(), year: Number(year) }
+      : { testId: createdTest._id };
+
+    await atomicTestWrite(createdTest, async (session) => {
+      await getQuestionModel(createdTest).insertMany(picked.map((b, idx) => toQuestionDoc(b, {
+        ...base,
+        ...formatQuestionBase(examFormat, idx),
+        bankQuestionId: b._id,
+        order: idx + 1,
+      })), { session });
+      await createdTest.save({ session });
+    });
+
+    res.json({
+      success: true,
+      message: `${createdTest.testType.toUpperCase()} ${phase} test assembled from ${picked.length} bank questions`,
+      testId: createdTest._id.toString(),
+      collectionName: createdTest.collectionName || null,
+      date,
+      totalQuestions: picked.length,
+      testType: createdTest.testType,
+      phase,
+      bankQuestionIds: picked.map(b => b._id.toString()),
+      status: createdTest.status,
+      availability: availabilityNote(createdTest),
+    });
+  } catch (err) {
+    logger.error("Assemble test error", { err });
+    res.status(500).json({ success: false, message: err.message || "Assembly failed" });
+  }
+});
+
+function publicAdmin(admin) {
+  return {
+    id: admin._id.toString(),
+    email: admin.email,
+    name: admin.name || "",
+    role: adminRole(admin),
+    status: admin.status || "active",
+    invitedBy: admin.invitedBy ? admin.invitedBy.toString() : null,
+    lastLoginAt: admin.lastLoginAt || null,
+    passwordChangedAt: admin.passwordChangedAt || null,
+    lockedUntil: admin.lockedUntil && admin.lockedUntil > new Date() ? admin.lockedUntil : null,
+    createdAt: admin.createdAt || null,
+  };
+}
+
+async function wouldRemoveLastSuperAdmin(admin, changes) {
+  if (admin.role !== "super-admin" || !isActiveAdmin(admin)) return false;
+  if ((changes.role ?? admin.role) === "super-admin" && isActiveAdmin({ status: changes.status ?? admin.status })) return false;
+  const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: "super-admin", ...ACTIVE_ADMIN });
+  return others === 0;
+}
+
+async function migrateAdmins({ superAdmins = [], role = "viewer", dryRun = false } = {}) {
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`role must be one of: ${ADMIN_ROLES.join(", ")}`);
+  await connectUserDB();
+  const emails = superAdmins.map(email => email.toLowerCase().trim());
+  const missingRole = { role: { $nin: ADMIN_ROLES } };
+
+  const found = await Admin.find({ email: { $in: emails } }, { email: 1 }).lean();
+  const notFound = emails.filter(email => !found.some(a => a.email === email));
+  const withoutRole = await Admin.countDocuments({ ...missingRole, email: { $nin: emails } });
+  const missingStatus = { status: null };
+  const withoutStatus = await Admin.countDocuments(missingStatus);
+
+  if (!dryRun) {
+    await Admin.updateMany({ email: { $in: emails } }, { $set: { role: "super-admin" } });
+    await Admin.updateMany(missingRole, { $set: { role } });
+    await Admin.updateMany(missingStatus, { $set: { status: "active" } });
+  }
+
+  const activeSuperAdmins = await Admin.countDocuments({ role: "super-admin", ...ACTIVE_ADMIN });
+  if (!dryRun && !activeSuperAdmins) {
+    logger.warn("No active super-admin after the admin migration — rerun it with --super-admin <email>");
+  }
+  return { dryRun, superAdmins: found.length, notFound, rolesAssigned: withoutRole, statusesAssigned: withoutStatus, role, activeSuperAdmins };
+}
+
+app.get("/admin/me", adminAuth, validateRequest(API.me), async (req, res) => {
+  try {
+    await connectUserDB();
+    const admin = await Admin.findById(req.admin.id).lean();
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+    res.json({ success: true, admin: publicAdmin(admin), permissions: ROLE_PERMISSIONS[adminRole(admin)] });
+  } catch (err) {
+    logger.error("Load admin profile error", { err });
+    res.status(500).json({ success: false, message: "Failed to load profile" });
+  }
+});
+
+app.get("/admin/admins", adminAuth, requirePermission("admins:manage"), validateRequest(API.listAdmins), async (req, res) => {
+  try {
+    await connectUserDB();
+    const filter = {};
+    if (ADMIN_ROLES.includes(req.query.role)) filter.role = req.query.role;
+    if (["invited", "disabled"].includes(req.query.status)) filter.status = req.query.status;
+    if (req.query.status === "active") Object.assign(filter, ACTIVE_ADMIN);
+
+    const admins = await Admin.find(filter).sort({ email: 1 }).lean();
+    res.json({ success: true, count: admins.length, admins: admins.map(publicAdmin) });
+  } catch (err) {
+    logger.error("List admins error", { err });
+    res.status(500).json({ success: false, message: "Failed to load admins" });
+  }
+});
+
+app.post("/admin/admins", adminAuth, requirePermission("admins:manage"), validateRequest(API.inviteAdmin), audited("admin.invite", "admin"), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { email, role, name } = req.body;
+
+    const normalizedEmail = email.toLowerCase().trim();
+    if (await Admin.exists({ email: normalizedEmail })) {
+      return res.status(409).json({ success: false, message: "An admin with this email already exists" });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString("hex");
+    const admin = await Admin.create({
+      email: normalizedEmail,
+      name: name?.trim() || "",
+      role,
+      status: "invited",
+      inviteTokenHash: hashToken(inviteToken),
+      inviteExpiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      invitedBy: req.admin.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invite created for ${normalizedEmail} — share the invite token; it expires in 7 days`,
+      admin: publicAdmin(admin),
+      inviteToken,
+      inviteExpiresAt: admin.inviteExpiresAt,
+    });
+  } catch (err) {
+    logger.error("Invite admin error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to invite admin" });
+  }
+});
+
+app.post("/admin/accept-invite", validateRequest(API.acceptInvite), audited("admin.accept_invite", "admin"), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { token, password } = req.body;
+
+    const admin = await Admin.findOne({
+      inviteTokenHash: hashToken(String(token)),
+      status: "invited",
+      inviteExpiresAt: { $gt: new Date() },
+    });
+    if (!admin) {
+      return res.status(400).json({ success: false, message: "Invite is invalid or has expired" });
+    }
+
+    admin.password = await bcrypt.hash(password, 12);
+    admin.status = "active";
+    admin.inviteTokenHash = null;
+    admin.inviteExpiresAt = null;
+    await admin.save();
+
+    res.json({ success: true, message: "Invite accepted — you can now log in", admin: publicAdmin(admin) });
+  } catch (err) {
+    logger.error("Accept invite error", { err });
+    res.status(500).json({ success: false, message: "Failed to accept invite" });
+  }
+});
+
+app.put("/admin/admins/:adminId/role", adminAuth, requirePermission("admins:manage"), validateRequest(API.setAdminRole), audited("admin.role", "admin"), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { role } = req.body;
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+    if (await wouldRemoveLastSuperAdmin(admin, { role })) {
+      return res.status(400).json({ success: false, message: "Cannot demote the last active super-admin" });
+    }
+
+    admin.role = role;
+    await admin.save();
+
+    res.json({ success: true, message: `${admin.email} is now ${role}`, admin: publicAdmin(admin) });
+  } catch (err) {
+    logger.error("Change admin role error", { err });
+    res.status(500).json({ success: false, message: "Failed to change role" });
+  }
+});
+
+app.put("/admin/admins/:adminId/status", adminAuth, requirePermission("admins:manage"), validateRequest(API.setAdminStatus), audited("admin.status", "admin"), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { status } = req.body;
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+    if (admin.status === "invited" && status === "active") {
+      return res.status(400).json({ success: false, message: "An invited admin becomes active by accepting the invite" });
+    }
+    if (await wouldRemoveLastSuperAdmin(admin, { status })) {
+      return res.status(400).json({ success: false, message: "Cannot disable the last active super-admin" });
+    }
+
+    admin.status = status;
+    if (status === "disabled") {
+      admin.inviteTokenHash = null;
+      admin.inviteExpiresAt = null;
+    }
+    await admin.save();
+    const revokedSessions = status === "disabled" ? await revokeSessions({ adminId: admin._id }, "admin disabled") : 0;
+
+    res.json({ success: true, message: `${admin.email} is now ${status}`, admin: publicAdmin(admin), revokedSessions });
+  } catch (err) {
+    logger.error("Change admin status error", { err });
+    res.status(500).json({ success: false, message: "Failed to change status" });
+  }
+});
+
+app.post("/admin/admins/:adminId/revoke-sessions", adminAuth, requirePermission("admins:manage"), validateRequest(API.revokeAdminSessions), audited("admin.revoke_sessions", "admin", (req, body) => ({ revoked: body.revoked })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+
+    const revoked = await revokeSessions({ adminId: admin._id }, `revoked by ${req.admin.id}`);
+    res.json({ success: true, message: `Revoked ${revoked} session(s) for ${admin.email}`, admin: publicAdmin(admin), revoked });
+  } catch (err) {
+    logger.error("Revoke admin sessions error", { err });
+    res.status(500).json({ success: false, message: "Failed to revoke sessions" });
+  }
+});
+
+app.post("/admin/admins/:adminId/unlock", adminAuth, requirePermission("admins:manage"), validateRequest(API.unlockAdmin), audited("admin.unlock", "admin"), async (req, res) => {
+  try {
+    await connectUserDB();
+    const admin = await Admin.findByIdAndUpdate(
+      req.params.adminId,
+      { $set: { failedLoginAttempts: 0, lockedUntil: null } },
+      { returnDocument: "after" },
+    );
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+    res.json({ success: true, message: `${admin.email} unlocked`, admin: publicAdmin(admin) });
+  } catch (err) {
+    logger.error("Unlock admin error", { err });
+    res.status(500).json({ success: false, message: "Failed to unlock admin" });
+  }
+});
+
+app.get("/admin/audit-log", adminAuth, requirePermission("audit:read"), validateRequest(API.auditLog), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { adminId, testId, action, targetType, targetId, from, to, before } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const includeSnapshots = req.query.includeSnapshots === "true";
+
+    const filter = {};
+    if (adminId) filter.adminId = adminId;
+    if (testId) filter.testId = testId;
+    if (action) filter.action = action.endsWith("*") ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`) : action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = String(targetId);
+
+    const range = {};
+    for (const [key, value, op] of [["from", from, "$gte"], ["to", to, "$lte"], ["before", before, "$lt"]]) {
+      if (!value) continue;
+      const d = new Date(value);
+      if (isNaN(d.getTime())) return res.status(400).json({ success: false, message: `${key} must be a valid date-time` });
+      range[op] = d;
+    }
+    if (Object.keys(range).length) filter.at = range;
+
+    const projection = includeSnapshots ? {} : { before: 0, after: 0 };
+    const entries = await AuditLog.find(filter, projection).sort({ at: -1, _id: -1 }).limit(limit + 1).lean();
+    const page = entries.slice(0, limit);
+
+    res.json({
+      success: true,
+      count: page.length,
+      nextBefore: entries.length > limit ? page[page.length - 1].at : null,
+      entries: page,
+    });
+  } catch (err) {
+    logger.error("Load audit log error", { err });
+    res.status(500).json({ success: false, message: "Failed to load audit log" });
+  }
+});
+
+app.get("/admin/audit-log/:entryId", adminAuth, requirePermission("audit:read"), validateRequest(API.auditEntry), async (req, res) => {
+  try {
+    await connectUserDB();
+    const entry = await AuditLog.findById(req.params.entryId).lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, message: "Audit entry not found" });
+    }
+    res.json({ success: true, entry });
+  } catch (err) {
+    logger.error("Load audit entry error", { err });
+    res.status(500).json({ success: false, message: "Failed to load audit entry" });
+  }
+});
+
+app.get("/admin/trash", adminAuth, requirePermission("tests:read"), validateRequest(API.listTrash), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const tests = await Test.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 }).lean();
+
+    const items = await Promise.all(tests.map(async (t) => {
+      const counts = {};
+      for (const [key, Model] of Object.entries(testDependentModels(t))) {
+        counts[key] = await Model.countDocuments({ testId: t._id, deletedAt: t.deletedAt });
+      }
+      return {
+        testId: t._id.toString(),
+        title: t.title,
+        date: t.date,
+        testType: t.testType,
+        phase: t.phase,
+        statusBeforeDelete: t.statusBeforeDelete,
+        deletedAt: t.deletedAt,
+        deletedBy: t.deletedBy ? t.deletedBy.toString() : null,
+        purgeAfter: new Date(t.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        trashed: counts,
+      };
+    }));
+
+    res.json({ success: true, retentionDays: TRASH_RETENTION_DAYS, count: items.length, items });
+  } catch (err) {
+    logger.error("Load trash error", { err });
+    res.status(500).json({ success: false, message: "Failed to load trash" });
+  }
+});
+
+app.post("/admin/trash/:testId/restore", adminAuth, requirePermission("tests:delete"), validateRequest(API.restoreTrash), audited("test.restore", "test"), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const test = await Test.findOne({ _id: req.params.testId, deletedAt: { $ne: null } });
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found in trash" });
+    }
+
+    const restored = await restoreTest(test);
 
     res.json({
       success: true,
-      message: `${testType.toUpperCase()} ${phaseDisplay} test created on ${date}`,
-      testId:         test._id.toString(),
-      date,
-      totalQuestions: numQuestions,
-      testType,
-      phase,
-      startTimeIST: `${date}T00:00:00+05:30`,
-      endTimeIST:   `${date}T23:59:59+05:30`,
-      availability: PERSISTENCE_NOTE,
+      message: `Test "${test.title}" restored with its questions and results`,
+      testId: test._id.toString(),
+      status: test.status,
+      restored,
+      availability: availabilityNote(test),
     });
   } catch (err) {
-    console.error("Create test error:", err);
-    res.status(500).json({ success: false, message: err.message || "Creation failed" });
+    logger.error("Restore test error", { err });
+    res.status(500).json({ success: false, message: "Restore failed" });
   }
 });
 
-app.post("/admin/create-free-pcs-test", adminAuth, async (req, res) => {
+app.delete("/admin/trash/:testId", adminAuth, requirePermission("tests:delete"), validateRequest(API.purgeTrash), audited("test.purge", "test"), async (req, res) => {
   try {
-    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const test = await Test.findOne({ _id: req.params.testId, deletedAt: { $ne: null } }).lean();
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found in trash — move it to trash first" });
+    }
+
+    const purged = await purgeTest(test);
+
+    res.json({
+      success: true,
+      message: `Test "${test.title}" permanently deleted`,
+      testId: test._id.toString(),
+      deleted: purged,
+    });
+  } catch (err) {
+    logger.error("Purge test error", { err });
+    res.status(500).json({ success: false, message: "Purge failed" });
+  }
+});
+
+app.post("/admin/trash/purge-expired", adminAuth, requirePermission("tests:delete"), validateRequest(API.purgeExpiredTrash), audited("trash.purge_expired", null, (req, body) => ({ purgedTests: body.purgedTests })), async (req, res) => {
+  try {
+    const result = await runCronJob("trash-purge");
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error("Purge expired trash error", { err });
+    res.status(500).json({ success: false, message: err.message || "Purge failed" });
+  }
+});
+
+async function loadQuestionContext(req, res) {
+  await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+  const test = await Test.findById(req.params.testId);
+  if (!test) {
+    res.status(404).json({ success: false, message: "Test not found" });
+    return null;
+  }
+  return { test, Model: getQuestionModel(test) };
+}
+
+async function refuseIfGraded(test, res) {
+  if (!(await gradedTestIds([test._id])).length) return false;
+  res.status(409).json({
+    success: false,
+    message: "This test already has results — adding, removing or reordering questions would renumber the questions they were graded against",
+  });
+  return true;
+}
+
+async function questionBaseFor(test, sample, idx) {
+  const format = (await loadExamFormats()).find(f => f.key === test.phase);
+  const scoring = format
+    ? formatQuestionBase(format, idx)
+    : { ...questionScoring(sample, null), phase: sample?.phase || "GS" };
+  if (!isFreePcsTest(test)) return { testId: test._id, ...scoring };
+  return { testId: test._id, title: test.title, examType: sample?.examType, year: sample?.year, ...scoring };
+}
+
+app.post("/admin/tests/:testId/questions", adminAuth, requirePermission("tests:write"), validateRequest(API.addQuestion), audited("test.question.add", "test"), async (req, res) => {
+  try {
+    const ctx = await loadQuestionContext(req, res);
+    if (!ctx) return;
+    const { test, Model } = ctx;
+    if (await refuseIfGraded(test, res)) return;
+
+    const { position, onDuplicate, strict, ...q } = req.body;
+    const payloadErrors = validateQuestionPayload(q, 0, { strict: isStrictMode(strict) });
+    if (payloadErrors.length) {
+      return res.status(400).json({ success: false, message: "Invalid question payload", errors: payloadErrors });
+    }
+
+    const screen = await screenDuplicates(onDuplicate, [q], {});
+    if (screen.error) {
+      return res.status(screen.status).json({ success: false, message: screen.error, duplicates: screen.duplicates });
+    }
+
+    const images = await screenQuestionImages([q]);
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    const count = await renumberQuestions(Model, test._id);
+    const target = position === undefined || position === null ? count + 1 : Number(position);
+    if (!Number.isInteger(target) || target < 1 || target > count + 1) {
+      return res.status(400).json({ success: false, message: `position must be between 1 and ${count + 1}` });
+    }
+
+    const sample = await Model.findOne({ testId: test._id }).lean();
+    const base = await questionBaseFor(test, sample, target - 1);
+    if (isFreePcsTest(test) && (!base.examType || !base.year)) {
+      base.examType = req.body.examType && String(req.body.examType).trim();
+      base.year = Number(req.body.year);
+      if (!base.examType || isNaN(base.year)) {
+        return res.status(400).json({ success: false, message: "examType and year are required (could not be inferred from existing data)" });
+      }
+    }
+
+    const { created, synced } = await atomicTestWrite(test, async (session) => {
+      await Model.updateMany({ testId: test._id, order: { $gte: target } }, { $inc: { order: 1 } }, { session });
+      const [doc] = await Model.create([toQuestionDoc(q, { ...base, order: target })], { session });
+      return { created: doc, synced: await syncQuestionCount(test, Model, session) };
+    });
+
+    res.json({
+      success: true,
+      message: `Question added at position ${target}`,
+      testId: test._id.toString(),
+      questionId: created._id.toString(),
+      order: target,
+      ...synced,
+      duplicates: screen.duplicates,
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("Add question error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to add question" });
+  }
+});
+
+app.patch("/admin/tests/:testId/questions/:questionId", adminAuth, requirePermission("tests:write"), validateRequest(API.editQuestion), audited("test.question.edit", "test"), async (req, res) => {
+  try {
+    const ctx = await loadQuestionContext(req, res);
+    if (!ctx) return;
+    const { test, Model } = ctx;
+
+    const existing = await Model.findOne({ _id: req.params.questionId, testId: test._id }).lean();
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Question not found in this test" });
+    }
 
-    let { title, date, examType, year, questions } = req.body;
+    const merged = {
+      imageUrl: "imageUrl" in req.body ? req.body.imageUrl : existing.imageUrl,
+      english: { ...existing.english, ...(req.body.english || {}) },
+      hindi: { ...existing.hindi, ...(req.body.hindi || {}) },
+      correct_answer: req.body.correct_answer ?? existing.correct_answer,
+    };
+    const payloadErrors = validateQuestionPayload(merged, (existing.order || 1) - 1, { strict: isStrictMode(req.body.strict) });
+    if (payloadErrors.length) {
+      return res.status(400).json({ success: false, message: "Invalid question payload", errors: payloadErrors });
+    }
+
+    const answerKeyChanged = Number(merged.correct_answer) !== existing.correct_answer;
+    if (answerKeyChanged && (await gradedTestIds([test._id])).length) {
+      return res.status(409).json({
+        success: false,
+        message: `This test already has results — change correct_answer with POST /admin/tests/${test._id}/answer-key so they are regraded`,
+      });
+    }
+
+    const textChanged = "english" in req.body || "hindi" in req.body;
+    const screen = textChanged
+      ? await screenDuplicates(req.body.onDuplicate, [merged], { excludeQuestionIds: [existing._id] })
+      : { duplicates: null };
+    if (screen.error) {
+      return res.status(screen.status).json({ success: false, message: screen.error, duplicates: screen.duplicates });
+    }
+
+    const images = "imageUrl" in req.body ? await screenQuestionImages([merged]) : { warnings: null };
+    if (images.error) {
+      return res.status(400).json({ success: false, message: images.error, missingImages: images.missing });
+    }
+
+    const doc = toQuestionDoc(merged, {});
+    await Model.updateOne({ _id: existing._id }, {
+      $set: {
+        imageUrl: doc.imageUrl,
+        english: doc.english,
+        hindi: doc.hindi,
+        correct_answer: doc.correct_answer,
+        fingerprint: doc.fingerprint,
+        hindiFingerprint: doc.hindiFingerprint,
+        similarityBands: doc.similarityBands,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Question updated",
+      testId: test._id.toString(),
+      questionId: existing._id.toString(),
+      answerKeyChanged,
+      duplicates: screen.duplicates,
+      imageWarnings: images.warnings,
+    });
+  } catch (err) {
+    logger.error("Edit question error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to edit question" });
+  }
+});
+
+app.delete("/admin/tests/:testId/questions/:questionId", adminAuth, requirePermission("tests:write"), validateRequest(API.deleteQuestion), audited("test.question.delete", "test"), async (req, res) => {
+  try {
+    const ctx = await loadQuestionContext(req, res);
+    if (!ctx) return;
+    const { test, Model } = ctx;
+    if (await refuseIfGraded(test, res)) return;
+
+    const synced = await atomicTestWrite(test, async (session) => {
+      const result = await Model.updateOne(
+        { _id: req.params.questionId, testId: test._id },
+        { $set: { deletedAt: new Date(), deletedBy: mongoose.isValidObjectId(req.admin.id) ? req.admin.id : null } },
+        { session },
+      );
+      return result.matchedCount ? syncQuestionCount(test, Model, session) : null;
+    });
+    if (!synced) {
+      return res.status(404).json({ success: false, message: "Question not found in this test" });
+    }
+
+    res.json({
+      success: true,
+      message: "Question moved to trash",
+      testId: test._id.toString(),
+      questionId: req.params.questionId,
+      ...synced,
+    });
+  } catch (err) {
+    logger.error("Delete question error", { err });
+    res.status(500).json({ success: false, message: "Failed to delete question" });
+  }
+});
+
+app.post("/admin/tests/:testId/questions/:questionId/restore", adminAuth, requirePermission("tests:write"), validateRequest(API.restoreQuestion), audited("test.question.restore", "test"), async (req, res) => {
+  try {
+    const ctx = await loadQuestionContext(req, res);
+    if (!ctx) return;
+    const { test, Model } = ctx;
+    if (await refuseIfGraded(test, res)) return;
+
+    const question = await Model.findOne({ _id: req.params.questionId, testId: test._id, deletedAt: { $ne: null } }).lean();
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Question not found in trash" });
+    }
+
+    const count = await Model.countDocuments({ testId: test._id });
+    const target = Math.min(Math.max(question.order || count + 1, 1), count + 1);
+    const synced = await atomicTestWrite(test, async (session) => {
+      await Model.updateMany({ testId: test._id, order: { $gte: target } }, { $inc: { order: 1 } }, { session });
+      await Model.updateOne(
+        { _id: question._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null, order: target } },
+        { session },
+      );
+      return syncQuestionCount(test, Model, session);
+    });
+
+    res.json({
+      success: true,
+      message: `Question restored at position ${target}`,
+      testId: test._id.toString(),
+      questionId: question._id.toString(),
+      ...synced,
+    });
+  } catch (err) {
+    logger.error("Restore question error", { err });
+    res.status(500).json({ success: false, message: "Failed to restore question" });
+  }
+});
 
-    if (!title?.trim() || !date || !examType?.trim() || !year || !Array.isArray(questions) || questions.length === 0) {
+app.put("/admin/tests/:testId/questions/order", adminAuth, requirePermission("tests:write"), validateRequest(API.reorderQuestions), audited("test.question.reorder", "test"), async (req, res) => {
+  try {
+    const ctx = await loadQuestionContext(req, res);
+    if (!ctx) return;
+    const { test, Model } = ctx;
+    if (await refuseIfGraded(test, res)) return;
+
+    const { order } = req.body;
+    const docs = await Model.find({ testId: test._id }, { _id: 1 }).lean();
+    const ids = new Set(docs.map(d => d._id.toString()));
+
+    if (!Array.isArray(order) || order.length !== ids.size || new Set(order.map(String)).size !== ids.size ||
+        !order.every(id => ids.has(String(id)))) {
       return res.status(400).json({
         success: false,
-        message: "title, date, examType, year, and a non-empty questions array are required",
+        message: `order must list each of the test's ${ids.size} question ids exactly once`,
       });
     }
 
-    const yearNum = Number(year);
-    if (isNaN(yearNum)) {
-      return res.status(400).json({ success: false, message: "year must be a number" });
+    await Model.bulkWrite(order.map((id, idx) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: idx + 1 } } },
+    })));
+
+    res.json({
+      success: true,
+      message: `Questions reordered for "${test.title}"`,
+      testId: test._id.toString(),
+      totalQuestions: order.length,
+    });
+  } catch (err) {
+    logger.error("Reorder questions error", { err });
+    res.status(500).json({ success: false, message: "Failed to reorder questions" });
+  }
+});
+
+app.post("/admin/tests/:testId/answer-key", adminAuth, requirePermission("tests:write"), validateRequest(API.answerKey), audited("test.answer_key", "test", (req, body) => ({ regradeId: body.regradeId, summary: body.summary })), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const test = await Test.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
     }
 
-    const payloadErrors = questions.flatMap((q, idx) => validateQuestionPayload(q, idx));
-    if (payloadErrors.length) {
+    const { changes, reason } = req.body;
+    const dryRun = req.body.dryRun === true;
+    if (!Array.isArray(changes) || !changes.length) {
       return res.status(400).json({
         success: false,
-        message: "Invalid questions payload",
-        errors: payloadErrors,
+        message: "changes must be a non-empty array of { questionId, correct_answer?, acceptedAnswers?, drop?, dropPolicy? }",
       });
     }
 
-    if (date.includes("T")) date = date.split("T")[0];
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ success: false, message: "Date must be in YYYY-MM-DD format" });
+    const Model = getQuestionModel(test);
+    const questions = await Model.find({ testId: test._id }).sort(QUESTION_SORT).lean();
+    const { errors, keyChanges } = applyKeyChanges(questions, changes);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Invalid answer-key changes", errors });
     }
 
-    const trimmedTitle = title.trim();
+    const results = await Result.find({ testId: test._id }).lean();
+    const format = (await loadExamFormats()).find(f => f.key === test.phase);
+    const regraded = results.map(r => ({ ...r, ...gradeAnswers(questions, r.answers, format) }));
+    const ranksBefore = rankMap(test, results);
+    const ranksAfter = rankMap(test, regraded);
 
-    const test = await Test.create({
-      title: trimmedTitle,
-      date,
-      totalQuestions: questions.length,
-      testType: "free",
-      phase: "free pcs",
-    });
+    const resultChanges = regraded
+      .map((r, i) => {
+        const before = Object.fromEntries(GRADE_FIELDS.map(f => [f, results[i][f] ?? null]));
+        const after = Object.fromEntries(GRADE_FIELDS.map(f => [f, r[f]]));
+        return { resultId: r._id.toString(), userId: r.userId, before, after };
+      })
+      .filter(c => GRADE_FIELDS.some(f => c.before[f] !== c.after[f]));
 
-    const collectionName = `fpcs_${slugify(trimmedTitle)}_${test._id.toString().slice(-6)}`;
-    test.collectionName = collectionName;
-    await test.save();
+    const rankChanges = regraded.filter(r => ranksBefore.get(r._id.toString()) !== ranksAfter.get(r._id.toString())).length;
+    const freeResultsSkipped = await FreeResult.countDocuments({ testId: test._id });
+    const summary = {
+      questionsChanged: keyChanges.length,
+      resultsChecked: results.length,
+      resultsChanged: resultChanges.length,
+      ranksChanged: rankChanges,
+      freeResultsSkipped,
+      averageScoreBefore: describeScores(results).average,
+      averageScoreAfter: describeScores(regraded).average,
+    };
 
-    const FreePCSQuestionDyn = getFreePCSModel(collectionName);
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, message: "Regrade preview — nothing was written", summary, keyChanges, sample: resultChanges.slice(0, 20) });
+    }
 
-    const qDocs = questions.map((q) => ({
+    const regrade = new Regrade({
       testId: test._id,
-      title: trimmedTitle,
-      examType: examType.trim(),
-      year: yearNum,
-      imageUrl: q.imageUrl ? String(q.imageUrl).trim() : null,
-      english: {
-        question: String(q.english.question).trim(),
-        options: q.english.options,
-        english_explanation: String(q.english.english_explanation || "").trim(),
-      },
-      hindi: {
-        question: String(q.hindi.question).trim(),
-        options: q.hindi.options,
-        hindi_explanation: String(q.hindi.hindi_explanation || "").trim(),
-      },
-      marks: 2,
-      negativeMarks: 0.66,
-      correct_answer: Number(q.correct_answer),
-      phase: "free pcs",
+      adminId: mongoose.isValidObjectId(req.admin.id) ? req.admin.id : null,
+      reason: reason || "",
+      keyChanges,
+      resultChanges,
+      summary,
+    });
+    await runTransaction(userConn, async (session) => {
+      if (resultChanges.length) {
+        await Result.bulkWrite(resultChanges.map(c => ({
+          updateOne: { filter: { _id: c.resultId }, update: { $set: c.after } },
+        })), { session });
+      }
+      await regrade.save({ session });
+    });
+
+    await withCompensation(`answer key (${test._id})`, () => Model.bulkWrite(keyChanges.map(c => ({
+      updateOne: { filter: { _id: c.questionId }, update: { $set: c.after } },
+    }))), () => runTransaction(userConn, async (session) => {
+      if (resultChanges.length) {
+        await Result.bulkWrite(resultChanges.map(c => ({
+          updateOne: { filter: { _id: c.resultId }, update: { $set: c.before } },
+        })), { session });
+      }
+      await Regrade.deleteOne({ _id: regrade._id }, { session });
+    }));
+
+    res.json({
+      success: true,
+      message: `Answer key updated — ${summary.resultsChanged} of ${summary.resultsChecked} results regraded, ${summary.ranksChanged} ranks changed`,
+      testId: test._id.toString(),
+      regradeId: regrade._id.toString(),
+      summary,
+      keyChanges,
+    });
+  } catch (err) {
+    logger.error("Answer key change error", { err });
+    res.status(500).json({ success: false, message: err.message || "Regrade failed" });
+  }
+});
+
+app.get("/admin/tests/:testId/regrades", adminAuth, requirePermission("results:read"), validateRequest(API.listRegrades), async (req, res) => {
+  try {
+    await connectUserDB();
+    const regrades = await Regrade.find({ testId: req.params.testId }, { resultChanges: 0 }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, count: regrades.length, regrades });
+  } catch (err) {
+    logger.error("Load regrades error", { err });
+    res.status(500).json({ success: false, message: "Failed to load regrades" });
+  }
+});
+
+app.post("/admin/regrades/:regradeId/undo", adminAuth, requirePermission("tests:write"), validateRequest(API.undoRegrade), audited("test.answer_key.undo", null, (req, body) => ({ regradeId: req.params.regradeId, testId: body.testId, restored: body.restored })), async (req, res) => {
+  try {
+    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
+    const regrade = await Regrade.findById(req.params.regradeId);
+    if (!regrade) {
+      return res.status(404).json({ success: false, message: "Regrade not found" });
+    }
+    if (regrade.undoneAt) {
+      return res.status(400).json({ success: false, message: "This regrade was already undone" });
+    }
+
+    const later = await Regrade.exists({ testId: regrade.testId, undoneAt: null, createdAt: { $gt: regrade.createdAt } });
+    if (later) {
+      return res.status(409).json({ success: false, message: "Undo the newer regrades of this test first" });
+    }
+
+    const test = await Test.findById(regrade.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: "Test not found" });
+    }
+
+    const current = await Result.find({ _id: { $in: regrade.resultChanges.map(c => c.resultId) } }).lean();
+    const currentById = new Map(current.map(r => [r._id.toString(), r]));
+    const conflicts = [];
+    const restorable = [];
+    regrade.resultChanges.forEach((c) => {
+      const now = currentById.get(c.resultId);
+      if (!now) return;
+      if (GRADE_FIELDS.some(f => (now[f] ?? null) !== c.after[f])) {
+        conflicts.push(c.resultId);
+        return;
+      }
+      restorable.push(c);
+    });
+    const ops = restorable.map(c => ({ updateOne: { filter: { _id: c.resultId }, update: { $set: c.before } } }));
+
+    regrade.undoneAt = new Date();
+    regrade.undoneBy = mongoose.isValidObjectId(req.admin.id) ? req.admin.id : null;
+    await runTransaction(userConn, async (session) => {
+      if (ops.length) await Result.bulkWrite(ops, { session });
+      await regrade.save({ session });
+    });
+
+    await withCompensation(`answer key undo (${test._id})`, () => getQuestionModel(test).bulkWrite(regrade.keyChanges.map(c => ({
+      updateOne: { filter: { _id: c.questionId }, update: { $set: c.before } },
+    }))), () => runTransaction(userConn, async (session) => {
+      if (restorable.length) {
+        await Result.bulkWrite(restorable.map(c => ({ updateOne: { filter: { _id: c.resultId }, update: { $set: c.after } } })), { session });
+      }
+      await Regrade.updateOne({ _id: regrade._id }, { $set: { undoneAt: null, undoneBy: null } }, { session });
     }));
 
-    await FreePCSQuestionDyn.insertMany(qDocs);
+    res.json({
+      success: true,
+      message: `Regrade undone — ${ops.length} results restored${conflicts.length ? `, ${conflicts.length} skipped because they changed since` : ""}`,
+      testId: test._id.toString(),
+      restored: { questions: regrade.keyChanges.length, results: ops.length },
+      conflicts,
+    });
+  } catch (err) {
+    logger.error("Undo regrade error", { err });
+    res.status(500).json({ success: false, message: "Undo failed" });
+  }
+});
+
+app.get("/admin/exam-formats", adminAuth, requirePermission("tests:read"), validateRequest(API.listFormats), async (req, res) => {
+  try {
+    const formats = await loadExamFormats({ fresh: true });
+    res.json({ success: true, count: formats.length, formats });
+  } catch (err) {
+    logger.error("Load exam formats error", { err });
+    res.status(500).json({ success: false, message: "Failed to load exam formats" });
+  }
+});
+
+app.post("/admin/exam-formats", adminAuth, requirePermission("formats:manage"), validateRequest(API.createFormat), audited("exam_format.create", null, (req, body) => ({ format: body.format })), async (req, res) => {
+  try {
+    await loadExamFormats();
+    const { errors, doc } = validateExamFormatPayload(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Invalid exam format", errors });
+    }
+    if (await ExamFormat.exists({ key: doc.key })) {
+      return res.status(409).json({ success: false, message: `Exam format "${doc.key}" already exists` });
+    }
+
+    const format = await ExamFormat.create(doc);
+    examFormatCache = { at: 0, formats: null };
+
+    res.status(201).json({ success: true, message: `Exam format "${format.name}" created`, format: format.toObject() });
+  } catch (err) {
+    logger.error("Create exam format error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to create exam format" });
+  }
+});
+
+app.put("/admin/exam-formats/:key", adminAuth, requirePermission("formats:manage"), validateRequest(API.updateFormat), audited("exam_format.update", null, (req, body) => ({ format: body.format })), async (req, res) => {
+  try {
+    await loadExamFormats();
+    const format = await ExamFormat.findOne({ key: req.params.key.toLowerCase() });
+    if (!format) {
+      return res.status(404).json({ success: false, message: "Exam format not found" });
+    }
+
+    const { errors, doc } = validateExamFormatPayload({ ...req.body, key: format.key }, format.toObject());
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Invalid exam format", errors });
+    }
+    if (format.freePcs !== doc.freePcs && await Test.exists({ phase: format.key })) {
+      return res.status(400).json({ success: false, message: "Cannot change freePcs on a format that tests already use" });
+    }
+
+    format.set(doc);
+    await format.save();
+    examFormatCache = { at: 0, formats: null };
+
+    res.json({
+      success: true,
+      message: `Exam format "${format.name}" updated — existing questions keep their marks; new and re-saved papers use the new scheme`,
+      format: format.toObject(),
+    });
+  } catch (err) {
+    logger.error("Update exam format error", { err });
+    res.status(500).json({ success: false, message: err.message || "Failed to update exam format" });
+  }
+});
+
+app.delete("/admin/exam-formats/:key", adminAuth, requirePermission("formats:manage"), validateRequest(API.deleteFormat), audited("exam_format.delete", null, (req, body) => ({ key: req.params.key, deactivated: body.deactivated })), async (req, res) => {
+  try {
+    await loadExamFormats();
+    const format = await ExamFormat.findOne({ key: req.params.key.toLowerCase() });
+    if (!format) {
+      return res.status(404).json({ success: false, message: "Exam format not found" });
+    }
+
+    const testsUsing = await Test.countDocuments({ phase: format.key }).setOptions({ withDeleted: true });
+    if (format.builtIn || testsUsing > 0) {
+      format.active = false;
+      await format.save();
+      examFormatCache = { at: 0, formats: null };
+      return res.json({
+        success: true,
+        deactivated: true,
+        message: format.builtIn
+          ? `"${format.name}" is built in — deactivated instead of deleted`
+          : `"${format.name}" is used by ${testsUsing} test(s) — deactivated instead of deleted`,
+      });
+    }
+
+    await format.deleteOne();
+    examFormatCache = { at: 0, formats: null };
+    res.json({ success: true, deactivated: false, message: `Exam format "${format.name}" deleted` });
+  } catch (err) {
+    logger.error("Delete exam format error", { err });
+    res.status(500).json({ success: false, message: "Failed to delete exam format" });
+  }
+});
+
+app.get("/admin/schedule/calendar", adminAuth, requirePermission("tests:read"), validateRequest(API.scheduleCalendar), async (req, res) => {
+  try {
+    const from = String(req.query.from || istDate()).split("T")[0];
+    const to = String(req.query.to || addDays(from, 6)).split("T")[0];
+    if (![from, to].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(new Date(d).getTime()))) {
+      return res.status(400).json({ success: false, message: "from and to must be in YYYY-MM-DD format" });
+    }
+    if (to < from) {
+      return res.status(400).json({ success: false, message: "to must not be before from" });
+    }
+    if (addDays(from, SCHEDULE_MAX_RANGE_DAYS - 1) < to) {
+      return res.status(400).json({ success: false, message: `The calendar covers at most ${SCHEDULE_MAX_RANGE_DAYS} days` });
+    }
+    if (req.query.testType && !["paid", "free"].includes(req.query.testType)) {
+      return res.status(400).json({ success: false, message: "testType must be 'paid' or 'free'" });
+    }
+
+    const calendar = await buildScheduleCalendar(from, to, { testType: req.query.testType || null });
+    res.json({ success: true, today: istDate(), ...calendar });
+  } catch (err) {
+    logger.error("Schedule calendar error", { err });
+    res.status(500).json({ success: false, message: "Failed to build schedule calendar" });
+  }
+});
+
+app.get("/admin/schedule/alerts", adminAuth, requirePermission("tests:read"), validateRequest(API.scheduleAlerts), async (req, res) => {
+  try {
+    await connectQuestionDB();
+    const filter = req.query.includeResolved === "true" ? {} : { resolvedAt: null };
+    if (req.query.type) {
+      if (!SCHEDULE_ISSUES.includes(req.query.type)) {
+        return res.status(400).json({ success: false, message: `type must be one of: ${SCHEDULE_ISSUES.join(", ")}` });
+      }
+      filter.type = req.query.type;
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+    const alerts = await ScheduleAlert.find(filter).sort({ date: 1, format: 1 }).limit(limit).lean();
+    res.json({ success: true, count: alerts.length, alerts });
+  } catch (err) {
+    logger.error("Schedule alerts error", { err });
+    res.status(500).json({ success: false, message: "Failed to load schedule alerts" });
+  }
+});
+
+app.get("/admin/consistency", adminAuth, requirePermission("tests:read"), validateRequest(API.consistency), async (req, res) => {
+  try {
+    const report = await checkConsistency();
+    res.json({ success: true, ...report, fixable: CONSISTENCY_FIXES });
+  } catch (err) {
+    logger.error("Consistency check error", { err });
+    res.status(500).json({ success: false, message: "Consistency check failed" });
+  }
+});
+
+app.post("/admin/consistency/fix", adminAuth, requirePermission("tests:delete"), validateRequest(API.fixConsistency), audited("consistency.fix", null, (req, body) => ({ fixed: body.fixed, failures: body.failures })), async (req, res) => {
+  try {
+    const fixes = req.body.fix === undefined ? CONSISTENCY_FIXES : req.body.fix;
+    if (!Array.isArray(fixes) || !fixes.length || fixes.some(f => !CONSISTENCY_FIXES.includes(f))) {
+      return res.status(400).json({ success: false, message: `fix must be a non-empty array of: ${CONSISTENCY_FIXES.join(", ")}` });
+    }
+
+    const report = await checkConsistency();
+    if (req.body.dryRun === true) {
+      return res.json({ success: true, dryRun: true, message: `${report.issues} issue(s) found — nothing changed`, ...report });
+    }
+
+    const { fixed, failures } = await fixInconsistencies(report, fixes, req.admin.id);
+    const after = await checkConsistency();
 
     res.json({
       success: true,
-      message: `Free PCS test created for ${examType.trim()} ${yearNum}`,
-      testId: test._id.toString(),
-      collectionName,
-      title: trimmedTitle,
-      date,
-      examType: examType.trim(),
-      year: yearNum,
-      totalQuestions: questions.length,
-      testType: "free",
-      phase: "free pcs",
-      availability: PERSISTENCE_NOTE,
+      message: failures.length
+        ? `Fixed ${Object.values(fixed).reduce((a, b) => a + b, 0)} issue(s), ${failures.length} could not be fixed`
+        : `Fixed ${Object.values(fixed).reduce((a, b) => a + b, 0)} issue(s)`,
+      fixed,
+      failures,
+      remaining: after,
     });
   } catch (err) {
-    console.error("Create free PCS test error:", err);
-    res.status(500).json({ success: false, message: err.message || "Creation failed" });
+    logger.error("Consistency fix error", { err });
+    res.status(500).json({ success: false, message: "Consistency fix failed" });
   }
 });
 
-app.get("/admin/tests", adminAuth, async (req, res) => {
+app.get("/admin/duplicates", adminAuth, requirePermission("tests:read"), validateRequest(API.duplicates), async (req, res) => {
   try {
-    await connectQuestionDB();
-    const tests = await Test.find().sort({ date: -1, phase: 1 }).lean();
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const threshold = req.query.threshold === undefined ? DUPLICATE_THRESHOLD : Number(req.query.threshold);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
 
-    const testsWithIST = tests.map(t => {
-      const toIST = (d) => {
-        if (!d) return null;
-        const shifted = new Date(d.getTime() + 5.5 * 60 * 60 * 1000);
-        return shifted.toISOString().replace("Z", "+05:30");
-      };
-      return {
-        ...t,
-        startTimeIST: toIST(t.startTime),
-        endTimeIST:   toIST(t.endTime),
-        phaseDisplay:
-          t.phase === "daily"    ? "Daily (75q)" :
-          t.phase === "gs"       ? "GS Paper (100q)" :
-          t.phase === "csat"     ? "CSAT Paper (80q)" :
-          t.phase === "free pcs" ? "Free PCS" : "Unknown",
-        availability: PERSISTENCE_NOTE,
-      };
+    const clusters = await duplicateClusters({
+      threshold,
+      crossTestOnly: req.query.crossTestOnly === "true",
+      testId: req.query.testId || null,
     });
 
-    res.json({ success: true, tests: testsWithIST });
+    res.json({
+      success: true,
+      threshold,
+      totalClusters: clusters.length,
+      duplicateQuestions: clusters.reduce((sum, c) => sum + c.size, 0),
+      clusters: clusters.slice(0, limit),
+    });
   } catch (err) {
-    console.error("Load tests error:", err);
-    res.status(500).json({ success: false, message: "Failed to load tests" });
+    logger.error("Duplicate report error", { err });
+    res.status(500).json({ success: false, message: "Failed to build duplicate report" });
   }
 });
 
-app.get("/admin/free-pcs-questions/:testId", adminAuth, async (req, res) => {
+app.post("/admin/duplicates/backfill", adminAuth, requirePermission("tests:write"), validateRequest(API.backfillDuplicates), audited("questions.fingerprint_backfill", null, (req, body) => ({ updated: body.updated })), async (req, res) => {
   try {
     await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
-    const { testId } = req.params;
+    const stores = await backfillFingerprints();
+    const updated = stores.reduce((sum, s) => sum + s.updated, 0);
+    res.json({ success: true, message: `Fingerprinted ${updated} question(s)`, updated, stores: stores.filter(s => s.updated) });
+  } catch (err) {
+    logger.error("Fingerprint backfill error", { err });
+    res.status(500).json({ success: false, message: "Fingerprint backfill failed" });
+  }
+});
 
-    const test = await Test.findById(testId).lean();
-    if (!test) {
-      return res.status(404).json({ success: false, message: "Test not found" });
+const imageBodyParser = express.raw({ type: ["image/*", "application/octet-stream"], limit: IMAGE_MAX_BYTES });
+
+const readImageBody = (req, res, next) => imageBodyParser(req, res, (err) => {
+  if (!err) return next();
+  res.status(err.status || 400).json({
+    success: false,
+    message: err.type === "entity.too.large" ? `Image is larger than ${IMAGE_MAX_BYTES} bytes` : "Could not read the image body",
+  });
+});
+
+app.post("/admin/images", adminAuth, requirePermission("tests:write"), validateRequest(API.uploadImage), audited("image.upload", null, (req, body) => ({ imageId: body.image?.id, deduplicated: body.deduplicated })), readImageBody, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ success: false, message: "Send the image bytes as the request body with an image/* Content-Type" });
     }
+    await connectQuestionDB();
 
-    const Model = test.collectionName ? getFreePCSModel(test.collectionName) : FreePCSQuestion;
+    const { asset, deduplicated, error } = await storeImage(req.body, {
+      declaredType: req.headers["content-type"]?.split(";")[0].trim().toLowerCase(),
+      originalName: req.query.filename,
+      adminId: req.admin.id,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-    const questions = await Model.find({ testId }).sort({ createdAt: 1 }).lean();
-    res.json({ success: true, count: questions.length, questions, collectionName: test.collectionName || null });
+    res.status(deduplicated ? 200 : 201).json({
+      success: true,
+      message: deduplicated ? "Identical image already uploaded — reusing it" : "Image uploaded",
+      deduplicated,
+      image: publicImageAsset(asset, req),
+    });
   } catch (err) {
-    console.error("Load free PCS questions error:", err);
-    res.status(500).json({ success: false, message: "Failed to load free PCS questions" });
+    logger.error("Upload image error", { err });
+    res.status(500).json({ success: false, message: "Image upload failed" });
   }
 });
 
-app.get("/admin/test-questions/:testId", adminAuth, async (req, res) => {
+app.get("/admin/images", adminAuth, requirePermission("tests:read"), validateRequest(API.listImages), async (req, res) => {
   try {
-    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
-    const { testId } = req.params;
-
-    const test = await Test.findById(testId).lean();
-    if (!test) {
-      return res.status(404).json({ success: false, message: "Test not found" });
+    await connectQuestionDB();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const filter = {};
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) return res.status(400).json({ success: false, message: "before must be a valid date-time" });
+      filter.createdAt = { $lt: before };
     }
 
-    const isFreePcs = !!test.collectionName;
-    const Model = isFreePcs ? getFreePCSModel(test.collectionName) : Question;
-    const docs = await Model.find({ testId }).sort({ createdAt: 1 }).lean();
+    const assets = await ImageAsset.find(filter).sort({ createdAt: -1 }).limit(limit + 1).lean();
+    const page = assets.slice(0, limit);
+    res.json({
+      success: true,
+      count: page.length,
+      nextBefore: assets.length > limit ? page[page.length - 1].createdAt : null,
+      images: page.map(a => publicImageAsset(a, req)),
+    });
+  } catch (err) {
+    logger.error("List images error", { err });
+    res.status(500).json({ success: false, message: "Failed to load images" });
+  }
+});
 
-    const questions = docs.map((q) => ({
-      imageUrl: q.imageUrl || null,
-      english: {
-        question: q.english?.question || "",
-        options: q.english?.options || {},
-        english_explanation: q.english?.english_explanation || "",
-      },
-      hindi: {
-        question: q.hindi?.question || "",
-        options: q.hindi?.options || {},
-        hindi_explanation: q.hindi?.hindi_explanation || "",
-      },
-      correct_answer: q.correct_answer,
-    }));
+app.get("/admin/images/check", adminAuth, requirePermission("tests:read"), validateRequest(API.checkImages), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const filter = { imageUrl: { $nin: [null, ""] } };
+    if (req.query.testId) filter.testId = req.query.testId;
+
+    const docs = (await forEachQuestionStore(async (Model, collectionName) => {
+      const found = await Model.find(filter, { testId: 1, order: 1, imageUrl: 1 }).lean();
+      return found.map(doc => ({ ...doc, collectionName }));
+    })).flat();
+    const tests = await Test.find({ _id: { $in: [...new Set(docs.map(d => d.testId.toString()))] } }, { title: 1 }).lean();
+    const titles = new Map(tests.map(t => [t._id.toString(), t.title]));
+    const live = docs.filter(d => titles.has(d.testId.toString()));
+
+    const { missing, external } = await checkQuestionImages(live);
+    const describe = ref => {
+      const doc = live[ref.position - 1];
+      return {
+        testId: doc.testId.toString(),
+        testTitle: titles.get(doc.testId.toString()),
+        questionId: doc._id.toString(),
+        order: doc.order,
+        collectionName: doc.collectionName,
+        imageUrl: ref.imageUrl,
+      };
+    };
 
     res.json({
       success: true,
-      testId: test._id.toString(),
-      title: test.title,
-      testType: test.testType,
-      phase: test.phase,
-      isFreePcs,
-      examType: isFreePcs ? (docs[0]?.examType || "") : undefined,
-      year: isFreePcs ? (docs[0]?.year ?? null) : undefined,
-      totalQuestions: questions.length,
-      questions,
+      checked: live.length,
+      missingCount: missing.length,
+      externalCount: external.length,
+      missing: missing.map(describe),
+      external: external.map(describe),
     });
   } catch (err) {
-    console.error("Fetch test questions error:", err);
-    res.status(500).json({ success: false, message: "Failed to load questions" });
+    logger.error("Check question images error", { err });
+    res.status(500).json({ success: false, message: "Failed to check question images" });
   }
 });
 
-app.put("/admin/update-questions/:testId", adminAuth, async (req, res) => {
+app.get("/admin/images/orphans", adminAuth, requirePermission("tests:read"), validateRequest(API.orphanImages), async (req, res) => {
   try {
     await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
-    const { testId } = req.params;
-    let { questions, examType, year } = req.body;
+    const orphans = await findOrphanImages();
+    res.json({
+      success: true,
+      graceHours: IMAGE_ORPHAN_GRACE_HOURS,
+      count: orphans.length,
+      bytes: orphans.reduce((sum, a) => sum + a.size, 0),
+      images: orphans.map(a => publicImageAsset(a, req)),
+    });
+  } catch (err) {
+    logger.error("List orphan images error", { err });
+    res.status(500).json({ success: false, message: "Failed to find orphan images" });
+  }
+});
 
-    if (!Array.isArray(questions) || questions.length === 0) {
-      return res.status(400).json({ success: false, message: "questions must be a non-empty array" });
-    }
+app.post("/admin/images/orphans/purge", adminAuth, requirePermission("tests:delete"), validateRequest(API.purgeOrphanImages), audited("image.purge_orphans", null, (req, body) => ({ purgedImages: body.purgedImages })), async (req, res) => {
+  try {
+    const result = await runCronJob("image-orphans");
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error("Purge orphan images error", { err });
+    res.status(500).json({ success: false, message: err.message || "Purge failed" });
+  }
+});
 
-    const test = await Test.findById(testId);
-    if (!test) {
-      return res.status(404).json({ success: false, message: "Test not found" });
+app.delete("/admin/images/:imageId", adminAuth, requirePermission("tests:write"), validateRequest(API.deleteImage), audited("image.delete", null, (req, body) => ({ imageId: req.params.imageId })), async (req, res) => {
+  try {
+    await Promise.all([connectQuestionDB(), connectFreePcsDB()]);
+    const asset = await ImageAsset.findById(req.params.imageId).lean();
+    if (!asset) {
+      return res.status(404).json({ success: false, message: "Image not found" });
+    }
+    if ((await referencedImageIds()).has(asset._id.toString())) {
+      return res.status(409).json({ success: false, message: "Image is still used by a question or bank entry (including trashed ones)" });
     }
 
-    const payloadErrors = questions.flatMap((q, idx) => validateQuestionPayload(q, idx));
-    if (payloadErrors.length) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid questions payload",
-        errors: payloadErrors,
-      });
+    await imageStores[asset.backend].remove(asset);
+    await ImageAsset.deleteOne({ _id: asset._id });
+    res.json({ success: true, message: "Image deleted" });
+  } catch (err) {
+    logger.error("Delete image error", { err });
+    res.status(500).json({ success: false, message: "Failed to delete image" });
+  }
+});
+
+app.get("/images/:file", validateRequest(API.serveImage), async (req, res) => {
+  try {
+    const id = req.params.file.split(".")[0];
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ success: false, message: "Image not found" });
+    }
+    await connectQuestionDB();
+    const asset = await ImageAsset.findById(id).lean();
+    if (!asset) {
+      return res.status(404).json({ success: false, message: "Image not found" });
     }
 
-    const isFreePcs = !!test.collectionName;
+    const etag = `"${asset.sha256}"`;
+    res.set({
+      "Content-Type": asset.contentType,
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "Cross-Origin-Resource-Policy": "cross-origin",
+      ETag: etag,
+    });
+    if (req.headers["if-none-match"] === etag) {
+      return res.status(304).end();
+    }
 
-    if (isFreePcs) {
-      const Model = getFreePCSModel(test.collectionName);
-      const existing = await Model.findOne({ testId }).lean();
-      const finalExamType = (examType && String(examType).trim()) || existing?.examType;
-      const finalYear = (year !== undefined && year !== null && !isNaN(Number(year)))
-        ? Number(year)
-        : existing?.year;
+    res.set("Content-Length", String(asset.size));
+    imageStores[asset.backend].open(asset)
+      .on("error", (err) => {
+        logger.error("Serve image stream error", { err });
+        if (res.headersSent) return res.destroy(err);
+        res.removeHeader("ETag");
+        res.removeHeader("Content-Length");
+        res.set("Cache-Control", "no-store").status(404).json({ success: false, message: "Image data is missing" });
+      })
+      .pipe(res);
+  } catch (err) {
+    logger.error("Serve image error", { err });
+    res.status(500).json({ success: false, message: "Failed to load image" });
+  }
+});
 
-      if (!finalExamType || !finalYear) {
-        return res.status(400).json({
-          success: false,
-          message: "examType and year are required (could not be inferred from existing data)",
-        });
-      }
+app.post("/admin/migrations/free-pcs", adminAuth, requirePermission("migrations:run"), validateRequest(API.migrateFreePcs), audited("migration.free_pcs", null, (req, body) => ({ migrated: body.migrated, failed: body.failed, dropped: body.dropped })), async (req, res) => {
+  try {
+    const outcome = await migrateFreePcsCollections({
+      dryRun: req.body.dryRun === true,
+      dropSource: req.body.dropSource === true,
+    });
+    res.json({
+      success: true,
+      message: outcome.dryRun
+        ? `${outcome.pending} Free PCS paper(s) still use their own collection`
+        : `Migrated ${outcome.migrated} paper(s), ${outcome.failed} failed, ${outcome.remaining} remaining`,
+      ...outcome,
+    });
+  } catch (err) {
+    logger.error("Free PCS migration error", { err });
+    res.status(500).json({ success: false, message: err.message || "Migration failed" });
+  }
+});
 
-      await Model.deleteMany({ testId });
+async function replayWebhookDeliveries(deliveries, now = new Date()) {
+  if (!deliveries.length) return [];
+  const copies = await WebhookDelivery.insertMany(deliveries.map(d => ({
+    webhookId: d.webhookId,
+    event: d.event,
+    eventId: d.eventId,
+    payload: d.payload,
+    nextAttemptAt: now,
+    replayOf: d._id,
+  })));
+  kickWebhookQueue();
+  return copies;
+}
 
-      const qDocs = questions.map((q) => ({
-        testId: test._id,
-        title: test.title,
-        examType: finalExamType,
-        year: finalYear,
-        imageUrl: q.imageUrl ? String(q.imageUrl).trim() : null,
-        english: {
-          question: String(q.english.question).trim(),
-          options: q.english.options,
-          english_explanation: String(q.english.english_explanation || "").trim(),
-        },
-        hindi: {
-          question: String(q.hindi.question).trim(),
-          options: q.hindi.options,
-          hindi_explanation: String(q.hindi.hindi_explanation || "").trim(),
-        },
-        marks: 2,
-        negativeMarks: 0.66,
-        correct_answer: Number(q.correct_answer),
-        phase: "free pcs",
-      }));
+app.get("/admin/webhooks", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.listWebhooks), async (req, res) => {
+  try {
+    await connectUserDB();
+    const webhooks = await Webhook.find().sort({ createdAt: 1 }).lean();
+    const pending = await WebhookDelivery.aggregate([
+      { $match: { status: { $in: ["pending", "delivering"] } } },
+      { $group: { _id: "$webhookId", count: { $sum: 1 } } },
+    ]);
+    const pendingById = new Map(pending.map(p => [String(p._id), p.count]));
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      count: webhooks.length,
+      webhooks: webhooks.map(w => ({ ...publicWebhook(w), pendingDeliveries: pendingById.get(String(w._id)) || 0 })),
+    });
+  } catch (err) {
+    logger.error("List webhooks error", { err });
+    res.status(500).json({ success: false, message: "Failed to load webhooks" });
+  }
+});
 
-      await Model.insertMany(qDocs);
+app.post("/admin/webhooks", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.createWebhook), audited("webhook.create", null, (req, body) => ({ webhookId: body.webhook?.id, url: body.webhook?.url, events: body.webhook?.events })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { url, events, description } = req.body;
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      url,
+      events: [...new Set(events)],
+      secret,
+      description: description || "",
+      active: req.body.active !== false,
+      createdBy: mongoose.isValidObjectId(req.admin.id) ? req.admin.id : null,
+    });
+    res.status(201).json({
+      success: true,
+      message: "Webhook created — store the signing secret now; it is not shown again",
+      webhook: publicWebhook(webhook),
+      secret,
+    });
+  } catch (err) {
+    logger.error("Create webhook error", { err });
+    res.status(500).json({ success: false, message: "Failed to create webhook" });
+  }
+});
 
-      test.totalQuestions = qDocs.length;
-      await test.save();
+app.put("/admin/webhooks/:webhookId", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.updateWebhook), audited("webhook.update", null, (req, body) => ({ webhookId: req.params.webhookId, changes: Object.keys(req.body) })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const update = {};
+    ["url", "description", "active"].forEach((field) => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+    if (req.body.events !== undefined) update.events = [...new Set(req.body.events)];
 
-      return res.json({
-        success: true,
-        message: `Free PCS paper "${test.title}" updated — ${qDocs.length} questions saved`,
-        testId: test._id.toString(),
-        totalQuestions: qDocs.length,
-        examType: finalExamType,
-        year: finalYear,
-        availability: PERSISTENCE_NOTE,
-      });
+    const webhook = await Webhook.findByIdAndUpdate(req.params.webhookId, { $set: update }, { returnDocument: "after" }).lean();
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
     }
+    res.json({ success: true, message: "Webhook updated", webhook: publicWebhook(webhook) });
+  } catch (err) {
+    logger.error("Update webhook error", { err });
+    res.status(500).json({ success: false, message: "Failed to update webhook" });
+  }
+});
 
-    const numQuestions = questions.length;
-    let phase = null;
-    if      (numQuestions === 75)  phase = "daily";
-    else if (numQuestions === 100) phase = "gs";
-    else if (numQuestions === 80)  phase = "csat";
-    else {
-      return res.status(400).json({
-        success: false,
-        message: "Allowed question counts: 75 (daily), 100 (GS), 80 (CSAT) only",
-      });
+app.post("/admin/webhooks/:webhookId/rotate-secret", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.rotateWebhookSecret), audited("webhook.rotate_secret", null, (req) => ({ webhookId: req.params.webhookId })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.webhookId, { $set: { secret } }, { returnDocument: "after" }).lean();
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
     }
+    res.json({
+      success: true,
+      message: "Signing secret rotated — deliveries from now on, including retries, are signed with the new secret",
+      webhook: publicWebhook(webhook),
+      secret,
+    });
+  } catch (err) {
+    logger.error("Rotate webhook secret error", { err });
+    res.status(500).json({ success: false, message: "Failed to rotate the webhook secret" });
+  }
+});
 
-    const questionPhase = (phase === "csat") ? "CSAT" : "GS";
-
-    await Question.deleteMany({ testId });
+app.post("/admin/webhooks/:webhookId/ping", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.pingWebhook), async (req, res) => {
+  try {
+    await connectUserDB();
+    const webhook = await Webhook.findById(req.params.webhookId).lean();
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({ success: false, message: "Webhook is disabled — enable it before sending a ping" });
+    }
+    const [delivery] = await enqueueWebhookDeliveries([webhook], "ping", { webhookId: String(webhook._id), triggeredBy: req.admin.id });
+    res.status(202).json({ success: true, message: "Ping queued", delivery: publicWebhookDelivery(delivery) });
+  } catch (err) {
+    logger.error("Ping webhook error", { err });
+    res.status(500).json({ success: false, message: "Failed to queue the ping" });
+  }
+});
 
-    const qDocs = questions.map((q) => ({
-      testId: test._id,
-      imageUrl: q.imageUrl ? String(q.imageUrl).trim() : null,
-      english: {
-        question: String(q.english.question).trim(),
-        options: q.english.options,
-        english_explanation: String(q.english.english_explanation || "").trim(),
-      },
-      hindi: {
-        question: String(q.hindi.question).trim(),
-        options: q.hindi.options,
-        hindi_explanation: String(q.hindi.hindi_explanation || "").trim(),
-      },
-      marks: 2,
-      negativeMarks: 0.66,
-      correct_answer: Number(q.correct_answer),
-      phase: questionPhase,
-    }));
+app.delete("/admin/webhooks/:webhookId", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.deleteWebhook), audited("webhook.delete", null, (req, body) => ({ webhookId: req.params.webhookId, cancelledDeliveries: body.cancelledDeliveries })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const webhook = await Webhook.findByIdAndDelete(req.params.webhookId).lean();
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+    const cancelled = await WebhookDelivery.updateMany(
+      { webhookId: webhook._id, status: "pending" },
+      { $set: { status: "failed", lastError: "Webhook was deleted" } },
+    );
+    res.json({ success: true, message: "Webhook deleted", cancelledDeliveries: cancelled.modifiedCount });
+  } catch (err) {
+    logger.error("Delete webhook error", { err });
+    res.status(500).json({ success: false, message: "Failed to delete webhook" });
+  }
+});
 
-    await Question.insertMany(qDocs);
+app.get("/admin/webhook-deliveries", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.listWebhookDeliveries), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { webhookId, status, event, eventId, before } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
 
-    test.phase = phase;
-    test.totalQuestions = numQuestions;
-    await test.save();
+    const filter = {};
+    if (webhookId) filter.webhookId = webhookId;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (eventId) filter.eventId = eventId;
+    if (before) {
+      const d = new Date(before);
+      if (isNaN(d.getTime())) return res.status(400).json({ success: false, message: "before must be a valid date-time" });
+      filter.createdAt = { $lt: d };
+    }
 
+    const deliveries = await WebhookDelivery.find(filter, { payload: 0, attemptLog: 0 })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+    const page = deliveries.slice(0, limit);
     res.json({
       success: true,
-      message: `Test "${test.title}" updated — ${numQuestions} questions saved`,
-      testId: test._id.toString(),
-      totalQuestions: numQuestions,
-      phase,
-      availability: PERSISTENCE_NOTE,
+      count: page.length,
+      nextBefore: deliveries.length > limit ? page[page.length - 1].createdAt : null,
+      deliveries: page.map(d => publicWebhookDelivery(d)),
     });
   } catch (err) {
-    console.error("Update questions error:", err);
-    res.status(500).json({ success: false, message: err.message || "Update failed" });
+    logger.error("List webhook deliveries error", { err });
+    res.status(500).json({ success: false, message: "Failed to load webhook deliveries" });
   }
 });
 
-app.delete("/admin/delete-test/:testId", adminAuth, async (req, res) => {
+app.get("/admin/webhook-deliveries/:deliveryId", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.webhookDelivery), async (req, res) => {
   try {
-    await Promise.all([connectUserDB(), connectQuestionDB(), connectFreePcsDB()]);
-
-    const testId = req.params.testId;
-
-    const test = await Test.findById(testId);
-    if (!test) {
-      return res.status(404).json({ success: false, message: "Test not found" });
+    await connectUserDB();
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).lean();
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: "Delivery not found" });
     }
+    const replays = await WebhookDelivery.find({ replayOf: delivery._id }, { _id: 1, status: 1, createdAt: 1 }).lean();
+    res.json({
+      success: true,
+      delivery: publicWebhookDelivery(delivery, { detailed: true }),
+      replays: replays.map(r => ({ id: String(r._id), status: r.status, createdAt: r.createdAt })),
+    });
+  } catch (err) {
+    logger.error("Load webhook delivery error", { err });
+    res.status(500).json({ success: false, message: "Failed to load the delivery" });
+  }
+});
 
-    const qResult = await Question.deleteMany({ testId });
-
-    let pDeletedCount = 0;
-    if (test.collectionName) {
-      const Model = getFreePCSModel(test.collectionName);
-      const pResult = await Model.deleteMany({ testId });
-      pDeletedCount = pResult.deletedCount;
-    } else {
-      const pResult = await FreePCSQuestion.deleteMany({ testId });
-      pDeletedCount = pResult.deletedCount;
+app.post("/admin/webhook-deliveries/replay-failed", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.replayFailedWebhookDeliveries), audited("webhook.replay", null, (req, body) => ({ replayed: body.replayed, webhookId: req.body.webhookId || null })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const { webhookId, event, since } = req.body;
+    const filter = { status: "failed" };
+    if (event) filter.event = event;
+    if (since) {
+      const d = new Date(since);
+      if (isNaN(d.getTime())) return res.status(400).json({ success: false, message: "since must be a valid date-time" });
+      filter.createdAt = { $gte: d };
     }
 
-    const rResult  = await Result.deleteMany({ testId });
-    const frResult = await FreeResult.deleteMany({ testId });
-
-    await Test.findByIdAndDelete(testId);
+    const activeIds = (await Webhook.find({ active: true }, { _id: 1 }).lean()).map(w => w._id);
+    filter.webhookId = webhookId ? { $in: activeIds.filter(id => String(id) === webhookId) } : { $in: activeIds };
+    const failed = await WebhookDelivery.find(filter).sort({ createdAt: 1 }).limit(500).lean();
+    const alreadyReplayed = new Set((await WebhookDelivery.distinct("replayOf", { replayOf: { $in: failed.map(d => d._id) } })).map(String));
+    const copies = await replayWebhookDeliveries(failed.filter(d => !alreadyReplayed.has(String(d._id))));
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "Test, questions, and all user results deleted successfully",
-      deleted: {
-        questions:        qResult.deletedCount,
-        freePcsQuestions: pDeletedCount,
-        results:          rResult.deletedCount,
-        freeResults:      frResult.deletedCount,
-      },
+      message: `${copies.length} failed deliver${copies.length === 1 ? "y" : "ies"} queued for replay`,
+      replayed: copies.length,
+      skipped: failed.length - copies.length,
     });
   } catch (err) {
-    console.error("Delete test error:", err);
-    res.status(500).json({ success: false, message: "Delete failed" });
+    logger.error("Replay failed webhook deliveries error", { err });
+    res.status(500).json({ success: false, message: "Failed to replay deliveries" });
+  }
+});
+
+app.post("/admin/webhook-deliveries/:deliveryId/replay", adminAuth, requirePermission("webhooks:manage"), validateRequest(API.replayWebhookDelivery), audited("webhook.replay", null, (req, body) => ({ deliveryId: req.params.deliveryId, replayId: body.delivery?.id })), async (req, res) => {
+  try {
+    await connectUserDB();
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).lean();
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: "Delivery not found" });
+    }
+    if (["pending", "delivering"].includes(delivery.status)) {
+      return res.status(409).json({ success: false, message: "Delivery is still in progress — wait for it to succeed or fail" });
+    }
+    const webhook = await Webhook.findById(delivery.webhookId, { active: 1 }).lean();
+    if (!webhook?.active) {
+      return res.status(409).json({ success: false, message: webhook ? "Webhook is disabled" : "Webhook was deleted" });
+    }
+
+    const [copy] = await replayWebhookDeliveries([delivery]);
+    res.status(202).json({ success: true, message: "Delivery queued for replay", delivery: publicWebhookDelivery(copy) });
+  } catch (err) {
+    logger.error("Replay webhook delivery error", { err });
+    res.status(500).json({ success: false, message: "Failed to replay the delivery" });
   }
 });
 
 module.exports = app;
+module.exports.internals = {
+  resolveLifecycle,
+  testStatusFilter,
+  rankResults,
+  describeScores,
+  analyzeQuestions,
+  parseCSV,
+  questionsFromCSV,
+  stableStringify,
+  bundleChecksum,
+  remapAnswers,
+  adminRole,
+  hasPermission,
+  requirePermission,
+  wouldRemoveLastSuperAdmin,
+  migrateAdmins,
+  diffQuestionSets,
+  diffSnapshots,
+  trashTest,
+  restoreTest,
+  purgeTest,
+  purgeExpiredTrash,
+  gradeAnswers,
+  applyKeyChanges,
+  questionFingerprints,
+  prepareForComparison,
+  compareQuestions,
+  mayBeSimilar,
+  withCompensation,
+  withQuestionRollback,
+  atomicTestWrite,
+  checkConsistency,
+  fixInconsistencies,
+  lockoutMinutes,
+  verifyAdminPassword,
+  isActiveAdmin,
+  sniffImageType,
+  imageAssetIdFromUrl,
+  validateQuestionPayload,
+  migrateFreePcsCollections,
+  checkScheduleGaps,
+  resolveAttemptWindow,
+  applyLatePolicy,
+  S,
+  API,
+  validateSchema,
+  validateRequest,
+  signWebhookPayload,
+  webhookRetryDelayMs,
+  buildIntegrityReport,
+  linearTrend,
+  bilingualIssues,
+  buildQualityReport,
+  seededRandom,
+  seededShuffle,
+  shuffleWithinSections,
+  shuffleQuestionOptions,
+};
+
+if (require.main === module && process.argv[2] === "migrate-free-pcs") {
+  migrateFreePcsCollections({
+    dryRun: process.argv.includes("--dry-run"),
+    dropSource: process.argv.includes("--drop-source"),
+  })
+    .then((outcome) => {
+      logger.info("Free PCS migration finished", outcome);
+      process.exit(outcome.failed ? 1 : 0);
+    })
+    .catch((err) => {
+      logger.error("Free PCS migration error", { err });
+      process.exit(1);
+    });
+}
+
+function cliOptionValues(name) {
+  return process.argv.flatMap((arg, i) => (arg === name && process.argv[i + 1] ? [process.argv[i + 1]] : []));
+}
+
+if (require.main === module && process.argv[2] === "migrate-admins") {
+  migrateAdmins({
+    superAdmins: cliOptionValues("--super-admin"),
+    role: cliOptionValues("--role")[0],
+    dryRun: process.argv.includes("--dry-run"),
+  })
+    .then((outcome) => {
+      logger.info("Admin migration finished", outcome);
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error("Admin migration error", { err });
+      process.exit(1);
+    });
+}
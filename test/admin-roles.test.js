@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(() => ctx.reset());
+
+function runMiddleware(middleware, admin) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let called = false;
+  middleware({ admin }, res, () => { called = true; });
+  return { called, res };
+}
+
+test("hasPermission grants super-admins everything and other roles their own list", () => {
+  const { hasPermission } = ctx.internals;
+  assert.equal(hasPermission("super-admin", "admins:manage"), true);
+  assert.equal(hasPermission("editor", "tests:write"), true);
+  assert.equal(hasPermission("reviewer", "tests:write"), false);
+  assert.equal(hasPermission("viewer", "tests:read"), true);
+  assert.equal(hasPermission(undefined, "tests:read"), false);
+});
+
+test("requirePermission rejects roles without the permission with a 403", () => {
+  const middleware = ctx.internals.requirePermission("tests:publish");
+  assert.equal(middleware.permission, "tests:publish");
+  assert.equal(runMiddleware(middleware, { role: "reviewer" }).called, true);
+
+  const { called, res } = runMiddleware(middleware, { role: "viewer" });
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body.message, /viewer.*tests:publish/);
+});
+
+test("an admin without a stored role gets viewer access, not super-admin", async () => {
+  const { Admin } = ctx.models;
+  const { insertedId } = await Admin.collection.insertOne({ email: "legacy@example.com", password: null, status: "active" });
+  const token = await ctx.tokenFor({ _id: insertedId });
+
+  const me = await ctx.request("GET", "/admin/me", { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.admin.role, "viewer");
+  assert.deepEqual(me.body.permissions, ["tests:read", "results:read", "bank:read"]);
+
+  const admins = await ctx.request("GET", "/admin/admins", { token });
+  assert.equal(admins.status, 403);
+});
+
+test("wouldRemoveLastSuperAdmin only counts admins whose role is stored", async () => {
+  const { Admin } = ctx.models;
+  const { wouldRemoveLastSuperAdmin, migrateAdmins } = ctx.internals;
+  const owner = await Admin.create({ email: "owner@example.com", role: "super-admin" });
+  await Admin.collection.insertOne({ email: "legacy@example.com", status: "active" });
+
+  assert.equal(await wouldRemoveLastSuperAdmin(owner, { role: "editor" }), true);
+  assert.equal(await wouldRemoveLastSuperAdmin(owner, { status: "active" }), false);
+
+  await migrateAdmins({ superAdmins: ["Legacy@Example.com"] });
+  assert.equal(await wouldRemoveLastSuperAdmin(owner, { role: "editor" }), false);
+});
+
+test("migrateAdmins stores the fallback role and promotes only the named admins", async () => {
+  const { Admin } = ctx.models;
+  const { migrateAdmins } = ctx.internals;
+  await Admin.collection.insertMany([
+    { email: "a@example.com", status: "active" },
+    { email: "b@example.com", status: "active" },
+    { email: "c@example.com", role: "editor", status: "active" },
+  ]);
+
+  const preview = await migrateAdmins({ superAdmins: ["a@example.com", "missing@example.com"], dryRun: true });
+  assert.deepEqual(preview, {
+    dryRun: true,
+    superAdmins: 1,
+    notFound: ["missing@example.com"],
+    rolesAssigned: 1,
+    statusesAssigned: 0,
+    role: "viewer",
+    activeSuperAdmins: 0,
+  });
+  assert.equal(await Admin.countDocuments({ role: { $exists: true } }), 1);
+
+  const outcome = await migrateAdmins({ superAdmins: ["a@example.com"], role: "reviewer" });
+  assert.equal(outcome.activeSuperAdmins, 1);
+  const roles = Object.fromEntries((await Admin.find().lean()).map(a => [a.email, a.role]));
+  assert.deepEqual(roles, { "a@example.com": "super-admin", "b@example.com": "reviewer", "c@example.com": "editor" });
+
+  await assert.rejects(migrateAdmins({ role: "owner" }), /role must be one of/);
+});
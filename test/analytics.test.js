@@ -0,0 +1,72 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { rankResults, describeScores, analyzeQuestions } = internals;
+
+test("rankResults shares ranks on equal scores and reports percentiles", () => {
+  const ranked = rankResults([
+    { id: "c", score: 8 },
+    { id: "a", score: 10 },
+    { id: "d", score: 5 },
+    { id: "b", score: 8 },
+  ]);
+  assert.deepEqual(ranked.map(r => [r.id, r.rank, r.percentile]), [
+    ["a", 1, 100],
+    ["c", 2, 33.33],
+    ["b", 2, 33.33],
+    ["d", 4, 0],
+  ]);
+});
+
+test("rankResults breaks score ties by the faster attempt", () => {
+  const ranked = rankResults([
+    { id: "slow", score: 8, timeTakenSeconds: 100 },
+    { id: "fast", score: 8, timeTakenSeconds: 50 },
+  ]);
+  assert.deepEqual(ranked.map(r => [r.id, r.rank]), [["fast", 1], ["slow", 2]]);
+});
+
+test("describeScores summarises scores and attempt times", () => {
+  assert.deepEqual(describeScores([
+    { score: 4, timeTakenSeconds: 60 },
+    { score: 10, timeTakenSeconds: 120 },
+    { score: 7 },
+    { score: 1 },
+  ]), {
+    attempts: 4,
+    average: 5.5,
+    median: 5.5,
+    highest: 10,
+    lowest: 1,
+    averageTimeSeconds: 90,
+  });
+  assert.equal(describeScores([]).average, null);
+});
+
+test("analyzeQuestions counts choices, accepted answers and discrimination", () => {
+  const questions = [
+    { _id: "q1", correct_answer: 1, english: { question: "First?" } },
+    { _id: "q2", correct_answer: 2, acceptedAnswers: [3], english: { question: "Second?" } },
+  ];
+  const results = [
+    { score: 4, answers: [1, 3] },
+    { score: 2, answers: [1, null] },
+    { score: 0, answers: [4, 1] },
+    { score: -1, answers: [null, 1] },
+  ];
+  const [first, second] = analyzeQuestions(questions, results);
+
+  assert.equal(first.attempted, 3);
+  assert.equal(first.correct, 2);
+  assert.equal(first.percentCorrect, 50);
+  assert.equal(first.mostChosenOption, 1);
+  assert.deepEqual(first.optionCounts, { 1: 2, 4: 1 });
+  assert.equal(first.discriminationIndex, 1);
+
+  assert.equal(second.correct, 1);
+  assert.equal(second.percentCorrectOfAttempted, 33.33);
+  assert.equal(second.mostChosenOption, 1);
+});
@@ -0,0 +1,89 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { resolveAttemptWindow, applyLatePolicy } = internals;
+
+test("resolveAttemptWindow defaults to the whole IST day", () => {
+  const { window } = resolveAttemptWindow({}, { date: "2026-03-10" });
+  assert.deepEqual(window, {
+    startTime: new Date("2026-03-10T00:00:00.000+05:30"),
+    endTime: new Date("2026-03-10T23:59:59.999+05:30"),
+    durationMinutes: null,
+    latePolicy: null,
+    latePenaltyPercent: 0,
+    graceMinutes: 0,
+  });
+});
+
+test("resolveAttemptWindow reads HH:mm times as IST on the test date", () => {
+  const { window } = resolveAttemptWindow(
+    { startTime: "09:00", endTime: "11:30", durationMinutes: 120, latePolicy: "penalty", latePenaltyPercent: 25, graceMinutes: 10 },
+    { date: "2026-03-10" },
+  );
+  assert.deepEqual(window.startTime, new Date("2026-03-10T09:00:00+05:30"));
+  assert.deepEqual(window.endTime, new Date("2026-03-10T11:30:00+05:30"));
+  assert.equal(window.durationMinutes, 120);
+  assert.equal(window.latePenaltyPercent, 25);
+  assert.equal(window.graceMinutes, 10);
+});
+
+test("resolveAttemptWindow moves an existing window with the test date", () => {
+  const current = {
+    date: "2026-03-10",
+    startTime: new Date("2026-03-10T09:00:00+05:30"),
+    endTime: new Date("2026-03-10T11:00:00+05:30"),
+    durationMinutes: 90,
+  };
+  const { window } = resolveAttemptWindow({}, { date: "2026-03-12", current });
+  assert.deepEqual(window.startTime, new Date("2026-03-12T09:00:00+05:30"));
+  assert.deepEqual(window.endTime, new Date("2026-03-12T11:00:00+05:30"));
+  assert.equal(window.durationMinutes, 90);
+});
+
+test("resolveAttemptWindow rejects inconsistent windows", () => {
+  const on = { date: "2026-03-10" };
+  assert.equal(resolveAttemptWindow({ startTime: "11:00", endTime: "09:00" }, on).error, "endTime must be after startTime");
+  assert.match(resolveAttemptWindow({ startTime: "09:00", endTime: "10:00", durationMinutes: 90 }, on).error, /longer than the 60-minute attempt window/);
+  assert.match(resolveAttemptWindow({ latePolicy: "ignore" }, on).error, /latePolicy must be one of/);
+  assert.match(resolveAttemptWindow({ latePolicy: "penalty" }, on).error, /latePenaltyPercent must be between/);
+  assert.match(resolveAttemptWindow({ graceMinutes: -5 }, on).error, /graceMinutes must be between/);
+});
+
+test("applyLatePolicy only treats submissions after the grace period as late", () => {
+  const test = { endTime: new Date("2026-03-10T11:00:00+05:30"), graceMinutes: 5, latePolicy: "penalty", latePenaltyPercent: 20 };
+  const { counted, late } = applyLatePolicy(test, [
+    { id: "grace", score: 50, submittedAt: new Date("2026-03-10T11:04:00+05:30") },
+    { id: "late", score: 50, submittedAt: new Date("2026-03-10T11:06:00+05:30") },
+    { id: "negative", score: -2, submittedAt: new Date("2026-03-10T11:06:00+05:30") },
+  ]);
+
+  assert.deepEqual(counted.map(r => [r.id, r.isLate, r.score, r.rawScore]), [
+    ["grace", false, 50, undefined],
+    ["late", true, 40, 50],
+    ["negative", true, -2, -2],
+  ]);
+  assert.equal(late.penalized, 2);
+  assert.equal(late.lateAfterIST, "2026-03-10T11:05:00.000+05:30");
+});
+
+test("applyLatePolicy separates unranked, rejected and excluded results", () => {
+  const rows = [
+    { id: "on-time", score: 10, isLate: false },
+    { id: "late", score: 30, isLate: true },
+    { id: "excluded", score: 40, integrity: { excluded: true } },
+  ];
+
+  const unranked = applyLatePolicy({ latePolicy: "unranked" }, rows);
+  assert.deepEqual(unranked.counted.map(r => r.id), ["on-time"]);
+  assert.deepEqual(unranked.unranked.map(r => r.id), ["late"]);
+  assert.deepEqual(unranked.excluded.map(r => r.id), ["excluded"]);
+
+  const rejected = applyLatePolicy({ latePolicy: "reject" }, rows);
+  assert.deepEqual(rejected.rejected.map(r => r.id), ["late"]);
+  assert.equal(rejected.late.rejected, 1);
+
+  assert.deepEqual(applyLatePolicy({}, rows).counted.map(r => r.id), ["on-time", "late"]);
+});
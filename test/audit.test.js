@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ({ token } = await ctx.signIn("super-admin"));
+});
+
+function question(n, fields = {}) {
+  return {
+    english: { question: `Audit question ${n}?`, options: { 1: `A${n}`, 2: `B${n}`, 3: `C${n}`, 4: `D${n}` } },
+    hindi: { question: `ऑडिट प्रश्न ${n}?`, options: { 1: `क${n}`, 2: `ख${n}`, 3: `ग${n}`, 4: `घ${n}` } },
+    correct_answer: 1,
+    ...fields,
+  };
+}
+
+async function waitForAudit(action) {
+  for (let i = 0; i < 50; i++) {
+    const entry = await ctx.models.AuditLog.findOne({ action }).lean();
+    if (entry) return entry;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No audit entry for ${action}`);
+}
+
+test("diffQuestionSets compares questions by position and reports added and removed ones", () => {
+  const { diffQuestionSets } = ctx.internals;
+  const before = [question(1), question(2), question(3)];
+  const after = [question(1), question(2, { correct_answer: 3 }), question(3), question(4)];
+
+  assert.deepEqual(diffQuestionSets(before, after), {
+    before: 3,
+    after: 4,
+    added: 1,
+    removed: 0,
+    changed: [{ questionNumber: 2, fields: ["correct_answer"] }],
+  });
+  assert.deepEqual(diffQuestionSets(after, before.slice(0, 1)).removed, 3);
+  assert.deepEqual(diffQuestionSets(), { before: 0, after: 0, added: 0, removed: 0, changed: [] });
+});
+
+test("diffSnapshots diffs test fields and ignores bookkeeping fields", () => {
+  const { diffSnapshots } = ctx.internals;
+  const before = { test: { _id: "t1", title: "Daily 1", updatedAt: "2026-03-01" }, questions: [question(1)] };
+  const after = { test: { _id: "t1", title: "Daily 1 (revised)", updatedAt: "2026-03-02" }, questions: [question(1)] };
+
+  const diff = diffSnapshots(before, after);
+  assert.deepEqual(diff.test, [{ field: "title", before: "Daily 1", after: "Daily 1 (revised)" }]);
+  assert.deepEqual(diff.questions.changed, []);
+
+  assert.deepEqual(diffSnapshots({ doc: { role: "editor" } }, { doc: { role: "viewer" } }), {
+    fields: [{ field: "role", before: "editor", after: "viewer" }],
+  });
+  assert.equal(diffSnapshots(null, null), null);
+});
+
+test("replacing questions records the diff and only the touched questions", async () => {
+  const questions = Array.from({ length: 75 }, (_, i) => question(i + 1));
+  const created = await ctx.request("POST", "/admin/create-test-with-questions", {
+    token,
+    body: { title: "Audit paper", date: "2026-03-12", testType: "paid", questions },
+  });
+  assert.equal(created.status, 200, created.text);
+
+  questions[4] = question(5, { correct_answer: 2 });
+  const updated = await ctx.request("PUT", `/admin/update-questions/${created.body.testId}`, { token, body: { questions } });
+  assert.equal(updated.status, 200, updated.text);
+
+  const entry = await waitForAudit("test.questions.replace");
+  assert.equal(String(entry.testId), created.body.testId);
+  assert.deepEqual(entry.diff.questions.changed, [{ questionNumber: 5, fields: ["correct_answer"] }]);
+  assert.deepEqual(entry.before.questions.map(q => [q.questionNumber, q.correct_answer]), [[5, 1]]);
+  assert.deepEqual(entry.after.questions.map(q => [q.questionNumber, q.correct_answer]), [[5, 2]]);
+  assert.equal(entry.after.test.title, "Audit paper");
+});
+
+test("failed mutations are not audited", async () => {
+  const res = await ctx.request("PUT", "/admin/update-questions/64b000000000000000000000", {
+    token,
+    body: { questions: [question(1)] },
+  });
+  assert.equal(res.status, 404);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(await ctx.models.AuditLog.countDocuments({}), 0);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ({ token } = await ctx.signIn("editor"));
+});
+
+function bankQuestion(n, fields = {}) {
+  return {
+    english: { question: `Bank question number ${n}?`, options: { 1: `A${n}`, 2: `B${n}`, 3: `C${n}`, 4: `D${n}` } },
+    hindi: { question: `बैंक प्रश्न संख्या ${n}?`, options: { 1: `क${n}`, 2: `ख${n}`, 3: `ग${n}`, 4: `घ${n}` } },
+    correct_answer: 1,
+    subject: "History",
+    ...fields,
+  };
+}
+
+async function addToBank(questions) {
+  const res = await ctx.request("POST", "/admin/bank", { token, body: { questions } });
+  assert.equal(res.status, 200, res.text);
+  return res.body.ids;
+}
+
+test("bank search filters by subject, tags and question text", async () => {
+  await addToBank([
+    bankQuestion(1, { tags: ["Rajasthan", "forts"] }),
+    bankQuestion(2, { tags: ["rajasthan"], topic: "Medieval" }),
+    bankQuestion(3, { subject: "Geography", tags: ["rivers"] }),
+  ]);
+
+  const bySubject = await ctx.request("GET", "/admin/bank?subject=history", { token });
+  assert.equal(bySubject.body.total, 2);
+
+  const byTags = await ctx.request("GET", "/admin/bank?tags=rajasthan,forts", { token });
+  assert.deepEqual(byTags.body.questions.map(q => q.english.question), ["Bank question number 1?"]);
+
+  const byText = await ctx.request("GET", `/admin/bank?q=${encodeURIComponent("number 3")}`, { token });
+  assert.deepEqual(byText.body.questions.map(q => q.subject), ["geography"]);
+});
+
+test("assembling a test copies bank questions and reports unmet quotas", async () => {
+  await addToBank(Array.from({ length: 75 }, (_, i) => bankQuestion(i + 1)));
+
+  const short = await ctx.request("POST", "/admin/assemble-test", {
+    token,
+    body: { title: "Too many", date: "2026-03-10", testType: "paid", quotas: [{ subject: "history", count: 80 }] },
+  });
+  assert.equal(short.status, 400);
+  assert.match(short.body.errors[0], /needed 80 questions but only 75 match/);
+
+  const assembled = await ctx.request("POST", "/admin/assemble-test", {
+    token,
+    body: { title: "Daily 1", date: "2026-03-10", testType: "paid", quotas: [{ subject: "history", count: 75 }] },
+  });
+  assert.equal(assembled.status, 200, assembled.text);
+  assert.equal(assembled.body.totalQuestions, 75);
+  assert.equal(new Set(assembled.body.bankQuestionIds).size, 75);
+
+  const copies = await ctx.models.Question.find({ testId: assembled.body.testId }).lean();
+  assert.deepEqual(copies.map(q => String(q.bankQuestionId)).sort(), [...assembled.body.bankQuestionIds].sort());
+});
+
+test("pushing a bank edit updates every test copy and unlinks copies on delete", async () => {
+  const ids = await addToBank(Array.from({ length: 75 }, (_, i) => bankQuestion(i + 1)));
+  const assembled = await ctx.request("POST", "/admin/assemble-test", {
+    token,
+    body: { title: "Daily 2", date: "2026-03-11", testType: "paid", questionIds: ids },
+  });
+  assert.equal(assembled.status, 200, assembled.text);
+
+  const edited = bankQuestion(1);
+  edited.english.question = "Which fort is known as the Golden Fort?";
+  assert.equal((await ctx.request("PUT", `/admin/bank/${ids[0]}`, { token, body: edited })).status, 200);
+
+  const push = await ctx.request("POST", `/admin/bank/${ids[0]}/push`, { token });
+  assert.equal(push.status, 200, push.text);
+  assert.equal(push.body.updated, 1);
+
+  const copy = await ctx.models.Question.findOne({ testId: assembled.body.testId, bankQuestionId: ids[0] }).lean();
+  assert.equal(copy.english.question, "Which fort is known as the Golden Fort?");
+
+  const removed = await ctx.request("DELETE", `/admin/bank/${ids[0]}`, { token });
+  assert.equal(removed.body.unlinked, 1);
+});
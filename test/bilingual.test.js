@@ -0,0 +1,72 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { bilingualIssues, buildQualityReport, validateQuestionPayload } = internals;
+
+function question(overrides = {}) {
+  return {
+    correct_answer: 1,
+    english: {
+      question: "In which year was Rajasthan formed?",
+      options: { 1: "1949", 2: "1956", 3: "1947", 4: "1950" },
+      english_explanation: "Greater Rajasthan was formed in 1949.",
+      ...overrides.english,
+    },
+    hindi: {
+      question: "राजस्थान का गठन किस वर्ष हुआ?",
+      options: { 1: "१९४९", 2: "1956", 3: "1947", 4: "1950" },
+      hindi_explanation: "वृहत राजस्थान का गठन 1949 में हुआ।",
+      ...overrides.hindi,
+    },
+    ...overrides.question,
+  };
+}
+
+const codes = q => bilingualIssues(q).map(i => `${i.severity}:${i.code}`);
+
+test("bilingualIssues accepts a clean bilingual question, including Devanagari digits", () => {
+  assert.deepEqual(bilingualIssues(question()), []);
+});
+
+test("bilingualIssues catches mismatched options, answers and scripts", () => {
+  assert.deepEqual(codes(question({
+    hindi: { question: "In which year was Rajasthan formed?", options: { 1: "१९४९", 2: "1956", 3: "1947" } },
+    question: { correct_answer: 5 },
+  })), [
+    "error:option-keys-mismatch",
+    "error:answer-not-in-options",
+    "error:hindi-text-in-english",
+  ]);
+});
+
+test("bilingualIssues warns about duplicate options, missing explanations and number mismatches", () => {
+  assert.deepEqual(codes(question({
+    english: { options: { 1: "1949", 2: "1949 ", 3: "1947", 4: "1950" }, english_explanation: "" },
+    hindi: { options: { 1: "१९४९", 2: "1949", 3: "1948", 4: "1950" } },
+  })), [
+    "warning:duplicate-options",
+    "warning:missing-explanation",
+    "warning:number-mismatch",
+  ]);
+});
+
+test("strict validation turns warnings into payload errors", () => {
+  const q = question({ english: { english_explanation: "" } });
+  assert.deepEqual(validateQuestionPayload(q, 0), []);
+  assert.deepEqual(validateQuestionPayload(q, 0, { strict: true }), [
+    "Question 1: The English explanation is missing (missing-explanation)",
+  ]);
+});
+
+test("buildQualityReport summarises issues and filters by severity", () => {
+  const report = buildQualityReport([question(), question({ english: { english_explanation: "" } })]);
+  assert.equal(report.summary.questionsWithIssues, 1);
+  assert.equal(report.summary.warnings, 1);
+  assert.equal(report.summary.strictReady, false);
+  assert.equal(report.questions[0].questionNumber, 2);
+
+  assert.equal(buildQualityReport([question({ english: { english_explanation: "" } })], { minSeverity: "error" }).questions.length, 0);
+});
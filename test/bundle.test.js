@@ -0,0 +1,45 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { stableStringify, bundleChecksum, remapAnswers } = internals;
+
+test("stableStringify sorts object keys at every depth", () => {
+  assert.equal(
+    stableStringify({ b: 1, a: { d: [2, { z: true, y: null }], c: "x" } }),
+    '{"a":{"c":"x","d":[2,{"y":null,"z":true}]},"b":1}',
+  );
+  assert.equal(stableStringify({ a: undefined }), '{"a":null}');
+});
+
+test("bundleChecksum ignores key order but not content", () => {
+  const bundle = { test: { title: "Daily 1", date: "2026-03-10" }, questions: [{ correct_answer: 1 }], results: [], freeResults: [] };
+  const reordered = { freeResults: [], results: [], questions: [{ correct_answer: 1 }], test: { date: "2026-03-10", title: "Daily 1" } };
+
+  assert.match(bundleChecksum(bundle), /^[0-9a-f]{64}$/);
+  assert.equal(bundleChecksum(reordered), bundleChecksum(bundle));
+  assert.notEqual(bundleChecksum({ ...bundle, questions: [{ correct_answer: 2 }] }), bundleChecksum(bundle));
+});
+
+test("remapAnswers points answer question ids at the imported questions", () => {
+  const ids = new Map([["old-1", "new-1"], ["old-2", "new-2"]]);
+  const answers = [
+    { questionId: "old-1", selected: 2 },
+    { question_id: "old-2", selected: 1 },
+    { qid: "unknown", selected: 3 },
+    4,
+    null,
+  ];
+
+  assert.deepEqual(remapAnswers(answers, ids), [
+    { questionId: "new-1", selected: 2 },
+    { question_id: "new-2", selected: 1 },
+    { qid: "unknown", selected: 3 },
+    4,
+    null,
+  ]);
+  assert.equal(answers[0].questionId, "old-1");
+  assert.equal(remapAnswers(undefined, ids), undefined);
+});
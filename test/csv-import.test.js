@@ -0,0 +1,54 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { parseCSV, questionsFromCSV } = internals;
+
+const HEADER = "English Question,Option A EN,Option B EN,Option C EN,Option D EN,Hindi Question,Option A HI,Option B HI,Option C HI,Option D HI,Answer,Notes";
+
+test("parseCSV handles quotes, escaped quotes, CRLF and blank lines", () => {
+  const rows = parseCSV('\uFEFFa,"b, with comma","say ""hi"""\r\n\r\n"multi\nline",2,3\n');
+  assert.deepEqual(rows, [
+    ["a", "b, with comma", 'say "hi"'],
+    ["multi\nline", "2", "3"],
+  ]);
+});
+
+test("parseCSV rejects an unterminated quoted field", () => {
+  assert.throws(() => parseCSV('a,"b\n'), /unterminated quoted field/);
+});
+
+test("questionsFromCSV maps header aliases and letter answers", () => {
+  const csv = [
+    HEADER,
+    "Capital of Rajasthan?,Jaipur,Jodhpur,Udaipur,Ajmer,राजस्थान की राजधानी?,जयपुर,जोधपुर,उदयपुर,अजमेर,A,first",
+    "Largest district?,Barmer,Jaisalmer,Bikaner,Jodhpur,सबसे बड़ा जिला?,बाड़मेर,जैसलमेर,बीकानेर,जोधपुर,2,",
+  ].join("\n");
+  const { questions, rowErrors, ignoredColumns } = questionsFromCSV(csv);
+
+  assert.deepEqual(rowErrors, []);
+  assert.deepEqual(ignoredColumns, ["Notes"]);
+  assert.deepEqual(questions.map(q => [q.row, q.question.correct_answer]), [[2, 1], [3, 2]]);
+  assert.deepEqual(questions[0].question.english.options, { 1: "Jaipur", 2: "Jodhpur", 3: "Udaipur", 4: "Ajmer" });
+  assert.equal(questions[1].question.hindi.question, "सबसे बड़ा जिला?");
+});
+
+test("questionsFromCSV reports row-level errors with spreadsheet row numbers", () => {
+  const csv = [
+    HEADER,
+    "Capital?,Jaipur,Jodhpur,Udaipur,Ajmer,à¤°à¤¾à¤œ?,जयपुर,जोधपुर,उदयपुर,अजमेर,A,",
+    "Short row,Jaipur",
+  ].join("\n");
+  const { rowErrors } = questionsFromCSV(csv);
+
+  assert.deepEqual(rowErrors.map(r => r.row), [2, 3]);
+  assert.ok(rowErrors[0].errors.some(e => /mis-encoded/.test(e)));
+  assert.ok(rowErrors[1].errors.some(e => /expected 12 columns, found 2/.test(e)));
+});
+
+test("questionsFromCSV fails fast on missing required columns", () => {
+  assert.match(questionsFromCSV("English Question,Answer\nQ,A").fatal, /missing required column\(s\): hindi_question/);
+  assert.match(questionsFromCSV(HEADER).fatal, /at least one question row/);
+});
@@ -0,0 +1,39 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { questionFingerprints, prepareForComparison, compareQuestions, mayBeSimilar } = internals;
+
+function side(question, options = { 1: "Jaipur", 2: "Jodhpur", 3: "Udaipur", 4: "Ajmer" }) {
+  return { question, options };
+}
+
+test("questionFingerprints ignore case, punctuation and option order", () => {
+  const a = questionFingerprints({ english: side("What is the capital of Rajasthan?") });
+  const b = questionFingerprints({ english: side("what is the CAPITAL of rajasthan", { 1: "Ajmer", 2: "Udaipur", 3: "Jodhpur", 4: "Jaipur" }) });
+
+  assert.equal(a.fingerprint, b.fingerprint);
+  assert.deepEqual(a.similarityBands, b.similarityBands);
+  assert.equal(a.similarityBands.length, 8);
+  assert.equal(a.hindiFingerprint, null);
+});
+
+test("compareQuestions reports exact matches on either language", () => {
+  const a = prepareForComparison({ english: side("Capital of Rajasthan?"), hindi: side("राजस्थान की राजधानी?") });
+  const b = prepareForComparison({ english: side("Which city is the capital of Rajasthan?"), hindi: side("राजस्थान की राजधानी?") });
+  assert.deepEqual(compareQuestions(a, b), { similarity: 1, exact: true });
+});
+
+test("compareQuestions scores near-duplicates by shingle overlap", () => {
+  const a = prepareForComparison({ english: side("Which river is the longest river flowing through Rajasthan state") });
+  const b = prepareForComparison({ english: side("Which river is the longest river flowing through the Rajasthan state") });
+  const c = prepareForComparison({ english: side("Who founded the city of Jodhpur in the fifteenth century", { 1: "Rao Jodha", 2: "Rao Bika" }) });
+
+  const near = compareQuestions(a, b);
+  assert.equal(near.exact, false);
+  assert.ok(near.similarity >= 0.7 && near.similarity < 1, `similarity ${near.similarity}`);
+  assert.ok(mayBeSimilar(a, b));
+  assert.ok(compareQuestions(a, c).similarity < 0.2);
+});
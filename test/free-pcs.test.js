@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+let freePcsDb;
+test.before(async () => {
+  ctx = await startApp();
+  freePcsDb = ctx.models.FreePCSQuestion.db.db;
+});
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  [...freePcsDb.collections.keys()].filter(name => name.startsWith("fpcs_")).forEach(name => freePcsDb.collections.delete(name));
+  ({ token } = await ctx.signIn("super-admin"));
+});
+
+function question(n, fields = {}) {
+  return {
+    english: { question: `Free PCS question ${n}?`, options: { 1: `A${n}`, 2: `B${n}`, 3: `C${n}`, 4: `D${n}` } },
+    hindi: { question: `फ्री पीसीएस प्रश्न ${n}?`, options: { 1: `क${n}`, 2: `ख${n}`, 3: `ग${n}`, 4: `घ${n}` } },
+    correct_answer: 1,
+    ...fields,
+  };
+}
+
+async function legacyPaper(collectionName, count) {
+  const paper = await ctx.models.Test.create({ title: collectionName, date: "2026-02-01", testType: "free", phase: "free pcs", collectionName, totalQuestions: count });
+  const docs = Array.from({ length: count }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    testId: paper._id,
+    title: collectionName,
+    examType: "RAS",
+    year: 2023,
+    order: i + 1,
+    deletedAt: null,
+    updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+    ...question(i + 1),
+  }));
+  await freePcsDb.collection(collectionName).insertMany(docs);
+  return { paper, docs };
+}
+
+test("new Free PCS papers go to the shared collection without a per-paper collection name", async () => {
+  const created = await ctx.request("POST", "/admin/create-free-pcs-test", {
+    token,
+    body: { title: "RAS 2024 Mock", date: "2026-03-25", examType: "RAS", year: 2024, questions: [question(1), question(2)] },
+  });
+  assert.equal(created.status, 200, created.text);
+  assert.equal(created.body.collectionName, null);
+
+  const paper = await ctx.models.Test.findById(created.body.testId).lean();
+  assert.equal(paper.collectionName, null);
+  assert.equal(paper.freePcs, true);
+  assert.equal(await ctx.models.FreePCSQuestion.countDocuments({ testId: paper._id, examType: "RAS", year: 2024 }), 2);
+
+  const listed = await ctx.request("GET", `/admin/free-pcs-questions/${created.body.testId}`, { token });
+  assert.equal(listed.body.count, 2);
+  assert.equal(listed.body.collectionName, null);
+});
+
+test("the migration copies and verifies each legacy paper, and reruns are no-ops", async () => {
+  const { migrateFreePcsCollections } = ctx.internals;
+  const { paper, docs } = await legacyPaper("fpcs_ras_2023_aaaaaa", 3);
+
+  const plan = await migrateFreePcsCollections({ dryRun: true });
+  assert.deepEqual(plan, {
+    dryRun: true,
+    pending: 1,
+    plan: [{ testId: String(paper._id), title: "fpcs_ras_2023_aaaaaa", collectionName: "fpcs_ras_2023_aaaaaa", questions: 3 }],
+  });
+
+  const outcome = await migrateFreePcsCollections();
+  assert.equal(outcome.migrated, 1);
+  assert.equal(outcome.remaining, 0);
+  assert.deepEqual(outcome.results[0], {
+    testId: String(paper._id),
+    collectionName: "fpcs_ras_2023_aaaaaa",
+    sourceCount: 3,
+    targetCount: 3,
+    verified: true,
+    lateWrites: 0,
+    dropped: false,
+  });
+  const copied = await ctx.models.FreePCSQuestion.find({ testId: paper._id }).sort({ order: 1 }).lean();
+  assert.deepEqual(copied.map(d => String(d._id)), docs.map(d => String(d._id)));
+  assert.equal((await ctx.models.Test.findById(paper._id).lean()).freePcs, true);
+
+  const rerun = await migrateFreePcsCollections();
+  assert.deepEqual([rerun.migrated, rerun.failed, rerun.remaining], [0, 0, 0]);
+
+  const dropped = await migrateFreePcsCollections({ dropSource: true });
+  assert.deepEqual(dropped.dropped, ["fpcs_ras_2023_aaaaaa"]);
+  assert.equal(freePcsDb.collections.has("fpcs_ras_2023_aaaaaa"), false);
+});
+
+test("the migration copies edits made to the legacy collection while it switched the paper over", async () => {
+  const { paper, docs } = await legacyPaper("fpcs_ras_2023_bbbbbb", 2);
+  const tests = ctx.models.Test.db.db.collection("tests");
+  const updateOne = tests.updateOne;
+  tests.updateOne = async function (...args) {
+    const result = await updateOne.apply(this, args);
+    await freePcsDb.collection("fpcs_ras_2023_bbbbbb").updateOne({ _id: docs[1]._id }, { $set: { correct_answer: 4, updatedAt: new Date() } });
+    return result;
+  };
+  try {
+    const outcome = await ctx.internals.migrateFreePcsCollections();
+    assert.equal(outcome.results[0].lateWrites, 1);
+  } finally {
+    tests.updateOne = updateOne;
+  }
+
+  const copy = await ctx.models.FreePCSQuestion.findById(docs[1]._id).lean();
+  assert.equal(copy.correct_answer, 4);
+  assert.equal(String(copy.testId), String(paper._id));
+});
+
+test("a paper whose copy does not verify stays on its legacy collection", async () => {
+  const { paper } = await legacyPaper("fpcs_ras_2023_cccccc", 3);
+  const shared = freePcsDb.collection(ctx.models.FreePCSQuestion.collection.name);
+  const bulkWrite = shared.bulkWrite;
+  shared.bulkWrite = function (ops, ...rest) {
+    return bulkWrite.call(this, ops.slice(1), ...rest);
+  };
+  let outcome;
+  try {
+    outcome = await ctx.internals.migrateFreePcsCollections({ dropSource: true });
+  } finally {
+    shared.bulkWrite = bulkWrite;
+  }
+
+  assert.equal(outcome.failed, 1);
+  assert.equal(outcome.remaining, 1);
+  assert.deepEqual(outcome.dropped, []);
+  assert.equal(outcome.results[0].verified, false);
+  assert.equal((await ctx.models.Test.findById(paper._id).lean()).freePcs, false);
+  assert.equal(freePcsDb.collections.has("fpcs_ras_2023_cccccc"), true);
+});
+
+test("the consistency fix only drops legacy collections that were fully copied", async () => {
+  await legacyPaper("fpcs_ras_2023_dddddd", 2);
+  await ctx.internals.migrateFreePcsCollections();
+  await freePcsDb.collection("fpcs_stray_eeeeee").insertOne({ _id: new mongoose.Types.ObjectId(), testId: null, deletedAt: null, ...question(9) });
+
+  const check = await ctx.request("GET", "/admin/consistency", { token });
+  assert.deepEqual(check.body.orphanedCollections.map(c => c.collection).sort(), ["fpcs_ras_2023_dddddd", "fpcs_stray_eeeeee"]);
+
+  const fix = await ctx.request("POST", "/admin/consistency/fix", { token, body: { fix: ["orphanedCollections"] } });
+  assert.equal(fix.status, 200, fix.text);
+  assert.deepEqual(fix.body.fixed, { orphanedCollections: 1 });
+  assert.deepEqual(fix.body.failures.map(f => f.target), ["fpcs_stray_eeeeee"]);
+  assert.equal(freePcsDb.collections.has("fpcs_ras_2023_dddddd"), false);
+  assert.equal(freePcsDb.collections.has("fpcs_stray_eeeeee"), true);
+});
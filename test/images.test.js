@@ -0,0 +1,48 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+const { startApp } = require("./support/app");
+
+const { sniffImageType, imageAssetIdFromUrl, validateQuestionPayload } = internals;
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+
+test("sniffImageType detects images from their bytes, not their name", () => {
+  assert.equal(sniffImageType(PNG).contentType, "image/png");
+  assert.equal(sniffImageType(Buffer.concat([Buffer.from("GIF89a"), Buffer.alloc(16)])).extension, "gif");
+  assert.equal(sniffImageType(Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'/>")), null);
+  assert.equal(sniffImageType(PNG.subarray(0, 8)), null);
+});
+
+test("imageAssetIdFromUrl only recognises managed upload URLs", () => {
+  const id = "65f1c2a4b3e4d5f6a7b8c9d0";
+  assert.equal(imageAssetIdFromUrl(`https://api.example.com/images/${id}.png`), id);
+  assert.equal(imageAssetIdFromUrl(`/images/${id.toUpperCase()}?v=2`), id);
+  assert.equal(imageAssetIdFromUrl("https://cdn.example.com/q1.png"), null);
+  assert.equal(imageAssetIdFromUrl(null), null);
+});
+
+test("validateQuestionPayload accepts external and relative imageUrls", () => {
+  const q = {
+    correct_answer: 1,
+    english: { question: "Capital of Rajasthan?", options: { 1: "Jaipur", 2: "Jodhpur", 3: "Udaipur", 4: "Ajmer" } },
+    hindi: { question: "राजस्थान की राजधानी?", options: { 1: "जयपुर", 2: "जोधपुर", 3: "उदयपुर", 4: "अजमेर" } },
+  };
+  assert.deepEqual(validateQuestionPayload({ ...q, imageUrl: "https://cdn.example.com/q1.png" }, 0), []);
+  assert.deepEqual(validateQuestionPayload({ ...q, imageUrl: "/static/q1.png" }, 0), []);
+});
+
+test("image downloads are not counted by the global rate limiter", async () => {
+  const ctx = await startApp();
+  try {
+    const image = await ctx.request("GET", "/images/65f1c2a4b3e4d5f6a7b8c9d0.png");
+    assert.equal(image.headers.get("x-ratelimit-limit"), null);
+
+    const api = await ctx.request("GET", "/admin/me");
+    assert.equal(api.headers.get("x-ratelimit-limit"), "400");
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,56 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { buildIntegrityReport, linearTrend } = internals;
+
+const OPTIONS = { minSecondsPerQuestion: 6, minAgreement: 0.9, minSharedWrong: 4 };
+const questions = Array.from({ length: 10 }, (_, i) => ({ _id: `q${i}`, correct_answer: 1 }));
+const window = {
+  startTime: new Date("2026-03-10T09:00:00+05:30"),
+  endTime: new Date("2026-03-10T11:00:00+05:30"),
+};
+
+function row(id, answers, extra = {}) {
+  return { _id: id, userId: `user-${id}`, score: 0, answers, timeTakenSeconds: 1800, ...extra };
+}
+
+test("buildIntegrityReport clusters results that share uncommon wrong answers", () => {
+  const copied = [2, 2, 3, 4, 2, 3, 1, 1, 1, 1];
+  const report = buildIntegrityReport(window, questions, [
+    row("a", copied),
+    row("b", copied),
+    row("c", [1, 1, 1, 1, 1, 1, 1, 1, 1, 2]),
+  ], OPTIONS);
+
+  assert.equal(report.clusters.length, 1);
+  assert.deepEqual(report.clusters[0].resultIds.sort(), ["a", "b"]);
+  assert.equal(report.clusters[0].minAgreement, 1);
+  assert.equal(report.clusters[0].maxSharedRareWrong, 6);
+  assert.equal(report.summary.identicalAnswers, 2);
+  assert.deepEqual(report.flagged.map(f => f.resultId).sort(), ["a", "b"]);
+});
+
+test("buildIntegrityReport flags rushed and out-of-window attempts", () => {
+  const report = buildIntegrityReport(window, questions, [
+    row("fast", [1, 1, 1, 1, 1, 1, 1, 1, 1, 1], { timeTakenSeconds: 20 }),
+    row("late", [1, 1, 1, 1, 1, 1, 1, 1, 1, 1], {
+      startedAt: new Date("2026-03-10T10:30:00+05:30"),
+      submittedAt: new Date("2026-03-10T11:20:00+05:30"),
+      timeTakenSeconds: 3000,
+    }),
+  ], OPTIONS);
+
+  const flags = Object.fromEntries(report.flagged.map(f => [f.resultId, f.flags.map(flag => flag.type)]));
+  assert.deepEqual(flags, { fast: ["too-fast"], late: ["outside-window"] });
+  assert.equal(report.summary.tooFast, 1);
+  assert.equal(report.summary.outsideWindow, 1);
+});
+
+test("linearTrend returns the least-squares slope", () => {
+  assert.equal(linearTrend([40, 50, 60]), 10);
+  assert.equal(linearTrend([70, 70]), 0);
+  assert.equal(linearTrend([55]), null);
+});
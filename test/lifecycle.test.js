@@ -0,0 +1,45 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { resolveLifecycle, testStatusFilter } = internals;
+
+const now = new Date("2026-03-10T06:30:00.000Z");
+
+test("resolveLifecycle publishes immediately when no status or dates are given", () => {
+  const { lifecycle, error } = resolveLifecycle({}, now);
+  assert.equal(error, undefined);
+  assert.equal(lifecycle.status, "published");
+  assert.deepEqual(lifecycle.publishAt, now);
+  assert.deepEqual(lifecycle.publishedAt, now);
+  assert.equal(lifecycle.archiveAt, null);
+});
+
+test("resolveLifecycle schedules a test whose publishAt is in the future", () => {
+  const { lifecycle } = resolveLifecycle({ publishAt: "2026-03-11T09:00+05:30" }, now);
+  assert.equal(lifecycle.status, "scheduled");
+  assert.deepEqual(lifecycle.publishAt, new Date("2026-03-11T09:00+05:30"));
+  assert.equal(lifecycle.publishedAt, null);
+});
+
+test("resolveLifecycle keeps drafts as drafts even with a future publishAt", () => {
+  const { lifecycle } = resolveLifecycle({ status: "draft", publishAt: "2026-03-11T09:00" }, now);
+  assert.equal(lifecycle.status, "draft");
+  assert.equal(lifecycle.publishedAt, null);
+});
+
+test("resolveLifecycle rejects invalid combinations", () => {
+  assert.match(resolveLifecycle({ status: "live" }, now).error, /status must be one of/);
+  assert.match(resolveLifecycle({ status: "scheduled" }, now).error, /future publishAt is required/);
+  assert.match(resolveLifecycle({ publishAt: "2026-03-12T09:00", archiveAt: "2026-03-11T09:00" }, now).error, /archiveAt must be after publishAt/);
+  assert.match(resolveLifecycle({ archiveAt: "2026-03-09T09:00" }, now).error, /archiveAt must be in the future/);
+  assert.match(resolveLifecycle({ publishAt: "not a date" }, now).error, /publishAt must be an ISO date-time/);
+});
+
+test("testStatusFilter treats tests without a status as published", () => {
+  assert.deepEqual(testStatusFilter(["published"]), { $in: ["published", null] });
+  assert.deepEqual(testStatusFilter(["published", "scheduled"]), { $in: ["published", "scheduled", null] });
+  assert.deepEqual(testStatusFilter(["draft"]), { $in: ["draft"] });
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(() => ctx.reset());
+
+async function scrape(headers) {
+  const res = await ctx.request("GET", "/metrics", { headers });
+  assert.equal(res.status, 200, res.text);
+  return res.text.split("\n");
+}
+
+test("liveness answers without touching the databases", async () => {
+  ctx.clients.forEach((client) => { client.down = true; });
+  try {
+    const res = await ctx.request("GET", "/health/live");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+  } finally {
+    ctx.clients.forEach((client) => { client.down = false; });
+  }
+});
+
+test("readiness reports each connection and fails when one is down", async () => {
+  const ready = await ctx.request("GET", "/health/ready");
+  assert.equal(ready.status, 200, ready.text);
+  assert.deepEqual(Object.entries(ready.body.checks).map(([name, check]) => [name, check.status]), [
+    ["userDB", "up"],
+    ["questionDB", "up"],
+    ["freePcsDB", "up"],
+  ]);
+
+  ctx.clients[1].down = true;
+  try {
+    const notReady = await ctx.request("GET", "/health/ready");
+    assert.equal(notReady.status, 503);
+    assert.equal(notReady.body.status, "not-ready");
+    assert.equal(notReady.body.checks.questionDB.status, "down");
+    assert.equal(notReady.body.checks.questionDB.error, "connection refused");
+    assert.equal(notReady.body.checks.userDB.status, "up");
+    assert.ok((await scrape()).includes("mongo_connection_up{db=\"questionDB\"} 0"));
+  } finally {
+    ctx.clients[1].down = false;
+  }
+});
+
+test("requests are counted by route template and echo a valid request id", async () => {
+  const { token } = await ctx.signIn("super-admin");
+  const me = await ctx.request("GET", "/admin/me", { token, headers: { "X-Request-Id": "trace-123" } });
+  assert.equal(me.headers.get("x-request-id"), "trace-123");
+  const unknown = await ctx.request("GET", "/no/such/route", { headers: { "X-Request-Id": "bad id!" } });
+  assert.notEqual(unknown.headers.get("x-request-id"), "bad id!");
+  await ctx.request("POST", "/admin/lifecycle/run", { token });
+
+  const lines = await scrape();
+  const count = (prefix) => Number(lines.find(line => line.startsWith(prefix))?.split(" ").pop());
+  assert.ok(count("http_requests_total{method=\"GET\",route=\"/admin/me\",status=\"200\"}") >= 1);
+  assert.ok(count("http_requests_total{method=\"GET\",route=\"unmatched\",status=\"404\"}") >= 1);
+  assert.ok(count("http_request_duration_seconds_count{method=\"GET\",route=\"/admin/me\",status=\"200\"}") >= 1);
+  assert.ok(lines.some(line => line.startsWith("http_request_duration_seconds_bucket{method=\"GET\",route=\"/admin/me\",status=\"200\",le=\"+Inf\"}")));
+  assert.ok(count("cron_job_runs_total{job=\"test-lifecycle\",outcome=\"succeeded\"}") >= 1);
+  assert.ok(lines.includes("# TYPE http_request_duration_seconds histogram"));
+});
+
+test("metrics require the scrape token when one is configured", async () => {
+  process.env.METRICS_TOKEN = "scrape-secret";
+  try {
+    assert.equal((await ctx.request("GET", "/metrics")).status, 401);
+    assert.equal((await ctx.request("GET", "/metrics", { headers: { Authorization: "Bearer wrong" } })).status, 401);
+    assert.ok((await scrape({ Authorization: "Bearer scrape-secret" })).some(line => line.startsWith("process_uptime_seconds ")));
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ({ token } = await ctx.signIn("editor"));
+});
+
+function question(n, fields = {}) {
+  return {
+    english: { question: `Edit question ${n}?`, options: { 1: `A${n}`, 2: `B${n}`, 3: `C${n}`, 4: `D${n}` } },
+    hindi: { question: `संपादन प्रश्न ${n}?`, options: { 1: `क${n}`, 2: `ख${n}`, 3: `ग${n}`, 4: `घ${n}` } },
+    correct_answer: 1,
+    ...fields,
+  };
+}
+
+async function createTest(title) {
+  const created = await ctx.request("POST", "/admin/create-test-with-questions", {
+    token,
+    body: { title, date: "2026-03-20", testType: "paid", questions: Array.from({ length: 75 }, (_, i) => question(i + 1)) },
+  });
+  assert.equal(created.status, 200, created.text);
+  return created.body.testId;
+}
+
+async function questionIds(testId) {
+  const docs = await ctx.models.Question.find({ testId }).sort({ order: 1 }).lean();
+  return docs.map(d => d._id.toString());
+}
+
+test("adding, deleting and reordering questions renumbers an ungraded test", async () => {
+  const testId = await createTest("Editable");
+
+  const added = await ctx.request("POST", `/admin/tests/${testId}/questions`, { token, body: { ...question(76), position: 1 } });
+  assert.equal(added.status, 200, added.text);
+  assert.equal((await questionIds(testId))[0], added.body.questionId);
+
+  const removed = await ctx.request("DELETE", `/admin/tests/${testId}/questions/${added.body.questionId}`, { token });
+  assert.equal(removed.status, 200, removed.text);
+  assert.equal((await questionIds(testId)).length, 75);
+
+  const order = (await questionIds(testId)).reverse();
+  const reordered = await ctx.request("PUT", `/admin/tests/${testId}/questions/order`, { token, body: { order } });
+  assert.equal(reordered.status, 200, reordered.text);
+  assert.deepEqual(await questionIds(testId), order);
+});
+
+test("graded tests refuse changes that would renumber their questions", async () => {
+  const testId = await createTest("Graded");
+  const ids = await questionIds(testId);
+  await ctx.models.Result.create({ userId: "u1", testId, score: 2, answers: [{ questionId: ids[0], selected: 1 }] });
+
+  const attempts = [
+    ["POST", `/admin/tests/${testId}/questions`, question(76)],
+    ["DELETE", `/admin/tests/${testId}/questions/${ids[0]}`],
+    ["PUT", `/admin/tests/${testId}/questions/order`, { order: [...ids].reverse() }],
+  ];
+  for (const [method, path, body] of attempts) {
+    const res = await ctx.request(method, path, { token, body });
+    assert.equal(res.status, 409, `${method} ${path}`);
+    assert.match(res.body.message, /already has results/);
+  }
+  assert.deepEqual(await questionIds(testId), ids);
+
+  const answerChange = await ctx.request("PATCH", `/admin/tests/${testId}/questions/${ids[0]}`, { token, body: { correct_answer: 2 } });
+  assert.equal(answerChange.status, 409);
+
+  const textEdit = await ctx.request("PATCH", `/admin/tests/${testId}/questions/${ids[0]}`, {
+    token,
+    body: { english: { question: "Edited wording for question 1?" } },
+  });
+  assert.equal(textEdit.status, 200, textEdit.text);
+});
+
+test("CORS preflight allows PATCH for question edits", async () => {
+  const res = await ctx.request("OPTIONS", "/admin/tests/64b000000000000000000000/questions/64b000000000000000000001", {
+    headers: { Origin: "https://admin.example.com", "Access-Control-Request-Method": "PATCH" },
+  });
+  assert.equal(res.status, 204);
+  assert.match(res.headers.get("access-control-allow-methods"), /PATCH/);
+});
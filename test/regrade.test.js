@@ -0,0 +1,93 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { gradeAnswers, applyKeyChanges } = internals;
+
+const OPTIONS = { 1: "A", 2: "B", 3: "C", 4: "D" };
+
+function question(id, correct_answer, extra = {}) {
+  return { _id: id, correct_answer, acceptedAnswers: [], dropPolicy: null, english: { options: OPTIONS }, marks: 2, negativeMarks: 0.66, ...extra };
+}
+
+test("gradeAnswers applies marks, negative marks and unattempted answers", () => {
+  const questions = [question("q1", 1), question("q2", 2), question("q3", 3)];
+  assert.deepEqual(gradeAnswers(questions, [1, 3, null]), {
+    score: 1.34,
+    correct: 1,
+    incorrect: 1,
+    unattempted: 1,
+    attempted: 2,
+  });
+});
+
+test("gradeAnswers matches answers by question id before position", () => {
+  const questions = [question("q1", 1), question("q2", 2)];
+  const grade = gradeAnswers(questions, [{ questionId: "q2", selected: 2 }, { questionId: "q1", selected: 4 }]);
+  assert.equal(grade.correct, 1);
+  assert.equal(grade.incorrect, 1);
+});
+
+test("gradeAnswers honours accepted answers and drop policies", () => {
+  const questions = [
+    question("q1", 1, { acceptedAnswers: [2] }),
+    question("q2", 1, { dropPolicy: "void" }),
+    question("q3", 1, { dropPolicy: "award-all" }),
+  ];
+  assert.deepEqual(gradeAnswers(questions, [2, 3, null]), {
+    score: 4,
+    correct: 2,
+    incorrect: 0,
+    unattempted: 0,
+    attempted: 2,
+  });
+});
+
+test("gradeAnswers falls back to the exam format's marking scheme", () => {
+  const questions = [{ _id: "q1", correct_answer: 1 }, { _id: "q2", correct_answer: 2 }];
+  const csat = { marks: 2.5, negativeMarks: 0.83, sections: [{ name: "CSAT" }] };
+  assert.equal(gradeAnswers(questions, [1, 1], csat).score, 1.67);
+  assert.equal(gradeAnswers(questions, [1, 1]).score, 1.34);
+});
+
+test("applyKeyChanges records before and after and updates the questions", () => {
+  const questions = [question("q1", 1, { order: 1 }), question("q2", 2, { order: 2 })];
+  const { errors, keyChanges } = applyKeyChanges(questions, [
+    { questionId: "q1", correct_answer: 3, acceptedAnswers: [3, 4, 4] },
+    { questionId: "q2", drop: true },
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(keyChanges, [
+    {
+      questionId: "q1",
+      questionNumber: 1,
+      before: { correct_answer: 1, acceptedAnswers: [], dropPolicy: null },
+      after: { correct_answer: 3, acceptedAnswers: [4], dropPolicy: null },
+    },
+    {
+      questionId: "q2",
+      questionNumber: 2,
+      before: { correct_answer: 2, acceptedAnswers: [], dropPolicy: null },
+      after: { correct_answer: 2, acceptedAnswers: [], dropPolicy: "void" },
+    },
+  ]);
+  assert.equal(questions[0].correct_answer, 3);
+  assert.equal(questions[1].dropPolicy, "void");
+});
+
+test("applyKeyChanges rejects unknown questions, options and drop policies", () => {
+  const { errors } = applyKeyChanges([question("q1", 1), question("q2", 2)], [
+    { questionId: "missing", correct_answer: 1 },
+    { questionId: "q1", correct_answer: 7 },
+    { questionId: "q2", drop: true, dropPolicy: "half" },
+  ]);
+
+  assert.deepEqual(errors, [
+    "Change 1: question missing is not part of this test",
+    "Change 2: answer 7 is not one of the question's option keys (1, 2, 3, 4)",
+    "Change 3: dropPolicy must be 'void' or 'award-all'",
+  ]);
+});
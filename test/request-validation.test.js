@@ -0,0 +1,75 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { S, API, validateSchema, validateRequest } = internals;
+
+function run(spec, req) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let called = false;
+  validateRequest(spec)({ params: {}, query: {}, ...req }, res, () => { called = true; });
+  return { called, res };
+}
+
+test("validateSchema reports every failing path", () => {
+  const schema = S.object({
+    title: S.text({ maxLength: 5 }),
+    count: S.integer({ minimum: 1 }),
+    tags: S.array(S.string()),
+    status: S.nullable(S.enum(["draft", "published"])),
+  }, ["title"]);
+
+  assert.deepEqual(validateSchema(schema, { title: "ok", count: 2, tags: ["a"], status: null }), []);
+  assert.deepEqual(validateSchema(schema, { count: 0, tags: ["a", 1], status: "live" }), [
+    { path: "title", message: "is required" },
+    { path: "count", message: "must be at least 1" },
+    { path: "tags[1]", message: "must be a string" },
+    { path: "status", message: "must be one of: draft, published, null" },
+  ]);
+  assert.deepEqual(validateSchema(schema, { title: "   " }), [{ path: "title", message: "must not be empty" }]);
+});
+
+test("validateRequest coerces query strings and rejects bad input with a 400", () => {
+  const spec = { query: S.object({ limit: S.integer({ maximum: 100 }), dryRun: S.boolean() }) };
+
+  assert.equal(run(spec, { query: { limit: "20", dryRun: "true" } }).called, true);
+
+  const { called, res } = run(spec, { query: { limit: "500", dryRun: "yes" } });
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors, [
+    { in: "query", path: "limit", message: "must be at most 100" },
+    { in: "query", path: "dryRun", message: "must be a boolean" },
+  ]);
+});
+
+test("the bundle import schema accepts a bundle or a wrapped bundle", () => {
+  const bundle = {
+    format: "cronadmin.test-bundle",
+    version: 1,
+    test: { title: "Daily 1", date: "2026-03-10", testType: "paid" },
+    questions: [{ correct_answer: 1 }],
+  };
+
+  assert.equal(run(API.importBundle, { body: bundle }).called, true);
+  assert.equal(run(API.importBundle, { body: { bundle, title: "Copy", status: "draft" } }).called, true);
+  assert.equal(run(API.importBundle, { body: { ...bundle, format: "other" } }).res.statusCode, 400);
+  assert.equal(run(API.importBundle, { body: bundle, query: { date: "10/03/2026" } }).res.statusCode, 400);
+});
+
+test("the CSV import schema accepts raw CSV text or JSON with a csv field", () => {
+  assert.equal(run(API.importCsv, { body: "english_question,answer\nQ,A" }).called, true);
+  assert.equal(run(API.importCsv, { body: { csv: "english_question,answer\nQ,A", dryRun: true } }).called, true);
+  assert.equal(run(API.importCsv, { body: { rows: [] } }).res.statusCode, 400);
+});
+
+test("every route declares a response schema", () => {
+  assert.deepEqual(Object.keys(API).filter(name => !API[name].response), []);
+  assert.deepEqual(validateSchema(API.leaderboard.response, { success: true, leaderboard: [{ timeTakenSeconds: null }] }), []);
+});
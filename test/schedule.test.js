@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ({ token } = await ctx.signIn("editor"));
+});
+
+// 2026-03-02 is a Monday: daily papers run Mon-Sat, GS and CSAT on Sunday.
+function paper(date, phase, fields = {}) {
+  const totalQuestions = { daily: 75, gs: 100, csat: 80 }[phase];
+  return ctx.models.Test.create({ title: `${phase} ${date}`, date, phase, testType: "paid", totalQuestions, ...fields });
+}
+
+test("the calendar flags missing, duplicate, off-day and incomplete papers", async () => {
+  await paper("2026-03-02", "daily");
+  await paper("2026-03-02", "daily", { title: "daily 2026-03-02 (copy)" });
+  await paper("2026-03-03", "daily", { totalQuestions: 40 });
+  await paper("2026-03-04", "gs");
+
+  const res = await ctx.request("GET", "/admin/schedule/calendar?from=2026-03-02&to=2026-03-04", { token });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body.days.map(day => [day.date, day.weekday, day.issues.map(issue => `${issue.type}:${issue.format}`)]), [
+    ["2026-03-02", "Monday", ["duplicate:daily"]],
+    ["2026-03-03", "Tuesday", ["incomplete:daily"]],
+    ["2026-03-04", "Wednesday", ["missing:daily", "wrong-weekday:gs"]],
+  ]);
+  assert.deepEqual(res.body.summary, { missing: 1, duplicate: 1, "wrong-weekday": 1, incomplete: 1 });
+  assert.equal(res.body.days[0].issues[0].testIds.length, 2);
+});
+
+test("the calendar rejects reversed and oversized ranges", async () => {
+  const reversed = await ctx.request("GET", "/admin/schedule/calendar?from=2026-03-04&to=2026-03-02", { token });
+  assert.equal(reversed.status, 400);
+
+  const tooLong = await ctx.request("GET", "/admin/schedule/calendar?from=2026-01-01&to=2026-12-31", { token });
+  assert.equal(tooLong.status, 400);
+  assert.match(tooLong.body.message, /at most 93 days/);
+});
+
+test("the gap check opens alerts for the coming week and resolves them once filled", async () => {
+  const { checkScheduleGaps } = ctx.internals;
+  const first = await checkScheduleGaps(new Date("2026-03-01T06:00:00Z"));
+  assert.deepEqual([first.from, first.to, first.open, first.resolved, first.tomorrow], ["2026-03-02", "2026-03-08", 8, 0, 1]);
+
+  await paper("2026-03-02", "daily");
+  const second = await checkScheduleGaps(new Date("2026-03-01T07:00:00Z"));
+  assert.equal(second.open, 7);
+  assert.equal(second.resolved, 1);
+
+  const open = await ctx.request("GET", "/admin/schedule/alerts", { token });
+  assert.equal(open.status, 200, open.text);
+  assert.equal(open.body.count, 7);
+  assert.ok(open.body.alerts.every(alert => alert.type === "missing" && alert.date > "2026-03-02"));
+  assert.equal(new Date(open.body.alerts[0].firstDetectedAt).toISOString(), "2026-03-01T06:00:00.000Z");
+  assert.equal(new Date(open.body.alerts[0].lastDetectedAt).toISOString(), "2026-03-01T07:00:00.000Z");
+
+  const all = await ctx.request("GET", "/admin/schedule/alerts?includeResolved=true", { token });
+  const filled = all.body.alerts.find(alert => alert.date === "2026-03-02");
+  assert.equal(new Date(filled.resolvedAt).toISOString(), "2026-03-01T07:00:00.000Z");
+});
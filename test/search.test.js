@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ({ token } = await ctx.signIn("viewer"));
+});
+
+function day(n) {
+  return `2026-01-${String(n).padStart(2, "0")}`;
+}
+
+function question(testId, order, text, fields = {}) {
+  return {
+    testId,
+    order,
+    english: { question: text, options: { 1: "A", 2: "B", 3: "C", 4: "D" } },
+    hindi: { question: `${text} (हिंदी)`, options: { 1: "क", 2: "ख", 3: "ग", 4: "घ" } },
+    correct_answer: 1,
+    ...fields,
+  };
+}
+
+test("GET /admin/tests returns every test unless a page is asked for", async () => {
+  await ctx.models.Test.create(Array.from({ length: 60 }, (_, i) => ({ title: `Daily ${i + 1}`, date: day((i % 28) + 1), testType: "paid", phase: "daily" })));
+
+  const all = await ctx.request("GET", "/admin/tests", { token });
+  assert.equal(all.status, 200, all.text);
+  assert.equal(all.body.count, 60);
+  assert.equal(all.body.hasMore, false);
+  assert.equal(all.body.nextCursor, null);
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await ctx.request("GET", `/admin/tests?limit=25${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}`, { token });
+    assert.equal(page.status, 200, page.text);
+    assert.equal(page.body.total, 60);
+    seen.push(...page.body.tests.map(t => t._id));
+    cursor = page.body.nextCursor;
+  } while (cursor);
+  assert.equal(seen.length, 60);
+  assert.equal(new Set(seen).size, 60);
+  assert.deepEqual(seen, all.body.tests.map(t => t._id));
+
+  const bad = await ctx.request("GET", "/admin/tests?cursor=not-a-cursor", { token });
+  assert.equal(bad.status, 400);
+});
+
+test("GET /admin/tests filters by type, phase, date range, title and exam", async () => {
+  const { Test, FreePCSQuestion } = ctx.models;
+  const [gs, csat, free] = await Test.create([
+    { title: "GS Mains Mock", date: day(5), testType: "paid", phase: "gs" },
+    { title: "CSAT Mock", date: day(10), testType: "paid", phase: "csat" },
+    { title: "RAS 2023 Paper", date: day(15), testType: "free", phase: "free pcs", freePcs: true },
+  ]);
+  await FreePCSQuestion.create(question(free._id, 1, "Which river flows through Kota?", { title: "RAS 2023 Paper", examType: "RAS", year: 2023 }));
+
+  const ids = async (query) => {
+    const res = await ctx.request("GET", `/admin/tests?${query}`, { token });
+    assert.equal(res.status, 200, res.text);
+    return res.body.tests.map(t => t._id).sort();
+  };
+  assert.deepEqual(await ids("testType=free"), [String(free._id)]);
+  assert.deepEqual(await ids("phase=GS,csat"), [String(gs._id), String(csat._id)].sort());
+  assert.deepEqual(await ids(`from=${day(6)}&to=${day(15)}`), [String(csat._id), String(free._id)].sort());
+  assert.deepEqual(await ids("title=mock"), [String(gs._id), String(csat._id)].sort());
+  assert.deepEqual(await ids("examType=ras&year=2023"), [String(free._id)]);
+  assert.deepEqual(await ids("year=2020"), []);
+
+  const invalid = await ctx.request("GET", "/admin/tests?from=15-01-2026", { token });
+  assert.equal(invalid.status, 400);
+});
+
+test("search finds questions in both stores and reports their position in the paper", async () => {
+  const { Test, Question, FreePCSQuestion } = ctx.models;
+  const [paid, free] = await Test.create([
+    { title: "History Daily", date: day(3), testType: "paid", phase: "daily" },
+    { title: "RAS 2022 Paper", date: day(4), testType: "free", phase: "free pcs", freePcs: true },
+  ]);
+  await Question.create([
+    question(paid._id, 1, "Who built the Amber fort?"),
+    question(paid._id, 2, "Which dynasty ruled Mewar?"),
+    question(paid._id, 3, "When was Chittorgarh fort besieged?"),
+  ]);
+  await FreePCSQuestion.create([
+    question(free._id, 1, "Name the largest district of Rajasthan.", { title: "RAS 2022 Paper", examType: "RAS", year: 2022 }),
+    question(free._id, 2, "Which fort is called the Golden Fort?", { title: "RAS 2022 Paper", examType: "RAS", year: 2022 }),
+  ]);
+  await Question.updateOne({ testId: paid._id, order: 1 }, { $set: { deletedAt: new Date() } });
+
+  const res = await ctx.request("GET", "/admin/search?q=fort", { token });
+  assert.equal(res.status, 200, res.text);
+  const hits = res.body.results.map(r => [r.test.title, r.position, r.question.english.question]).sort();
+  assert.deepEqual(hits, [
+    ["History Daily", 2, "When was Chittorgarh fort besieged?"],
+    ["RAS 2022 Paper", 2, "Which fort is called the Golden Fort?"],
+  ]);
+  assert.equal(res.body.results.find(r => r.test.title === "RAS 2022 Paper").test.freePcs, true);
+
+  const scoped = await ctx.request("GET", `/admin/search?q=fort&testId=${free._id}`, { token });
+  assert.deepEqual(scoped.body.results.map(r => r.test.title), ["RAS 2022 Paper"]);
+
+  const short = await ctx.request("GET", "/admin/search?q=f", { token });
+  assert.equal(short.status, 400);
+});
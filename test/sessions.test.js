@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { startApp } = require("./support/app");
+
+const MINUTE_MS = 60 * 1000;
+
+let ctx;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(() => ctx.reset());
+
+async function createAdmin(fields = {}) {
+  const { insertedId } = await ctx.models.Admin.collection.insertOne({
+    email: "admin@example.com",
+    password: await bcrypt.hash("correct horse", 4),
+    ...fields,
+  });
+  return insertedId;
+}
+
+async function login(password = "correct horse") {
+  return ctx.request("POST", "/admin/login", { body: { email: "admin@example.com", password } });
+}
+
+function refresh(refreshToken) {
+  return ctx.request("POST", "/admin/refresh", { body: { refreshToken } });
+}
+
+test("isActiveAdmin treats a missing status as active", () => {
+  const { isActiveAdmin } = ctx.internals;
+  assert.equal(isActiveAdmin({}), true);
+  assert.equal(isActiveAdmin({ status: "active" }), true);
+  assert.equal(isActiveAdmin({ status: "disabled" }), false);
+  assert.equal(isActiveAdmin({ status: "invited" }), false);
+});
+
+test("an admin stored before roles and statuses existed can log in, use the API and refresh", async () => {
+  await createAdmin();
+
+  const session = await login();
+  assert.equal(session.status, 200, session.text);
+  assert.equal(session.body.role, "viewer");
+
+  const me = await ctx.request("GET", "/admin/me", { token: session.body.token });
+  assert.equal(me.status, 200, me.text);
+  assert.equal(me.body.admin.status, "active");
+
+  const refreshed = await refresh(session.body.refreshToken);
+  assert.equal(refreshed.status, 200, refreshed.text);
+  assert.equal((await ctx.request("GET", "/admin/me", { token: refreshed.body.token })).status, 200);
+});
+
+test("migrateAdmins stores the active status on admins that have none", async () => {
+  const adminId = await createAdmin({ role: "super-admin" });
+  await ctx.models.Admin.collection.insertOne({ email: "off@example.com", role: "editor", status: "disabled" });
+
+  const outcome = await ctx.internals.migrateAdmins({});
+  assert.equal(outcome.statusesAssigned, 1);
+  assert.equal(outcome.activeSuperAdmins, 1);
+  assert.equal((await ctx.models.Admin.findById(adminId).lean()).status, "active");
+  assert.equal(await ctx.models.Admin.countDocuments({ status: "disabled" }), 1);
+});
+
+test("refreshing rotates the token and reusing an old one revokes the session", async () => {
+  await createAdmin({ role: "editor", status: "active" });
+  const session = await login();
+
+  const first = await refresh(session.body.refreshToken);
+  assert.equal(first.status, 200, first.text);
+  assert.notEqual(first.body.refreshToken, session.body.refreshToken);
+  assert.equal(first.body.refreshToken.split(".")[0], session.body.refreshToken.split(".")[0]);
+
+  const reused = await refresh(session.body.refreshToken);
+  assert.equal(reused.status, 401);
+
+  const stored = await ctx.models.AdminSession.findById(session.body.refreshToken.split(".")[0]).lean();
+  assert.ok(stored.revokedAt);
+  assert.equal((await refresh(first.body.refreshToken)).status, 401);
+  assert.equal((await ctx.request("GET", "/admin/me", { token: first.body.token })).status, 401);
+});
+
+test("refreshing as a disabled admin revokes the session", async () => {
+  const adminId = await createAdmin({ role: "editor", status: "active" });
+  const session = await login();
+  await ctx.models.Admin.updateOne({ _id: adminId }, { $set: { status: "disabled" } });
+
+  const refreshed = await refresh(session.body.refreshToken);
+  assert.equal(refreshed.status, 401);
+  assert.match(refreshed.body.message, /disabled/);
+  assert.equal(await ctx.models.AdminSession.countDocuments({ adminId, revokedAt: null }), 0);
+});
+
+test("lockoutMinutes doubles after the allowed attempts and caps at an hour", () => {
+  const { lockoutMinutes } = ctx.internals;
+  assert.deepEqual([1, 4, 5, 6, 7, 8, 11, 30].map(lockoutMinutes), [0, 0, 1, 2, 4, 8, 60, 60]);
+});
+
+test("verifyAdminPassword locks the account after repeated failures and resets on success", async () => {
+  const { Admin } = ctx.models;
+  const { verifyAdminPassword } = ctx.internals;
+  const adminId = await createAdmin({ role: "editor", status: "active" });
+  const now = new Date("2026-03-01T10:00:00Z");
+  const load = () => Admin.findById(adminId).lean();
+
+  for (let left = 4; left >= 1; left--) {
+    assert.deepEqual(await verifyAdminPassword(await load(), "wrong", now), { ok: false, attemptsLeft: left });
+  }
+  assert.deepEqual(await verifyAdminPassword(await load(), "wrong", now), { locked: true, retryAfterSeconds: 60 });
+  assert.deepEqual(await verifyAdminPassword(await load(), "correct horse", now), { locked: true, retryAfterSeconds: 60 });
+
+  const later = new Date(now.getTime() + 2 * MINUTE_MS);
+  assert.deepEqual(await verifyAdminPassword(await load(), "wrong", later), { locked: true, retryAfterSeconds: 120 });
+
+  const afterLock = new Date(later.getTime() + 3 * MINUTE_MS);
+  assert.deepEqual(await verifyAdminPassword(await load(), "correct horse", afterLock), { ok: true });
+  const admin = await load();
+  assert.equal(admin.failedLoginAttempts, 0);
+  assert.equal(admin.lockedUntil, null);
+});
+
+test("a locked account gets a 429 with Retry-After from the login route", async () => {
+  await createAdmin({ role: "editor", status: "active", failedLoginAttempts: 5, lockedUntil: new Date(Date.now() + 10 * MINUTE_MS) });
+
+  const res = await login();
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("retry-after")) > 500);
+});
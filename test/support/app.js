@@ -0,0 +1,61 @@
+process.env.DISABLE_CRON = "true";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const jwt = require("jsonwebtoken");
+const app = require("../../api/index.js");
+const fakeMongo = require("./fake-mongo");
+
+// Connects the app to the in-memory driver and serves it on a free port.
+async function startApp(options = {}) {
+  const db = await fakeMongo.connect(options);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const { Admin, AdminSession } = db.models;
+
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  async function tokenFor(admin) {
+    const session = await AdminSession.create({
+      adminId: admin._id,
+      refreshTokenHash: "unused",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    return jwt.sign({ id: admin._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: 600 });
+  }
+
+  async function signIn(role = "super-admin", fields = {}) {
+    const admin = await Admin.create({ email: `${role}-${Date.now()}-${Math.random()}@example.com`, role, ...fields });
+    return { admin, token: await tokenFor(admin) };
+  }
+
+  return {
+    ...db,
+    internals: app.internals,
+    request,
+    tokenFor,
+    signIn,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,789 @@
+// In-memory stand-in for the MongoDB driver. It plugs into the app's mongoose
+// connections so route and helper tests run without a server. It covers the
+// query, update and aggregation features the app uses and throws on anything else.
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+
+const { ObjectId } = mongoose.mongo;
+
+const isObjectId = value => value?._bsontype === "ObjectId" || value instanceof ObjectId;
+const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof RegExp) && !isObjectId(value) && !Buffer.isBuffer(value);
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith("$"));
+
+function clone(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (isObjectId(value)) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (typeof value.toBSON === "function") return clone(value.toBSON());
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, clone(v)]));
+}
+
+function typeRank(value) {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === "number") return 2;
+  if (typeof value === "string") return 3;
+  if (isPlainObject(value)) return 4;
+  if (Array.isArray(value)) return 5;
+  if (isObjectId(value)) return 7;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  return 10;
+}
+
+function compare(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 1) return 0;
+  if (isObjectId(a)) return a.toHexString().localeCompare(b.toHexString());
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compare(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  if (ra === 4) return compare(JSON.stringify(a), JSON.stringify(b));
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function equals(a, b) {
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+  if (typeRank(a) !== typeRank(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => equals(v, b[i]));
+  if (isPlainObject(a)) {
+    const keys = Object.keys(a).filter(k => a[k] !== undefined);
+    return keys.length === Object.keys(b).filter(k => b[k] !== undefined).length && keys.every(k => equals(a[k], b[k]));
+  }
+  return compare(a, b) === 0;
+}
+
+function getValue(doc, path) {
+  return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+// Every value a dotted path reaches, descending into arrays of sub-documents.
+function resolvePath(value, parts) {
+  if (!parts.length) return [value];
+  if (value === null || value === undefined) return [undefined];
+  if (Array.isArray(value) && !/^\d+$/.test(parts[0])) return value.flatMap(item => resolvePath(item, parts));
+  return resolvePath(value[parts[0]], parts.slice(1));
+}
+
+function setValue(doc, path, value) {
+  const parts = path.split(".");
+  let target = doc;
+  parts.slice(0, -1).forEach((key) => {
+    if (target[key] === null || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetValue(doc, path) {
+  const parts = path.split(".");
+  const parent = getValue(doc, parts.slice(0, -1).join(".")) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === "object") delete parent[parts[parts.length - 1]];
+}
+
+function regexFrom(pattern, options = "") {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, options);
+}
+
+function unsupported(kind, name) {
+  throw new Error(`fake-mongo does not support the ${kind} ${name}`);
+}
+
+function matchValue(value, predicate) {
+  return predicate(value) || (Array.isArray(value) && value.some(predicate));
+}
+
+function matchOperators(values, ops, doc) {
+  return Object.entries(ops).every(([op, arg]) => {
+    switch (op) {
+      case "$eq": return values.some(v => matchValue(v, x => equals(x, arg)));
+      case "$ne": return !values.some(v => matchValue(v, x => equals(x, arg)));
+      case "$in": return values.some(v => matchValue(v, x => arg.some(a => (a instanceof RegExp ? typeof x === "string" && a.test(x) : equals(x, a)))));
+      case "$nin": return !matchOperators(values, { $in: arg }, doc);
+      case "$gt": return values.some(v => matchValue(v, x => typeRank(x) === typeRank(arg) && compare(x, arg) > 0));
+      case "$gte": return values.some(v => matchValue(v, x => typeRank(x) === typeRank(arg) && compare(x, arg) >= 0));
+      case "$lt": return values.some(v => matchValue(v, x => typeRank(x) === typeRank(arg) && compare(x, arg) < 0));
+      case "$lte": return values.some(v => matchValue(v, x => typeRank(x) === typeRank(arg) && compare(x, arg) <= 0));
+      case "$exists": return values.some(v => v !== undefined) === Boolean(arg);
+      case "$regex": {
+        const regex = regexFrom(arg, ops.$options);
+        return values.some(v => matchValue(v, x => typeof x === "string" && regex.test(x)));
+      }
+      case "$options": return true;
+      case "$not": return !(arg instanceof RegExp ? matchOperators(values, { $regex: arg }, doc) : matchOperators(values, arg, doc));
+      case "$size": return values.some(v => Array.isArray(v) && v.length === arg);
+      case "$all": return values.some(v => Array.isArray(v) && arg.every(a => v.some(x => equals(x, a))));
+      case "$elemMatch": return values.some(v => Array.isArray(v) && v.some(item => (isOperatorObject(arg) ? matchOperators([item], arg, doc) : matches(item, arg))));
+      default: return unsupported("query operator", op);
+    }
+  });
+}
+
+function matches(doc, filter = {}, collection = null) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$and") return cond.every(f => matches(doc, f, collection));
+    if (key === "$or") return cond.some(f => matches(doc, f, collection));
+    if (key === "$nor") return !cond.some(f => matches(doc, f, collection));
+    if (key === "$text") return textScore(doc, cond, collection) > 0;
+    if (key.startsWith("$")) return unsupported("query operator", key);
+    const values = resolvePath(doc, key.split("."));
+    if (cond instanceof RegExp) return values.some(v => matchValue(v, x => typeof x === "string" && cond.test(x)));
+    if (isOperatorObject(cond)) return matchOperators(values, cond, doc);
+    return values.some(v => matchValue(v, x => equals(x, cond)));
+  });
+}
+
+function textScore(doc, { $search }, collection) {
+  const fields = collection?.textFields();
+  if (!fields?.length) {
+    throw Object.assign(new Error("text index required for $text query"), { name: "MongoServerError", code: 27 });
+  }
+  const terms = String($search).toLowerCase().split(/\s+/).filter(Boolean);
+  const words = fields.flatMap(field => resolvePath(doc, field.split(".")))
+    .filter(v => typeof v === "string")
+    .flatMap(v => v.toLowerCase().split(/[^\p{L}\p{N}]+/u));
+  return terms.reduce((score, term) => score + words.filter(w => w === term).length, 0);
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (Array.isArray(update)) return unsupported("update", "pipeline");
+  if (!Object.keys(update).every(k => k.startsWith("$"))) {
+    const _id = doc._id;
+    Object.keys(doc).forEach(k => delete doc[k]);
+    Object.assign(doc, clone(update), { _id });
+    return;
+  }
+  Object.entries(update).forEach(([op, fields]) => {
+    Object.entries(fields).forEach(([path, arg]) => {
+      const current = getValue(doc, path);
+      switch (op) {
+        case "$set": setValue(doc, path, clone(arg)); break;
+        case "$setOnInsert": if (inserting) setValue(doc, path, clone(arg)); break;
+        case "$unset": unsetValue(doc, path); break;
+        case "$inc": setValue(doc, path, (current || 0) + arg); break;
+        case "$min": if (current === undefined || compare(arg, current) < 0) setValue(doc, path, clone(arg)); break;
+        case "$max": if (current === undefined || compare(arg, current) > 0) setValue(doc, path, clone(arg)); break;
+        case "$push": {
+          const list = Array.isArray(current) ? current : [];
+          const items = isPlainObject(arg) && "$each" in arg ? arg.$each : [arg];
+          list.push(...items.map(clone));
+          const slice = isPlainObject(arg) ? arg.$slice : undefined;
+          setValue(doc, path, slice === undefined ? list : slice < 0 ? list.slice(slice) : list.slice(0, slice));
+          break;
+        }
+        case "$addToSet": {
+          const list = Array.isArray(current) ? current : [];
+          const items = isPlainObject(arg) && "$each" in arg ? arg.$each : [arg];
+          items.forEach(item => { if (!list.some(x => equals(x, item))) list.push(clone(item)); });
+          setValue(doc, path, list);
+          break;
+        }
+        case "$pull": {
+          if (!Array.isArray(current)) break;
+          const pull = item => (isOperatorObject(arg) ? matchOperators([item], arg, item)
+            : isPlainObject(arg) && isPlainObject(item) ? matches(item, arg) : equals(item, arg));
+          setValue(doc, path, current.filter(item => !pull(item)));
+          break;
+        }
+        default: unsupported("update operator", op);
+      }
+    });
+  });
+}
+
+function project(doc, projection, score) {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const entries = Object.entries(projection);
+  const metas = entries.filter(([, v]) => isPlainObject(v) && v.$meta === "textScore");
+  const fields = entries.filter(([, v]) => !(isPlainObject(v) && v.$meta));
+  const inclusive = fields.some(([key, v]) => key !== "_id" && v);
+  let out;
+  if (inclusive) {
+    out = {};
+    if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) out._id = doc._id;
+    fields.filter(([key, v]) => key !== "_id" && v).forEach(([key]) => {
+      const value = getValue(doc, key);
+      if (value !== undefined) setValue(out, key, value);
+    });
+  } else {
+    out = clone(doc);
+    fields.filter(([, v]) => !v).forEach(([key]) => unsetValue(out, key));
+  }
+  metas.forEach(([key]) => { out[key] = score; });
+  return out;
+}
+
+function sortDocs(docs, sort, scores) {
+  const keys = Object.entries(sort || {});
+  if (!keys.length) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [key, dir] of keys) {
+      const c = isPlainObject(dir) && dir.$meta === "textScore"
+        ? (scores.get(b) || 0) - (scores.get(a) || 0)
+        : compare(getValue(a, key), getValue(b, key)) * dir;
+      if (c) return c;
+    }
+    return 0;
+  });
+}
+
+function evaluate(expr, doc, vars = {}) {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...rest] = expr.slice(2).split(".");
+    return rest.length ? getValue(vars[name], rest.join(".")) : vars[name];
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) return getValue(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+  const keys = Object.keys(expr);
+  if (keys.length !== 1 || !keys[0].startsWith("$")) {
+    return Object.fromEntries(keys.map(k => [k, evaluate(expr[k], doc, vars)]));
+  }
+  const [op] = keys;
+  const arg = expr[op];
+  const args = () => (Array.isArray(arg) ? arg : [arg]).map(a => evaluate(a, doc, vars));
+  const truthy = v => v !== null && v !== undefined && v !== false && v !== 0;
+  switch (op) {
+    case "$literal": return arg;
+    case "$eq": { const [a, b] = args(); return equals(a, b); }
+    case "$ne": { const [a, b] = args(); return !equals(a, b); }
+    case "$gt": { const [a, b] = args(); return compare(a, b) > 0; }
+    case "$gte": { const [a, b] = args(); return compare(a, b) >= 0; }
+    case "$lt": { const [a, b] = args(); return compare(a, b) < 0; }
+    case "$lte": { const [a, b] = args(); return compare(a, b) <= 0; }
+    case "$and": return args().every(truthy);
+    case "$or": return args().some(truthy);
+    case "$not": return !truthy(args()[0]);
+    case "$cond": {
+      const [ifExpr, thenExpr, elseExpr] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+      return truthy(evaluate(ifExpr, doc, vars)) ? evaluate(thenExpr, doc, vars) : evaluate(elseExpr, doc, vars);
+    }
+    case "$ifNull": {
+      const values = args();
+      return values.find(v => v !== null && v !== undefined) ?? values[values.length - 1];
+    }
+    case "$concat": { const values = args(); return values.some(v => v === null || v === undefined) ? null : values.join(""); }
+    case "$concatArrays": { const values = args(); return values.some(v => v === null || v === undefined) ? null : values.flat(); }
+    case "$size": return (args()[0] || []).length;
+    case "$add": return args().reduce((sum, v) => sum + v, 0);
+    case "$subtract": { const [a, b] = args(); return a - b; }
+    case "$multiply": return args().reduce((product, v) => product * v, 1);
+    case "$divide": { const [a, b] = args(); return a / b; }
+    case "$toString": { const [a] = args(); return a === null || a === undefined ? null : String(a); }
+    case "$filter": {
+      const input = evaluate(arg.input, doc, vars);
+      if (!Array.isArray(input)) return null;
+      const as = arg.as || "this";
+      return input.filter(item => truthy(evaluate(arg.cond, doc, { ...vars, [as]: item })));
+    }
+    case "$map": {
+      const input = evaluate(arg.input, doc, vars);
+      if (!Array.isArray(input)) return null;
+      const as = arg.as || "this";
+      return input.map(item => evaluate(arg.in, doc, { ...vars, [as]: item }));
+    }
+    default: return unsupported("aggregation expression", op);
+  }
+}
+
+function groupDocs(docs, spec) {
+  const groups = new Map();
+  docs.forEach((doc) => {
+    const id = evaluate(spec._id, doc);
+    const key = JSON.stringify(id instanceof Date || isObjectId(id) ? String(id) : id ?? null);
+    if (!groups.has(key)) groups.set(key, { id: id ?? null, docs: [] });
+    groups.get(key).docs.push(doc);
+  });
+  return [...groups.values()].map(({ id, docs: members }) => {
+    const out = { _id: id };
+    Object.entries(spec).filter(([field]) => field !== "_id").forEach(([field, acc]) => {
+      const [op] = Object.keys(acc);
+      const values = members.map(doc => evaluate(acc[op], doc));
+      const present = values.filter(v => v !== null && v !== undefined);
+      switch (op) {
+        case "$sum": out[field] = values.reduce((sum, v) => sum + (typeof v === "number" ? v : 0), 0); break;
+        case "$avg": out[field] = present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null; break;
+        case "$min": out[field] = present.length ? present.reduce((m, v) => (compare(v, m) < 0 ? v : m)) : null; break;
+        case "$max": out[field] = present.length ? present.reduce((m, v) => (compare(v, m) > 0 ? v : m)) : null; break;
+        case "$first": out[field] = values[0] ?? null; break;
+        case "$last": out[field] = values[values.length - 1] ?? null; break;
+        case "$push": out[field] = values; break;
+        case "$addToSet": out[field] = values.filter((v, i) => values.findIndex(x => equals(x, v)) === i); break;
+        default: unsupported("group accumulator", op);
+      }
+    });
+    return out;
+  });
+}
+
+function runPipeline(docs, pipeline, collection) {
+  return pipeline.reduce((current, stage) => {
+    const [name] = Object.keys(stage);
+    const arg = stage[name];
+    switch (name) {
+      case "$match": return current.filter(doc => matches(doc, arg, collection));
+      case "$project": {
+        const flags = Object.entries(arg).filter(([, v]) => typeof v === "number" || typeof v === "boolean");
+        const computed = Object.entries(arg).filter(([, v]) => typeof v !== "number" && typeof v !== "boolean");
+        if (!computed.length && flags.every(([, v]) => !v)) return current.map(doc => project(doc, arg));
+        return current.map((doc) => {
+          const out = arg._id === 0 || arg._id === false ? {} : { _id: doc._id };
+          flags.filter(([key, v]) => key !== "_id" && v).forEach(([key]) => {
+            const value = getValue(doc, key);
+            if (value !== undefined) setValue(out, key, value);
+          });
+          computed.forEach(([key, expr]) => setValue(out, key, evaluate(expr, doc)));
+          return out;
+        });
+      }
+      case "$addFields":
+      case "$set": return current.map((doc) => {
+        const out = clone(doc);
+        Object.entries(arg).forEach(([key, expr]) => setValue(out, key, evaluate(expr, doc)));
+        return out;
+      });
+      case "$unwind": {
+        const path = (typeof arg === "string" ? arg : arg.path).slice(1);
+        return current.flatMap((doc) => {
+          const value = getValue(doc, path);
+          if (!Array.isArray(value)) return value === null || value === undefined ? [] : [doc];
+          return value.map((item) => {
+            const out = clone(doc);
+            setValue(out, path, item);
+            return out;
+          });
+        });
+      }
+      case "$group": return groupDocs(current, arg);
+      case "$sort": return sortDocs(current, arg, new Map());
+      case "$limit": return current.slice(0, arg);
+      case "$skip": return current.slice(arg);
+      case "$sample": return current.slice(0, arg.size);
+      case "$count": return current.length ? [{ [arg]: current.length }] : [];
+      default: return unsupported("aggregation stage", name);
+    }
+  }, docs);
+}
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.buffer = null;
+  }
+
+  async toArray() {
+    if (!this.buffer) this.buffer = await this.load();
+    const rest = this.buffer;
+    this.buffer = [];
+    return rest;
+  }
+
+  async next() {
+    if (!this.buffer) this.buffer = await this.load();
+    return this.buffer.length ? this.buffer.shift() : null;
+  }
+
+  async hasNext() {
+    if (!this.buffer) this.buffer = await this.load();
+    return this.buffer.length > 0;
+  }
+
+  async close() {
+    this.buffer = [];
+  }
+
+  async* [Symbol.asyncIterator]() {
+    let doc;
+    while ((doc = await this.next()) !== null) yield doc;
+  }
+}
+
+function duplicateKeyError(collection, index, doc) {
+  const keyValue = Object.fromEntries(Object.keys(index.key).map(k => [k, getValue(doc, k)]));
+  return Object.assign(new Error(`E11000 duplicate key error collection: ${collection.name} index: ${index.name}`), {
+    name: "MongoServerError",
+    code: 11000,
+    keyPattern: index.key,
+    keyValue,
+  });
+}
+
+class FakeCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  checkSession(options = {}) {
+    const { session } = options;
+    if (session && session.client !== this.db.client) {
+      throw Object.assign(new Error("ClientSession must be from the same MongoClient"), { name: "MongoInvalidArgumentError" });
+    }
+    this.db.client.operations.push({ collection: this.name, session: session || null });
+  }
+
+  textFields() {
+    const index = this.indexes.find(i => Object.values(i.key).includes("text"));
+    return index ? Object.keys(index.key).filter(k => index.key[k] === "text") : null;
+  }
+
+  assertUnique(doc, ignore = null) {
+    this.indexes.filter(index => index.unique).forEach((index) => {
+      const fields = Object.keys(index.key);
+      if (index.sparse && fields.every(k => getValue(doc, k) === undefined)) return;
+      if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) return;
+      const clash = this.docs.some(other => other !== ignore && other !== doc
+        && (!index.partialFilterExpression || matches(other, index.partialFilterExpression))
+        && fields.every(k => equals(getValue(other, k), getValue(doc, k))));
+      if (clash) throw duplicateKeyError(this, index, doc);
+    });
+  }
+
+  select(filter, options = {}) {
+    let docs = this.docs.filter(doc => matches(doc, filter || {}, this));
+    const scores = new Map();
+    if (filter?.$text) docs.forEach(doc => scores.set(doc, textScore(doc, filter.$text, this)));
+    docs = sortDocs(docs, options.sort, scores);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, Math.abs(options.limit));
+    return { docs, scores };
+  }
+
+  insertDoc(input) {
+    const doc = clone(input);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this.docs.some(other => equals(other._id, doc._id))) {
+      throw duplicateKeyError(this, { key: { _id: 1 }, name: "_id_" }, doc);
+    }
+    this.assertUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  updateDocs(filter, update, options, many) {
+    this.checkSession(options);
+    const targets = this.select(filter, options).docs;
+    const chosen = many ? targets : targets.slice(0, 1);
+    let modifiedCount = 0;
+    chosen.forEach((doc) => {
+      const next = clone(doc);
+      applyUpdate(next, update);
+      if (options.arrayFilters) unsupported("option", "arrayFilters");
+      this.assertUnique(next, doc);
+      if (!equals(next, doc)) modifiedCount++;
+      Object.keys(doc).forEach(k => delete doc[k]);
+      Object.assign(doc, next);
+    });
+    if (!chosen.length && options.upsert) {
+      const doc = this.upsertDoc(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id, doc };
+    }
+    return { acknowledged: true, matchedCount: chosen.length, modifiedCount, upsertedCount: 0, upsertedId: null, doc: chosen[0] };
+  }
+
+  upsertDoc(filter, update) {
+    const seed = {};
+    Object.entries(filter || {}).forEach(([key, value]) => {
+      if (!key.startsWith("$") && !isOperatorObject(value)) setValue(seed, key, clone(value));
+      if (isOperatorObject(value) && "$eq" in value) setValue(seed, key, clone(value.$eq));
+    });
+    applyUpdate(seed, update, { inserting: true });
+    return this.insertDoc(seed);
+  }
+
+  async insertOne(doc, options = {}) {
+    this.checkSession(options);
+    const stored = this.insertDoc(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs, options = {}) {
+    this.checkSession(options);
+    const insertedIds = {};
+    docs.forEach((doc, i) => { insertedIds[i] = this.insertDoc(doc)._id; });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter = {}, options = {}) {
+    this.checkSession(options);
+    return new FakeCursor(async () => {
+      const { docs, scores } = this.select(filter, options);
+      return docs.map(doc => project(clone(doc), options.projection, scores.get(doc)));
+    });
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return (await this.find(filter, { ...options, limit: 1 }).toArray())[0] || null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    this.checkSession(options);
+    return this.select(filter, options).docs.length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(key, filter = {}, options = {}) {
+    this.checkSession(options);
+    const values = [];
+    this.select(filter).docs.forEach((doc) => {
+      resolvePath(doc, key.split(".")).flat().forEach((value) => {
+        if (value !== undefined && !values.some(v => equals(v, value))) values.push(clone(value));
+      });
+    });
+    return values;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { doc, ...result } = this.updateDocs(filter, update, options, false);
+    return result;
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { doc, ...result } = this.updateDocs(filter, update, options, true);
+    return result;
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const { doc, ...result } = this.updateDocs(filter, replacement, options, false);
+    return result;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const before = this.select(filter, options).docs[0];
+    const snapshot = before ? clone(before) : null;
+    const { doc, upsertedCount } = this.updateDocs(filter, update, options, false);
+    const returned = options.returnDocument === "after" ? doc : upsertedCount ? null : snapshot;
+    const value = returned ? project(clone(returned), options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    this.checkSession(options);
+    const doc = this.select(filter, options).docs[0];
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const value = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter, options = {}) {
+    this.checkSession(options);
+    const doc = this.select(filter).docs[0];
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter, options = {}) {
+    this.checkSession(options);
+    const doomed = new Set(this.select(filter).docs);
+    this.docs = this.docs.filter(doc => !doomed.has(doc));
+    return { acknowledged: true, deletedCount: doomed.size };
+  }
+
+  async bulkWrite(ops, options = {}) {
+    this.checkSession(options);
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} };
+    for (const [i, op] of ops.entries()) {
+      const [type] = Object.keys(op);
+      const spec = op[type];
+      if (type === "insertOne") {
+        result.insertedIds[i] = (await this.insertOne(spec.document, options)).insertedId;
+        result.insertedCount++;
+        continue;
+      }
+      if (type === "deleteOne" || type === "deleteMany") {
+        result.deletedCount += (await this[type](spec.filter, options)).deletedCount;
+        continue;
+      }
+      if (!["updateOne", "updateMany", "replaceOne"].includes(type)) unsupported("bulk operation", type);
+      const outcome = this.updateDocs(spec.filter, spec.update || spec.replacement, { ...options, upsert: spec.upsert }, type === "updateMany");
+      result.matchedCount += outcome.matchedCount;
+      result.modifiedCount += outcome.modifiedCount;
+      if (outcome.upsertedCount) {
+        result.upsertedCount++;
+        result.upsertedIds[i] = outcome.upsertedId;
+      }
+    }
+    return { ...result, ok: 1, isOk: () => true, getWriteErrors: () => [], hasWriteErrors: () => false };
+  }
+
+  aggregate(pipeline, options = {}) {
+    this.checkSession(options);
+    return new FakeCursor(async () => runPipeline(this.docs.map(clone), pipeline, this).map(clone));
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([k, v]) => `${k}_${v}`).join("_");
+    if (!this.indexes.some(i => i.name === name)) this.indexes.push({ key, name, ...options });
+    return name;
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(specs.map(({ key, ...options }) => this.createIndex(key, options)));
+  }
+
+  listIndexes() {
+    return new FakeCursor(async () => [{ key: { _id: 1 }, name: "_id_" }, ...this.indexes.map(clone)]);
+  }
+
+  async indexes() {
+    return this.listIndexes().toArray();
+  }
+
+  async dropIndex(name) {
+    this.indexes = this.indexes.filter(i => i.name !== name);
+  }
+
+  async drop() {
+    return this.db.dropCollection(this.name);
+  }
+}
+
+class FakeDb {
+  constructor(client, databaseName) {
+    this.client = client;
+    this.databaseName = databaseName;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  listCollections(filter = {}) {
+    return new FakeCursor(async () => [...this.collections.keys()]
+      .map(name => ({ name, type: "collection" }))
+      .filter(info => matches(info, filter)));
+  }
+
+  async dropCollection(name) {
+    return this.collections.delete(name);
+  }
+
+  admin() {
+    return {
+      ping: async () => {
+        if (this.client.down) throw new Error("connection refused");
+        return { ok: 1 };
+      },
+    };
+  }
+
+  snapshot() {
+    return new Map([...this.collections].map(([name, c]) => [name, { docs: c.docs.map(clone), indexes: c.indexes }]));
+  }
+
+  restore(snapshot) {
+    for (const name of this.collections.keys()) {
+      if (!snapshot.has(name)) this.collections.delete(name);
+    }
+    snapshot.forEach(({ docs, indexes }, name) => {
+      const collection = this.collection(name);
+      collection.docs = docs;
+      collection.indexes = indexes;
+    });
+  }
+}
+
+class FakeSession {
+  constructor(client) {
+    this.client = client;
+    this.id = { id: new ObjectId() };
+    this.hasEnded = false;
+    this.transaction = { isActive: false };
+  }
+
+  inTransaction() {
+    return this.transaction.isActive;
+  }
+
+  async withTransaction(fn) {
+    if (!this.client.transactions) {
+      throw Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { name: "MongoServerError", code: 20 });
+    }
+    const snapshot = this.client.db().snapshot();
+    this.transaction.isActive = true;
+    try {
+      return await fn(this);
+    } catch (err) {
+      this.client.db().restore(snapshot);
+      throw err;
+    } finally {
+      this.transaction.isActive = false;
+    }
+  }
+
+  async endSession() {
+    this.hasEnded = true;
+  }
+}
+
+class FakeClient extends EventEmitter {
+  constructor(name, { transactions = true } = {}) {
+    super();
+    this.database = new FakeDb(this, name);
+    this.transactions = transactions;
+    this.down = false;
+    this.operations = [];
+    this.s = { options: { dbName: name }, url: `mongodb://fake/${name}` };
+  }
+
+  db() {
+    return this.database;
+  }
+
+  startSession() {
+    return new FakeSession(this);
+  }
+
+  async close() {}
+}
+
+// Opens every connection the app created against its own in-memory client.
+async function connect({ transactions = true } = {}) {
+  await new Promise(resolve => setImmediate(resolve));
+  const connections = mongoose.connections.filter(conn => Object.keys(conn.models).length);
+  for (const [i, conn] of connections.entries()) {
+    const client = new FakeClient(`db${i}`, { transactions });
+    conn.client = client;
+    conn.db = client.db();
+    conn.name = client.db().databaseName;
+    conn.$initialConnection = Promise.resolve(conn);
+    conn.onOpen();
+  }
+  await Promise.all(connections.flatMap(conn => Object.values(conn.models).map(model => model.init().catch(() => {}))));
+  const models = Object.assign({}, ...connections.map(conn => conn.models));
+  return {
+    connections,
+    models,
+    clients: connections.map(conn => conn.client),
+    reset() {
+      connections.forEach((conn) => {
+        conn.db.collections.forEach(collection => { collection.docs = []; });
+        conn.client.operations = [];
+      });
+    },
+  };
+}
+
+module.exports = { connect, matches, applyUpdate, runPipeline };
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ctx.clients.forEach((client) => { client.transactions = true; });
+  ({ token } = await ctx.signIn("super-admin"));
+});
+
+function question(n) {
+  return {
+    english: { question: `Atomic question ${n}?`, options: { 1: `A${n}`, 2: `B${n}`, 3: `C${n}`, 4: `D${n}` } },
+    hindi: { question: `परमाणु प्रश्न ${n}?`, options: { 1: `क${n}`, 2: `ख${n}`, 3: `ग${n}`, 4: `घ${n}` } },
+    correct_answer: 1,
+  };
+}
+
+async function createTest(title, date = "2026-03-21") {
+  const created = await ctx.request("POST", "/admin/create-test-with-questions", {
+    token,
+    body: { title, date, testType: "paid", questions: Array.from({ length: 75 }, (_, i) => question(i + 1)) },
+  });
+  assert.equal(created.status, 200, created.text);
+  return created.body.testId;
+}
+
+test("withCompensation runs the compensation and rethrows the original error", async () => {
+  const { withCompensation } = ctx.internals;
+  const calls = [];
+
+  assert.equal(await withCompensation("ok", async () => "done", async () => calls.push("compensate")), "done");
+  assert.deepEqual(calls, []);
+
+  const failure = new Error("write failed");
+  await assert.rejects(withCompensation("fails", async () => { throw failure; }, async () => calls.push("compensate")), failure);
+  assert.deepEqual(calls, ["compensate"]);
+
+  const err = await withCompensation("both fail", async () => { throw new Error("write failed"); }, async () => {
+    throw new Error("rollback failed");
+  }).catch(e => e);
+  assert.equal(err.message, "write failed");
+  assert.equal(err.rollbackFailed, true);
+});
+
+test("withQuestionRollback restores the question set when the work fails", async () => {
+  const { FreePCSQuestion, Test } = ctx.models;
+  const testDoc = await Test.create({ title: "Free PCS", date: "2026-03-22", testType: "free", freePcs: true, totalQuestions: 2 });
+  const base = { testId: testDoc._id, title: "Free PCS", examType: "RAS", year: 2024 };
+  const [kept, edited] = await FreePCSQuestion.create([{ ...base, ...question(1), order: 1 }, { ...base, ...question(2), order: 2 }]);
+
+  await assert.rejects(ctx.internals.withQuestionRollback(FreePCSQuestion, testDoc._id, async () => {
+    await FreePCSQuestion.updateOne({ _id: edited._id }, { $set: { correct_answer: 4 } });
+    await FreePCSQuestion.deleteOne({ _id: kept._id });
+    await FreePCSQuestion.create({ ...base, ...question(3), order: 3 });
+    throw new Error("insert failed");
+  }), /insert failed/);
+
+  const docs = await FreePCSQuestion.find({ testId: testDoc._id }).sort({ order: 1 }).lean();
+  assert.deepEqual(docs.map(d => [String(d._id), d.correct_answer]), [[String(kept._id), 1], [String(edited._id), 1]]);
+});
+
+test("atomicTestWrite hands its work the transaction session and rolls back on failure", async () => {
+  const { Test, Question } = ctx.models;
+  const testId = await createTest("Atomic");
+  const testDoc = await Test.findById(testId);
+  const client = Question.db.client;
+
+  client.operations = [];
+  await assert.rejects(ctx.internals.atomicTestWrite(testDoc, async (session) => {
+    await Question.updateMany({ testId }, { $set: { correct_answer: 3 } }, { session });
+    testDoc.totalQuestions = 1;
+    await testDoc.save({ session });
+    throw new Error("later step failed");
+  }), /later step failed/);
+
+  assert.ok(client.operations.length >= 2);
+  assert.ok(client.operations.every(op => op.session));
+  assert.equal(await Question.countDocuments({ testId, correct_answer: 3 }), 0);
+  assert.equal((await Test.findById(testId).lean()).totalQuestions, 75);
+});
+
+test("question writes fail with a clear error when the database cannot run transactions", async () => {
+  const testId = await createTest("Standalone");
+  ctx.models.Question.db.client.transactions = false;
+
+  const res = await ctx.request("POST", `/admin/tests/${testId}/questions`, { token, body: question(76) });
+  assert.equal(res.status, 500);
+  assert.match(res.body.message, /does not support transactions — it must run as a replica set/);
+  assert.equal(await ctx.models.Question.countDocuments({ testId }), 75);
+});
+
+test("the consistency check finds orphaned questions, count mismatches and empty tests, and the fix repairs them", async () => {
+  const { Test, Question } = ctx.models;
+  const mismatchedId = await createTest("Mismatched", "2026-03-23");
+  await Test.updateOne({ _id: mismatchedId }, { $set: { totalQuestions: 80 } });
+  const empty = await Test.create({ title: "Empty", date: "2026-03-24", testType: "paid", totalQuestions: 75 });
+  const orphanTestId = "64b0000000000000000000aa";
+  await Question.create({ testId: orphanTestId, ...question(1), order: 1 });
+
+  const check = await ctx.request("GET", "/admin/consistency", { token });
+  assert.equal(check.status, 200, check.text);
+  assert.deepEqual(check.body.orphanedQuestions, [{ collection: "questions", testId: orphanTestId, count: 1, reason: "test does not exist" }]);
+  assert.deepEqual(check.body.countMismatches.map(m => [m.testId, m.totalQuestions, m.actual]), [[mismatchedId, 80, 75]]);
+  assert.deepEqual(check.body.emptyTests.map(t => t.testId), [String(empty._id)]);
+
+  const fix = await ctx.request("POST", "/admin/consistency/fix", { token, body: {} });
+  assert.equal(fix.status, 200, fix.text);
+  assert.deepEqual(fix.body.fixed, { orphanedQuestions: 1, countMismatches: 1, emptyTests: 1 });
+  assert.equal(fix.body.remaining.issues, 0);
+  assert.equal((await Test.findById(mismatchedId).lean()).totalQuestions, 75);
+  assert.equal(await Test.countDocuments({ _id: empty._id }), 0);
+  assert.equal(await Question.countDocuments({ testId: orphanTestId }), 0);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/app");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ctx;
+let token;
+test.before(async () => { ctx = await startApp(); });
+test.after(() => ctx.close());
+test.beforeEach(async () => {
+  ctx.reset();
+  ({ token } = await ctx.signIn("super-admin"));
+});
+
+function question(n) {
+  return {
+    english: { question: `Trash question ${n}?`, options: { 1: `A${n}`, 2: `B${n}`, 3: `C${n}`, 4: `D${n}` } },
+    hindi: { question: `ट्रैश प्रश्न ${n}?`, options: { 1: `क${n}`, 2: `ख${n}`, 3: `ग${n}`, 4: `घ${n}` } },
+    correct_answer: 1,
+  };
+}
+
+async function createTestWithResults(title, date) {
+  const created = await ctx.request("POST", "/admin/create-test-with-questions", {
+    token,
+    body: { title, date, testType: "paid", questions: Array.from({ length: 75 }, (_, i) => question(i + 1)) },
+  });
+  assert.equal(created.status, 200, created.text);
+  const testId = created.body.testId;
+  await ctx.models.Result.create([{ userId: "u1", testId, score: 10 }, { userId: "u2", testId, score: 20 }]);
+  return testId;
+}
+
+function countAll(Model, filter) {
+  return Model.countDocuments(filter).setOptions({ withDeleted: true });
+}
+
+test("deleting a test moves it to trash with its questions and results, and restore brings them back", async () => {
+  const { Test, Question, Result } = ctx.models;
+  const testId = await createTestWithResults("Trash 1", "2026-03-13");
+  const statusBefore = (await Test.findById(testId).lean()).status;
+
+  const deleted = await ctx.request("DELETE", `/admin/delete-test/${testId}`, { token });
+  assert.equal(deleted.status, 200, deleted.text);
+  assert.equal(deleted.body.deleted.questions, 75);
+  assert.equal(deleted.body.deleted.results, 2);
+  assert.equal(await Test.countDocuments({ _id: testId }), 0);
+  assert.equal(await Question.countDocuments({ testId }), 0);
+  assert.equal(await Result.countDocuments({ testId }), 0);
+
+  const trash = await ctx.request("GET", "/admin/trash", { token });
+  assert.deepEqual(trash.body.items.map(t => t.testId), [testId]);
+  assert.equal(trash.body.items[0].statusBeforeDelete, statusBefore);
+
+  const restored = await ctx.request("POST", `/admin/trash/${testId}/restore`, { token });
+  assert.equal(restored.status, 200, restored.text);
+  assert.equal(restored.body.status, statusBefore);
+  assert.equal(await Question.countDocuments({ testId }), 75);
+  assert.equal(await Result.countDocuments({ testId }), 2);
+  assert.equal((await ctx.request("GET", "/admin/trash", { token })).body.count, 0);
+});
+
+test("restore keeps questions that were deleted on their own before the test was trashed", async () => {
+  const { Test, Question } = ctx.models;
+  const testId = await createTestWithResults("Trash 2", "2026-03-14");
+  const earlier = new Date(Date.now() - DAY_MS);
+  const first = await Question.findOne({ testId }).lean();
+  await Question.updateOne({ _id: first._id }, { $set: { deletedAt: earlier } });
+
+  const test = await Test.findById(testId);
+  await ctx.internals.trashTest(test, null);
+  await ctx.internals.restoreTest(await Test.findById(testId).setOptions({ withDeleted: true }));
+
+  assert.equal(await Question.countDocuments({ testId }), 74);
+  assert.equal(await countAll(Question, { testId, deletedAt: earlier }), 1);
+});
+
+test("purging removes a trashed test for good and refuses tests that are not in trash", async () => {
+  const { Test, Question, Result } = ctx.models;
+  const testId = await createTestWithResults("Trash 3", "2026-03-15");
+
+  const live = await ctx.request("DELETE", `/admin/trash/${testId}`, { token });
+  assert.equal(live.status, 404);
+
+  await ctx.request("DELETE", `/admin/delete-test/${testId}`, { token });
+  const purged = await ctx.request("DELETE", `/admin/trash/${testId}`, { token });
+  assert.equal(purged.status, 200, purged.text);
+  assert.deepEqual(purged.body.deleted, { questions: 75, freePcsQuestions: 0, results: 2, freeResults: 0 });
+  assert.equal(await countAll(Test, { _id: testId }), 0);
+  assert.equal(await countAll(Question, { testId }), 0);
+  assert.equal(await countAll(Result, { testId }), 0);
+});
+
+test("purgeExpiredTrash only purges what has been in trash longer than the retention period", async () => {
+  const { Test, Question } = ctx.models;
+  const oldId = await createTestWithResults("Trash old", "2026-03-16");
+  const recentId = await createTestWithResults("Trash recent", "2026-03-17");
+  const liveId = await createTestWithResults("Live", "2026-03-18");
+  const now = new Date();
+
+  await ctx.internals.trashTest(await Test.findById(oldId), null, new Date(now.getTime() - 31 * DAY_MS));
+  await ctx.internals.trashTest(await Test.findById(recentId), null, new Date(now.getTime() - DAY_MS));
+  const loose = await Question.findOne({ testId: liveId }).lean();
+  await Question.updateOne({ _id: loose._id }, { $set: { deletedAt: new Date(now.getTime() - 40 * DAY_MS) } });
+
+  const outcome = await ctx.internals.purgeExpiredTrash(now);
+  assert.equal(outcome.retentionDays, 30);
+  assert.equal(outcome.purgedTests, 1);
+  assert.equal(outcome.purgedQuestions, 1);
+  assert.equal(await countAll(Test, { _id: oldId }), 0);
+  assert.equal(await countAll(Question, { testId: oldId }), 0);
+  assert.equal(await countAll(Test, { _id: recentId }), 1);
+  assert.equal(await Question.countDocuments({ testId: liveId }), 74);
+});
@@ -0,0 +1,57 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { internals } = require("../api/index.js");
+
+const { seededRandom, seededShuffle, shuffleWithinSections, shuffleQuestionOptions } = internals;
+
+const numbers = Array.from({ length: 20 }, (_, i) => i + 1);
+
+test("seededShuffle is a deterministic permutation for a given seed", () => {
+  const first = seededShuffle(numbers, seededRandom("variant-a"));
+
+  assert.deepEqual(seededShuffle(numbers, seededRandom("variant-a")), first);
+  assert.notDeepEqual(seededShuffle(numbers, seededRandom("variant-b")), first);
+  assert.notDeepEqual(first, numbers);
+  assert.deepEqual([...first].sort((a, b) => a - b), numbers);
+  assert.deepEqual(numbers, Array.from({ length: 20 }, (_, i) => i + 1));
+});
+
+test("shuffleWithinSections keeps every question inside its own section", () => {
+  const questions = [
+    ...Array.from({ length: 6 }, (_, i) => ({ id: `gs${i}`, phase: "GS" })),
+    ...Array.from({ length: 4 }, (_, i) => ({ id: `csat${i}`, phase: "CSAT" })),
+  ];
+  const shuffled = shuffleWithinSections(questions, seededRandom(7));
+
+  assert.deepEqual(shuffled.map(q => q.phase), questions.map(q => q.phase));
+  assert.deepEqual(shuffled.map(q => q.id).sort(), questions.map(q => q.id).sort());
+});
+
+test("shuffleQuestionOptions moves both languages together and follows the answer", () => {
+  const q = {
+    correct_answer: 2,
+    acceptedAnswers: [4],
+    english: { question: "Capital?", options: { 1: "Jodhpur", 2: "Jaipur", 3: "Udaipur", 4: "Pink City" } },
+    hindi: { question: "राजधानी?", options: { 1: "जोधपुर", 2: "जयपुर", 3: "उदयपुर", 4: "गुलाबी नगर" } },
+  };
+  const shuffled = shuffleQuestionOptions(q, seededRandom("options"));
+
+  assert.equal(shuffled.english.options[shuffled.correct_answer], "Jaipur");
+  assert.equal(shuffled.hindi.options[shuffled.correct_answer], "जयपुर");
+  assert.equal(shuffled.english.options[shuffled.acceptedAnswers[0]], "Pink City");
+  Object.keys(shuffled.english.options).forEach((key) => {
+    const from = Object.keys(q.english.options).find(k => q.english.options[k] === shuffled.english.options[key]);
+    assert.equal(shuffled.hindi.options[key], q.hindi.options[from]);
+  });
+});
+
+test("shuffleQuestionOptions leaves questions with mismatched option keys alone", () => {
+  const q = {
+    correct_answer: 1,
+    english: { options: { 1: "A", 2: "B" } },
+    hindi: { options: { 1: "अ" } },
+  };
+  assert.equal(shuffleQuestionOptions(q, seededRandom(1)), null);
+});
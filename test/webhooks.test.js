@@ -0,0 +1,24 @@
+process.env.DISABLE_CRON = "true";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { internals } = require("../api/index.js");
+
+const { signWebhookPayload, webhookRetryDelayMs } = internals;
+
+test("signWebhookPayload signs the timestamp and the exact body", () => {
+  const body = JSON.stringify({ event: "test.published", data: { testId: "abc" } });
+  const expected = crypto.createHmac("sha256", "whsec_test").update(`1773120000.${body}`).digest("hex");
+
+  assert.equal(signWebhookPayload("whsec_test", 1773120000, body), expected);
+  assert.notEqual(signWebhookPayload("whsec_test", 1773120001, body), expected);
+  assert.notEqual(signWebhookPayload("whsec_other", 1773120000, body), expected);
+});
+
+test("webhookRetryDelayMs backs off exponentially with jitter and a ceiling", () => {
+  const within = (ms, seconds) => ms >= seconds * 800 && ms <= seconds * 1200;
+  assert.ok(within(webhookRetryDelayMs(1), 30));
+  assert.ok(within(webhookRetryDelayMs(3), 120));
+  assert.ok(within(webhookRetryDelayMs(20), 6 * 60 * 60));
+});